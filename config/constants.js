@@ -19,6 +19,53 @@ module.exports = {
   // Liste pour validation Mongoose
   ROLE_VALUES: ['admin', 'tresorier', 'membre'],
 
+  // Rôles propres à chaque tontine (les rôles globaux ci-dessus ne donnent aucun droit
+  // sur une tontine, sauf l'Admin de la plateforme qui les a tous)
+  TONTINE_ROLES: {
+    PROPRIETAIRE: 'proprietaire', // Créateur de la tontine
+    TRESORIER: 'tresorier',       // Trésorier assigné
+    CO_TRESORIER: 'co_tresorier', // Attribué par le propriétaire
+    AUDITEUR: 'auditeur',         // Attribué par le propriétaire (lecture des comptes)
+    MEMBRE: 'membre',
+  },
+
+  // Capacités vérifiées sur la tontine de la requête (:tontineId)
+  CAPABILITIES: {
+    VIEW_TONTINE: 'view_tontine',
+    VIEW_ACCOUNTING: 'view_accounting',
+    VALIDATE_TRANSACTION: 'validate_transaction',
+    RUN_TIRAGE: 'run_tirage',
+    MANAGE_MEMBERS: 'manage_members',
+    MANAGE_TONTINE: 'manage_tontine',
+    MANAGE_ROLES: 'manage_roles',
+  },
+
+  // Capacités de chaque rôle de tontine
+  TONTINE_ROLE_CAPABILITIES: {
+    proprietaire: [
+      'view_tontine',
+      'view_accounting',
+      'validate_transaction',
+      'run_tirage',
+      'manage_members',
+      'manage_tontine',
+      'manage_roles',
+    ],
+    tresorier: ['view_tontine', 'view_accounting', 'validate_transaction', 'run_tirage', 'manage_members'],
+    co_tresorier: ['view_tontine', 'view_accounting', 'validate_transaction'],
+    auditeur: ['view_tontine', 'view_accounting'],
+    membre: ['view_tontine'],
+  },
+
+  // Vérification d'identité (KYC) des comptes créés par inscription publique
+  KYC_STATUS: {
+    VERIFICATION_CONTACT: 'verification_contact', // Email et téléphone à confirmer par OTP
+    EN_ATTENTE: 'en_attente',                     // Dossier à examiner par un Admin
+    COMPLEMENT_DEMANDE: 'complement_demande',     // L'Admin attend des pièces complémentaires
+    APPROUVE: 'approuve',
+    REJETE: 'rejete',
+  },
+
   // Statuts des tontines
   TONTINE_STATUS: {
     EN_ATTENTE: 'En attente',
@@ -52,6 +99,17 @@ module.exports = {
     WAVE: 'Wave',
     ORANGE_MONEY: 'Orange Money',
     CASH: 'Cash',
+    VIREMENT: 'Virement',
+  },
+
+  // Comptes du grand livre d'une tontine (partie double)
+  LEDGER_ACCOUNTS: {
+    CREANCE_MEMBRE: 'creance_membre', // Ce que chaque membre doit (ou a versé d'avance)
+    PAIEMENTS_A_VALIDER: 'paiements_a_valider', // Paiements déclarés, en attente du trésorier
+    CAGNOTTE: 'cagnotte', // Fonds effectivement détenus pour la tontine
+    PENALITES: 'penalites', // Pénalités facturées aux membres
+    VERSEMENTS: 'versements', // Cagnottes versées aux bénéficiaires des tirages
+    COTISATIONS_APPELEES: 'cotisations_appelees', // Cotisations appelées aux membres à chaque échéance
   },
 
   // Codes HTTP
@@ -127,6 +185,42 @@ module.exports = {
     DIR: process.env.UPLOAD_DIR || './uploads',
   },
 
+  // Double authentification
+  MFA: {
+    ROLES_OBLIGATOIRES: ['admin', 'tresorier'],
+    APPAREIL_CONFIANCE_JOURS: parseInt(process.env.MFA_TRUSTED_DEVICE_DAYS) || 30,
+    CODES_RECUPERATION: 10,
+    // Rôles de tontine qui manipulent l'argent : double authentification exigée aussi
+    ROLES_TONTINE_OBLIGATOIRES: ['proprietaire', 'tresorier', 'co_tresorier'],
+  },
+
+  // Envoi des codes à usage unique (connexion, réinitialisation)
+  OTP_DELIVERY: {
+    CHANNELS: ['email', 'sms', 'whatsapp'],
+    // Envois maximum par utilisateur et par canal sur la fenêtre glissante
+    MAX_PER_WINDOW: {
+      email: parseInt(process.env.OTP_EMAIL_MAX) || 5,
+      sms: parseInt(process.env.OTP_SMS_MAX) || 3,
+      whatsapp: parseInt(process.env.OTP_WHATSAPP_MAX) || 3,
+    },
+    WINDOW_MINUTES: parseInt(process.env.OTP_WINDOW_MINUTES) || 15,
+  },
+
+  // Verrouillage des comptes après des échecs de connexion consécutifs
+  LOCKOUT: {
+    SEUIL_ECHECS: parseInt(process.env.LOCKOUT_THRESHOLD) || 5,
+    // Les échecs plus anciens ne comptent plus
+    FENETRE_ECHECS_MINUTES: parseInt(process.env.LOCKOUT_FAILURE_WINDOW_MINUTES) || 60,
+    // Durée de chaque verrouillage successif ; au-delà, déblocage par un Admin
+    DUREES_MINUTES: [15, 60, 24 * 60],
+  },
+
+  // Annulation des tirages
+  TIRAGE: {
+    // Annulations maximum d'une même échéance (chacune est tracée sur le tirage annulé)
+    ANNULATIONS_MAX_PAR_ECHEANCE: parseInt(process.env.TIRAGE_MAX_ANNULATIONS) || 2,
+  },
+
   // Rate limiting
   RATE_LIMIT: {
     WINDOW_MS: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 900000,
@@ -1,13 +1,15 @@
 // config/jwt.js
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const logger = require('../utils/logger');
 
 /**
  * Générer un token JWT d'accès
  * @param {Object} user - Objet utilisateur
+ * @param {String} sessionId - Session (appareil) à laquelle le token est rattaché
  * @returns {string} Token JWT
  */
-const generateAccessToken = (user) => {
+const generateAccessToken = (user, sessionId) => {
   try {
     const payload = {
       userId: user._id,
@@ -15,6 +17,7 @@ const generateAccessToken = (user) => {
       role: user.role,
       isActive: user.isActive,
       isFirstLogin: user.isFirstLogin, //  AJOUT CRITIQUE
+      sid: sessionId,
     };
 
     const token = jwt.sign(payload, process.env.JWT_SECRET, {
@@ -34,14 +37,17 @@ const generateAccessToken = (user) => {
 /**
  * Générer un refresh token
  * @param {Object} user - Objet utilisateur
+ * @param {String} sessionId - Session (appareil) à laquelle le token est rattaché
  * @returns {string} Refresh token
  */
-const generateRefreshToken = (user) => {
+const generateRefreshToken = (user, sessionId) => {
   try {
     const payload = {
       userId: user._id,
       email: user.email,
       type: 'refresh',
+      sid: sessionId,
+      jti: crypto.randomBytes(16).toString('hex'), // deux renouvellements ne produisent jamais le même token
     };
 
     const token = jwt.sign(payload, process.env.JWT_REFRESH_SECRET, {
@@ -118,12 +124,13 @@ const decodeToken = (token) => {
 /**
  * Générer une paire de tokens (access + refresh)
  * @param {Object} user - Objet utilisateur
+ * @param {String} sessionId - Session (appareil) à laquelle les tokens sont rattachés
  * @returns {Object} { accessToken, refreshToken }
  */
-const generateTokenPair = (user) => {
+const generateTokenPair = (user, sessionId) => {
   return {
-    accessToken: generateAccessToken(user),
-    refreshToken: generateRefreshToken(user),
+    accessToken: generateAccessToken(user, sessionId),
+    refreshToken: generateRefreshToken(user, sessionId),
   };
 };
 
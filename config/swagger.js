@@ -196,6 +196,7 @@ const options = {
       { name: 'Tirages', description: 'Gestion des tirages au sort' },
       { name: 'Dashboard', description: 'Tableaux de bord par rôle' },
       { name: 'Validations', description: 'Double validation (OTP Trésorier + Admin)' },
+      { name: 'Rapprochements', description: 'Rapprochement des relevés Wave / Orange Money' },
     ],
   },
   
@@ -0,0 +1,311 @@
+// controllers/adhesion.controller.js
+const ApiResponse = require('../utils/apiResponse');
+const logger = require('../utils/logger');
+const { getPaginationParams } = require('../utils/helpers');
+const adhesionService = require('../services/adhesion.service');
+
+/**
+ * Vue d'une demande d'adhésion pour son auteur
+ */
+const formaterDemande = (demande) => ({
+  id: demande._id,
+  statut: demande.statut,
+  codeInvitation: demande.codeInvitation,
+  dateAcceptationReglement: demande.dateAcceptationReglement,
+  dateDemande: demande.dateDemande,
+});
+
+/**
+ * @desc    Créer un code (lien) d'invitation
+ * @route   POST /digitontine/tontines/:tontineId/codes-invitation
+ * @access  Admin, Trésorier de la tontine
+ */
+const creerCodeInvitation = async (req, res) => {
+  try {
+    const { tontineId } = req.params;
+    const { dureeValiditeJours, utilisationsMax } = req.body;
+
+    const { codeInvitation } = await adhesionService.creerCodeInvitation(
+      tontineId,
+      { dureeValiditeJours, utilisationsMax },
+      req.user
+    );
+
+    return ApiResponse.success(
+      res,
+      {
+        codeInvitation: {
+          id: codeInvitation._id,
+          code: codeInvitation.code,
+          lien: adhesionService.lienInvitation(codeInvitation.code),
+          dateExpiration: codeInvitation.dateExpiration,
+          utilisationsMax: codeInvitation.utilisationsMax || null,
+        },
+      },
+      'Code d\'invitation créé',
+      201
+    );
+  } catch (error) {
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    logger.error('Erreur creerCodeInvitation:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Codes d'invitation d'une tontine
+ * @route   GET /digitontine/tontines/:tontineId/codes-invitation
+ * @access  Admin, Trésorier de la tontine
+ */
+const getCodesInvitation = async (req, res) => {
+  try {
+    const codesInvitation = await adhesionService.listerCodesInvitation(req.params.tontineId, req.user);
+    return ApiResponse.success(res, { codesInvitation });
+  } catch (error) {
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    logger.error('Erreur getCodesInvitation:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Désactiver un code d'invitation
+ * @route   DELETE /digitontine/tontines/:tontineId/codes-invitation/:codeId
+ * @access  Admin, Trésorier de la tontine
+ */
+const desactiverCodeInvitation = async (req, res) => {
+  try {
+    const { tontineId, codeId } = req.params;
+
+    const { codeInvitation } = await adhesionService.desactiverCodeInvitation(tontineId, codeId, req.user);
+
+    return ApiResponse.success(
+      res,
+      { codeInvitation: { id: codeInvitation._id, code: codeInvitation.code, actif: codeInvitation.actif } },
+      'Code d\'invitation désactivé'
+    );
+  } catch (error) {
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    logger.error('Erreur desactiverCodeInvitation:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Présentation d'une tontine (règlement compris) à partir d'un code d'invitation
+ * @route   GET /digitontine/tontines/rejoindre/:code
+ * @access  Private
+ */
+const getTontineParCode = async (req, res) => {
+  try {
+    const { tontine, codeInvitation } = await adhesionService.trouverParCode(req.params.code);
+
+    return ApiResponse.success(res, {
+      tontine: adhesionService.apercuTontine(tontine),
+      codeInvitation: { code: codeInvitation.code, dateExpiration: codeInvitation.dateExpiration },
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    logger.error('Erreur getTontineParCode:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Demander à rejoindre une tontine avec un code d'invitation
+ * @route   POST /digitontine/tontines/rejoindre/:code
+ * @access  Private (Membre)
+ */
+const rejoindreParCode = async (req, res) => {
+  try {
+    const { reglementAccepte, message } = req.body;
+
+    const { tontine, demande } = await adhesionService.demanderAdhesion(
+      null,
+      { code: req.params.code, reglementAccepte, message },
+      req.user
+    );
+
+    return ApiResponse.success(
+      res,
+      { tontine: { id: tontine._id, nom: tontine.nom }, demande: formaterDemande(demande) },
+      'Demande d\'adhésion envoyée. Vous serez membre dès son approbation.',
+      201
+    );
+  } catch (error) {
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    logger.error('Erreur rejoindreParCode:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Tontines en attente ouvertes aux demandes d'adhésion
+ * @route   GET /digitontine/tontines/publiques
+ * @access  Private
+ */
+const listerTontinesPubliques = async (req, res) => {
+  try {
+    const { page, limit, skip } = getPaginationParams(req.query);
+    const { montantMin, montantMax, frequence } = req.query;
+
+    const { tontines, total } = await adhesionService.listerTontinesPubliques({
+      montantMin,
+      montantMax,
+      frequence,
+      limit,
+      skip,
+    });
+
+    return ApiResponse.successWithPagination(res, tontines, { page, limit, total });
+  } catch (error) {
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    logger.error('Erreur listerTontinesPubliques:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Demander à rejoindre une tontine (publique, ou avec un code)
+ * @route   POST /digitontine/tontines/:tontineId/demandes-adhesion
+ * @access  Private (Membre)
+ */
+const demanderAdhesion = async (req, res) => {
+  try {
+    const { code, reglementAccepte, message } = req.body;
+
+    const { tontine, demande } = await adhesionService.demanderAdhesion(
+      req.params.tontineId,
+      { code, reglementAccepte, message },
+      req.user
+    );
+
+    return ApiResponse.success(
+      res,
+      { tontine: { id: tontine._id, nom: tontine.nom }, demande: formaterDemande(demande) },
+      'Demande d\'adhésion envoyée. Vous serez membre dès son approbation.',
+      201
+    );
+  } catch (error) {
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    logger.error('Erreur demanderAdhesion:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Demandes d'adhésion d'une tontine (?statut=en_attente|acceptee|refusee)
+ * @route   GET /digitontine/tontines/:tontineId/demandes-adhesion
+ * @access  Admin, Trésorier de la tontine
+ */
+const getDemandesAdhesion = async (req, res) => {
+  try {
+    const demandes = await adhesionService.listerDemandesAdhesion(
+      req.params.tontineId,
+      req.query.statut,
+      req.user
+    );
+    return ApiResponse.success(res, { demandes });
+  } catch (error) {
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    logger.error('Erreur getDemandesAdhesion:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Approuver une demande d'adhésion
+ * @route   POST /digitontine/tontines/:tontineId/demandes-adhesion/:demandeId/accepter
+ * @access  Admin, Trésorier de la tontine
+ */
+const accepterDemandeAdhesion = async (req, res) => {
+  try {
+    const { tontineId, demandeId } = req.params;
+
+    const { tontine, demande } = await adhesionService.repondreDemandeAdhesion(
+      tontineId,
+      demandeId,
+      'accepter',
+      null,
+      req.user
+    );
+
+    return ApiResponse.success(
+      res,
+      {
+        demande: { id: demande._id, userId: demande.userId, statut: demande.statut },
+        tontine: { id: tontine._id, nom: tontine.nom, nombreMembres: tontine.membres.length },
+      },
+      'Demande acceptée : le membre a rejoint la tontine'
+    );
+  } catch (error) {
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    logger.error('Erreur accepterDemandeAdhesion:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Refuser une demande d'adhésion
+ * @route   POST /digitontine/tontines/:tontineId/demandes-adhesion/:demandeId/refuser
+ * @access  Admin, Trésorier de la tontine
+ */
+const refuserDemandeAdhesion = async (req, res) => {
+  try {
+    const { tontineId, demandeId } = req.params;
+
+    const { tontine, demande } = await adhesionService.repondreDemandeAdhesion(
+      tontineId,
+      demandeId,
+      'refuser',
+      req.body.motif,
+      req.user
+    );
+
+    return ApiResponse.success(
+      res,
+      {
+        demande: { id: demande._id, userId: demande.userId, statut: demande.statut },
+        tontine: { id: tontine._id, nom: tontine.nom, nombreMembres: tontine.membres.length },
+      },
+      'Demande refusée'
+    );
+  } catch (error) {
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    logger.error('Erreur refuserDemandeAdhesion:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+module.exports = {
+  creerCodeInvitation,
+  getCodesInvitation,
+  desactiverCodeInvitation,
+  getTontineParCode,
+  rejoindreParCode,
+  listerTontinesPubliques,
+  demanderAdhesion,
+  getDemandesAdhesion,
+  accepterDemandeAdhesion,
+  refuserDemandeAdhesion,
+};
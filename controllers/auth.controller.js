@@ -2,17 +2,22 @@
 const User = require('../models/User');
 const ApiResponse = require('../utils/apiResponse');
 const logger = require('../utils/logger');
-const { generateTokenPair } = require('../config/jwt');
-const { validatePasswordStrength } = require('../utils/helpers');
+const sessionService = require('../services/session.service');
+const mfaService = require('../services/mfa.service');
+const otpDeliveryService = require('../services/otpDelivery.service');
+const loginSecurityService = require('../services/loginSecurity.service');
+const { validatePasswordStrength, normalizePhoneNumber } = require('../utils/helpers');
 const emailService = require('../services/email.service');
+const kycService = require('../services/kyc.service');
+const { deleteImage } = require('../services/cloudinary.service');
 const crypto = require('crypto');
-const { ROLES } = require('../config/constants');
+const { ROLES, KYC_STATUS } = require('../config/constants');
 
 // Dans auth.controller.js - Remplace la fonction login
 
 const login = async (req, res) => {
   try {
-    const { identifier, motDePasse, skipOTP = false } = req.body;
+    const { identifier, motDePasse, appareilConfiance, canal } = req.body;
 
     logger.info(`[API] POST /auth/login`);
     logger.info(`Data: ${JSON.stringify({ identifier, motDePasse })}`);
@@ -33,6 +38,18 @@ const login = async (req, res) => {
       return ApiResponse.forbidden(res, 'Votre compte a été désactivé');
     }
 
+    // Inscription en libre-service : contacts à confirmer, ou dossier refusé
+    if (user.kyc.statut === KYC_STATUS.VERIFICATION_CONTACT) {
+      return ApiResponse.forbidden(res, 'Confirmez votre email et votre téléphone pour finaliser votre inscription');
+    }
+    if (user.kyc.statut === KYC_STATUS.REJETE) {
+      return ApiResponse.forbidden(res, 'Votre inscription a été refusée');
+    }
+
+    // Compte verrouillé après trop d'échecs : refuser avant même de vérifier le mot de passe
+    const contexte = loginSecurityService.contexteDe(req);
+    await loginSecurityService.verifierVerrouillage(user, contexte);
+
     // CRITIQUE : Vérifier le mot de passe AVANT de sauvegarder
     logger.info(` Vérification mot de passe...`);
     const isPasswordValid = await user.comparePassword(motDePasse);
@@ -40,28 +57,29 @@ const login = async (req, res) => {
 
     if (!isPasswordValid) {
       logger.warn(` Mot de passe incorrect pour: ${user.email}`);
-      // Logger la tentative SANS sauvegarder encore
-      user.loginHistory.push({
-        date: Date.now(),
-        ip: req.ip,
-        userAgent: req.get('user-agent'),
-        success: false,
-      });
-      await user.save();
+      // Logger la tentative (verrouillage du compte au seuil d'échecs)
+      const echec = await loginSecurityService.enregistrerEchec(user, contexte, 'mot_de_passe');
+      if (echec.verrouille) {
+        return ApiResponse.error(res, loginSecurityService.messageVerrouillage(user), 423);
+      }
       return ApiResponse.unauthorized(res, 'Identifiants incorrects');
     }
 
     logger.info(`Mot de passe correct pour: ${user.email}`);
 
-    // Si skipOTP = true, connecter directement
-    if (skipOTP) {
-      user.logLogin(req.ip, req.get('user-agent'), true);
+    // Appareil de confiance : second facteur deja valide sur cet appareil il y a moins de 30 jours
+    if (mfaService.estAppareilDeConfiance(user, appareilConfiance)) {
+      await loginSecurityService.enregistrerSucces(user, contexte);
       await user.save();
 
       //  RECHARGER l'utilisateur SANS le mot de passe
       const updatedUser = await User.findById(user._id);
 
-      const { accessToken, refreshToken } = generateTokenPair(updatedUser);
+      const { accessToken, refreshToken } = await sessionService.ouvrirSession(updatedUser, {
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+        appareil: req.body.appareil,
+      });
 
       logger.info(` Connexion directe réussie - ${updatedUser.email}`);
 
@@ -79,33 +97,56 @@ const login = async (req, res) => {
         accessToken,
         refreshToken,
         requiresPasswordChange: updatedUser.isFirstLogin,
+        mfaEnrolementRequis: mfaService.estObligatoire(updatedUser) && !updatedUser.mfa.totpActif,
         otpSkipped: true,
       }, 'Connexion réussie');
     }
 
+    // Application d'authentification : le code est lu dans l'application, aucun email
+    if (user.mfa.totpActif) {
+      mfaService.ouvrirDefiTotp(user);
+      await user.save();
+
+      return ApiResponse.success(res, {
+        requiresOTP: true,
+        methode: 'totp',
+        email: user.email,
+        message: 'Saisissez le code de votre application d\'authentification (ou un code de recuperation)',
+        expiresIn: '5 minutes',
+      }, 'Code requis');
+    }
+
     // Sinon, générer OTP
     const otpCode = user.generateLoginOTP();
     await user.save();
 
-    // Envoyer email
+    // Envoyer le code (canal préféré, puis repli sur les autres canaux)
+    let envoi;
     try {
-      await emailService.sendLoginOTP(user, otpCode);
-      logger.info(` OTP envoyé à ${user.email}`);
-    } catch (emailError) {
-      logger.error(' Erreur envoi OTP:', emailError);
+      envoi = await otpDeliveryService.envoyerCode(user, otpCode, 'connexion', { canal });
+      logger.info(` OTP envoyé à ${user.email} par ${envoi.canal}`);
+    } catch (sendError) {
+      logger.error(' Erreur envoi OTP:', sendError);
       user.loginOTP = undefined;
       await user.save();
-      return ApiResponse.error(res, 'Erreur lors de l\'envoi du code', 500);
+      return ApiResponse.error(res, sendError.isOperational ? sendError.message : 'Erreur lors de l\'envoi du code', sendError.statusCode || 500);
     }
 
     return ApiResponse.success(res, {
       requiresOTP: true,
+      methode: 'code',
+      canal: envoi.canal,
+      destination: envoi.destination,
       email: user.email,
       message: 'Code envoyé',
       expiresIn: '15 minutes',
+      mfaEnrolementRequis: mfaService.estObligatoire(user),
     }, 'Code envoyé');
 
   } catch (error) {
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
     logger.error(' Erreur login:', error);
     return ApiResponse.serverError(res);
   }
@@ -120,10 +161,11 @@ module.exports = { login };
  */
 const verifyLoginOTP = async (req, res) => {
   try {
-    const { email, code } = req.body;
+    const { email, code, faireConfiance = false, appareil } = req.body;
 
-    // Trouver l'utilisateur
-    const user = await User.findOne({ email: email.toLowerCase() });
+    // Trouver l'utilisateur (avec son secret TOTP et ses codes de recuperation)
+    const user = await User.findOne({ email: email.toLowerCase() })
+      .select('+mfa.secret +mfa.dernierPas +mfa.codesRecuperation');
 
     if (!user) {
       logger.warn(`Verification OTP - Utilisateur introuvable: ${email}`);
@@ -135,24 +177,53 @@ const verifyLoginOTP = async (req, res) => {
       return ApiResponse.forbidden(res, 'Compte desactive');
     }
 
-    // Verifier l'OTP
-    const verification = user.verifyLoginOTP(code);
+    // Compte verrouille apres trop d'echecs
+    const contexte = loginSecurityService.contexteDe(req);
+    await loginSecurityService.verifierVerrouillage(user, contexte);
+
+    // Verifier le code : application d'authentification (ou code de recuperation), sinon code envoye
+    const verification = user.loginOTP?.methode === 'totp'
+      ? mfaService.verifierDefiTotp(user, code)
+      : user.verifyLoginOTP(code);
 
     if (!verification.success) {
-      await user.save(); // Sauvegarder les tentatives
       logger.warn(`OTP invalide pour ${user.email}: ${verification.message}`);
+
+      // Seul un code errone compte comme un echec (pas un code expire ou epuise)
+      if (verification.message === 'Code incorrect') {
+        const echec = await loginSecurityService.enregistrerEchec(user, contexte, 'second_facteur');
+        if (echec.verrouille) {
+          return ApiResponse.error(res, loginSecurityService.messageVerrouillage(user), 423);
+        }
+      } else {
+        await user.save(); // Sauvegarder les tentatives
+      }
       return ApiResponse.error(res, verification.message, 400);
     }
 
-    // OTP VALIDE - Logger la connexion
-    user.logLogin(req.ip, req.get('user-agent'), true);
+    // OTP VALIDE - Logger la connexion (alerte si appareil ou adresse IP inhabituels)
+    await loginSecurityService.enregistrerSucces(user, contexte);
+
+    // Ne plus demander de second facteur sur cet appareil pendant 30 jours
+    const appareilConfiance = faireConfiance
+      ? mfaService.ajouterAppareilConfiance(user, appareil || sessionService.decrireAppareil(req.get('user-agent')))
+      : undefined;
+
     await user.save();
 
+    if (verification.codeRecuperation) {
+      logger.warn(`Connexion avec un code de recuperation - ${user.email}`);
+    }
+
     // Recharger l'utilisateur
     const updatedUser = await User.findById(user._id);
 
     // Generer tokens JWT
-    const { accessToken, refreshToken } = generateTokenPair(updatedUser);
+    const { accessToken, refreshToken } = await sessionService.ouvrirSession(updatedUser, {
+      ip: req.ip,
+      userAgent: req.get('user-agent'),
+      appareil: req.body.appareil,
+    });
 
     logger.info(`Connexion reussie - ${updatedUser.email} (${updatedUser.role})`);
 
@@ -169,10 +240,16 @@ const verifyLoginOTP = async (req, res) => {
       },
       accessToken,
       refreshToken,
+      appareilConfiance,
       requiresPasswordChange: updatedUser.isFirstLogin,
+      mfaEnrolementRequis: mfaService.estObligatoire(updatedUser) && !updatedUser.mfa.totpActif,
+      codeRecuperationUtilise: verification.codeRecuperation || undefined,
     }, 'Connexion reussie');
 
   } catch (error) {
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
     logger.error('Erreur verification OTP:', error);
     return ApiResponse.serverError(res);
   }
@@ -333,7 +410,10 @@ const confirmPasswordChange = async (req, res) => {
         return ApiResponse.error(res, result.message, 400);
       }
 
+      // Nouveau mot de passe : appareils de confiance oublies, sessions ouvertes fermees
+      user.mfa.appareilsConfiance = [];
       await user.save();
+      await sessionService.revoquerSessions(user, null, 'mot_de_passe');
 
       // Envoyer email de confirmation
       try {
@@ -387,7 +467,7 @@ const confirmPasswordChange = async (req, res) => {
  */
 const forgotPassword = async (req, res) => {
   try {
-    const { email } = req.body;
+    const { email, canal } = req.body;
 
     const user = await User.findOne({ email: email.toLowerCase() });
 
@@ -405,20 +485,23 @@ const forgotPassword = async (req, res) => {
     const resetCode = user.generatePasswordResetToken();
     await user.save();
 
-    // Envoyer email avec code
+    // Envoyer le code (canal préféré, puis repli sur les autres canaux)
+    let envoi;
     try {
-      await emailService.sendPasswordResetCode(user, resetCode);
-      logger.info(`Code reset envoye a ${user.email}`);
-    } catch (emailError) {
-      logger.error('Erreur envoi email reset:', emailError);
+      envoi = await otpDeliveryService.envoyerCode(user, resetCode, 'reinitialisation', { canal });
+      logger.info(`Code reset envoye a ${user.email} par ${envoi.canal}`);
+    } catch (sendError) {
+      logger.error('Erreur envoi code reset:', sendError);
       user.resetPasswordToken = undefined;
       user.resetPasswordExpire = undefined;
       await user.save();
-      return ApiResponse.error(res, 'Erreur lors de l\'envoi de l\'email. Veuillez reessayer plus tard.', 500);
+      return ApiResponse.error(res, sendError.isOperational ? sendError.message : 'Erreur lors de l\'envoi du code. Veuillez reessayer plus tard.', sendError.statusCode || 500);
     }
 
     return ApiResponse.success(res, {
-      message: 'Un code de verification a ete envoye a votre email.',
+      message: `Un code de verification a ete envoye (${envoi.canal} : ${envoi.destination}).`,
+      canal: envoi.canal,
+      destination: envoi.destination,
       email: user.email,
       expiresIn: '15 minutes',
     }, 'Code envoye');
@@ -527,6 +610,14 @@ const getMe = async (req, res) => {
       lastPasswordChange: user.lastPasswordChange,
       photoIdentite: user.photoIdentite?.url || null,
       photoProfil: user.photoProfil?.url || null,
+      kyc: {
+        statut: user.kyc.statut,
+        motif: user.kyc.statut === KYC_STATUS.COMPLEMENT_DEMANDE ? user.kyc.motif : undefined,
+      },
+      mfa: {
+        totpActif: user.mfa.totpActif,
+        obligatoire: mfaService.estObligatoire(user),
+      },
       preferences: user.preferences || {
         receiveEmailNotifications: true,
         receivePushNotifications: true,
@@ -554,6 +645,9 @@ module.exports = { getMe };
 const logout = async (req, res) => {
   try {
     const user = req.user;
+
+    await sessionService.revoquerSession(user, req.sessionId, 'deconnexion');
+
     logger.info(`Deconnexion - ${user.email}`);
 
     return ApiResponse.success(res, {
@@ -566,6 +660,223 @@ const logout = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Renouveler l'access token (le refresh token presente est remplace)
+ * @route   POST /api/v1/auth/refresh-token
+ * @access  Public
+ */
+const refreshToken = async (req, res) => {
+  try {
+    const { user, accessToken, refreshToken: nouveauRefreshToken } = await sessionService.renouvelerSession(
+      req.body.refreshToken,
+      { ip: req.ip }
+    );
+
+    logger.debug(`Tokens renouveles - ${user.email}`);
+
+    return ApiResponse.success(res, {
+      accessToken,
+      refreshToken: nouveauRefreshToken,
+    }, 'Token renouvele');
+
+  } catch (error) {
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    logger.error('Erreur refreshToken:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Mes sessions ouvertes (une par appareil)
+ * @route   GET /api/v1/auth/sessions
+ * @access  Private
+ */
+const getSessions = async (req, res) => {
+  try {
+    const sessions = sessionService.listerSessions(req.user, req.sessionId);
+
+    return ApiResponse.success(res, { sessions });
+
+  } catch (error) {
+    logger.error('Erreur getSessions:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Fermer une session (appareil perdu ou non reconnu)
+ * @route   DELETE /api/v1/auth/sessions/:sessionId
+ * @access  Private
+ */
+const revokeSession = async (req, res) => {
+  try {
+    const session = await sessionService.revoquerSession(req.user, req.params.sessionId);
+
+    logger.info(`Session ${session._id} revoquee - ${req.user.email}`);
+
+    return ApiResponse.success(res, {
+      session: { id: session._id, appareil: session.appareil, dateRevocation: session.dateRevocation },
+    }, 'Session fermee');
+
+  } catch (error) {
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    logger.error('Erreur revokeSession:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Fermer toutes mes autres sessions
+ * @route   DELETE /api/v1/auth/sessions
+ * @access  Private
+ */
+const revokeOtherSessions = async (req, res) => {
+  try {
+    const sessionsFermees = await sessionService.revoquerSessions(req.user, req.sessionId);
+
+    logger.info(`${sessionsFermees} autre(s) session(s) revoquee(s) - ${req.user.email}`);
+
+    return ApiResponse.success(res, { sessionsFermees }, 'Autres sessions fermees');
+
+  } catch (error) {
+    logger.error('Erreur revokeOtherSessions:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Etat de ma double authentification
+ * @route   GET /api/v1/auth/mfa
+ * @access  Private
+ */
+const getMfaStatus = async (req, res) => {
+  try {
+    const mfa = await mfaService.statut(req.user);
+
+    return ApiResponse.success(res, { mfa });
+
+  } catch (error) {
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    logger.error('Erreur getMfaStatus:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Demarrer l'enrolement d'une application d'authentification (secret + QR code)
+ * @route   POST /api/v1/auth/mfa/totp/enrolement
+ * @access  Private
+ */
+const startTotpEnrollment = async (req, res) => {
+  try {
+    const { secret, otpauthUrl } = await mfaService.demarrerEnrolement(req.user);
+
+    return ApiResponse.success(res, {
+      secret,
+      otpauthUrl,
+      message: 'Scannez le QR code dans votre application puis confirmez avec le code affiche',
+    }, 'Enrolement demarre');
+
+  } catch (error) {
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    logger.error('Erreur startTotpEnrollment:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Activer la double authentification (premier code de l'application)
+ * @route   POST /api/v1/auth/mfa/totp/activer
+ * @access  Private
+ */
+const activateTotp = async (req, res) => {
+  try {
+    const { codesRecuperation } = await mfaService.activerTotp(req.user, req.body.code);
+
+    return ApiResponse.success(res, {
+      codesRecuperation,
+      message: 'Conservez ces codes de recuperation en lieu sur : ils ne seront plus affiches.',
+    }, 'Double authentification activee');
+
+  } catch (error) {
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    logger.error('Erreur activateTotp:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Desactiver la double authentification (membres uniquement)
+ * @route   POST /api/v1/auth/mfa/totp/desactiver
+ * @access  Private
+ */
+const deactivateTotp = async (req, res) => {
+  try {
+    await mfaService.desactiverTotp(req.user, req.body.code);
+
+    return ApiResponse.success(res, {
+      message: 'Double authentification desactivee',
+    }, 'Double authentification desactivee');
+
+  } catch (error) {
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    logger.error('Erreur deactivateTotp:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Remplacer mes codes de recuperation
+ * @route   POST /api/v1/auth/mfa/codes-recuperation
+ * @access  Private
+ */
+const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    const { codesRecuperation } = await mfaService.regenererCodesRecuperation(req.user, req.body.code);
+
+    return ApiResponse.success(res, {
+      codesRecuperation,
+      message: 'Les anciens codes de recuperation ne sont plus valables.',
+    }, 'Codes de recuperation regeneres');
+
+  } catch (error) {
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    logger.error('Erreur regenerateRecoveryCodes:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Oublier mes appareils de confiance (second facteur redemande partout)
+ * @route   DELETE /api/v1/auth/mfa/appareils-confiance
+ * @access  Private
+ */
+const forgetTrustedDevices = async (req, res) => {
+  try {
+    const appareilsOublies = await mfaService.oublierAppareilsConfiance(req.user);
+
+    return ApiResponse.success(res, { appareilsOublies }, 'Appareils de confiance oublies');
+
+  } catch (error) {
+    logger.error('Erreur forgetTrustedDevices:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
 /**
  * @desc    Enregistrer token FCM (push notifications)
  * @route   POST /api/v1/auth/fcm-token
@@ -640,6 +951,146 @@ const verifyToken = async (req, res) => {
   }
 };
 
+/**
+ * @desc    Inscription en libre-service AVEC photo d'identite (compte en attente de verification)
+ * @route   POST /api/v1/auth/register
+ * @access  Public
+ */
+const register = async (req, res) => {
+  try {
+    const { prenom, nom, email, numeroTelephone, adresse, carteIdentite, dateNaissance, motDePasse } = req.body;
+
+    if (!req.file) {
+      return ApiResponse.error(res, 'La photo d\'identite est requise', 400);
+    }
+
+    const validation = validatePasswordStrength(motDePasse);
+    if (!validation.isValid) {
+      await deleteImage(req.file.filename);
+      return ApiResponse.validationError(res, validation.errors.map(err => ({ message: err })));
+    }
+
+    const normalizedPhone = normalizePhoneNumber(numeroTelephone);
+    const [emailPris, phonePris, cartePrise] = await Promise.all([
+      User.emailExists(email),
+      User.phoneExists(normalizedPhone),
+      User.carteIdentiteExists(carteIdentite),
+    ]);
+    if (emailPris || phonePris || cartePrise) {
+      await deleteImage(req.file.filename);
+      return ApiResponse.conflict(
+        res,
+        emailPris
+          ? 'Un compte avec cet email existe deja'
+          : phonePris
+            ? 'Un compte avec ce numero existe deja'
+            : 'Cette carte d\'identite est deja enregistree'
+      );
+    }
+
+    const user = await User.create({
+      prenom,
+      nom,
+      email: email.toLowerCase(),
+      numeroTelephone: normalizedPhone,
+      adresse,
+      carteIdentite: carteIdentite.toUpperCase(),
+      dateNaissance,
+      photoIdentite: {
+        url: req.file.path,
+        publicId: req.file.filename,
+        uploadedAt: Date.now(),
+        isLocked: true,
+      },
+      motDePasse,
+      role: ROLES.MEMBRE,
+      isFirstLogin: false,
+      kyc: {
+        statut: KYC_STATUS.VERIFICATION_CONTACT,
+        source: 'inscription',
+      },
+    });
+
+    const envois = await kycService.envoyerCodesVerification(user);
+
+    logger.info(`Inscription libre-service - ${user.email}`);
+
+    return ApiResponse.success(
+      res,
+      {
+        user: {
+          id: user._id,
+          email: user.email,
+          numeroTelephone: user.numeroTelephone,
+          kyc: { statut: user.kyc.statut },
+        },
+        codesEnvoyes: envois,
+        expiresIn: '15 minutes',
+      },
+      'Inscription enregistree. Confirmez votre email et votre telephone avec les codes recus.',
+      201
+    );
+  } catch (error) {
+    if (req.file) {
+      await deleteImage(req.file.filename);
+    }
+    logger.error('Erreur register:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Confirmer l'email et/ou le telephone d'une inscription
+ * @route   POST /api/v1/auth/register/verify
+ * @access  Public
+ */
+const verifyRegistration = async (req, res) => {
+  try {
+    const { email, codeEmail, codeTelephone } = req.body;
+
+    const { user, soumis } = await kycService.verifierContacts(email, { codeEmail, codeTelephone });
+
+    return ApiResponse.success(
+      res,
+      {
+        emailVerifie: user.kyc.emailVerifie,
+        telephoneVerifie: user.kyc.telephoneVerifie,
+        kyc: { statut: user.kyc.statut },
+      },
+      soumis
+        ? 'Contacts confirmes. Votre dossier sera examine par un administrateur.'
+        : 'Code confirme. Confirmez votre second contact pour finaliser l\'inscription.'
+    );
+  } catch (error) {
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    logger.error('Erreur verifyRegistration:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Renvoyer les codes de verification d'une inscription
+ * @route   POST /api/v1/auth/register/resend
+ * @access  Public
+ */
+const resendRegistrationCodes = async (req, res) => {
+  try {
+    const { email, canal } = req.body;
+
+    const { envois } = await kycService.renvoyerCodes(email, canal);
+
+    return ApiResponse.success(res, { codesEnvoyes: envois, expiresIn: '15 minutes' }, 'Code(s) renvoye(s)');
+  } catch (error) {
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    logger.error('Erreur resendRegistrationCodes:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
 /**
  * @desc    Creer un admin (route publique - DEVELOPPEMENT UNIQUEMENT)
  * @route   POST /api/v1/auth/create-admin
@@ -736,8 +1187,21 @@ module.exports = {
   resetPassword,
   getMe,
   logout,
+  refreshToken,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  getMfaStatus,
+  startTotpEnrollment,
+  activateTotp,
+  deactivateTotp,
+  regenerateRecoveryCodes,
+  forgetTrustedDevices,
   registerFCMToken,
   removeFCMToken,
   verifyToken,
+  register,
+  verifyRegistration,
+  resendRegistrationCodes,
   createAdmin,
 };
@@ -3,6 +3,7 @@ const Tontine = require('../models/Tontine');
 const Transaction = require('../models/Transaction');
 const Tirage = require('../models/Tirage');
 const Penalite = require('../models/Penalite');
+const Reconciliation = require('../models/Reconciliation');
 const ApiResponse = require('../utils/apiResponse');
 const { AppError } = require('../utils/errors');
 const mongoose = require('mongoose');
@@ -143,7 +144,28 @@ exports.dashboardMembre = async (req, res, next) => {
     const mesTontinesActives = await Tontine.find({
       'membres.userId': userId,
       statut: 'Active'
-    }).select('nom montantCotisation frequence dateDebut');
+    }).select('nom montantCotisation frequence dateDebut membres');
+
+    // Ma position dans chaque tontine : parts, quote-part et cotisation due par échéance
+    const tontines = mesTontinesActives.map((t) => {
+      const membre = t.membres.find((m) => m.userId.equals(userId));
+      const titulaireId = t.getTitulaire(userId);
+      return {
+        _id: t._id,
+        nom: t.nom,
+        montantCotisation: t.montantCotisation,
+        frequence: t.frequence,
+        dateDebut: t.dateDebut,
+        position: {
+          titulaireId,
+          estTitulaire: titulaireId.equals(userId),
+          nombreParts: t.getNombreParts(titulaireId),
+          quotePart: membre.quotePart,
+          cotisationParEcheance: t.getCotisationMembre(userId),
+          coTitulaires: t.getCoTitulaires(titulaireId).length,
+        },
+      };
+    });
 
     // Mes cotisations
     const mesCotisations = await Transaction.aggregate([
@@ -161,13 +183,23 @@ exports.dashboardMembre = async (req, res, next) => {
       .filter(c => c._id === 'Validee')
       .reduce((sum, c) => sum + c.montantTotal, 0);
 
-    // Mes gains
-    const mesGains = await Tirage.find({
-      beneficiaireId: userId,
-      statut: 'Effectue'
-    })
+    // Mes gains : tirages de ma position (ma quote-part si elle est partagée)
+    const tiragesGagnes = await Tirage.find(Tirage.enVigueur({
+      $or: [{ beneficiaireId: userId }, { 'repartition.userId': userId }]
+    }))
       .populate('tontineId', 'nom')
-      .select('tontineId montant dateEffective');
+      .select('tontineId montantDistribue repartition dateTirage statutPaiement');
+
+    const mesGains = tiragesGagnes.map((t) => {
+      const part = t.repartition.find((r) => r.userId.equals(userId));
+      return {
+        tontineId: t.tontineId,
+        montant: part ? part.montant : t.montantDistribue,
+        quotePart: part ? part.quotePart : 100,
+        dateTirage: t.dateTirage,
+        statutPaiement: t.statutPaiement
+      };
+    });
 
     const totalGagne = mesGains.reduce((sum, g) => sum + g.montant, 0);
 
@@ -202,7 +234,7 @@ exports.dashboardMembre = async (req, res, next) => {
         totalPenalites: mesPenalites[0]?.total || 0,
         retards: retards || 0
       },
-      tontines: mesTontinesActives || [],
+      tontines,
       gains: mesGains || [],
       prochainesEcheances: prochainesEcheances || []
     }, 'Tableau de bord membre');
@@ -389,6 +421,32 @@ exports.dashboardTresorier = async (req, res, next) => {
       }
     ]);
 
+    // Rapprochements : anomalies restant à traiter sur mes tontines
+    const dernierRapprochement = await Reconciliation.findOne({
+      $or: [
+        { importePar: tresorierUserId },
+        { 'lignes.tontineId': { $in: mesTontinesIds } }
+      ]
+    })
+      .select('-lignes')
+      .sort({ createdAt: -1 });
+
+    const anomaliesRapprochement = await Reconciliation.aggregate([
+      { $sort: { createdAt: -1 } },
+      { $limit: 10 },
+      { $unwind: '$lignes' },
+      {
+        $match: {
+          'lignes.resultat': { $in: ['orpheline', 'ecart_montant', 'doublon', 'transaction_rejetee', 'propre_versement'] },
+          $or: [
+            { 'lignes.tontineId': { $in: mesTontinesIds } },
+            { 'lignes.tontineId': { $exists: false } }
+          ]
+        }
+      },
+      { $group: { _id: '$lignes.resultat', nombre: { $sum: 1 } } }
+    ]);
+
     ApiResponse.success(res, {
       kpis: {
         montantTotalCollecte: totalCollecte || 0,
@@ -402,7 +460,19 @@ exports.dashboardTresorier = async (req, res, next) => {
       repartitionParTontine: repartitionParTontine || [],
       evolutionCotisations: evolutionCotisations || [],
       topMembres: topMembres || [],
-      mesTontines: mesTontines || []
+      mesTontines: mesTontines || [],
+      rapprochement: {
+        dernier: dernierRapprochement ? {
+          id: dernierRapprochement._id,
+          moyenPaiement: dernierRapprochement.moyenPaiement,
+          dateImport: dernierRapprochement.createdAt,
+          resume: dernierRapprochement.resume
+        } : null,
+        anomalies: anomaliesRapprochement.reduce((acc, a) => {
+          acc[a._id] = a.nombre;
+          return acc;
+        }, {})
+      }
     }, 'Tableau de bord tresorier');
   } catch (error) {
     next(error);
@@ -0,0 +1,106 @@
+// controllers/garantie.controller.js
+const Tontine = require('../models/Tontine');
+const ApiResponse = require('../utils/apiResponse');
+const logger = require('../utils/logger');
+const { CAPABILITIES } = require('../config/constants');
+const garantieService = require('../services/garantie.service');
+const tontineRoleService = require('../services/tontineRole.service');
+
+/**
+ * @desc    Demander à un utilisateur de se porter garant d'un membre
+ * @route   POST /digitontine/tontines/:tontineId/membres/:userId/garants
+ * @access  Private (le membre lui-même ou Admin)
+ */
+const demanderGarantie = async (req, res) => {
+  try {
+    const { tontineId, userId } = req.params;
+    const { garantId } = req.body;
+
+    const { garantie } = await garantieService.demanderGarantie(tontineId, userId, garantId, req.user);
+
+    return ApiResponse.success(
+      res,
+      {
+        garantie: {
+          id: garantie._id,
+          garantId: garantie.userId,
+          statut: garantie.statut,
+          dateDemande: garantie.dateDemande,
+        },
+      },
+      'Demande de caution envoyée. La caution sera effective dès que le garant l\'aura acceptée.',
+      201
+    );
+  } catch (error) {
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    logger.error('Erreur demanderGarantie:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Cautions d'un membre et dette restant due par chaque garant
+ * @route   GET /digitontine/tontines/:tontineId/membres/:userId/garants
+ * @access  Private (le membre lui-même, view_accounting sur la tontine)
+ */
+const getGaranties = async (req, res) => {
+  try {
+    const { tontineId, userId } = req.params;
+
+    const tontine = await Tontine.findById(tontineId);
+    if (!tontine) {
+      return ApiResponse.notFound(res, 'Tontine introuvable');
+    }
+
+    const estSoiMeme = req.user._id.toString() === userId;
+    if (!estSoiMeme && !tontineRoleService.aCapacite(tontine, req.user, CAPABILITIES.VIEW_ACCOUNTING)) {
+      return ApiResponse.forbidden(res, 'Accès réservé au membre et aux responsables des comptes de la tontine');
+    }
+
+    const garanties = await garantieService.listerGaranties(tontine, userId);
+
+    return ApiResponse.success(res, {
+      delaiMobilisationGarant: tontine.delaiMobilisationGarant,
+      garanties,
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    logger.error('Erreur getGaranties:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Retirer un garant (tant que sa caution n'est pas mobilisée)
+ * @route   DELETE /digitontine/tontines/:tontineId/membres/:userId/garants/:garantieId
+ * @access  Private (le membre lui-même ou Admin)
+ */
+const retirerGarant = async (req, res) => {
+  try {
+    const { tontineId, userId, garantieId } = req.params;
+
+    const { garantie } = await garantieService.retirerGarant(tontineId, userId, garantieId, req.user);
+
+    return ApiResponse.success(
+      res,
+      { garantie: { id: garantie._id, garantId: garantie.userId, statut: garantie.statut } },
+      'Garant retiré'
+    );
+  } catch (error) {
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    logger.error('Erreur retirerGarant:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+module.exports = {
+  demanderGarantie,
+  getGaranties,
+  retirerGarant,
+};
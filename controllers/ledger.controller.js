@@ -0,0 +1,93 @@
+// controllers/ledger.controller.js
+const Tontine = require('../models/Tontine');
+const ApiResponse = require('../utils/apiResponse');
+const logger = require('../utils/logger');
+const { getPaginationParams } = require('../utils/helpers');
+const ledgerService = require('../services/ledger.service');
+
+/**
+ * Charger la tontine dont on consulte la comptabilité
+ * (capacité view_accounting vérifiée par la route)
+ */
+const loadTontineForAccounting = async (req, res) => {
+  const tontine = await Tontine.findById(req.params.tontineId).select('nom tresorierAssigne');
+
+  if (!tontine) {
+    ApiResponse.notFound(res, 'Tontine introuvable');
+    return null;
+  }
+
+  return tontine;
+};
+
+/**
+ * Date d'arrêté : fin de la journée demandée, maintenant par défaut
+ */
+const parseDateArrete = (value) => {
+  if (!value) return new Date();
+  const date = new Date(value);
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+/**
+ * @desc    Balance des comptes d'une tontine à une date
+ * @route   GET /digitontine/tontines/:tontineId/grand-livre/balance?date=YYYY-MM-DD
+ * @access  Admin, Trésorier de la tontine
+ */
+const getTrialBalance = async (req, res) => {
+  try {
+    const tontine = await loadTontineForAccounting(req, res);
+    if (!tontine) return;
+
+    const balance = await ledgerService.getTrialBalance(tontine._id, parseDateArrete(req.query.date));
+
+    if (!balance.totaux.equilibree || balance.controle.ecart !== 0) {
+      logger.warn(
+        `Balance ${tontine.nom} incohérente - débit ${balance.totaux.totalDebit}, crédit ${balance.totaux.totalCredit}, écart cagnotte ${balance.controle.ecart}`
+      );
+    }
+
+    return ApiResponse.success(res, {
+      tontine: { id: tontine._id, nom: tontine.nom },
+      ...balance,
+    });
+  } catch (error) {
+    logger.error('Erreur getTrialBalance:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Journal des écritures d'une tontine
+ * @route   GET /digitontine/tontines/:tontineId/grand-livre/journal
+ * @access  Admin, Trésorier de la tontine
+ */
+const getJournal = async (req, res) => {
+  try {
+    const tontine = await loadTontineForAccounting(req, res);
+    if (!tontine) return;
+
+    const { page, limit, skip } = getPaginationParams(req.query);
+    const { dateDebut, dateFin } = req.query;
+
+    const { ecritures, total } = await ledgerService.getJournal(tontine._id, {
+      dateDebut: dateDebut ? new Date(dateDebut) : undefined,
+      dateFin: dateFin ? parseDateArrete(dateFin) : undefined,
+      skip,
+      limit,
+    });
+
+    return ApiResponse.successWithPagination(res, ecritures, { page, limit, total });
+  } catch (error) {
+    logger.error('Erreur getJournal:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+module.exports = {
+  getTrialBalance,
+  getJournal,
+};
@@ -4,6 +4,10 @@ const Tontine = require('../models/Tontine');
 const Notification = require('../models/Notification'); //  AJOUTÉ
 const User = require('../models/User'); //  AJOUTÉ
 const ValidationRequest = require('../models/ValidationRequest'); //  AJOUTÉ
+const Tirage = require('../models/Tirage');
+const garantieService = require('../services/garantie.service');
+const fiabiliteService = require('../services/fiabilite.service');
+const kycService = require('../services/kyc.service');
 const ApiResponse = require('../utils/apiResponse');
 const logger = require('../utils/logger');
 const { AppError } = require('../utils/errors');
@@ -198,6 +202,16 @@ const accepterInvitationTontine = async (req, res, next) => {
     const { notificationId } = req.params;
     const userId = req.user._id;
 
+    //  Identité vérifiée et score de fiabilité exigé par la tontine (avant de consommer l'invitation)
+    kycService.verifierKycApprouve(req.user);
+    const invitation = await Notification.findOne({ _id: notificationId, userId }).select('data.tontineId');
+    if (invitation?.data?.tontineId) {
+      const tontineInvitante = await Tontine.findById(invitation.data.tontineId).select('scoreMinimum');
+      if (tontineInvitante) {
+        await fiabiliteService.verifierScoreMinimum(tontineInvitante, req.user);
+      }
+    }
+
     //  Valider notification
     const result = await notificationService.acceptInvitationTontine(notificationId, userId);
 
@@ -461,6 +475,200 @@ const refuserDemandeValidation = async (req, res, next) => {
   }
 };
 
+/**
+ * Charger la tontine et la demande d'échange liées à une notification ECHANGE_POSITION
+ */
+const loadDemandeEchange = async (notification) => {
+  const tontine = await Tontine.findById(notification.data?.tontineId);
+  if (!tontine) {
+    throw new AppError('Tontine introuvable', 404);
+  }
+
+  const demande = tontine.demandesEchange.id(notification.data.echangeId);
+  if (!demande) {
+    throw new AppError('Demande d\'échange introuvable', 404);
+  }
+
+  if (demande.statut !== 'en_attente') {
+    throw new AppError('Demande d\'échange déjà traitée', 400);
+  }
+
+  return { tontine, demande };
+};
+
+/**
+ * @desc    Accepter un échange de position (tour de rôle)
+ * @route   POST /digitontine/notifications/:notificationId/accepter-echange
+ * @access  Private
+ */
+const accepterEchangePosition = async (req, res, next) => {
+  try {
+    const { notificationId } = req.params;
+    const userId = req.user._id;
+
+    const result = await notificationService.respondEchangePosition(notificationId, userId, 'accepted');
+
+    if (!result.success) {
+      throw new AppError(result.error, 400);
+    }
+
+    const notification = result.notification;
+    const { tontine, demande } = await loadDemandeEchange(notification);
+
+    // L'ordre a pu évoluer depuis la demande : positions servies ou déjà échangées
+    const occupant = (position) =>
+      tontine.ordreRotation.find((e) => e.position === position)?.userId;
+    const gains = await Tirage.getGainsParMembre(tontine._id);
+    const positionsNonServies = tontine.getPositionsNonServies(gains).map((e) => e.position);
+
+    const dejaServi = [demande.positionDemandeur, demande.positionDestinataire].some(
+      (position) => !positionsNonServies.includes(position)
+    );
+    const ordreModifie =
+      !occupant(demande.positionDemandeur)?.equals(demande.demandeurId) ||
+      !occupant(demande.positionDestinataire)?.equals(demande.destinataireId);
+
+    if (dejaServi || ordreModifie) {
+      demande.statut = 'annulee';
+      demande.dateReponse = Date.now();
+      await tontine.save();
+
+      throw new AppError(
+        dejaServi
+          ? 'Une des positions a déjà été servie, l\'échange est annulé'
+          : 'L\'ordre du tour de rôle a changé depuis la demande, l\'échange est annulé',
+        400
+      );
+    }
+
+    tontine.echangerPositions(demande.positionDemandeur, demande.positionDestinataire);
+    demande.statut = 'acceptee';
+    demande.dateReponse = Date.now();
+
+    tontine.historiqueModifications.push({
+      modifiePar: userId,
+      champModifie: 'ordreRotation',
+      ancienneValeur: `${demande.demandeurId}:${demande.positionDemandeur}, ${demande.destinataireId}:${demande.positionDestinataire}`,
+      nouvelleValeur: `${demande.demandeurId}:${demande.positionDestinataire}, ${demande.destinataireId}:${demande.positionDemandeur}`,
+    });
+
+    await tontine.save();
+
+    await Notification.create({
+      userId: demande.demandeurId,
+      type: 'SYSTEM',
+      titre: ` Échange de position accepté - "${tontine.nom}"`,
+      message: `${req.user.nomComplet} a accepté l'échange : vous êtes désormais en position ${demande.positionDestinataire}.`,
+      data: { tontineId: tontine._id, echangeId: demande._id },
+      requiresAction: false,
+    });
+
+    logger.info(
+      ` Échange de position ${demande.positionDemandeur} <-> ${demande.positionDestinataire} effectué dans "${tontine.nom}"`
+    );
+
+    return ApiResponse.success(res, {
+      message: `Échange effectué : vous êtes désormais en position ${demande.positionDemandeur}`,
+      notification,
+      tontineId: tontine._id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Refuser un échange de position (tour de rôle)
+ * @route   POST /digitontine/notifications/:notificationId/refuser-echange
+ * @access  Private
+ */
+const refuserEchangePosition = async (req, res, next) => {
+  try {
+    const { notificationId } = req.params;
+    const userId = req.user._id;
+
+    const result = await notificationService.respondEchangePosition(notificationId, userId, 'refused');
+
+    if (!result.success) {
+      throw new AppError(result.error, 400);
+    }
+
+    const notification = result.notification;
+    const { tontine, demande } = await loadDemandeEchange(notification);
+
+    demande.statut = 'refusee';
+    demande.dateReponse = Date.now();
+    await tontine.save();
+
+    await Notification.create({
+      userId: demande.demandeurId,
+      type: 'SYSTEM',
+      titre: ` Échange de position refusé - "${tontine.nom}"`,
+      message: `${req.user.nomComplet} a refusé l'échange, vous conservez la position ${demande.positionDemandeur}.`,
+      data: { tontineId: tontine._id, echangeId: demande._id },
+      requiresAction: false,
+    });
+
+    logger.info(` ${req.user.email} a refusé l'échange de position dans "${tontine.nom}"`);
+
+    return ApiResponse.success(res, {
+      message: 'Échange refusé',
+      notification,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Accepter de se porter garant d'un membre
+ * @route   POST /digitontine/notifications/:notificationId/accepter-garantie
+ * @access  Private
+ */
+const accepterGarantie = async (req, res, next) => {
+  try {
+    const { notificationId } = req.params;
+
+    const { tontine, notification } = await garantieService.repondreGarantie(
+      notificationId,
+      req.user,
+      'accepted'
+    );
+
+    return ApiResponse.success(res, {
+      message: `Vous êtes désormais garant dans "${tontine.nom}"`,
+      notification,
+      tontineId: tontine._id,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Refuser de se porter garant d'un membre
+ * @route   POST /digitontine/notifications/:notificationId/refuser-garantie
+ * @access  Private
+ */
+const refuserGarantie = async (req, res, next) => {
+  try {
+    const { notificationId } = req.params;
+
+    const { notification } = await garantieService.repondreGarantie(
+      notificationId,
+      req.user,
+      'refused'
+    );
+
+    return ApiResponse.success(res, {
+      message: 'Demande de caution refusée',
+      notification,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   getMyNotifications,
   getUnreadCount,
@@ -472,4 +680,8 @@ module.exports = {
   refuserInvitationTontine,
   accepterDemandeValidation,
   refuserDemandeValidation,
+  accepterEchangePosition,
+  refuserEchangePosition,
+  accepterGarantie,
+  refuserGarantie,
 };
\ No newline at end of file
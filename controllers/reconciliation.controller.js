@@ -0,0 +1,154 @@
+// controllers/reconciliation.controller.js
+const Reconciliation = require('../models/Reconciliation');
+const ApiResponse = require('../utils/apiResponse');
+const logger = require('../utils/logger');
+const { getPaginationParams } = require('../utils/helpers');
+const reconciliationService = require('../services/reconciliation.service');
+
+/**
+ * Résumé d'un rapprochement (liste, tableau de bord)
+ */
+const formatSummary = (reconciliation) => ({
+  id: reconciliation._id,
+  moyenPaiement: reconciliation.moyenPaiement,
+  nomFichier: reconciliation.nomFichier,
+  resume: reconciliation.resume,
+  anomalies: reconciliation.anomalies,
+  importePar: reconciliation.importePar,
+  dateImport: reconciliation.createdAt,
+});
+
+/**
+ * @desc    Importer un relevé provider et lancer le rapprochement
+ * @route   POST /digitontine/reconciliations
+ * @access  validate_transaction sur au moins une tontine, Admin
+ */
+const importStatement = async (req, res) => {
+  try {
+    const { moyenPaiement } = req.body;
+
+    if (!req.file) {
+      return ApiResponse.error(res, 'Le fichier CSV du relevé est requis', 400);
+    }
+
+    let reconciliation;
+    try {
+      reconciliation = await reconciliationService.reconcileStatement({
+        moyenPaiement,
+        contenu: req.file.buffer,
+        nomFichier: req.file.originalname,
+        user: req.user,
+        tontineIds: req.tontinesAcces.tontineIds,
+      });
+    } catch (parseError) {
+      return ApiResponse.error(res, parseError.message, 400);
+    }
+
+    return ApiResponse.success(
+      res,
+      {
+        ...formatSummary(reconciliation),
+        lignes: reconciliation.lignes.filter((l) => l.resultat !== 'validee_auto'),
+      },
+      `${reconciliation.resume.valideesAuto} transaction(s) validée(s), ${reconciliation.anomalies} anomalie(s) à traiter`,
+      201
+    );
+  } catch (error) {
+    logger.error('Erreur importStatement:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Historique des rapprochements
+ * @route   GET /digitontine/reconciliations
+ * @access  view_accounting sur au moins une tontine, Admin
+ *
+ * Hors Admin : rapprochements importés par l'utilisateur ou touchant ses tontines
+ */
+const listReconciliations = async (req, res) => {
+  try {
+    const { page, limit, skip } = getPaginationParams(req.query);
+    const { moyenPaiement } = req.query;
+    const { tontineIds } = req.tontinesAcces;
+
+    const query = {};
+    if (moyenPaiement) query.moyenPaiement = moyenPaiement;
+    if (tontineIds) {
+      query.$or = [{ importePar: req.user._id }, { 'lignes.tontineId': { $in: tontineIds } }];
+    }
+
+    const [reconciliations, total] = await Promise.all([
+      Reconciliation.find(query)
+        .select('-lignes')
+        .populate('importePar', 'prenom nom')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      Reconciliation.countDocuments(query),
+    ]);
+
+    return ApiResponse.successWithPagination(res, reconciliations.map(formatSummary), {
+      page,
+      limit,
+      total,
+    });
+  } catch (error) {
+    logger.error('Erreur listReconciliations:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Rapport détaillé d'un rapprochement
+ * @route   GET /digitontine/reconciliations/:reconciliationId
+ * @access  view_accounting sur au moins une tontine, Admin
+ *
+ * Filtre optionnel ?resultat=orpheline|ecart_montant|doublon|...
+ * Hors Admin, seules les lignes de ses tontines (et les orphelines) sont visibles
+ */
+const getReconciliationReport = async (req, res) => {
+  try {
+    const { reconciliationId } = req.params;
+    const { resultat } = req.query;
+
+    const reconciliation = await Reconciliation.findById(reconciliationId)
+      .populate('importePar', 'prenom nom')
+      .populate({
+        path: 'lignes.transactionId',
+        select: 'referenceTransaction montant statut userId',
+        populate: { path: 'userId', select: 'prenom nom' },
+      })
+      .populate('lignes.tontineId', 'nom');
+
+    if (!reconciliation) {
+      return ApiResponse.notFound(res, 'Rapprochement introuvable');
+    }
+
+    let lignes = reconciliation.lignes;
+
+    const { tontineIds } = req.tontinesAcces;
+    if (tontineIds) {
+      const ids = tontineIds.map((id) => id.toString());
+      lignes = lignes.filter((l) => !l.tontineId || ids.includes(l.tontineId._id.toString()));
+    }
+
+    if (resultat) {
+      lignes = lignes.filter((l) => l.resultat === resultat);
+    }
+
+    return ApiResponse.success(res, {
+      ...formatSummary(reconciliation),
+      lignes,
+    });
+  } catch (error) {
+    logger.error('Erreur getReconciliationReport:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+module.exports = {
+  importStatement,
+  listReconciliations,
+  getReconciliationReport,
+};
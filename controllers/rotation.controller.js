@@ -0,0 +1,226 @@
+// controllers/rotation.controller.js
+const Tontine = require('../models/Tontine');
+const Tirage = require('../models/Tirage');
+const ApiResponse = require('../utils/apiResponse');
+const logger = require('../utils/logger');
+const { TONTINE_STATUS } = require('../config/constants');
+const notificationService = require('../services/notification.service');
+
+/**
+ * Ordre du tour de rôle au format réponse
+ */
+const formatOrdre = (tontine) =>
+  tontine.getOrdreRotation().map((e) => {
+    const membre = tontine.membres.find(
+      (m) => (m.userId._id || m.userId).toString() === e.userId.toString()
+    );
+    return {
+      position: e.position,
+      userId: e.userId,
+      nom: membre?.userId.nomComplet,
+    };
+  });
+
+/**
+ * Charger une tontine en mode tour de rôle
+ */
+const loadTontineTourDeRole = async (req, res) => {
+  const tontine = await Tontine.findById(req.params.tontineId).populate(
+    'membres.userId',
+    'prenom nom email'
+  );
+
+  if (!tontine) {
+    ApiResponse.notFound(res, 'Tontine introuvable');
+    return null;
+  }
+
+  if (tontine.modeTirage !== 'tour_de_role') {
+    ApiResponse.error(res, 'Cette tontine n\'est pas en mode tour de rôle', 400);
+    return null;
+  }
+
+  return tontine;
+};
+
+/**
+ * @desc    Définir l'ordre du tour de rôle
+ * @route   PUT /digitontine/tontines/:tontineId/ordre-rotation
+ * @access  Admin
+ */
+const definirOrdreRotation = async (req, res) => {
+  try {
+    const tontine = await loadTontineTourDeRole(req, res);
+    if (!tontine) return;
+
+    const { ordre } = req.body;
+
+    try {
+      tontine.definirOrdreRotation(ordre);
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 400);
+    }
+
+    tontine.historiqueModifications.push({
+      modifiePar: req.user._id,
+      champModifie: 'ordreRotation',
+      nouvelleValeur: ordre,
+    });
+    tontine.lastModifiedBy = req.user._id;
+    await tontine.save();
+
+    logger.info(`Ordre du tour de rôle défini - ${tontine.nom} par ${req.user.email}`);
+
+    return ApiResponse.success(
+      res,
+      { ordreRotation: formatOrdre(tontine) },
+      'Ordre du tour de rôle enregistré. Les membres non placés prendront les dernières positions à l\'activation.'
+    );
+  } catch (error) {
+    logger.error('Erreur definirOrdreRotation:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Tirer au sort l'ordre du tour de rôle (une seule fois)
+ * @route   POST /digitontine/tontines/:tontineId/ordre-rotation/tirage-initial
+ * @access  Admin
+ */
+const tirerOrdreRotation = async (req, res) => {
+  try {
+    const tontine = await loadTontineTourDeRole(req, res);
+    if (!tontine) return;
+
+    try {
+      tontine.tirerOrdreRotation();
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 400);
+    }
+
+    tontine.historiqueModifications.push({
+      modifiePar: req.user._id,
+      champModifie: 'ordreRotation',
+      nouvelleValeur: 'tirage_initial',
+    });
+    tontine.lastModifiedBy = req.user._id;
+    await tontine.save();
+
+    logger.info(`Ordre du tour de rôle tiré au sort - ${tontine.nom} par ${req.user.email}`);
+
+    return ApiResponse.success(
+      res,
+      {
+        ordreRotation: formatOrdre(tontine),
+        dateOrdreRotation: tontine.dateOrdreRotation,
+      },
+      'Ordre du tour de rôle tiré au sort'
+    );
+  } catch (error) {
+    logger.error('Erreur tirerOrdreRotation:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Proposer à un autre membre d'échanger nos positions
+ * @route   POST /digitontine/tontines/:tontineId/ordre-rotation/echanges
+ * @access  Private (Membre de la tontine)
+ */
+const demanderEchangePosition = async (req, res) => {
+  try {
+    const tontine = await loadTontineTourDeRole(req, res);
+    if (!tontine) return;
+
+    const demandeur = req.user;
+    const { destinataireId } = req.body;
+
+    if (![TONTINE_STATUS.EN_ATTENTE, TONTINE_STATUS.ACTIVE].includes(tontine.statut)) {
+      return ApiResponse.error(res, 'Les échanges ne sont plus possibles pour cette tontine', 400);
+    }
+
+    if (destinataireId === demandeur._id.toString()) {
+      return ApiResponse.error(res, 'Vous ne pouvez pas échanger avec vous-même', 400);
+    }
+
+    // Première position non encore servie de chaque membre (une position déjà servie ne s'échange plus)
+    const gains = await Tirage.getGainsParMembre(tontine._id);
+    const positionsNonServies = tontine.getPositionsNonServies(gains);
+    const positionDe = (userId) =>
+      positionsNonServies.find((e) => e.userId.toString() === userId.toString());
+
+    if (!tontine.getNombreParts(demandeur._id)) {
+      return ApiResponse.forbidden(res, 'Vous n\'avez pas de position dans ce tour de rôle');
+    }
+
+    if (!tontine.getNombreParts(destinataireId)) {
+      return ApiResponse.error(res, 'Ce membre n\'a pas de position dans ce tour de rôle', 400);
+    }
+
+    const entreeDemandeur = positionDe(demandeur._id);
+    const entreeDestinataire = positionDe(destinataireId);
+    if (!entreeDemandeur || !entreeDestinataire) {
+      return ApiResponse.error(res, 'Une position déjà servie ne peut pas être échangée', 400);
+    }
+
+    const dejaEnCours = tontine.demandesEchange.some(
+      (d) =>
+        d.statut === 'en_attente' &&
+        [d.demandeurId.toString(), d.destinataireId.toString()].includes(demandeur._id.toString()) &&
+        [d.demandeurId.toString(), d.destinataireId.toString()].includes(destinataireId)
+    );
+    if (dejaEnCours) {
+      return ApiResponse.conflict(res, 'Une demande d\'échange est déjà en attente avec ce membre');
+    }
+
+    tontine.demandesEchange.push({
+      demandeurId: demandeur._id,
+      destinataireId,
+      positionDemandeur: entreeDemandeur.position,
+      positionDestinataire: entreeDestinataire.position,
+    });
+    const demande = tontine.demandesEchange[tontine.demandesEchange.length - 1];
+
+    const result = await notificationService.sendEchangePositionRequest(
+      destinataireId,
+      demandeur,
+      tontine,
+      demande
+    );
+
+    if (!result.success) {
+      return ApiResponse.serverError(res, 'Impossible de notifier le membre');
+    }
+
+    demande.notificationId = result.notification._id;
+    await tontine.save();
+
+    logger.info(
+      `Échange demandé - ${tontine.nom} : positions ${demande.positionDemandeur} <-> ${demande.positionDestinataire} par ${demandeur.email}`
+    );
+
+    return ApiResponse.success(
+      res,
+      {
+        demande: {
+          id: demande._id,
+          destinataireId,
+          positionDemandeur: demande.positionDemandeur,
+          positionDestinataire: demande.positionDestinataire,
+          statut: demande.statut,
+        },
+      },
+      'Demande d\'échange envoyée. L\'échange sera effectif dès que le membre l\'aura acceptée.',
+      201
+    );
+  } catch (error) {
+    logger.error('Erreur demanderEchangePosition:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+module.exports = {
+  definirOrdreRotation,
+  tirerOrdreRotation,
+  demanderEchangePosition,
+};
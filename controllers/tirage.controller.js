@@ -4,11 +4,14 @@ const Tontine = require('../models/Tontine');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
 const AuditLog = require('../models/AuditLog');
-const emailService = require('../services/email.service');
 const logger = require('../utils/logger');
 const { AppError } = require('../utils/errors');
 const ApiResponse = require('../utils/apiResponse');
 const notificationService = require('../services/notification.service');
+const payoutService = require('../services/payout.service');
+const drawService = require('../services/draw.service');
+const tirageService = require('../services/tirage.service');
+const enchereService = require('../services/enchere.service');
 
 /**
  * Normaliser le rôle pour AuditLog
@@ -23,221 +26,72 @@ const normalizeRoleForAudit = (role) => {
 };
 
 /**
- * @desc    Effectuer un tirage automatique
+ * Tirage effectué au format réponse
+ */
+const formatTirageEffectue = ({ tirage, tiragePaye, beneficiaire, entreeRotation, detailsAlgorithme, detailsEnchere }) => ({
+  id: tirage._id,
+  numeroTirage: tirage.numeroTirage,
+  numeroEcheance: tirage.numeroEcheance,
+  beneficiaire: {
+    id: beneficiaire.userId._id,
+    nom: beneficiaire.userId.nomComplet,
+    email: beneficiaire.userId.email
+  },
+  montant: tirage.montantDistribue,
+  dateTirage: tirage.dateTirage,
+  methodeTirage: tirage.methodeTirage,
+  statutPaiement: tiragePaye.statutPaiement,
+  moyenPaiement: tiragePaye.moyenPaiement,
+  seed: detailsAlgorithme?.seed,
+  seedHash: detailsAlgorithme?.seedHash,
+  positionRotation: entreeRotation?.position,
+  enchere: detailsEnchere && {
+    montantCagnotte: detailsEnchere.montantCagnotte,
+    montantRemise: detailsEnchere.montantRemise,
+    nombreOffres: detailsEnchere.offres.length,
+    redistribution: detailsEnchere.redistribution
+  }
+});
+
+/**
+ * @desc    Effectuer un tirage automatique (tous les bénéficiaires restants de l'échéance)
  * @route   POST /digitontine/tirages/tontine/:tontineId/automatique
  * @access  Admin/Trésorier
  */
 const effectuerTirageAutomatique = async (req, res, next) => {
   try {
-    const { tontineId } = req.params;
-
-    const tontine = await Tontine.findById(tontineId)
-      .populate('membres.userId', 'prenom nom email numeroTelephone');
-
-    if (!tontine) {
-      throw new AppError('Tontine introuvable', 404);
-    }
-
-    if (tontine.statut !== 'Active') {
-      throw new AppError('La tontine doit etre active', 400);
-    }
-
-    // Récupérer les tirages existants
-    const tiragesExistants = await Tirage.find({ 
-      tontineId, 
-      statutPaiement: { $in: ['en_attente', 'paye'] }
-    }).distinct('beneficiaireId');
-
-    // Appliquer opt-in automatique
-    const maintenant = Date.now();
-    const delaiMs = tontine.delaiOptIn * 60 * 1000;
-
-    for (const membre of tontine.membres) {
-      const aDejaGagne = tiragesExistants.some(t => t.equals(membre.userId._id));
-      
-      if (!aDejaGagne && membre.dateNotificationTirage) {
-        const tempsEcoule = maintenant - membre.dateNotificationTirage.getTime();
-        
-        if (tempsEcoule >= delaiMs && !membre.participeTirage) {
-          membre.participeTirage = true;
-          membre.optInAutomatique = true;
-          membre.dateOptIn = Date.now();
-          
-          logger.info(
-            ` Opt-in automatique pour ${membre.userId.email} ` +
-            `(délai ${tontine.delaiOptIn} min dépassé)`
-          );
-        }
-      }
-    }
-
-    await tontine.save();
-
-    // Filtrer les membres éligibles
-    const membresEligibles = tontine.membres.filter(
-      m => !tiragesExistants.some(t => t.equals(m.userId._id)) 
-        && m.participeTirage === true
-    );
-
-    if (membresEligibles.length === 0) {
-      const membresNonGagnants = tontine.membres.filter(
-        m => !tiragesExistants.some(t => t.equals(m.userId._id))
-      );
-      
-      if (membresNonGagnants.length > 0) {
-        throw new AppError(
-          `Aucun membre eligible ne souhaite participer au tirage. ` +
-          `${membresNonGagnants.length} membre(s) n'ont pas confirme leur participation.`,
-          400
-        );
-      }
-      
-      throw new AppError('Tous les membres ont deja gagne', 400);
-    }
-
-    // Calculer le numéro d'échéance actuelle
-    const echeanceActuelle = tiragesExistants.length + 1;
-
-    // Vérifier les cotisations validées
-    const cotisationsValidees = await Transaction.aggregate([
-      {
-        $match: {
-          tontineId: tontine._id,
-          echeanceNumero: echeanceActuelle,
-          statut: 'Validee',
-          type: 'Cotisation'
-        }
-      },
-      {
-        $group: {
-          _id: '$userId',
-          count: { $sum: 1 }
-        }
-      }
-    ]);
-
-    const nombreMembresAyantCotise = cotisationsValidees.length;
-
-    if (nombreMembresAyantCotise < tontine.membres.length) {
-      logger.warn(
-        `Cotisations incomplètes pour échéance ${echeanceActuelle}: ` +
-        `${nombreMembresAyantCotise}/${tontine.membres.length} membres ont cotisé`
-      );
-      
-      throw new AppError(
-        `${nombreMembresAyantCotise}/${tontine.membres.length} cotisations validees. ` +
-        `Tirage impossible. Tous les membres doivent avoir cotisé.`,
-        400
-      );
-    }
-
-    // Sélectionner un bénéficiaire au hasard
-    const beneficiaire = membresEligibles[
-      Math.floor(Math.random() * membresEligibles.length)
-    ];
-
-    const montantTotal = tontine.montantCotisation * tontine.membres.length;
-
-    // Obtenir le prochain numéro de tirage
-    const numeroTirage = await Tirage.getProchainNumero(tontineId);
-
-    //  CRÉER LE TIRAGE AVEC LES BONS CHAMPS
-    const nouveauTirage = await Tirage.create({
-      tontineId,
-      beneficiaireId: beneficiaire.userId._id,
-      numeroTirage,
-      montantDistribue: montantTotal,        //  CORRIGÉ
-      dateTirage: new Date(),                //  CORRIGÉ
-      methodeTirage: 'aleatoire',            //  CORRIGÉ
-      statutPaiement: 'en_attente',          //  CORRIGÉ
-      createdBy: req.user.id                 //  CORRIGÉ
-    });
-
-    await nouveauTirage.populate('beneficiaireId', 'prenom nom email numeroTelephone');
-
-    // Créer un log d'audit
-    await AuditLog.create({
-      userId: req.user._id,
-      userEmail: req.user.email,
-      userRole: normalizeRoleForAudit(req.user.role),
-      action: 'CREATE_TIRAGE',
-      resource: 'Tirage',
-      resourceId: nouveauTirage._id,
-      details: {
+    const {
+      tirages,
+      tontine,
+      echeanceActuelle,
+      membresEligibles,
+      nombreMembresAyantCotise,
+    } = await tirageService.effectuerTirageAutomatique(req.params.tontineId, {
+      user: req.user,
+      contexte: {
         method: req.method,
         url: req.originalUrl,
         ip: req.ip,
         userAgent: req.get('user-agent'),
-        tirageId: nouveauTirage._id,
-        tontineId,
-        beneficiaire: beneficiaire.userId._id,
-        montant: montantTotal,
-        type: 'Automatique',
-        echeanceNumero: echeanceActuelle,
-        membresEligibles: membresEligibles.length
       },
-      statusCode: 201,
-      success: true
     });
 
-    // Envoyer notification au gagnant
-    try {
-      await notificationService.sendTirageWinnerNotification(
-        beneficiaire.userId,
-        nouveauTirage,
-        tontine
-      );
-    } catch (emailError) {
-      logger.error('Erreur envoi email gagnant:', emailError);
-    }
-
-    // Notifier les autres membres
-    const autresMembres = tontine.membres.filter(
-      m => !m.userId._id.equals(beneficiaire.userId._id)
-    );
-    
-    for (const membre of autresMembres) {
-      try {
-        await notificationService.sendTirageResultNotification(
-          membre.userId,
-          nouveauTirage,
-          tontine,
-          beneficiaire.userId
-        );
-      } catch (emailError) {
-        logger.error(`Erreur envoi email a ${membre.userId.email}:`, emailError);
-      }
-    }
-
-    logger.info(
-      ` Tirage automatique effectue - Tontine: ${tontine.nom}, ` +
-      `Gagnant: ${beneficiaire.userId.email}, Montant: ${montantTotal} FCFA`
-    );
+    const tiragesEffectues = tirages.map(formatTirageEffectue);
 
     return ApiResponse.success(res, {
-      tirage: {
-        id: nouveauTirage._id,
-        numeroTirage: nouveauTirage.numeroTirage,
-        beneficiaire: {
-          id: beneficiaire.userId._id,
-          nom: beneficiaire.userId.nomComplet,
-          email: beneficiaire.userId.email
-        },
-        montant: nouveauTirage.montantDistribue,
-        dateTirage: nouveauTirage.dateTirage,
-        methodeTirage: nouveauTirage.methodeTirage,
-        statutPaiement: nouveauTirage.statutPaiement
-      },
+      tirage: tiragesEffectues[0],
+      tirages: tiragesEffectues,
       tontine: {
         id: tontine._id,
         nom: tontine.nom
       },
       details: {
         echeanceNumero: echeanceActuelle,
-        membresEligibles: membresEligibles.length,
+        gagnantsEcheance: tontine.getNombreGagnantsEcheance(echeanceActuelle),
+        membresEligibles,
         membresAyantCotise: nombreMembresAyantCotise
       }
-    }, 'Tirage effectue avec succes', 201);
+    }, `Tirage effectue avec succes (${tirages.length} beneficiaire(s))`, 201);
   } catch (error) {
     next(error);
   }
@@ -269,48 +123,20 @@ const notifyUpcomingTirage = async (req, res) => {
       throw new AppError('La tontine doit etre active', 400);
     }
 
-    const tiragesExistants = await Tirage.find({ 
-      tontineId, 
-      statutPaiement: { $in: ['en_attente', 'paye'] }
-    }).distinct('beneficiaireId');
-
-    let notificationsSent = 0;
-    const usersNotified = new Set(); // Pour éviter les doublons
+    const gains = await Tirage.getGainsParMembre(tontineId);
 
     // ========================================
     // 1. NOTIFIER LES MEMBRES DE LA TONTINE
     // ========================================
-    for (const membre of tontine.membres) {
-      const aDejaGagne = tiragesExistants.some(t => t.equals(membre.userId._id));
-      
-      if (!aDejaGagne && !usersNotified.has(membre.userId._id.toString())) {
-        // Enregistrer la date de notification
-        membre.dateNotificationTirage = Date.now();
-        membre.participeTirage = false;
-        membre.optInAutomatique = false;
-        
-        try {
-          await notificationService.sendTirageNotification(
-            membre.userId, 
-            tontine, 
-            new Date(dateTirage),
-            tontine.delaiOptIn
-          );
-          notificationsSent++;
-          usersNotified.add(membre.userId._id.toString());
-          logger.info(` Notification envoyée au MEMBRE: ${membre.userId.email}`);
-        } catch (error) {
-          logger.error(` Erreur notification pour ${membre.userId.email}:`, error);
-        }
-      }
-    }
+    const usersNotified = await tirageService.annoncerTirage(tontine, dateTirage, gains);
+    let notificationsSent = usersNotified.size;
 
     // ========================================
     // 2. NOTIFIER L'ADMIN QUI LANCE LE TIRAGE (si pas déjà notifié)
     // ========================================
     const adminLanceur = req.user;
     if (!usersNotified.has(adminLanceur._id.toString())) {
-      const adminADejaGagne = tiragesExistants.some(t => t.equals(adminLanceur._id));
+      const adminADejaGagne = tontine.aToutGagne(adminLanceur._id, gains);
       
       if (!adminADejaGagne) {
         // Vérifier si admin est déjà membre
@@ -357,7 +183,7 @@ const notifyUpcomingTirage = async (req, res) => {
     // 3. NOTIFIER LE CRÉATEUR (si différent de l'admin lanceur)
     // ========================================
     if (tontine.createdBy && !usersNotified.has(tontine.createdBy._id.toString())) {
-      const createurADejaGagne = tiragesExistants.some(t => t.equals(tontine.createdBy._id));
+      const createurADejaGagne = tontine.aToutGagne(tontine.createdBy._id, gains);
 
       if (!createurADejaGagne) {
         const createurEstMembre = tontine.membres.some(
@@ -401,7 +227,7 @@ const notifyUpcomingTirage = async (req, res) => {
     // 4. NOTIFIER LE TRÉSORIER ASSIGNÉ (si différent des précédents)
     // ========================================
     if (tontine.tresorierAssigne && !usersNotified.has(tontine.tresorierAssigne._id.toString())) {
-      const tresorierADejaGagne = tiragesExistants.some(t => t.equals(tontine.tresorierAssigne._id));
+      const tresorierADejaGagne = tontine.aToutGagne(tontine.tresorierAssigne._id, gains);
 
       if (!tresorierADejaGagne) {
         const tresorierEstMembre = tontine.membres.some(
@@ -450,10 +276,12 @@ const notifyUpcomingTirage = async (req, res) => {
 
     return ApiResponse.success(res, {
       message: `Notifications envoyées. Délai opt-in : ${tontine.delaiOptIn} minutes`,
+      enchereOuverteJusqua: tontine.enchereEnCours?.dateCloture,
       notificationsSent,
       delaiOptIn: tontine.delaiOptIn,
       dateExpiration: new Date(Date.now() + tontine.delaiOptIn * 60 * 1000),
-      usersNotified: Array.from(usersNotified).length
+      usersNotified: Array.from(usersNotified).length,
+      seedHash: tontine.engagementTirage?.seedHash
     });
   } catch (error) {
     logger.error(' Erreur notification tirage:', error);
@@ -494,17 +322,29 @@ const effectuerTirageManuel = async (req, res, next) => {
       throw new AppError('Le beneficiaire doit etre membre de la tontine', 400);
     }
 
-    const aDejaGagne = await Tirage.exists({
-      tontineId,
-      beneficiaireId: beneficiaireId,
-      statutPaiement: { $in: ['en_attente', 'paye'] }
-    });
+    // Une position partagée est tirée au nom de son titulaire
+    if (!tontine.getNombreParts(beneficiaireId)) {
+      throw new AppError('Ce membre est co-titulaire d\'une position : designez son titulaire', 400);
+    }
 
-    if (aDejaGagne) {
+    const gains = await Tirage.getGainsParMembre(tontineId);
+
+    if (tontine.aToutGagne(beneficiaireId, gains)) {
       throw new AppError('Ce membre a deja gagne', 400);
     }
 
-    const montantTotal = tontine.montantCotisation * tontine.membres.length;
+    // Place suivante de l'échéance en cours (un membre ne gagne qu'une part par échéance)
+    const echeanceActuelle = await Tirage.getEcheanceATirer(tontine);
+    const dejaDesignes = await Tirage.find(Tirage.enVigueur({
+      tontineId,
+      numeroEcheance: echeanceActuelle,
+    })).distinct('beneficiaireId');
+
+    if (dejaDesignes.some(id => id.equals(beneficiaireId))) {
+      throw new AppError(`Ce membre a deja gagne a l'echeance ${echeanceActuelle}`, 400);
+    }
+
+    const montantTotal = tontine.getMontantParGagnant(echeanceActuelle, dejaDesignes.length);
 
     // Obtenir le prochain numéro de tirage
     const numeroTirage = await Tirage.getProchainNumero(tontineId);
@@ -514,7 +354,9 @@ const effectuerTirageManuel = async (req, res, next) => {
       tontineId,
       beneficiaireId: beneficiaireId,
       numeroTirage,
+      numeroEcheance: echeanceActuelle,
       montantDistribue: montantTotal,        //  CORRIGÉ
+      repartition: tontine.repartirGain(beneficiaireId, montantTotal),
       dateTirage: new Date(),                //  CORRIGÉ
       methodeTirage: 'manuel',               //  CORRIGÉ
       statutPaiement: 'en_attente',          //  CORRIGÉ
@@ -522,6 +364,18 @@ const effectuerTirageManuel = async (req, res, next) => {
       notes: raison || 'Tirage manuel administrateur'  //  Utiliser "notes"
     });
 
+    tontine.enregistrerGain(nouveauTirage);
+
+    // Échéance planifiée couverte une fois tous ses bénéficiaires désignés
+    const tiragePlanifie = tontine.getTiragePlanifieEnCours();
+    if (tiragePlanifie && dejaDesignes.length + 1 >= tontine.getNombreGagnantsEcheance(echeanceActuelle)) {
+      tiragePlanifie.statut = 'effectue';
+      tiragePlanifie.tirageId = nouveauTirage._id;
+      tiragePlanifie.dateExecution = Date.now();
+    }
+
+    await tontine.save();
+
     await nouveauTirage.populate('beneficiaireId', 'prenom nom email numeroTelephone');
 
     await AuditLog.create({
@@ -540,6 +394,7 @@ const effectuerTirageManuel = async (req, res, next) => {
         tontineId,
         beneficiaire: beneficiaireId,
         montant: montantTotal,
+        echeanceNumero: echeanceActuelle,
         raison
       },
       statusCode: 201,
@@ -547,15 +402,21 @@ const effectuerTirageManuel = async (req, res, next) => {
     });
 
     const beneficiaire = await User.findById(beneficiaireId);
-    
-    try {
-      await notificationService.sendTirageWinnerNotification(
-        beneficiaire,
-        nouveauTirage,
-        tontine
-      );
-    } catch (emailError) {
-      logger.error('Erreur envoi email:', emailError);
+    const titulairesGagnants = [
+      beneficiaire,
+      ...tontine.getCoTitulaires(beneficiaireId).map(m => m.userId),
+    ];
+
+    for (const titulaire of titulairesGagnants) {
+      try {
+        await notificationService.sendTirageWinnerNotification(
+          titulaire,
+          nouveauTirage,
+          tontine
+        );
+      } catch (emailError) {
+        logger.error('Erreur envoi email:', emailError);
+      }
     }
 
     return ApiResponse.success(res, nouveauTirage, 'Tirage manuel effectue', 201);
@@ -565,72 +426,122 @@ const effectuerTirageManuel = async (req, res, next) => {
 };
 
 /**
- * @desc    Annuler un tirage
+ * @desc    Annuler un tirage (et, sur demande, programmer le nouveau tirage de sa place)
  * @route   PUT /digitontine/tirages/:tirageId/annuler
  * @access  Admin
  */
 const annulerTirage = async (req, res, next) => {
   try {
-    const { tirageId } = req.params;
-    const { raison } = req.body;
-
-    if (!raison || raison.trim().length < 10) {
-      throw new AppError('Raison d\'annulation requise (min 10 caracteres)', 400);
-    }
-
-    const tirage = await Tirage.findById(tirageId);
-    if (!tirage) {
-      throw new AppError('Tirage introuvable', 404);
-    }
+    const { raison, relancer } = req.body;
 
-    if (tirage.statutPaiement === 'echec') {
-      throw new AppError('Tirage deja annule', 400);
-    }
-
-    // UTILISER LES BONS CHAMPS
-    tirage.statutPaiement = 'echec';
-    tirage.notes = `ANNULÉ - Raison: ${raison} - Par: ${req.user.email} - Date: ${new Date().toISOString()}`;
-    
-    await tirage.save();
-
-    await AuditLog.create({
-      userId: req.user._id,
-      userEmail: req.user.email,
-      userRole: normalizeRoleForAudit(req.user.role),
-      action: 'CREATE_TIRAGE',
-      resource: 'Tirage',
-      resourceId: tirageId,
-      details: {
+    const { tirage, relance } = await tirageService.annulerTirage(req.params.tirageId, {
+      raison,
+      relancer,
+      user: req.user,
+      contexte: {
         method: req.method,
         url: req.originalUrl,
         ip: req.ip,
         userAgent: req.get('user-agent'),
-        tirageId,
-        tontineId: tirage.tontineId,
-        beneficiaire: tirage.beneficiaireId,
-        raison
       },
-      statusCode: 200,
-      success: true,
-      tags: ['annulation']
     });
 
-    const beneficiaire = await User.findById(tirage.beneficiaireId);
-    const tontine = await Tontine.findById(tirage.tontineId);
+    const message = relance
+      ? `Tirage annule, nouveau tirage de la place le ${relance.datePrevue.toLocaleString('fr-FR')}`
+      : 'Tirage annule';
 
-    if (beneficiaire && tontine) {
-      try {
-        await emailService.sendEmail(
-          beneficiaire.email,
-          'Annulation de tirage',
-          `Bonjour ${beneficiaire.prenom},\n\nLe tirage de la tontine "${tontine.nom}" dont vous etiez beneficiaire a ete annule.\n\nRaison : ${raison}\n\nUn nouveau tirage sera effectue prochainement.`
-        );
-      } catch (emailError) {
-        logger.error('Erreur envoi email annulation:', emailError);
-      }
+    return ApiResponse.success(res, {
+      tirage: {
+        id: tirage._id,
+        numeroTirage: tirage.numeroTirage,
+        numeroEcheance: tirage.numeroEcheance,
+        statutPaiement: tirage.statutPaiement,
+        annulation: tirage.annulation
+      },
+      relance
+    }, message);
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Enregistrer la récupération d'une cagnotte versée (préalable à l'annulation)
+ * @route   POST /digitontine/tirages/:tirageId/recuperation
+ * @access  Admin/Trésorier
+ */
+const enregistrerRecuperationTirage = async (req, res, next) => {
+  try {
+    const { montant, moyenPaiement, reference, notes } = req.body;
+
+    const tirage = await tirageService.enregistrerRecuperation(req.params.tirageId, {
+      montant,
+      moyenPaiement,
+      reference,
+      notes,
+      user: req.user,
+    });
+
+    return ApiResponse.success(res, {
+      id: tirage._id,
+      statutPaiement: tirage.statutPaiement,
+      recuperation: tirage.recuperation
+    }, 'Recuperation enregistree : le tirage peut etre annule');
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @desc    Verser la cagnotte au bénéficiaire (ou relancer un versement échoué)
+ * @route   POST /digitontine/tirages/:tirageId/payer
+ * @access  Admin/Trésorier
+ */
+const payerTirage = async (req, res, next) => {
+  try {
+    const { tirageId } = req.params;
+    const { moyenPaiement, referencePaiement, notes } = req.body;
+
+    const tirage = await Tirage.findById(tirageId);
+    if (!tirage) {
+      throw new AppError('Tirage introuvable', 404);
+    }
+
+    if (tirage.statutPaiement === 'paye') {
+      throw new AppError('Tirage deja paye', 400);
+    }
+
+    let resultat;
+    try {
+      resultat = await payoutService.payTirage(tirageId, {
+        moyenPaiement,
+        referencePaiement,
+        notes,
+        user: req.user,
+      });
+    } catch (payoutError) {
+      throw new AppError(payoutError.message, 409);
     }
 
-    return ApiResponse.success(res, tirage, 'Tirage annule');
+    const messages = {
+      paye: 'Versement effectue',
+      en_attente: 'Versement en cours de traitement',
+      echec: 'Echec du versement',
+    };
+
+    return ApiResponse.success(
+      res,
+      {
+        id: resultat._id,
+        statutPaiement: resultat.statutPaiement,
+        moyenPaiement: resultat.moyenPaiement,
+        referencePaiement: resultat.referencePaiement,
+        tentativesPaiement: resultat.tentativesPaiement,
+        prochaineTentative: resultat.prochaineTentative,
+        erreurPaiement: resultat.erreurPaiement,
+      },
+      messages[resultat.statutPaiement]
+    );
   } catch (error) {
     next(error);
   }
@@ -761,6 +672,45 @@ const detailsTirage = async (req, res, next) => {
   }
 };
 
+/**
+ * @desc    Vérifier un tirage : recalcul du gagnant à partir de la seed révélée
+ * @route   GET /digitontine/tirages/:tirageId/verify
+ * @access  Public
+ */
+const verifierTirage = async (req, res, next) => {
+  try {
+    const tirage = await Tirage.findById(req.params.tirageId)
+      .populate('tontineId', 'nom');
+
+    if (!tirage) {
+      throw new AppError('Tirage introuvable', 404);
+    }
+
+    const verification = drawService.verifierTirage(tirage);
+
+    let message = 'Tirage vérifié : le gagnant correspond à la seed publiée';
+    if (!verification.verifiable) message = verification.raison;
+    else if (!verification.valide) message = 'Le gagnant enregistré ne correspond pas au calcul';
+
+    return ApiResponse.success(res, {
+      tirage: {
+        id: tirage._id,
+        tontine: tirage.tontineId?.nom,
+        numeroTirage: tirage.numeroTirage,
+        dateTirage: tirage.dateTirage,
+        methodeTirage: tirage.methodeTirage,
+      },
+      verification,
+      methode:
+        'gagnant = candidats[SHA256(seed + ":" + candidats.join(",")) mod candidats.length], ' +
+        'candidats = identifiants des membres eligibles tries par ordre croissant ; ' +
+        'SHA256(seed) doit egaler seedHash publie avant le tirage',
+    }, message);
+  } catch (error) {
+    next(error);
+  }
+};
+
 /**
  * @desc    Effectuer un tirage automatique MODE TEST (AVEC notification + opt-in intelligent)
  * @route   POST /digitontine/tirages/tontine/:tontineId/automatique-test
@@ -787,10 +737,7 @@ const effectuerTirageAutomatiqueTest = async (req, res, next) => {
     // ========================================
     // ETAPE 1 : RECUPERER LES GAGNANTS EXISTANTS
     // ========================================
-    const tiragesExistants = await Tirage.find({ 
-      tontineId, 
-      statutPaiement: { $in: ['en_attente', 'paye'] }
-    }).distinct('beneficiaireId');
+    const tiragesExistants = await Tirage.getBeneficiaires(tontineId);
 
     logger.info(`[TIRAGE TEST] Tirages existants: ${tiragesExistants.length}`);
 
@@ -951,7 +898,7 @@ const effectuerTirageAutomatiqueTest = async (req, res, next) => {
     logger.warn(`[TIRAGE TEST] ETAPE 4: Verification et opt-in automatique...`);
 
     const tontineReload = await Tontine.findById(tontineId)
-      .populate('membres.userId', 'prenom nom email numeroTelephone');
+      .populate('membres.userId', 'prenom nom email numeroTelephone fiabilite.score');
     
     let confirmationsFinales = 0;
     let refusFinaux = 0;
@@ -1000,6 +947,7 @@ const effectuerTirageAutomatiqueTest = async (req, res, next) => {
 
     const membresEligibles = tontineReload.membres.filter(m => 
       m.participeTirage === true && 
+      !m.titulaireId &&
       !tiragesExistants.some(t => t.equals(m.userId._id))
     );
 
@@ -1017,17 +965,21 @@ const effectuerTirageAutomatiqueTest = async (req, res, next) => {
 // ========================================
 logger.warn(`[TIRAGE TEST] ETAPE 6: Calcul du montant...`);
 
-const echeanceActuelle = tiragesExistants.length + 1;
+const echeanceActuelle = await Tirage.getEcheanceATirer(tontineReload);
+const rangEcheance = await Tirage.countDocuments(Tirage.enVigueur({
+  tontineId,
+  numeroEcheance: echeanceActuelle,
+}));
 
 // 🔧 MODE TEST: Utiliser le montant théorique sans vérifier les cotisations
 // const cotisationsValidees = await Transaction.aggregate([...]) -- SUPPRIMÉ
 
 // 🔧 CALCULER LE MONTANT THÉORIQUE (pour le test)
-const montantTotal = tontineReload.montantCotisation * tontineReload.membres.length;
+const montantTotal = tontineReload.getMontantParGagnant(echeanceActuelle, rangEcheance);
 
 logger.info(
-  `[TIRAGE TEST]  Montant (théorique): ${tontineReload.membres.length} membres × ` +
-  `${tontineReload.montantCotisation} FCFA = ${montantTotal} FCFA`
+  `[TIRAGE TEST]  Montant (théorique): ${tontineReload.nombreParts} parts × ` +
+  `${tontineReload.montantCotisation} FCFA / ${tontineReload.getNombreGagnantsEcheance(echeanceActuelle)} gagnant(s) = ${montantTotal} FCFA`
 );
 
 if (montantTotal === 0) {
@@ -1038,8 +990,12 @@ if (montantTotal === 0) {
     // ========================================
     logger.warn(`[TIRAGE TEST] ETAPE 7: Tirage aleatoire...`);
 
-    const indexGagnant = Math.floor(Math.random() * membresEligibles.length);
-    const beneficiaire = membresEligibles[indexGagnant];
+    const engagementTest = await Tontine.findById(tontineId).select('+engagementTirage.seed');
+    const { beneficiaire, detailsAlgorithme } = drawService.tirerBeneficiaire(
+      engagementTest.engagementTirage,
+      membresEligibles,
+      { pondere: tontineReload.prioriteFiabilite }
+    );
     const numeroTirage = await Tirage.getProchainNumero(tontineId);
 
     //  CRÉER LE TIRAGE AVEC LE MONTANT DÉJÀ CALCULÉ
@@ -1047,13 +1003,18 @@ if (montantTotal === 0) {
       tontineId,
       beneficiaireId: beneficiaire.userId._id,
       numeroTirage,
+      numeroEcheance: echeanceActuelle,
       montantDistribue: montantTotal, //  Variable déjà définie
+      repartition: tontineReload.repartirGain(beneficiaire.userId._id, montantTotal),
       dateTirage: new Date(),
       methodeTirage: 'aleatoire',
+      detailsAlgorithme,
       statutPaiement: 'en_attente',
       createdBy: req.user.id
     });
 
+    await Tontine.updateOne({ _id: tontineId }, { $unset: { engagementTirage: 1 } });
+
     await nouveauTirage.populate('beneficiaireId', 'prenom nom email numeroTelephone');
 
     logger.warn(`[TIRAGE TEST]  GAGNANT: ${beneficiaire.userId.email} - ${montantTotal} FCFA`);
@@ -1305,15 +1266,46 @@ const optOutForTirage = async (req, res) => {
     return ApiResponse.serverError(res);
   }
 };
+/**
+ * @desc    Déposer ou remplacer son offre scellée pour l'enchère en cours
+ * @route   POST /digitontine/tirages/tontine/:tontineId/encheres
+ * @access  Private (Membre n'ayant pas encore gagné)
+ */
+const soumettreOffreEnchere = async (req, res, next) => {
+  try {
+    const { tontine, offre, remplacee } = await enchereService.soumettreOffre(
+      req.params.tontineId,
+      req.user,
+      req.body.montantRemise
+    );
+
+    // Offre scellée : seule la sienne est renvoyée
+    return ApiResponse.success(res, {
+      offre: {
+        montantRemise: offre.montantRemise,
+        dateOffre: offre.dateOffre,
+      },
+      montantCagnotte: enchereService.montantPartCagnotte(tontine),
+      dateCloture: tontine.enchereEnCours.dateCloture,
+    }, remplacee ? 'Offre remplacée' : 'Offre enregistrée', remplacee ? 200 : 201);
+  } catch (error) {
+    next(error);
+  }
+};
+
 module.exports = {
   effectuerTirageAutomatique,
   effectuerTirageManuel,
   effectuerTirageAutomatiqueTest,
   confirmParticipationTirage,  //  NOUVEAU
   annulerTirage,
+  enregistrerRecuperationTirage,
+  payerTirage,
   listeTiragesTontine,
   mesGains,
   detailsTirage,
+  verifierTirage,
   notifyUpcomingTirage,
   optOutForTirage,
+  soumettreOffreEnchere,
 };
\ No newline at end of file
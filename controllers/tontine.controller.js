@@ -8,6 +8,10 @@ const logger = require('../utils/logger');
 const { getPaginationParams } = require('../utils/helpers');
 const { TONTINE_STATUS, ROLES } = require('../config/constants');
 const emailService = require('../services/email.service');
+const sortieService = require('../services/sortie.service');
+const fiabiliteService = require('../services/fiabilite.service');
+const kycService = require('../services/kyc.service');
+const tontineRoleService = require('../services/tontineRole.service');
 
 /**
  * @desc    Creer une nouvelle tontine
@@ -27,7 +31,14 @@ const createTontine = async (req, res) => {
       nombreMembresMax,
       tauxPenalite,
       delaiGrace,
+      delaiMobilisationGarant,
+      scoreMinimum,
+      prioriteFiabilite,
+      visibilitePublique,
       tresorierAssigneId,
+      modeTirage,
+      gagnantsParCycle,
+      planificationTirage,
     } = req.body;
     const admin = req.user;
     
@@ -64,7 +75,14 @@ const createTontine = async (req, res) => {
       nombreMembresMax: nombreMembresMax || 50,
       tauxPenalite: tauxPenalite || 5,
       delaiGrace: delaiGrace || 2,
+      delaiMobilisationGarant,
+      scoreMinimum,
+      prioriteFiabilite,
+      visibilitePublique,
       delaiOptIn: 15,
+      modeTirage: modeTirage || 'aleatoire',
+      gagnantsParCycle: gagnantsParCycle || 1,
+      planificationTirage,
       tresorierAssigne: tresorierAssigneId || null,
       statut: TONTINE_STATUS.EN_ATTENTE,
       createdBy: admin._id,
@@ -129,6 +147,9 @@ const createTontine = async (req, res) => {
           nombreMembresMax: tontine.nombreMembresMax,
           tauxPenalite: tontine.tauxPenalite,
           delaiGrace: tontine.delaiGrace,
+          modeTirage: tontine.modeTirage,
+          gagnantsParCycle: tontine.gagnantsParCycle,
+          planificationTirage: tontine.planificationTirage,
           tresorierAssigne: tresorierAssigneId || null,
         },
       },
@@ -152,7 +173,7 @@ const createTontine = async (req, res) => {
  * @route   GET /digitontine/tontines/me/tontines
  * @access  Private
  */
-// ✅ NOUVEAU CODE - Cherche dans membres OU tresorierAssigne
+// Cherche dans membres, tresorierAssigne OU rolesAttribues
 const mesTontines = async (req, res) => {
   try {
     if (!req.user || !req.user._id) {
@@ -161,31 +182,28 @@ const mesTontines = async (req, res) => {
     }
 
     const userId = req.user._id;
-    const userRole = req.user.role;
-    logger.info(`Recherche tontines pour userId: ${userId}, role: ${userRole}`);
-
-    // ✅ CORRECTION : Requête différente selon le rôle
-    let query = {};
-    
-    if (userRole === 'tresorier' || userRole === 'Tresorier') {
-      // Trésorier : chercher dans tresorierAssigne OU membres
-      query = {
-        $or: [
-          { tresorierAssigne: userId },
-          { 'membres.userId': userId }
-        ]
-      };
-    } else {
-      // Membre : chercher uniquement dans membres
-      query = { 'membres.userId': userId };
-    }
+    logger.info(`Recherche tontines pour userId: ${userId}, role: ${req.user.role}`);
+
+    // Tontines ou l'utilisateur a un role : tresorier assigne, role attribue ou membre
+    const query = {
+      $or: [
+        { tresorierAssigne: userId },
+        { 'rolesAttribues.userId': userId },
+        { 'membres.userId': userId }
+      ]
+    };
 
     let tontines = await Tontine.find(query)
       .populate('tresorierAssigne', 'prenom nom')
-      .select('nom description montantCotisation frequence statut membres dateDebut')
+      .select('nom description montantCotisation frequence statut membres dateDebut createdBy tresorierAssigne rolesAttribues')
       .sort({ createdAt: -1 })
       .lean();
 
+    tontines = tontines.map(({ rolesAttribues, ...tontine }) => ({
+      ...tontine,
+      mesRoles: tontineRoleService.rolesDans({ ...tontine, rolesAttribues }, userId),
+    }));
+
     if (!tontines) {
       logger.warn(`Aucune tontine trouvee pour userId: ${userId}`);
       tontines = [];
@@ -250,6 +268,9 @@ const addMembers = async (req, res) => {
           continue;
         }
 
+        kycService.verifierKycApprouve(user);
+        await fiabiliteService.verifierScoreMinimum(tontine, user);
+
         tontine.ajouterMembre(userId);
         membresAjoutes.push({
           userId: user._id,
@@ -342,6 +363,249 @@ const removeMember = async (req, res) => {
     return ApiResponse.serverError(res);
   }
 };
+/**
+ * @desc    Définir le nombre de parts (mains) d'un membre
+ * @route   PUT /digitontine/tontines/:tontineId/membres/:userId/parts
+ * @access  Admin
+ */
+const definirPartsMembre = async (req, res) => {
+  try {
+    const { tontineId, userId } = req.params;
+    const { nombreParts } = req.body;
+    const admin = req.user;
+
+    const tontine = await Tontine.findById(tontineId);
+    if (!tontine) {
+      return ApiResponse.notFound(res, 'Tontine introuvable');
+    }
+
+    if (tontine.statut !== TONTINE_STATUS.EN_ATTENTE) {
+      return ApiResponse.error(
+        res,
+        'Le nombre de parts ne peut plus etre modifie apres activation',
+        400
+      );
+    }
+
+    const membre = tontine.membres.find((m) => m.userId.toString() === userId);
+    if (!membre) {
+      return ApiResponse.notFound(res, 'Ce membre ne fait pas partie de la tontine');
+    }
+
+    if (membre.titulaireId) {
+      return ApiResponse.error(
+        res,
+        'Ce membre est co-titulaire d\'une position : ses parts sont celles de son titulaire',
+        400
+      );
+    }
+
+    tontine.historiqueModifications.push({
+      modifiePar: admin._id,
+      champModifie: 'membres.nombreParts',
+      ancienneValeur: `${userId}:${membre.nombreParts}`,
+      nouvelleValeur: `${userId}:${nombreParts}`,
+    });
+    membre.nombreParts = nombreParts;
+    tontine.lastModifiedBy = admin._id;
+    await tontine.save();
+
+    logger.info(`Parts definies - ${tontine.nom} : ${userId} -> ${nombreParts} part(s) par ${admin.email}`);
+
+    return ApiResponse.success(res, {
+      membre: {
+        userId: membre.userId,
+        nombreParts: membre.nombreParts,
+      },
+      tontine: {
+        id: tontine._id,
+        nom: tontine.nom,
+        nombreParts: tontine.nombreParts,
+        gagnantsParCycle: tontine.gagnantsParCycle,
+        nombreCycles: tontine.getNombreCycles(),
+        montantCagnotte: tontine.getMontantCagnotte(),
+      },
+    }, 'Nombre de parts mis a jour');
+  } catch (error) {
+    logger.error('Erreur definirPartsMembre:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Partager la position d'un membre avec des co-titulaires
+ * @route   PUT /digitontine/tontines/:tontineId/membres/:userId/co-titulaires
+ * @access  Admin
+ */
+const definirCoTitulaires = async (req, res) => {
+  try {
+    const { tontineId, userId } = req.params;
+    const { coTitulaires } = req.body;
+    const admin = req.user;
+
+    const tontine = await Tontine.findById(tontineId);
+    if (!tontine) {
+      return ApiResponse.notFound(res, 'Tontine introuvable');
+    }
+
+    const ancienne = tontine.getCoTitulaires(userId).map((m) => `${m.userId}:${m.quotePart}`);
+
+    try {
+      tontine.partagerPosition(userId, coTitulaires);
+    } catch (error) {
+      return ApiResponse.error(res, error.message, 400);
+    }
+
+    tontine.historiqueModifications.push({
+      modifiePar: admin._id,
+      champModifie: 'membres.titulaireId',
+      ancienneValeur: `${userId}: ${ancienne.join(', ') || 'position non partagee'}`,
+      nouvelleValeur: `${userId}: ${coTitulaires.map((c) => `${c.userId}:${c.quotePart}`).join(', ') || 'position non partagee'}`,
+    });
+    tontine.lastModifiedBy = admin._id;
+    await tontine.save();
+
+    logger.info(
+      `Position ${coTitulaires.length ? 'partagee' : 'non partagee'} - ${tontine.nom} : ${userId} par ${admin.email}`
+    );
+
+    const position = tontine.getPositions().find((p) => p.titulaireId.equals(userId));
+
+    return ApiResponse.success(res, {
+      position: {
+        ...position,
+        cotisationParEcheance: tontine.repartirMontant(
+          userId,
+          tontine.montantCotisation * position.nombreParts
+        ),
+      },
+      tontine: {
+        id: tontine._id,
+        nom: tontine.nom,
+        nombreParts: tontine.nombreParts,
+        nombreCycles: tontine.getNombreCycles(),
+      },
+    }, coTitulaires.length ? 'Position partagee' : 'Partage de la position dissous');
+  } catch (error) {
+    logger.error('Erreur definirCoTitulaires:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * Solde de sortie au format réponse
+ */
+const formatSoldeSortie = (solde) => ({
+  mode: solde.mode,
+  nombreGains: solde.nombreGains,
+  partsRestantes: solde.partsRestantes,
+  totalVerse: solde.totalVerse,
+  penalitesImpayees: solde.penalitesImpayees,
+  cotisationsReprises: solde.cotisationsReprises,
+  montantARembourser: solde.montantARembourser,
+  montantDu: solde.montantDu,
+});
+
+/**
+ * @desc    Calculer le solde de sortie d'un membre (avant la demande MEMBER_EXIT)
+ * @route   GET /digitontine/tontines/:tontineId/membres/:userId/sortie
+ * @access  Admin/Trésorier
+ */
+const getSoldeSortie = async (req, res) => {
+  try {
+    const { tontineId, userId } = req.params;
+    const { remplacantId } = req.query;
+
+    const tontine = await Tontine.findById(tontineId);
+    if (!tontine) {
+      return ApiResponse.notFound(res, 'Tontine introuvable');
+    }
+
+    if (tontine.statut !== TONTINE_STATUS.ACTIVE) {
+      return ApiResponse.error(
+        res,
+        'La sortie ne concerne qu\'une tontine active (avant activation, retirez simplement le membre)',
+        400
+      );
+    }
+
+    const solde = await sortieService.calculerSolde(tontine, userId, remplacantId);
+    if (remplacantId) {
+      await sortieService.verifierRemplacant(tontine, remplacantId);
+    }
+
+    return ApiResponse.success(res, {
+      tontine: { id: tontine._id, nom: tontine.nom },
+      membreId: userId,
+      remplacantId: remplacantId || null,
+      solde: formatSoldeSortie(solde),
+      nextStep: 'Creer une demande MEMBER_EXIT via /api/v1/validation/request (membreId, remplacantId)',
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    logger.error('Erreur getSoldeSortie:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Exécuter la sortie d'un membre approuvée par le Trésorier (MEMBER_EXIT)
+ * @route   POST /digitontine/tontines/:tontineId/membres/:userId/sortie
+ * @access  Admin (avec ValidationRequest MEMBER_EXIT acceptée)
+ */
+const sortieMembre = async (req, res) => {
+  try {
+    const { tontineId, userId } = req.params;
+    const { validationRequestId } = req.body;
+
+    const { tontine, sortie, remboursements } = await sortieService.executerSortie(tontineId, userId, {
+      validationRequestId,
+      user: req.user,
+    });
+
+    const messages = {
+      soldee: 'Sortie du membre enregistree, position soldee',
+      a_rembourser: 'Sortie du membre enregistree, remboursement en cours',
+      a_recouvrer: `Sortie du membre enregistree, ${sortie.montantDu} FCFA restent dus par le membre`,
+    };
+
+    return ApiResponse.success(res, {
+      tontine: {
+        id: tontine._id,
+        nom: tontine.nom,
+        nombreMembres: tontine.nombreMembres,
+        nombreEcheances: tontine.calendrierCotisations.length,
+        dateFin: tontine.dateFin,
+      },
+      sortie: {
+        id: sortie._id,
+        userId: sortie.userId,
+        remplacantId: sortie.remplacantId,
+        totalVerse: sortie.totalVerse,
+        penalitesImpayees: sortie.penalitesImpayees,
+        cotisationsReprises: sortie.cotisationsReprises,
+        montantARembourser: sortie.montantARembourser,
+        montantDu: sortie.montantDu,
+        statut: sortie.statut,
+      },
+      remboursements: remboursements.map((r) => ({
+        id: r._id,
+        montant: r.montant,
+        statut: r.statut,
+        erreur: r.erreur,
+      })),
+    }, messages[sortie.statut]);
+  } catch (error) {
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    logger.error('Erreur sortieMembre:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
 // 
 // 
 
@@ -410,6 +674,9 @@ if (reglementTexte && reglementTexte.trim()) {
           continue;
         }
 
+        kycService.verifierKycApprouve(user);
+        await fiabiliteService.verifierScoreMinimum(tontine, user);
+
         // ✅ CORRECTION: Créer notification d'invitation avec règlement
         const notificationService = require('../services/notification.service');
         const notifResult = await notificationService.sendInvitationTontine(user, tontine);
@@ -525,7 +792,15 @@ const activateTontine = async (req, res) => {
         statut: tontine.statut,
         dateActivation: tontine.dateActivation,
         nombreMembres: tontine.nombreMembres,
+        nombreParts: tontine.nombreParts,
+        gagnantsParCycle: tontine.gagnantsParCycle,
+        nombreEcheances: tontine.calendrierCotisations.length,
+        dateFin: tontine.dateFin,
         calendrierCotisations: tontine.calendrierCotisations.slice(0, 5),
+        modeTirage: tontine.modeTirage,
+        ordreRotation: tontine.modeTirage === 'tour_de_role'
+          ? tontine.getOrdreRotation().map((e) => ({ position: e.position, userId: e.userId }))
+          : undefined,
       },
     });
   } catch (error) {
@@ -533,6 +808,7 @@ const activateTontine = async (req, res) => {
     
     if (error.message.includes('n\'est pas en attente') || 
         error.message.includes('membres requis') ||
+        error.message.includes('gagnants par échéance') ||
         error.message.includes('tresorier')) {
       return ApiResponse.error(res, error.message, 400);
     }
@@ -569,7 +845,13 @@ const updateTontine = async (req, res) => {
         'nombreMembresMax',
         'tauxPenalite',
         'delaiGrace',
+        'delaiMobilisationGarant',
+        'scoreMinimum',
+        'prioriteFiabilite',
+        'visibilitePublique',
         'tresorierAssigneId',
+        'modeTirage',
+        'gagnantsParCycle',
       ];
 
       for (const field of allowedFields) {
@@ -610,7 +892,13 @@ const updateTontine = async (req, res) => {
         }
       }
     } else {
-      const allowedFieldsAfterActivation = ['description', 'tauxPenalite', 'delaiGrace'];
+      const allowedFieldsAfterActivation = [
+        'description',
+        'tauxPenalite',
+        'delaiGrace',
+        'delaiMobilisationGarant',
+        'scoreMinimum',
+      ];
 
       for (const field of allowedFieldsAfterActivation) {
         if (updates[field] !== undefined) {
@@ -631,7 +919,11 @@ const updateTontine = async (req, res) => {
         'frequence', 
         'dateDebut', 
         'dateFin',
-        'tresorierAssigneId'
+        'tresorierAssigneId',
+        'modeTirage',
+        'gagnantsParCycle',
+        'prioriteFiabilite',
+        'visibilitePublique'
       ];
       
       const attemptedForbidden = forbiddenFields.filter(
@@ -645,6 +937,25 @@ const updateTontine = async (req, res) => {
       }
     }
 
+    // Planification des tirages : modifiable avant comme après activation
+    if (updates.planificationTirage !== undefined) {
+      const ancienne = tontine.toObject().planificationTirage;
+
+      tontine.historiqueModifications.push({
+        modifiePar: admin._id,
+        champModifie: 'planificationTirage',
+        ancienneValeur: ancienne,
+        nouvelleValeur: updates.planificationTirage,
+      });
+
+      tontine.planificationTirage = { ...ancienne, ...updates.planificationTirage };
+
+      // Tontine déjà active : recaler les tirages qui n'ont pas encore été annoncés
+      if (tontine.planificationTirage.active && tontine.calendrierCotisations.length > 0) {
+        tontine.genererCalendrierTirages();
+      }
+    }
+
     tontine.lastModifiedBy = admin._id;
     await tontine.save();
 
@@ -660,6 +971,13 @@ const updateTontine = async (req, res) => {
         statut: tontine.statut,
         tauxPenalite: tontine.tauxPenalite,
         delaiGrace: tontine.delaiGrace,
+        delaiMobilisationGarant: tontine.delaiMobilisationGarant,
+        scoreMinimum: tontine.scoreMinimum,
+        prioriteFiabilite: tontine.prioriteFiabilite,
+        visibilitePublique: tontine.visibilitePublique,
+        modeTirage: tontine.modeTirage,
+        gagnantsParCycle: tontine.gagnantsParCycle,
+        planificationTirage: tontine.planificationTirage,
         tresorierAssigne: tontine.tresorierAssigne,
       },
     });
@@ -823,16 +1141,20 @@ const closeTontine = async (req, res) => {
       return ApiResponse.notFound(res, 'Tontine introuvable');
     }
 
-    const tirages = await Tirage.find({ tontineId });
-    if (tirages.length < tontine.membres.length) {
+    const gains = await Tirage.getGainsParMembre(tontineId);
+    const partsRestantes = tontine.membres.reduce(
+      (total, m) => total + tontine.getPartsRestantes(m.userId._id, gains),
+      0
+    );
+    if (partsRestantes > 0) {
       return ApiResponse.error(
         res,
-        `Impossible de cloturer : ${tontine.membres.length - tirages.length} membre(s) n'ont pas encore gagne`,
+        `Impossible de cloturer : ${partsRestantes} part(s) n'ont pas encore gagne`,
         400
       );
     }
 
-    tontine.cloturer();
+    tontine.cloturer(gains);
     tontine.lastModifiedBy = admin._id;
     await tontine.save();
 
@@ -873,7 +1195,7 @@ const closeTontine = async (req, res) => {
   } catch (error) {
     logger.error('Erreur closeTontine:', error);
     
-    if (error.message.includes('doivent avoir gagne')) {
+    if (error.message.includes('doivent avoir gagn')) {
       return ApiResponse.error(res, error.message, 400);
     }
     
@@ -1211,7 +1533,16 @@ const optInForTirage = async (req, res) => {
       return ApiResponse.forbidden(res, 'Vous n\'etes pas membre de cette tontine');
     }
 
-    if (membre.aGagne) {
+    if (membre.titulaireId) {
+      return ApiResponse.error(
+        res,
+        'Votre position est partagee : seul son titulaire confirme la participation',
+        400
+      );
+    }
+
+    const gains = await Tirage.getGainsParMembre(tontine._id);
+    if (tontine.aToutGagne(user._id, gains)) {
       return ApiResponse.error(res, 'Vous avez deja gagne le tirage de cette tontine', 400);
     }
 
@@ -1237,6 +1568,58 @@ const optInForTirage = async (req, res) => {
     return ApiResponse.serverError(res);
   }
 };
+/**
+ * Calendrier complet du tour de rôle : bénéficiaire, échéance et avancement de chaque position
+ * (la N-ième position d'un membre à plusieurs parts correspond à son N-ième gain)
+ * @param {Object} tontine - Tontine avec membres.userId peuplé
+ */
+const construireCalendrierRotation = async (tontine) => {
+  const tirages = await Tirage.find(Tirage.enVigueur({ tontineId: tontine._id }))
+    .select('beneficiaireId numeroTirage dateTirage statutPaiement')
+    .sort({ numeroTirage: 1 });
+
+  const gains = await Tirage.getGainsParMembre(tontine._id);
+  const prochain = tontine.getProchainBeneficiaireRotation(gains);
+  const occurrences = new Map();
+
+  return tontine.getOrdreRotation().map((entree) => {
+    const id = entree.userId.toString();
+    const rang = occurrences.get(id) || 0;
+    occurrences.set(id, rang + 1);
+
+    const membre = tontine.membres.find((m) => m.userId._id.toString() === id);
+    const tirage = tirages.filter((t) => t.beneficiaireId.equals(entree.userId))[rang];
+    const echeance = tontine.calendrierCotisations[
+      Math.ceil(entree.position / (tontine.gagnantsParCycle || 1)) - 1
+    ];
+
+    let statut = 'a_venir';
+    if (tirage) statut = 'servi';
+    else if (prochain && prochain.position === entree.position) statut = 'prochain';
+
+    return {
+      position: entree.position,
+      beneficiaire: {
+        id: entree.userId,
+        nom: membre?.userId.nomComplet || 'N/A',
+        coTitulaires: tontine.getCoTitulaires(entree.userId).map((c) => ({
+          id: c.userId._id,
+          nom: c.userId.nomComplet,
+          quotePart: c.quotePart,
+        })),
+      },
+      dateEcheance: echeance ? echeance.dateEcheance : null,
+      statut,
+      tirage: tirage ? {
+        id: tirage._id,
+        numeroTirage: tirage.numeroTirage,
+        dateTirage: tirage.dateTirage,
+        statutPaiement: tirage.statutPaiement,
+      } : null,
+    };
+  });
+};
+
 /**
  * @desc    Details d'une tontine pour un membre
  * @route   GET /digitontine/tontines/:tontineId/details
@@ -1248,6 +1631,7 @@ const getTontineDetailsForMember = async (req, res) => {
     const userId = req.user._id;
 
     const tontine = await Tontine.findById(tontineId)
+      .select('+enchereEnCours.offres')
       .populate('membres.userId', 'prenom nom email numeroTelephone')
       .populate('tresorierAssigne', 'prenom nom email numeroTelephone');
 
@@ -1269,6 +1653,40 @@ const getTontineDetailsForMember = async (req, res) => {
       .sort({ dateEffective: -1 })
       .limit(10);
 
+    const calendrierRotation = tontine.modeTirage === 'tour_de_role'
+      ? await construireCalendrierRotation(tontine)
+      : null;
+
+    const demandesEchange = tontine.demandesEchange
+      .filter((d) =>
+        d.statut === 'en_attente' &&
+        (d.demandeurId.equals(userId) || d.destinataireId.equals(userId))
+      )
+      .map((d) => ({
+        id: d._id,
+        demandeurId: d.demandeurId,
+        destinataireId: d.destinataireId,
+        positionDemandeur: d.positionDemandeur,
+        positionDestinataire: d.positionDestinataire,
+        notificationId: d.notificationId,
+        dateDemande: d.dateDemande,
+      }));
+
+    // Enchère : offres scellées, seule la sienne est visible
+    const enchere = tontine.modeTirage === 'enchere' && tontine.enchereEnCours?.dateOuverture
+      ? {
+        dateOuverture: tontine.enchereEnCours.dateOuverture,
+        dateCloture: tontine.enchereEnCours.dateCloture,
+        monOffre: tontine.enchereEnCours.offres
+          .filter((o) => o.userId.equals(userId))
+          .map((o) => ({ montantRemise: o.montantRemise, dateOffre: o.dateOffre }))[0] || null,
+      }
+      : null;
+    const monMembre = tontine.membres.find((m) => m.userId._id.equals(userId));
+    const maPosition = monMembre
+      ? tontine.getPositions().find((p) => p.titulaireId.equals(tontine.getTitulaire(userId)))
+      : null;
+
     return ApiResponse.success(res, {
       tontine: {
         id: tontine._id,
@@ -1288,13 +1706,41 @@ const getTontineDetailsForMember = async (req, res) => {
           userId: m.userId._id,
           nom: m.userId.nomComplet,
           email: m.userId.email,
+          nombreParts: m.titulaireId ? 0 : m.nombreParts,
+          titulaireId: m.titulaireId,
+          quotePart: m.quotePart,
           aGagne: m.aGagne,
         })),
         tiragesRecents: tirages.map((t) => ({
           beneficiaire: t.beneficiaire?.nomComplet || 'N/A',
+          numeroEcheance: t.numeroEcheance,
           montant: t.montant,
           dateEffective: t.dateEffective,
         })),
+        modeTirage: tontine.modeTirage,
+        gagnantsParCycle: tontine.gagnantsParCycle,
+        nombreParts: tontine.nombreParts,
+        mesParts: tontine.getNombreParts(userId),
+        maPosition: maPosition ? {
+          titulaireId: maPosition.titulaireId,
+          nombreParts: maPosition.nombreParts,
+          quotePart: monMembre.quotePart,
+          cotisationParEcheance: tontine.getCotisationMembre(userId),
+          titulaires: maPosition.titulaires,
+        } : null,
+        planificationTirage: tontine.planificationTirage,
+        calendrierTirages: tontine.calendrierTirages.map((t) => ({
+          numeroEcheance: t.numeroEcheance,
+          datePrevue: t.datePrevue,
+          statut: t.statut,
+          raison: t.raison,
+          tirageId: t.tirageId,
+        })),
+        calendrierRotation,
+        ordreRotationTireAuSort: tontine.ordreRotationTireAuSort,
+        mesDemandesEchange: demandesEchange,
+        enchereEnCours: enchere,
+        monCreditCotisation: monMembre?.creditCotisation || 0,
       },
     });
   } catch (error) {
@@ -1398,6 +1844,10 @@ module.exports = {
   createTontine,
   addMembers,
   removeMember,
+  definirPartsMembre,
+  definirCoTitulaires,
+  getSoldeSortie,
+  sortieMembre,
   activateTontine,
   inviterMembres,
   updateTontine,
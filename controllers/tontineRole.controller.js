@@ -0,0 +1,75 @@
+// controllers/tontineRole.controller.js
+const ApiResponse = require('../utils/apiResponse');
+const logger = require('../utils/logger');
+const tontineRoleService = require('../services/tontineRole.service');
+
+/**
+ * @desc    Rôles des participants d'une tontine, et mes capacités sur cette tontine
+ * @route   GET /digitontine/tontines/:tontineId/roles
+ * @access  view_tontine sur la tontine (participants)
+ */
+const getRolesTontine = async (req, res) => {
+  try {
+    const participants = await tontineRoleService.listerRoles(req.params.tontineId);
+
+    return ApiResponse.success(res, {
+      participants,
+      mesRoles: req.tontineAcces.roles,
+      mesCapacites: req.tontineAcces.capacites,
+    });
+  } catch (error) {
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    logger.error('Erreur getRolesTontine:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Attribuer un rôle (co-trésorier ou auditeur) sur une tontine
+ * @route   PUT /digitontine/tontines/:tontineId/roles/:userId
+ * @access  manage_roles sur la tontine (Proprietaire)
+ */
+const attribuerRoleTontine = async (req, res) => {
+  try {
+    const { tontineId, userId } = req.params;
+
+    const resultat = await tontineRoleService.attribuerRole(tontineId, userId, req.body.role, req.user);
+
+    return ApiResponse.success(res, resultat, 'Rôle attribué');
+  } catch (error) {
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    logger.error('Erreur attribuerRoleTontine:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Retirer le rôle attribué à un utilisateur sur une tontine
+ * @route   DELETE /digitontine/tontines/:tontineId/roles/:userId
+ * @access  manage_roles sur la tontine (Proprietaire)
+ */
+const retirerRoleTontine = async (req, res) => {
+  try {
+    const { tontineId, userId } = req.params;
+
+    const resultat = await tontineRoleService.retirerRole(tontineId, userId, req.user);
+
+    return ApiResponse.success(res, resultat, 'Rôle retiré');
+  } catch (error) {
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    logger.error('Erreur retirerRoleTontine:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+module.exports = {
+  getRolesTontine,
+  attribuerRoleTontine,
+  retirerRoleTontine,
+};
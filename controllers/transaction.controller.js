@@ -2,13 +2,42 @@
 const Transaction = require('../models/Transaction');
 const Tontine = require('../models/Tontine');
 const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const ValidationRequest = require('../models/ValidationRequest');
+const WebhookEvent = require('../models/WebhookEvent');
 const ApiResponse = require('../utils/apiResponse');
 const logger = require('../utils/logger');
 const { getPaginationParams, generateTransactionId } = require('../utils/helpers');
-const { TRANSACTION_STATUS, TRANSACTION_TYPES, ROLES, TONTINE_STATUS } = require('../config/constants');
+const {
+  TRANSACTION_STATUS,
+  TRANSACTION_TYPES,
+  TONTINE_STATUS,
+  CAPABILITIES,
+} = require('../config/constants');
 const paymentService = require('../services/payment.service');
-const penaltyService = require('../services/penalty.service');
+const contributionService = require('../services/contribution.service');
+const ledgerService = require('../services/ledger.service');
+const refundService = require('../services/refund.service');
 const emailService = require('../services/email.service');
+const garantieService = require('../services/garantie.service');
+const tontineRoleService = require('../services/tontineRole.service');
+
+/**
+ * Versement de l'utilisateur lui-même (cotisant ou garant payeur) : il ne peut ni le
+ * valider ni le rejeter, même avec la capacité validate_transaction sur la tontine
+ */
+const estSonPropreVersement = (transaction, user) =>
+  [transaction.userId, transaction.payePar].some(
+    (id) => id && (id._id || id).toString() === user._id.toString()
+  );
+
+/**
+ * L'utilisateur peut-il consulter les comptes de la tontine (capacité view_accounting) ?
+ */
+const peutConsulterComptes = async (tontineId, user) => {
+  const tontine = await tontineRoleService.chargerPourPermissions(tontineId._id || tontineId);
+  return Boolean(tontine) && tontineRoleService.aCapacite(tontine, user, CAPABILITIES.VIEW_ACCOUNTING);
+};
 
 /**
  * @desc    Effectuer une cotisation (Membre)
@@ -16,10 +45,11 @@ const emailService = require('../services/email.service');
  * @access  Private (Membre)
  * 
  * US 4.1 : Effectuer une cotisation
+ * Un garant règle avec pourMembreId la dette qui lui a été transférée
  */
 const createTransaction = async (req, res) => {
   try {
-    const { tontineId, montant, moyenPaiement, echeanceNumero } = req.body;
+    const { tontineId, montant, moyenPaiement, echeanceNumero, pourMembreId } = req.body;
     const user = req.user;
 
     // Vérifier que la tontine existe et est active
@@ -32,51 +62,59 @@ const createTransaction = async (req, res) => {
       return ApiResponse.error(res, 'La tontine n\'est pas active', 400);
     }
 
-    // Vérifier que l'utilisateur est membre de cette tontine
-    const isMembre = tontine.membres.some((m) => m.userId.toString() === user._id.toString());
-    if (!isMembre) {
-      return ApiResponse.forbidden(res, 'Vous ne faites pas partie de cette tontine');
+    // Cotisation du membre débiteur : l'utilisateur lui-même, ou le membre cautionné
+    // pour un garant (dans la limite de la dette transférée)
+    const debiteurId = pourMembreId || user._id;
+    if (pourMembreId) {
+      await garantieService.verifierPaiementGarant(tontine, pourMembreId, user._id, montant);
+    } else {
+      const isMembre = tontine.membres.some((m) => m.userId.toString() === user._id.toString());
+      if (!isMembre) {
+        return ApiResponse.forbidden(res, 'Vous ne faites pas partie de cette tontine');
+      }
     }
 
-    // Générer référence unique
-    const referenceTransaction = generateTransactionId();
+    // Le versement peut être partiel ou couvrir plusieurs échéances d'avance :
+    // il est imputé sur l'échéancier à la validation (voir contribution.service)
+    const ledger = await contributionService.getMemberLedger(tontine, debiteurId);
 
-    // Calculer pénalités si applicable
-    let montantCotisation = montant;
-    let montantPenalite = 0;
-    let joursRetard = 0;
-    let dateEcheance = null;
+    // Les versements en attente de validation viendront aussi en déduction du calendrier
+    const montantEnAttente = await contributionService.getMontantEnAttente(tontine, debiteurId);
+    const resteAPayer = Math.max(0, ledger.resteCalendrier - montantEnAttente);
 
-    if (echeanceNumero) {
-      const echeance = tontine.calendrierCotisations.find(
-        (e) => e.numeroEcheance === echeanceNumero
+    if (montant > resteAPayer) {
+      return ApiResponse.error(
+        res,
+        `Montant supérieur au reste à payer sur le calendrier (${resteAPayer} FCFA` +
+          (montantEnAttente > 0 ? `, une fois déduits ${montantEnAttente} FCFA en attente de validation)` : ')'),
+        400
       );
+    }
 
-      if (echeance) {
-        dateEcheance = echeance.dateEcheance;
-        montantCotisation = echeance.montant;
-
-        // Calculer pénalité si en retard
-        const penaltyData = await penaltyService.calculatePenalty({
-          userId: user._id,
-          tontineId,
-          dateEcheance: echeance.dateEcheance,
-          montantCotisation: echeance.montant,
-        });
+    // Échéance visée : celle demandée, sinon la première non soldée
+    const echeanceVisee = echeanceNumero
+      ? ledger.echeances.find((e) => e.numeroEcheance === echeanceNumero)
+      : contributionService.prochaineEcheance(ledger);
 
-        if (penaltyData.hasPenalty) {
-          montantPenalite = penaltyData.montantPenalite;
-          joursRetard = penaltyData.joursRetardFacturables;
-        }
-      }
+    if (echeanceNumero && !echeanceVisee) {
+      return ApiResponse.error(res, 'Échéance introuvable dans le calendrier', 400);
     }
 
+    // Générer référence unique
+    const referenceTransaction = generateTransactionId();
+
+    const montantCotisation = montant;
+    const montantPenalite = 0;
+    const joursRetard = echeanceVisee ? echeanceVisee.joursRetard : 0;
+    const dateEcheance = echeanceVisee ? echeanceVisee.dateEcheance : null;
+
     const montantTotal = montantCotisation + montantPenalite;
 
     // Créer la transaction
     const transaction = await Transaction.create({
       referenceTransaction,
-      userId: user._id,
+      userId: debiteurId,
+      payePar: pourMembreId ? user._id : undefined,
       tontineId,
       type: TRANSACTION_TYPES.COTISATION,
       montant: montantTotal,
@@ -84,7 +122,7 @@ const createTransaction = async (req, res) => {
       montantPenalite,
       moyenPaiement,
       statut: TRANSACTION_STATUS.EN_ATTENTE,
-      echeanceNumero,
+      echeanceNumero: echeanceVisee ? echeanceVisee.numeroEcheance : undefined,
       dateEcheance,
       joursRetard,
       metadata: {
@@ -97,10 +135,11 @@ const createTransaction = async (req, res) => {
       `Transaction créée - ${referenceTransaction} - ${user.email} - ${montantTotal} FCFA`
     );
 
-    // Initier le paiement selon le moyen choisi
+    // Initier le paiement auprès du provider (sauf paiements manuels)
     let paymentResult = null;
+    const provider = paymentService.getProvider(moyenPaiement);
 
-    if (moyenPaiement !== 'Cash') {
+    if (!provider.requiresManualValidation) {
       paymentResult = await paymentService.initiatePayment(moyenPaiement, {
         amount: montantTotal,
         reference: referenceTransaction,
@@ -122,6 +161,8 @@ const createTransaction = async (req, res) => {
       await transaction.save();
     }
 
+    await ledgerService.safePost(ledgerService.recordPaymentDeclared, transaction, user);
+
     // Envoyer email de confirmation
     try {
       await emailService.sendPaymentReceipt(user, transaction, tontine);
@@ -154,6 +195,9 @@ const createTransaction = async (req, res) => {
       201
     );
   } catch (error) {
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
     logger.error('Erreur createTransaction:', error);
     return ApiResponse.serverError(res);
   }
@@ -180,6 +224,10 @@ const validateTransaction = async (req, res) => {
       return ApiResponse.notFound(res, 'Transaction introuvable');
     }
 
+    if (estSonPropreVersement(transaction, tresorier)) {
+      return ApiResponse.forbidden(res, 'Vous ne pouvez pas valider votre propre versement');
+    }
+
     if (transaction.statut !== TRANSACTION_STATUS.EN_ATTENTE) {
       return ApiResponse.error(
         res,
@@ -195,6 +243,8 @@ const validateTransaction = async (req, res) => {
     if (notes) transaction.notes = notes;
     await transaction.save();
 
+    await ledgerService.safePost(ledgerService.recordPaymentValidated, transaction, tresorier);
+
     // Mettre à jour stats tontine
     const tontine = await Tontine.findById(transaction.tontineId);
     if (tontine) {
@@ -252,6 +302,10 @@ const rejectTransaction = async (req, res) => {
       return ApiResponse.notFound(res, 'Transaction introuvable');
     }
 
+    if (estSonPropreVersement(transaction, tresorier)) {
+      return ApiResponse.forbidden(res, 'Vous ne pouvez pas rejeter votre propre versement');
+    }
+
     if (transaction.statut !== TRANSACTION_STATUS.EN_ATTENTE) {
       return ApiResponse.error(res, 'Transaction déjà traitée', 400);
     }
@@ -263,6 +317,8 @@ const rejectTransaction = async (req, res) => {
     transaction.motifRejet = motifRejet;
     await transaction.save();
 
+    await ledgerService.safePost(ledgerService.recordPaymentRejected, transaction, tresorier);
+
     logger.info(
       `Transaction rejetée - ${transaction.referenceTransaction} - Motif: ${motifRejet}`
     );
@@ -295,9 +351,10 @@ const rejectTransaction = async (req, res) => {
 /**
  * @desc    Liste des transactions (avec filtres)
  * @route   GET /digitontine/transactions
- * @access  Trésorier/Admin
+ * @access  view_accounting sur au moins une tontine, Admin
  * 
  * US 4.4 : Suivi des transactions
+ * Limitée aux tontines dont l'utilisateur peut consulter les comptes (req.tontinesAcces)
  */
 const listTransactions = async (req, res) => {
   try {
@@ -314,10 +371,16 @@ const listTransactions = async (req, res) => {
       maxMontant,
     } = req.query;
 
+    const { tontineIds } = req.tontinesAcces;
+    if (tontineId && tontineIds && !tontineIds.some((id) => id.toString() === tontineId)) {
+      return ApiResponse.forbidden(res, 'Accès refusé');
+    }
+
     // Construire la requête
     const query = {};
 
     if (tontineId) query.tontineId = tontineId;
+    else if (tontineIds) query.tontineId = { $in: tontineIds };
     if (userId) query.userId = userId;
     if (statut) query.statut = statut;
     if (type) query.type = type;
@@ -408,11 +471,10 @@ const getTransactionDetails = async (req, res) => {
       return ApiResponse.notFound(res, 'Transaction introuvable');
     }
 
-    // Vérifier permissions (Admin, Trésorier ou soi-même)
+    // Vérifier permissions (soi-même ou view_accounting sur la tontine)
     if (
-      currentUser.role !== ROLES.ADMIN &&
-      currentUser.role !== ROLES.TRESORIER &&
-      transaction.userId._id.toString() !== currentUser._id.toString()
+      !estSonPropreVersement(transaction, currentUser) &&
+      !(await peutConsulterComptes(transaction.tontineId, currentUser))
     ) {
       return ApiResponse.forbidden(res, 'Accès refusé');
     }
@@ -468,7 +530,9 @@ const getMyTransactions = async (req, res) => {
     const { tontineId, statut } = req.query;
     const user = req.user;
 
-    const query = { userId: user._id };
+    // Y compris les cotisations réglées en tant que garant pour le compte d'un membre
+    const mesPaiements = { $or: [{ userId: user._id }, { payePar: user._id }] };
+    const query = { ...mesPaiements };
     if (tontineId) query.tontineId = tontineId;
     if (statut) query.statut = statut;
 
@@ -483,7 +547,7 @@ const getMyTransactions = async (req, res) => {
 
     // Stats globales
     const stats = await Transaction.aggregate([
-      { $match: { userId: user._id } },
+      { $match: mesPaiements },
       {
         $group: {
           _id: '$statut',
@@ -504,6 +568,7 @@ const getMyTransactions = async (req, res) => {
         moyenPaiement: t.moyenPaiement,
         statut: t.statut,
         dateTransaction: t.dateTransaction,
+        payePar: t.payePar,
       })),
       { page, limit, total },
       { stats }
@@ -515,50 +580,456 @@ const getMyTransactions = async (req, res) => {
 };
 
 /**
- * @desc    Webhook Wave (callback paiement)
- * @route   POST /digitontine/transactions/webhook/wave
- * @access  Public (avec validation)
+ * @desc    Échéancier d'un membre (versements imputés, reste à payer, avance)
+ * @route   GET /digitontine/transactions/tontine/:tontineId/echeancier
+ * @access  Private (Membre pour lui-même, view_accounting sur la tontine avec ?userId=)
  */
-const handleWaveWebhook = async (req, res) => {
+const getEcheancier = async (req, res) => {
   try {
-    logger.info('Webhook Wave reçu:', req.body);
+    const { tontineId } = req.params;
+    const currentUser = req.user;
+    const userId = req.query.userId || currentUser._id.toString();
+
+    const tontine = await Tontine.findById(tontineId);
+    if (!tontine) {
+      return ApiResponse.notFound(res, 'Tontine introuvable');
+    }
+
+    if (
+      userId !== currentUser._id.toString() &&
+      !tontineRoleService.aCapacite(tontine, currentUser, CAPABILITIES.VIEW_ACCOUNTING)
+    ) {
+      return ApiResponse.forbidden(res, 'Accès refusé');
+    }
+
+    const isMembre = tontine.membres.some((m) => m.userId.toString() === userId);
+    if (!isMembre) {
+      return ApiResponse.error(res, 'Cet utilisateur ne fait pas partie de la tontine', 400);
+    }
 
-    const webhookData = await paymentService.processWaveWebhook(req.body);
+    const ledger = await contributionService.getMemberLedger(tontine, userId);
+
+    return ApiResponse.success(res, {
+      tontine: {
+        id: tontine._id,
+        nom: tontine.nom,
+      },
+      userId,
+      ...ledger,
+    });
+  } catch (error) {
+    logger.error('Erreur getEcheancier:', error);
+    return ApiResponse.serverError(res);
+  }
+};
 
-    if (!webhookData.success) {
+/**
+ * Enregistrer le résultat d'un provider de paiement sur la transaction
+ * Commun aux webhooks des providers et au polling de statut : un paiement échoué ou
+ * expiré rejette la transaction en attente, sauf si le provider en a déjà confirmé l'encaissement
+ * @returns {Boolean} - True si la transaction a été rejetée
+ */
+const applyProviderPaymentResult = async (transaction, paymentResult, rawData) => {
+  transaction.webhookReceived = true;
+  transaction.webhookData = rawData;
+
+  const echec =
+    (paymentResult.isFailed || paymentResult.isCancelled) &&
+    transaction.statut === TRANSACTION_STATUS.EN_ATTENTE &&
+    !transaction.paiementConfirme;
+
+  if (paymentResult.isPaid) {
+    transaction.statut = TRANSACTION_STATUS.EN_ATTENTE; // Attend validation trésorier
+    transaction.paiementConfirme = true;
+  } else if (echec) {
+    transaction.statut = TRANSACTION_STATUS.REJETEE;
+    transaction.dateRejet = Date.now();
+    transaction.motifRejet = `Paiement ${transaction.moyenPaiement} non abouti (${paymentResult.status})`;
+  }
+
+  await transaction.save();
+
+  if (echec) {
+    await ledgerService.safePost(ledgerService.recordPaymentRejected, transaction);
+  }
+
+  // Mettre à jour stats tontine
+  const tontine = await Tontine.findById(transaction.tontineId);
+  if (tontine) {
+    await tontine.updateStats();
+    await tontine.save();
+  }
+
+  return echec;
+};
+
+/**
+ * Tracer un webhook rejeté (signature invalide, doublon, rejeu)
+ * Un doublon est acquitté auprès du provider (statusCode 200) mais reste tracé
+ */
+const logRejectedWebhook = async (req, provider, reason, transaction = null, statusCode = 401) => {
+  try {
+    await AuditLog.create({
+      userEmail: 'Système',
+      userRole: 'Système',
+      action: 'PAYMENT_FAILED',
+      resource: 'Transaction',
+      resourceId: transaction ? transaction._id : null,
+      details: {
+        method: req.method,
+        url: req.originalUrl,
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+        body: req.body,
+      },
+      statusCode,
+      success: false,
+      errorMessage: `Webhook ${provider.name} rejeté: ${reason}`,
+      severity: 'warning',
+      tags: ['webhook', provider.code],
+    });
+  } catch (error) {
+    logger.error('Erreur audit webhook rejeté:', error);
+  }
+};
+
+/**
+ * @desc    Webhook d'un provider de paiement (Wave, Orange Money...)
+ * @route   POST /digitontine/transactions/webhook/:provider
+ * @access  Public (validation par le provider)
+ */
+const handlePaymentWebhook = async (req, res) => {
+  try {
+    const provider = paymentService.getProviderByCode(req.params.provider);
+
+    if (!provider) {
+      return res.status(404).json({ error: 'Provider inconnu' });
+    }
+
+    logger.info(`Webhook ${provider.name} reçu:`, req.body);
+
+    const verification = provider.verifyWebhook(req);
+
+    if (!verification.valid) {
+      logger.warn(`Webhook ${provider.name} rejeté - ${verification.error}`);
+      await logRejectedWebhook(req, provider, verification.error);
+      return res.status(401).json({ error: 'Webhook non authentifié' });
+    }
+
+    const webhookData = await provider.parseWebhook(req.body);
+
+    if (!webhookData.success || !webhookData.eventId) {
       return res.status(400).json({ error: 'Webhook invalide' });
     }
 
-    // Trouver la transaction
-    const transaction = await Transaction.findOne({
-      referenceTransaction: webhookData.reference,
-    }).populate('userId', 'prenom nom email');
+    const transaction = await Transaction.findOne(webhookData.transactionQuery).populate(
+      'userId',
+      'prenom nom email'
+    );
 
     if (!transaction) {
-      logger.warn(`Transaction introuvable pour webhook - Ref: ${webhookData.reference}`);
+      logger.warn(`Transaction introuvable pour webhook ${provider.name}`);
       return res.status(404).json({ error: 'Transaction introuvable' });
     }
 
-    // Mettre à jour selon le statut
-    if (webhookData.isPaid) {
-      transaction.statut = TRANSACTION_STATUS.EN_ATTENTE; // Attend validation trésorier
-      transaction.webhookReceived = true;
-      transaction.webhookData = req.body;
-      await transaction.save();
+    // Chaque événement n'est traité qu'une seule fois
+    const event = {
+      provider: provider.code,
+      eventId: webhookData.eventId,
+      transactionId: transaction._id,
+      status: webhookData.status,
+    };
+
+    const isNewEvent = await WebhookEvent.claim(event);
+
+    // Doublon acquitté (200) pour que le provider cesse ses renvois, sans nouveau traitement
+    if (!isNewEvent) {
+      logger.warn(
+        `Webhook ${provider.name} ignoré - événement déjà traité: ${webhookData.eventId}`
+      );
+      await logRejectedWebhook(
+        req,
+        provider,
+        `événement déjà traité (${webhookData.eventId})`,
+        transaction,
+        200
+      );
+      return res.status(200).json({ success: true, duplicate: true });
+    }
 
-      logger.info(`Paiement Wave confirmé - ${transaction.referenceTransaction}`);
+    if (webhookData.isPaid || webhookData.isFailed) {
+      let rejetee;
+      try {
+        rejetee = await applyProviderPaymentResult(transaction, webhookData, {
+          ...transaction.webhookData,
+          notification: req.body,
+        });
+      } catch (error) {
+        // Libérer l'événement pour que le provider puisse le renvoyer
+        await WebhookEvent.deleteOne({ provider: event.provider, eventId: event.eventId });
+        throw error;
+      }
 
-      // Notifier trésorier
-      // TODO: Implémenter notification
+      if (webhookData.isPaid) {
+        logger.info(`Paiement ${provider.name} confirmé - ${transaction.referenceTransaction}`);
+      } else {
+        logger.warn(
+          `Paiement ${provider.name} échoué - ${transaction.referenceTransaction} - Statut: ${webhookData.status}` +
+            (rejetee ? ' - transaction rejetée' : '')
+        );
+      }
     }
 
     return res.status(200).json({ success: true });
   } catch (error) {
-    logger.error('Erreur webhook Wave:', error);
+    logger.error('Erreur webhook paiement:', error);
     return res.status(500).json({ error: 'Erreur serveur' });
   }
 };
 
+/**
+ * @desc    Vérifier le statut du paiement auprès du provider (polling)
+ * @route   GET /digitontine/transactions/:transactionId/payment-status
+ * @access  Private (Membre propriétaire, view_accounting sur la tontine)
+ */
+const checkTransactionPaymentStatus = async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+    const currentUser = req.user;
+
+    const transaction = await Transaction.findById(transactionId);
+
+    if (!transaction) {
+      return ApiResponse.notFound(res, 'Transaction introuvable');
+    }
+
+    if (
+      !estSonPropreVersement(transaction, currentUser) &&
+      !(await peutConsulterComptes(transaction.tontineId, currentUser))
+    ) {
+      return ApiResponse.forbidden(res, 'Accès refusé');
+    }
+
+    const provider = paymentService.getProvider(transaction.moyenPaiement);
+    if (!provider || provider.requiresManualValidation) {
+      return ApiResponse.error(res, `Paiement ${transaction.moyenPaiement} - validation manuelle requise`, 400);
+    }
+
+    if (!transaction.referencePaiement) {
+      return ApiResponse.error(res, 'Aucun paiement provider associé à cette transaction', 400);
+    }
+
+    const status = await paymentService.checkPaymentStatus(
+      transaction.moyenPaiement,
+      transaction.referencePaiement,
+      {
+        reference: transaction.referenceTransaction,
+        amount: transaction.montant,
+      }
+    );
+
+    if (!status.success) {
+      return ApiResponse.error(res, status.error, 502);
+    }
+
+    if (status.isPaid && !transaction.webhookReceived) {
+      await applyProviderPaymentResult(transaction, status, {
+        ...transaction.webhookData,
+        statusCheck: status,
+      });
+
+      logger.info(
+        `Paiement ${transaction.moyenPaiement} confirmé par polling - ${transaction.referenceTransaction}`
+      );
+    } else if ((status.isFailed || status.isCancelled) && transaction.statut === TRANSACTION_STATUS.EN_ATTENTE) {
+      const rejetee = await applyProviderPaymentResult(transaction, status, {
+        ...transaction.webhookData,
+        statusCheck: status,
+      });
+
+      if (rejetee) {
+        logger.warn(
+          `Paiement ${transaction.moyenPaiement} non abouti par polling - ${transaction.referenceTransaction} - transaction rejetée`
+        );
+      }
+    }
+
+    return ApiResponse.success(res, {
+      transaction: {
+        id: transaction._id,
+        reference: transaction.referenceTransaction,
+        statut: transaction.statut,
+        webhookReceived: transaction.webhookReceived,
+      },
+      payment: {
+        status: status.status,
+        isPaid: status.isPaid,
+        isFailed: status.isFailed,
+        isPending: status.isPending,
+      },
+    });
+  } catch (error) {
+    logger.error('Erreur checkTransactionPaymentStatus:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * Format de réponse d'un remboursement
+ */
+const formatRefund = (transaction, remboursement) => ({
+  transaction: {
+    id: transaction._id,
+    reference: transaction.referenceTransaction,
+    montant: transaction.montant,
+    montantRembourse: transaction.montantRembourse,
+    montantRemboursable: transaction.montantRemboursable,
+    statutRemboursement: transaction.statutRemboursement,
+  },
+  remboursement: {
+    id: remboursement._id,
+    montant: remboursement.montant,
+    statut: remboursement.statut,
+    referenceRemboursement: remboursement.referenceRemboursement,
+    erreur: remboursement.erreur,
+  },
+});
+
+/**
+ * @desc    Rembourser un paiement (rejeté après encaissement, doublon...)
+ * @route   POST /digitontine/transactions/:transactionId/refund
+ * @access  Admin (avec ValidationRequest REFUND_TRANSACTION acceptée)
+ */
+const refundTransaction = async (req, res) => {
+  try {
+    const { transactionId } = req.params;
+    const { motif, montant, validationRequestId } = req.body;
+    const admin = req.user;
+
+    const transaction = await Transaction.findById(transactionId);
+    if (!transaction) {
+      return ApiResponse.notFound(res, 'Transaction introuvable');
+    }
+
+    if (transaction.statut === TRANSACTION_STATUS.EN_ATTENTE) {
+      return ApiResponse.error(
+        res,
+        'La transaction doit être validée ou rejetée avant un remboursement',
+        400
+      );
+    }
+
+    if (!validationRequestId) {
+      return ApiResponse.error(
+        res,
+        'Cette action nécessite une validation. Créez une demande REFUND_TRANSACTION via /api/v1/validation/request',
+        400
+      );
+    }
+
+    const validationRequest = await ValidationRequest.findById(validationRequestId);
+    if (!validationRequest || validationRequest.status !== 'accepted') {
+      return ApiResponse.error(res, 'Validation incomplète ou invalide', 403);
+    }
+
+    if (
+      validationRequest.actionType !== 'REFUND_TRANSACTION' ||
+      validationRequest.resourceId.toString() !== transactionId
+    ) {
+      return ApiResponse.error(res, 'La validation ne correspond pas à cette action', 403);
+    }
+
+    // Une validation n'autorise qu'un remboursement (sauf échec provider)
+    const dejaUtilisee = transaction.remboursements.some(
+      (r) =>
+        r.validationRequestId &&
+        r.validationRequestId.toString() === validationRequestId &&
+        r.statut !== 'echec'
+    );
+    if (dejaUtilisee) {
+      return ApiResponse.error(res, 'Cette validation a déjà été utilisée', 409);
+    }
+
+    // Le montant exécuté est celui approuvé par le Trésorier
+    const montantApprouve =
+      validationRequest.metadata.additionalInfo && validationRequest.metadata.additionalInfo.montant;
+    if (montant && montantApprouve && montant !== montantApprouve) {
+      return ApiResponse.error(
+        res,
+        `Le montant ne correspond pas au montant approuvé (${montantApprouve} FCFA)`,
+        403
+      );
+    }
+
+    const montantARembourser = montantApprouve || montant || transaction.montantRemboursable;
+
+    if (montantARembourser <= 0 || montantARembourser > transaction.montantRemboursable) {
+      return ApiResponse.error(
+        res,
+        `Montant invalide : ${transaction.montantRemboursable} FCFA remboursable(s)`,
+        400
+      );
+    }
+
+    const remboursement = await refundService.refundTransaction(transaction, {
+      montant: montantARembourser,
+      motif,
+      validationRequest,
+      user: admin,
+    });
+
+    if (remboursement.statut === 'echec') {
+      return ApiResponse.error(res, `Remboursement échoué : ${remboursement.erreur}`, 502);
+    }
+
+    return ApiResponse.success(
+      res,
+      formatRefund(transaction, remboursement),
+      remboursement.statut === 'effectue'
+        ? 'Remboursement effectué'
+        : 'Remboursement à effectuer manuellement puis à confirmer par le Trésorier'
+    );
+  } catch (error) {
+    logger.error('Erreur refundTransaction:', error);
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Confirmer un remboursement effectué manuellement
+ * @route   POST /digitontine/transactions/:transactionId/refund/:refundId/confirm
+ * @access  Trésorier, Admin
+ */
+const confirmRefund = async (req, res) => {
+  try {
+    const { transactionId, refundId } = req.params;
+    const { referenceRemboursement } = req.body;
+
+    const transaction = await Transaction.findById(transactionId);
+    if (!transaction) {
+      return ApiResponse.notFound(res, 'Transaction introuvable');
+    }
+
+    let remboursement;
+    try {
+      remboursement = await refundService.confirmManualRefund(transaction, refundId, {
+        referenceRemboursement,
+        user: req.user,
+      });
+    } catch (refundError) {
+      return ApiResponse.error(res, refundError.message, 400);
+    }
+
+    return ApiResponse.success(res, formatRefund(transaction, remboursement), 'Remboursement confirmé');
+  } catch (error) {
+    logger.error('Erreur confirmRefund:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
 module.exports = {
   createTransaction,
   validateTransaction,
@@ -566,5 +1037,9 @@ module.exports = {
   listTransactions,
   getTransactionDetails,
   getMyTransactions,
-  handleWaveWebhook,
+  getEcheancier,
+  handlePaymentWebhook,
+  checkTransactionPaymentStatus,
+  refundTransaction,
+  confirmRefund,
 };
\ No newline at end of file
@@ -11,8 +11,21 @@ const {
 } = require('../utils/helpers');
 const { ROLES } = require('../config/constants');
 const emailService = require('../services/email.service');
+const kycService = require('../services/kyc.service');
+const loginSecurityService = require('../services/loginSecurity.service');
 const { deleteImage, getPublicIdFromUrl } = require('../services/cloudinary.service');
 
+/**
+ * Vue d'un dossier KYC
+ */
+const formaterDossierKyc = (user) => ({
+  id: user._id,
+  statut: user.kyc.statut,
+  motif: user.kyc.motif,
+  dateSoumission: user.kyc.dateSoumission,
+  dateDecision: user.kyc.dateDecision,
+});
+
 /**
  * @desc    Créer un compte Membre (par Admin) AVEC PHOTO
  * @route   POST /api/v1/users/membre
@@ -473,7 +486,7 @@ const listUsers = async (req, res) => {
 
     const [users, total] = await Promise.all([
       User.find(query)
-        .select('-motDePasse -resetPasswordToken -fcmTokens -loginHistory')
+        .select('-motDePasse -resetPasswordToken -fcmTokens -loginHistory -sessions')
         .sort({ createdAt: -1 })
         .limit(limit)
         .skip(skip),
@@ -546,11 +559,13 @@ const getUserDetails = async (req, res) => {
         isFirstLogin: user.isFirstLogin,
         lastPasswordChange: user.lastPasswordChange,
         preferences: user.preferences,
+        fiabilite: user.fiabilite?.dateCalcul ? user.fiabilite : null,
         createdAt: user.createdAt,
         updatedAt: user.updatedAt,
         createdBy: user.createdBy,
         lastModifiedBy: user.lastModifiedBy,
         loginHistory: currentUser.role === ROLES.ADMIN ? user.loginHistory.slice(-10) : undefined,
+        verrouillage: currentUser.role === ROLES.ADMIN ? user.verrouillage : undefined,
       },
     });
   } catch (error) {
@@ -791,6 +806,182 @@ const getUserStats = async (req, res) => {
   }
 };
 
+/**
+ * @desc    File de revue des inscriptions (?statut=en_attente|complement_demande|...)
+ * @route   GET /api/v1/users/kyc
+ * @access  Admin
+ */
+const listKycDossiers = async (req, res) => {
+  try {
+    const { page, limit, skip } = getPaginationParams(req.query);
+
+    const { dossiers, total } = await kycService.listerDossiers({
+      statut: req.query.statut,
+      limit,
+      skip,
+    });
+
+    return ApiResponse.successWithPagination(
+      res,
+      dossiers.map(user => ({
+        id: user._id,
+        prenom: user.prenom,
+        nom: user.nom,
+        email: user.email,
+        numeroTelephone: user.numeroTelephone,
+        adresse: user.adresse,
+        carteIdentite: user.carteIdentite,
+        dateNaissance: user.dateNaissance,
+        photoIdentite: user.photoIdentite?.url,
+        kyc: user.kyc,
+        createdAt: user.createdAt,
+      })),
+      { page, limit, total }
+    );
+  } catch (error) {
+    logger.error(' Erreur listKycDossiers:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Approuver un dossier d'inscription
+ * @route   POST /api/v1/users/:userId/kyc/approuver
+ * @access  Admin
+ */
+const approuverKyc = async (req, res) => {
+  try {
+    const user = await kycService.deciderDossier(req.params.userId, 'approuver', req.body.motif, req.user);
+    return ApiResponse.success(res, { dossier: formaterDossierKyc(user) }, 'Identité vérifiée : dossier approuvé');
+  } catch (error) {
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    logger.error(' Erreur approuverKyc:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Refuser un dossier d'inscription
+ * @route   POST /api/v1/users/:userId/kyc/rejeter
+ * @access  Admin
+ */
+const rejeterKyc = async (req, res) => {
+  try {
+    const user = await kycService.deciderDossier(req.params.userId, 'rejeter', req.body.motif, req.user);
+    return ApiResponse.success(res, { dossier: formaterDossierKyc(user) }, 'Dossier refusé');
+  } catch (error) {
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    logger.error(' Erreur rejeterKyc:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Demander un complément sur un dossier d'inscription
+ * @route   POST /api/v1/users/:userId/kyc/demander-complement
+ * @access  Admin
+ */
+const demanderComplementKyc = async (req, res) => {
+  try {
+    const user = await kycService.deciderDossier(req.params.userId, 'demander_complement', req.body.motif, req.user);
+    return ApiResponse.success(res, { dossier: formaterDossierKyc(user) }, 'Complément demandé à l\'utilisateur');
+  } catch (error) {
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    logger.error(' Erreur demanderComplementKyc:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Fournir le complément demandé sur son dossier (nouvelle photo d'identité, adresse)
+ * @route   PUT /api/v1/users/me/kyc
+ * @access  Private
+ */
+const completerMonKyc = async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    await kycService.completerDossier(user, req.file, req.body);
+
+    return ApiResponse.success(res, { dossier: formaterDossierKyc(user) }, 'Complément envoyé. Votre dossier est de nouveau en cours de vérification.');
+  } catch (error) {
+    if (req.file?.filename) {
+      await deleteImage(req.file.filename);
+    }
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    logger.error(' Erreur completerMonKyc:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Comptes verrouillés après des échecs de connexion
+ * @route   GET /api/v1/users/verrouilles
+ * @access  Admin
+ */
+const listComptesVerrouilles = async (req, res) => {
+  try {
+    const { page, limit, skip } = getPaginationParams(req.query);
+
+    const { comptes, total } = await loginSecurityService.listerComptesVerrouilles({ limit, skip });
+
+    return ApiResponse.successWithPagination(
+      res,
+      comptes.map(user => ({
+        id: user._id,
+        prenom: user.prenom,
+        nom: user.nom,
+        email: user.email,
+        numeroTelephone: user.numeroTelephone,
+        role: user.role,
+        isActive: user.isActive,
+        dateVerrouillage: user.verrouillage.dateVerrouillage,
+        verrouilleJusqua: user.verrouillage.jusquA || null,
+        definitif: user.verrouillage.definitif,
+        palier: user.verrouillage.niveau,
+      })),
+      { page, limit, total }
+    );
+  } catch (error) {
+    logger.error(' Erreur listComptesVerrouilles:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
+/**
+ * @desc    Débloquer un compte verrouillé
+ * @route   POST /api/v1/users/:userId/deverrouiller
+ * @access  Admin
+ */
+const deverrouillerCompte = async (req, res) => {
+  try {
+    const user = await loginSecurityService.deverrouiller(req.params.userId, req.user);
+
+    return ApiResponse.success(res, {
+      user: {
+        id: user._id,
+        email: user.email,
+        nomComplet: user.nomComplet,
+        dateDeblocage: user.verrouillage.dateDeblocage,
+      },
+    }, 'Compte déverrouillé');
+  } catch (error) {
+    if (error.isOperational) {
+      return ApiResponse.error(res, error.message, error.statusCode);
+    }
+    logger.error(' Erreur deverrouillerCompte:', error);
+    return ApiResponse.serverError(res);
+  }
+};
+
 module.exports = {
   createMembre,
   createTresorier,
@@ -804,4 +995,11 @@ module.exports = {
   deleteUser,
   adminResetPassword,
   getUserStats,
+  listKycDossiers,
+  approuverKyc,
+  rejeterKyc,
+  demanderComplementKyc,
+  completerMonKyc,
+  listComptesVerrouilles,
+  deverrouillerCompte,
 }
\ No newline at end of file
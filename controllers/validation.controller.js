@@ -2,11 +2,13 @@
 const ValidationRequest = require('../models/ValidationRequest');
 const User = require('../models/User');
 const Tontine = require('../models/Tontine');
+const Transaction = require('../models/Transaction');
 const ApiResponse = require('../utils/apiResponse');
 const logger = require('../utils/logger');
 const { getPaginationParams } = require('../utils/helpers');
 const otpService = require('../services/otp.service');
-const { ROLES } = require('../config/constants');
+const sortieService = require('../services/sortie.service');
+const { ROLES, TONTINE_STATUS } = require('../config/constants');
 
 /**
  * @desc    Créer une demande de validation (ADMIN initie)
@@ -17,7 +19,16 @@ const { ROLES } = require('../config/constants');
  */
 const createValidationRequest = async (req, res) => {
   try {
-    const { actionType, resourceType, resourceId, reason, assignedTresorier } = req.body;
+    const {
+      actionType,
+      resourceType,
+      resourceId,
+      reason,
+      assignedTresorier,
+      montant,
+      membreId,
+      remplacantId,
+    } = req.body;
     const admin = req.user;
 
     //  Vérifier que l'utilisateur est Admin
@@ -34,6 +45,11 @@ const createValidationRequest = async (req, res) => {
     // Récupérer la ressource pour obtenir son nom
     let resource;
     let resourceName = 'Ressource inconnue';
+    let additionalInfo = montant ? { montant } : undefined;
+
+    if (actionType === 'MEMBER_EXIT' && resourceType !== 'Tontine') {
+      return ApiResponse.error(res, 'La sortie d\'un membre porte sur sa tontine (resourceType Tontine)', 400);
+    }
 
     if (resourceType === 'User') {
       resource = await User.findById(resourceId);
@@ -47,6 +63,50 @@ const createValidationRequest = async (req, res) => {
         return ApiResponse.notFound(res, 'Tontine introuvable');
       }
       resourceName = resource.nom;
+
+      // Sortie d'un membre : le solde de sa position est soumis au Trésorier
+      if (actionType === 'MEMBER_EXIT') {
+        if (resource.statut !== TONTINE_STATUS.ACTIVE) {
+          return ApiResponse.error(
+            res,
+            'La sortie ne concerne qu\'une tontine active (avant activation, retirez simplement le membre)',
+            400
+          );
+        }
+
+        let solde;
+        let remplacant = null;
+        try {
+          solde = await sortieService.calculerSolde(resource, membreId, remplacantId);
+          if (remplacantId) {
+            remplacant = await sortieService.verifierRemplacant(resource, remplacantId);
+          }
+        } catch (error) {
+          if (!error.isOperational) throw error;
+          return ApiResponse.error(res, error.message, error.statusCode);
+        }
+
+        const sortant = await User.findById(membreId);
+        resourceName = `Sortie de ${sortant ? sortant.nomComplet : membreId} - ${resource.nom}` +
+          (remplacant ? ` (remplacé par ${remplacant.nomComplet})` : '');
+        additionalInfo = { membreId, remplacantId, solde };
+      }
+    } else if (resourceType === 'Transaction') {
+      resource = await Transaction.findById(resourceId).populate('tontineId', 'nom tresorierAssigne');
+      if (!resource) {
+        return ApiResponse.notFound(res, 'Transaction introuvable');
+      }
+      if (resource.estEnAttente || resource.montantRemboursable <= 0) {
+        return ApiResponse.error(res, 'Cette transaction ne peut pas être remboursée', 400);
+      }
+      if (montant && montant > resource.montantRemboursable) {
+        return ApiResponse.error(
+          res,
+          `Montant supérieur au montant remboursable (${resource.montantRemboursable} FCFA)`,
+          400
+        );
+      }
+      resourceName = `Paiement ${resource.referenceTransaction} - ${montant || resource.montantRemboursable} FCFA (${resource.tontineId ? resource.tontineId.nom : 'tontine inconnue'})`;
     }
 
     // Trouver un Trésorier disponible (ou utiliser celui assigné)
@@ -61,8 +121,16 @@ const createValidationRequest = async (req, res) => {
         return ApiResponse.notFound(res, 'Trésorier introuvable ou inactif');
       }
     } else {
-      // Trouver le premier Trésorier actif
-      tresorier = await User.findOne({ role: ROLES.TRESORIER, isActive: true });
+      // Trésorier de la tontine concernée en priorité, sinon le premier Trésorier actif
+      const tresorierTontine = resourceType === 'Tontine'
+        ? resource.tresorierAssigne
+        : resource.tontineId && resource.tontineId.tresorierAssigne;
+      if (tresorierTontine) {
+        tresorier = await User.findOne({ _id: tresorierTontine, role: ROLES.TRESORIER, isActive: true });
+      }
+      if (!tresorier) {
+        tresorier = await User.findOne({ role: ROLES.TRESORIER, isActive: true });
+      }
       if (!tresorier) {
         return ApiResponse.error(res, 'Aucun Trésorier disponible pour valider', 500);
       }
@@ -81,6 +149,7 @@ const createValidationRequest = async (req, res) => {
       metadata: {
         resourceName,
         resourceEmail: resource.email || null,
+        additionalInfo,
       },
     });
 
@@ -0,0 +1,46 @@
+// jobs/fiabilite.cron.js
+const cron = require('node-cron');
+const fiabiliteService = require('../services/fiabilite.service');
+const logger = require('../utils/logger');
+
+/**
+ * Recalculer le score de fiabilité de tous les membres
+ */
+const processFiabilite = async () => {
+  try {
+    logger.info('CRON: Debut recalcul des scores de fiabilite');
+
+    const results = await fiabiliteService.recalculerScores();
+
+    logger.info(
+      `CRON Fiabilite termine: ${results.utilisateursTraites} score(s) recalcule(s), ${results.erreurs} erreur(s)`
+    );
+
+    return results;
+  } catch (error) {
+    logger.error('Erreur CRON fiabilite:', error);
+    throw error;
+  }
+};
+
+/**
+ * Initialiser la tache CRON des scores de fiabilite
+ * Execute tous les jours a 04:00 (apres le nettoyage de 03:00)
+ */
+const initializeFiabiliteJob = () => {
+  cron.schedule('0 4 * * *', async () => {
+    logger.info('Execution CRON: Scores de fiabilite');
+    try {
+      await processFiabilite();
+    } catch (error) {
+      logger.error('Erreur execution CRON fiabilite:', error);
+    }
+  });
+
+  logger.info('CRON Fiabilite planifie: tous les jours a 04:00');
+};
+
+module.exports = {
+  initializeFiabiliteJob,
+  processFiabilite,
+};
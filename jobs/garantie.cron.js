@@ -0,0 +1,68 @@
+// jobs/garantie.cron.js
+const cron = require('node-cron');
+const Tontine = require('../models/Tontine');
+const garantieService = require('../services/garantie.service');
+const logger = require('../utils/logger');
+const { TONTINE_STATUS } = require('../config/constants');
+
+/**
+ * Relancer les garants des membres en retard après avoir gagné
+ * et leur transférer la dette au dernier palier
+ */
+const processGaranties = async () => {
+  try {
+    logger.info('CRON: Debut traitement garanties');
+
+    const tontines = await Tontine.find({
+      statut: TONTINE_STATUS.ACTIVE,
+      'membres.garants.statut': 'accepte',
+    }).populate('membres.userId', 'prenom nom email');
+
+    const results = { tontinesTraitees: 0, relances: 0, transferts: 0, liberations: 0, erreurs: 0 };
+
+    for (const tontine of tontines) {
+      try {
+        const result = await garantieService.mobiliserGaranties(tontine);
+        results.tontinesTraitees++;
+        results.relances += result.relances;
+        results.transferts += result.transferts;
+        results.liberations += result.liberations;
+      } catch (error) {
+        results.erreurs++;
+        logger.error(`Erreur garanties ${tontine.nom}:`, error);
+      }
+    }
+
+    logger.info(
+      `CRON Garanties termine: ${results.relances} relance(s), ${results.transferts} transfert(s) de dette, ` +
+        `${results.liberations} liberation(s) sur ${results.tontinesTraitees} tontine(s), ${results.erreurs} erreur(s)`
+    );
+
+    return results;
+  } catch (error) {
+    logger.error('Erreur CRON garanties:', error);
+    throw error;
+  }
+};
+
+/**
+ * Initialiser la tache CRON des garanties
+ * Execute tous les jours a 13:00 (apres le calcul des penalites de midi)
+ */
+const initializeGarantieJob = () => {
+  cron.schedule('0 13 * * *', async () => {
+    logger.info('Execution CRON: Garanties');
+    try {
+      await processGaranties();
+    } catch (error) {
+      logger.error('Erreur execution CRON garanties:', error);
+    }
+  });
+
+  logger.info('CRON Garanties planifie: tous les jours a 13:00');
+};
+
+module.exports = {
+  initializeGarantieJob,
+  processGaranties,
+};
@@ -0,0 +1,48 @@
+// jobs/payout.cron.js
+const cron = require('node-cron');
+const payoutService = require('../services/payout.service');
+const logger = require('../utils/logger');
+
+/**
+ * Relancer les versements échoués et suivre les versements en cours
+ */
+const processPayouts = async () => {
+  try {
+    logger.info('CRON: Debut traitement versements tirages');
+
+    const relances = await payoutService.retryFailedPayouts();
+    const enCours = await payoutService.refreshPendingPayouts();
+
+    logger.info(
+      `CRON Versements termine: ${relances.traites} relance(s) (${relances.payes} payee(s)), ` +
+        `${enCours.traites} versement(s) en cours verifie(s) (${enCours.payes} payee(s), ${enCours.echecs} echec(s))`
+    );
+
+    return { relances, enCours };
+  } catch (error) {
+    logger.error('Erreur CRON versements:', error);
+    throw error;
+  }
+};
+
+/**
+ * Initialiser la tache CRON des versements
+ * Execute toutes les 15 minutes
+ */
+const initializePayoutJob = () => {
+  cron.schedule('*/15 * * * *', async () => {
+    logger.info('Execution CRON: Versements tirages');
+    try {
+      await processPayouts();
+    } catch (error) {
+      logger.error('Erreur execution CRON versements:', error);
+    }
+  });
+
+  logger.info('CRON Versements planifie: toutes les 15 minutes');
+};
+
+module.exports = {
+  initializePayoutJob,
+  processPayouts,
+};
@@ -2,12 +2,62 @@
 const cron = require('node-cron');
 const Tontine = require('../models/Tontine');
 const User = require('../models/User');
-const Transaction = require('../models/Transaction');
+const contributionService = require('../services/contribution.service');
 const emailService = require('../services/email.service');
 const pushService = require('../services/push.service');
 const whatsappService = require('../services/whatsapp.service');
 const logger = require('../utils/logger');
-const { REMINDERS } = require('../config/constants');
+const { REMINDERS, TONTINE_STATUS } = require('../config/constants');
+
+/**
+ * Soldes restant dus sur les echeances tombant a J + decalageJours
+ * Calcules sur l'echeancier : un membre ayant paye d'avance n'est pas relance,
+ * un membre ayant paye en partie est relance pour le reste seulement
+ * @param {Number} decalageJours - 3 (J-3), 0 (J), -2 (J+2)
+ * @returns {Array<Object>} - [{ user, tontine, echeance: { dateEcheance, montant } }]
+ */
+const findDueBalances = async (decalageJours) => {
+  const debut = new Date();
+  debut.setDate(debut.getDate() + decalageJours);
+  debut.setHours(0, 0, 0, 0);
+
+  const fin = new Date(debut);
+  fin.setHours(23, 59, 59, 999);
+
+  const tontines = await Tontine.find({
+    statut: TONTINE_STATUS.ACTIVE,
+    calendrierCotisations: { $elemMatch: { dateEcheance: { $gte: debut, $lte: fin } } },
+  }).populate('membres.userId', 'prenom nom email numeroTelephone preferences');
+
+  const soldesDus = [];
+
+  for (const tontine of tontines) {
+    const ledgers = await contributionService.getTontineLedgers(tontine);
+
+    for (const membre of tontine.getMembresPresents()) {
+      if (!membre.userId) continue;
+
+      const ledger = ledgers.get(membre.userId._id.toString());
+      const echeance = ledger.echeances.find(
+        (e) => e.dateEcheance >= debut && e.dateEcheance <= fin && e.resteAPayer > 0
+      );
+
+      if (echeance) {
+        soldesDus.push({
+          user: membre.userId,
+          tontine,
+          echeance: {
+            numeroEcheance: echeance.numeroEcheance,
+            dateEcheance: echeance.dateEcheance,
+            montant: echeance.resteAPayer,
+          },
+        });
+      }
+    }
+  }
+
+  return soldesDus;
+};
 
 /**
  * Envoyer rappels J-3 (3 jours avant echeance)
@@ -17,38 +67,13 @@ const sendJMinus3Reminders = async () => {
   try {
     logger.info('CRON: Debut envoi rappels J-3');
 
-    const dateLimite = new Date();
-    dateLimite.setDate(dateLimite.getDate() + 3);
-    dateLimite.setHours(0, 0, 0, 0);
-
-    const dateLimiteEnd = new Date(dateLimite);
-    dateLimiteEnd.setHours(23, 59, 59, 999);
-
-    const transactionsEnAttente = await Transaction.find({
-      statut: 'En attente',
-      dateEcheance: {
-        $gte: dateLimite,
-        $lte: dateLimiteEnd,
-      },
-    })
-      .populate('userId', 'prenom nom email numeroTelephone preferences')
-      .populate('tontineId', 'nom montantCotisation');
+    const soldesDus = await findDueBalances(3);
 
     let emailsSent = 0;
     let pushSent = 0;
     let whatsappSent = 0;
 
-    for (const transaction of transactionsEnAttente) {
-      const user = transaction.userId;
-      const tontine = transaction.tontineId;
-
-      if (!user || !tontine) continue;
-
-      const echeance = {
-        dateEcheance: transaction.dateEcheance,
-        montant: transaction.montant,
-      };
-
+    for (const { user, tontine, echeance } of soldesDus) {
       try {
         if (user.preferences?.notifications?.email !== false) {
           await emailService.sendPaymentReminder(user, tontine, echeance, 3);
@@ -78,11 +103,11 @@ const sendJMinus3Reminders = async () => {
     }
 
     logger.info(
-      `CRON J-3: ${transactionsEnAttente.length} rappels - Emails: ${emailsSent}, Push: ${pushSent}, WhatsApp: ${whatsappSent}`
+      `CRON J-3: ${soldesDus.length} rappels - Emails: ${emailsSent}, Push: ${pushSent}, WhatsApp: ${whatsappSent}`
     );
 
     return {
-      total: transactionsEnAttente.length,
+      total: soldesDus.length,
       emailsSent,
       pushSent,
       whatsappSent,
@@ -101,37 +126,13 @@ const sendJDayReminders = async () => {
   try {
     logger.info('CRON: Debut envoi rappels J (jour J)');
 
-    const aujourdhui = new Date();
-    aujourdhui.setHours(0, 0, 0, 0);
-
-    const aujourdhuiEnd = new Date(aujourdhui);
-    aujourdhuiEnd.setHours(23, 59, 59, 999);
-
-    const transactionsEnAttente = await Transaction.find({
-      statut: 'En attente',
-      dateEcheance: {
-        $gte: aujourdhui,
-        $lte: aujourdhuiEnd,
-      },
-    })
-      .populate('userId', 'prenom nom email numeroTelephone preferences')
-      .populate('tontineId', 'nom montantCotisation');
+    const soldesDus = await findDueBalances(0);
 
     let emailsSent = 0;
     let pushSent = 0;
     let whatsappSent = 0;
 
-    for (const transaction of transactionsEnAttente) {
-      const user = transaction.userId;
-      const tontine = transaction.tontineId;
-
-      if (!user || !tontine) continue;
-
-      const echeance = {
-        dateEcheance: transaction.dateEcheance,
-        montant: transaction.montant,
-      };
-
+    for (const { user, tontine, echeance } of soldesDus) {
       try {
         if (user.preferences?.notifications?.email !== false) {
           await emailService.sendPaymentReminder(user, tontine, echeance, 0);
@@ -161,11 +162,11 @@ const sendJDayReminders = async () => {
     }
 
     logger.info(
-      `CRON J: ${transactionsEnAttente.length} rappels - Emails: ${emailsSent}, Push: ${pushSent}, WhatsApp: ${whatsappSent}`
+      `CRON J: ${soldesDus.length} rappels - Emails: ${emailsSent}, Push: ${pushSent}, WhatsApp: ${whatsappSent}`
     );
 
     return {
-      total: transactionsEnAttente.length,
+      total: soldesDus.length,
       emailsSent,
       pushSent,
       whatsappSent,
@@ -184,38 +185,13 @@ const sendJPlus2Reminders = async () => {
   try {
     logger.info('CRON: Debut envoi relances J+2 (retard)');
 
-    const dateRetard = new Date();
-    dateRetard.setDate(dateRetard.getDate() - 2);
-    dateRetard.setHours(0, 0, 0, 0);
-
-    const dateRetardEnd = new Date(dateRetard);
-    dateRetardEnd.setHours(23, 59, 59, 999);
-
-    const transactionsEnRetard = await Transaction.find({
-      statut: 'En attente',
-      dateEcheance: {
-        $gte: dateRetard,
-        $lte: dateRetardEnd,
-      },
-    })
-      .populate('userId', 'prenom nom email numeroTelephone preferences')
-      .populate('tontineId', 'nom montantCotisation tauxPenalite');
+    const soldesEnRetard = await findDueBalances(-2);
 
     let emailsSent = 0;
     let pushSent = 0;
     let whatsappSent = 0;
 
-    for (const transaction of transactionsEnRetard) {
-      const user = transaction.userId;
-      const tontine = transaction.tontineId;
-
-      if (!user || !tontine) continue;
-
-      const echeance = {
-        dateEcheance: transaction.dateEcheance,
-        montant: transaction.montant,
-      };
-
+    for (const { user, tontine, echeance } of soldesEnRetard) {
       try {
         if (user.preferences?.notifications?.email !== false) {
           await emailService.sendPaymentReminder(user, tontine, echeance, -2);
@@ -245,11 +221,11 @@ const sendJPlus2Reminders = async () => {
     }
 
     logger.info(
-      `CRON J+2: ${transactionsEnRetard.length} relances - Emails: ${emailsSent}, Push: ${pushSent}, WhatsApp: ${whatsappSent}`
+      `CRON J+2: ${soldesEnRetard.length} relances - Emails: ${emailsSent}, Push: ${pushSent}, WhatsApp: ${whatsappSent}`
     );
 
     return {
-      total: transactionsEnRetard.length,
+      total: soldesEnRetard.length,
       emailsSent,
       pushSent,
       whatsappSent,
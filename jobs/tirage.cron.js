@@ -0,0 +1,256 @@
+// jobs/tirage.cron.js
+const cron = require('node-cron');
+const Tontine = require('../models/Tontine');
+const Tirage = require('../models/Tirage');
+const AuditLog = require('../models/AuditLog');
+const Notification = require('../models/Notification');
+const tirageService = require('../services/tirage.service');
+const contributionService = require('../services/contribution.service');
+const logger = require('../utils/logger');
+const { TONTINE_STATUS } = require('../config/constants');
+
+/**
+ * Tirages planifiés
+ *
+ * Le tirage en cours du calendrier d'une tontine avance ainsi :
+ * planifie/reporte --(date prévue)--> notifie --(délai d'opt-in)--> effectue,
+ * ou reporte/saute si les cotisations de l'échéance ne sont pas toutes réglées.
+ * Les nouveaux tirages des places annulées ont lieu à la date annoncée lors de l'annulation.
+ */
+
+/**
+ * Journaliser un tirage reporté ou sauté
+ */
+const logTirageNonEffectue = async (tontine, tiragePlanifie) => {
+  try {
+    await AuditLog.create({
+      userId: null,
+      userEmail: 'Système',
+      userRole: 'Système',
+      action: tiragePlanifie.statut === 'reporte' ? 'DEFER_TIRAGE' : 'SKIP_TIRAGE',
+      resource: 'Tontine',
+      resourceId: tontine._id,
+      details: {
+        body: {
+          numeroEcheance: tiragePlanifie.numeroEcheance,
+          raison: tiragePlanifie.raison,
+          nombreReports: tiragePlanifie.nombreReports,
+          datePrevue: tiragePlanifie.datePrevue,
+        },
+      },
+      statusCode: 200,
+      success: true,
+      severity: 'warning',
+    });
+  } catch (error) {
+    logger.error('Erreur audit tirage planifie:', error);
+  }
+};
+
+/**
+ * Prévenir le créateur et le trésorier d'un tirage reporté ou sauté
+ */
+const notifierResponsables = async (tontine, tiragePlanifie) => {
+  const destinataires = [tontine.createdBy, tontine.tresorierAssigne]
+    .filter(Boolean)
+    .map((id) => id.toString())
+    .filter((id, index, ids) => ids.indexOf(id) === index);
+
+  const titre = tiragePlanifie.statut === 'reporte'
+    ? ` Tirage reporté - "${tontine.nom}"`
+    : ` Tirage sauté - "${tontine.nom}"`;
+  const message = tiragePlanifie.statut === 'reporte'
+    ? `Le tirage de l'échéance ${tiragePlanifie.numeroEcheance} est reporté au ${tiragePlanifie.datePrevue.toLocaleString('fr-FR')}. Raison : ${tiragePlanifie.raison}`
+    : `Le tirage de l'échéance ${tiragePlanifie.numeroEcheance} n'aura pas lieu. Raison : ${tiragePlanifie.raison}`;
+
+  try {
+    await Notification.insertMany(
+      destinataires.map((userId) => ({
+        userId,
+        type: 'SYSTEM',
+        titre,
+        message,
+        data: { tontineId: tontine._id },
+        requiresAction: false,
+      }))
+    );
+  } catch (error) {
+    logger.error('Erreur notification tirage planifie:', error);
+  }
+};
+
+/**
+ * Reporter ou sauter le tirage selon la planification de la tontine
+ * @param {Object} tontine - Tontine (sauvegardée ici)
+ * @param {Object} tiragePlanifie - Entrée du calendrier des tirages
+ * @param {String} raison - Motif (cotisations manquantes, aucun participant...)
+ */
+const reporterOuSauter = async (tontine, tiragePlanifie, raison) => {
+  const { siCotisationsIncompletes, delaiReportHeures, nombreReportsMax } = tontine.planificationTirage;
+
+  if (siCotisationsIncompletes === 'reporter' && tiragePlanifie.nombreReports < nombreReportsMax) {
+    tiragePlanifie.statut = 'reporte';
+    tiragePlanifie.nombreReports += 1;
+    tiragePlanifie.datePrevue = new Date(Date.now() + delaiReportHeures * 60 * 60 * 1000);
+    tiragePlanifie.raison = raison;
+  } else {
+    tiragePlanifie.statut = 'saute';
+    tiragePlanifie.dateExecution = Date.now();
+    tiragePlanifie.raison = siCotisationsIncompletes === 'reporter'
+      ? `${raison} (${nombreReportsMax} report(s) épuisé(s))`
+      : raison;
+  }
+
+  await tontine.save();
+
+  logger.warn(
+    `Tirage ${tiragePlanifie.statut === 'reporte' ? 'reporte' : 'saute'} - ${tontine.nom}, ` +
+      `echeance ${tiragePlanifie.numeroEcheance}: ${tiragePlanifie.raison}`
+  );
+
+  await logTirageNonEffectue(tontine, tiragePlanifie);
+  await notifierResponsables(tontine, tiragePlanifie);
+};
+
+/**
+ * Vérifier que chaque membre a réglé les échéances jusqu'à celle du tirage
+ * @returns {String|null} - Motif si des cotisations manquent
+ */
+const verifierCotisations = async (tontine, numeroEcheance) => {
+  const ledgers = await contributionService.getTontineLedgers(tontine);
+
+  // Un membre sorti ne bloque pas les tirages : sa dette est suivie par sa sortie
+  const membresPresents = tontine.getMembresPresents();
+  const nombreAJour = membresPresents.filter((m) =>
+    contributionService.estAJourJusqua(ledgers.get(m.userId._id.toString()), numeroEcheance)
+  ).length;
+
+  if (nombreAJour === membresPresents.length) {
+    return null;
+  }
+
+  return `Cotisations incomplètes : ${nombreAJour}/${membresPresents.length} membres à jour pour l'échéance ${numeroEcheance}`;
+};
+
+/**
+ * Faire avancer le tirage planifié en cours d'une tontine
+ * @returns {String} - 'annonce', 'effectue', 'reporte', 'saute' ou 'attente'
+ */
+const traiterTontine = async (tontine) => {
+  const tiragePlanifie = tontine.getTiragePlanifieEnCours();
+  const maintenant = Date.now();
+
+  if (!tiragePlanifie) {
+    return 'attente';
+  }
+
+  // 1. Annonce : opt-in des membres et publication de l'empreinte de la seed
+  if (['planifie', 'reporte'].includes(tiragePlanifie.statut)) {
+    if (tiragePlanifie.datePrevue > maintenant) {
+      return 'attente';
+    }
+
+    const gains = await Tirage.getGainsParMembre(tontine._id);
+    const dateTirage = new Date(maintenant + tontine.delaiOptIn * 60 * 1000);
+
+    await tirageService.annoncerTirage(tontine, dateTirage, gains);
+
+    tiragePlanifie.statut = 'notifie';
+    tiragePlanifie.dateNotification = maintenant;
+    await tontine.save();
+
+    logger.info(`Tirage annonce - ${tontine.nom}, echeance ${tiragePlanifie.numeroEcheance}`);
+    return 'annonce';
+  }
+
+  // 2. Tirage à l'issue du délai d'opt-in
+  if (tiragePlanifie.dateNotification.getTime() + tontine.delaiOptIn * 60 * 1000 > maintenant) {
+    return 'attente';
+  }
+
+  const raison = await verifierCotisations(tontine, tiragePlanifie.numeroEcheance);
+  if (raison) {
+    await reporterOuSauter(tontine, tiragePlanifie, raison);
+    return tiragePlanifie.statut;
+  }
+
+  try {
+    await tirageService.effectuerTirageAutomatique(tontine._id, {
+      numeroEcheance: tiragePlanifie.numeroEcheance,
+    });
+    return 'effectue';
+  } catch (error) {
+    if (!error.isOperational) {
+      throw error;
+    }
+
+    // Tirage refusé (aucun participant, tous gagnants...) : la tontine a pu être modifiée
+    const tontineAJour = await Tontine.findById(tontine._id);
+    const enCours = tontineAJour.getTiragePlanifieEnCours();
+    await reporterOuSauter(tontineAJour, enCours, error.message);
+    return enCours.statut;
+  }
+};
+
+/**
+ * Traiter les tirages planifiés de toutes les tontines actives
+ */
+const processScheduledTirages = async () => {
+  try {
+    logger.info('CRON: Debut traitement tirages planifies');
+
+    const tontines = await Tontine.find({
+      statut: TONTINE_STATUS.ACTIVE,
+      'planificationTirage.active': true,
+      'calendrierTirages.statut': { $in: ['planifie', 'notifie', 'reporte'] },
+    }).populate('membres.userId', 'prenom nom email numeroTelephone');
+
+    const results = { annonce: 0, effectue: 0, reporte: 0, saute: 0, attente: 0, erreurs: 0 };
+
+    // Nouveaux tirages des places annulées dont le délai annoncé est écoulé
+    results.relances = await tirageService.effectuerRelancesDues();
+
+    for (const tontine of tontines) {
+      try {
+        const action = await traiterTontine(tontine);
+        results[action]++;
+      } catch (error) {
+        results.erreurs++;
+        logger.error(`Erreur tirage planifie ${tontine.nom}:`, error);
+      }
+    }
+
+    logger.info(
+      `CRON Tirages planifies termine: ${results.annonce} annonce(s), ${results.effectue} tirage(s), ` +
+        `${results.relances} nouveau(x) tirage(s) de place annulee, ` +
+        `${results.reporte} report(s), ${results.saute} saute(s), ${results.erreurs} erreur(s)`
+    );
+
+    return results;
+  } catch (error) {
+    logger.error('Erreur CRON tirages planifies:', error);
+    throw error;
+  }
+};
+
+/**
+ * Initialiser la tache CRON des tirages planifies
+ * Execute toutes les 5 minutes (delai d'opt-in minimum)
+ */
+const initializeTirageJob = () => {
+  cron.schedule('*/5 * * * *', async () => {
+    logger.info('Execution CRON: Tirages planifies');
+    try {
+      await processScheduledTirages();
+    } catch (error) {
+      logger.error('Erreur execution CRON tirages planifies:', error);
+    }
+  });
+
+  logger.info('CRON Tirages planifies: toutes les 5 minutes');
+};
+
+module.exports = {
+  initializeTirageJob,
+  processScheduledTirages,
+};
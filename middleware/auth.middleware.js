@@ -4,6 +4,7 @@ const ApiResponse = require('../utils/apiResponse');
 const { UnauthorizedError } = require('../utils/errors');
 const logger = require('../utils/logger');
 const User = require('../models/User');
+const { sessionOuverte } = require('../services/session.service');
 
 /**
  * Middleware pour vérifier le token JWT
@@ -37,10 +38,17 @@ const verifyToken = async (req, res, next) => {
       return ApiResponse.forbidden(res, 'Compte désactivé. Contactez l\'administrateur');
     }
 
+    // Session révoquée (déconnexion, appareil perdu, refresh token réutilisé)
+    if (!sessionOuverte(user, decoded)) {
+      logger.warn(`Token d'une session revoquee - UserID: ${user._id}`);
+      return ApiResponse.unauthorized(res, 'Session expirée ou révoquée. Veuillez vous reconnecter');
+    }
+
     // Ajouter l'utilisateur à la requête
     req.user = user;
     req.userId = user._id;
     req.userRole = user.role;
+    req.sessionId = decoded.sid;
 
     logger.debug(`Authentification réussie - User: ${user.email} (${user.role})`);
     next();
@@ -95,10 +103,17 @@ const verifyTokenWithPassword = async (req, res, next) => {
       return ApiResponse.forbidden(res, 'Compte désactivé. Contactez l\'administrateur');
     }
 
+    // Session révoquée (déconnexion, appareil perdu, refresh token réutilisé)
+    if (!sessionOuverte(user, decoded)) {
+      logger.warn(`Token d'une session revoquee - UserID: ${user._id}`);
+      return ApiResponse.unauthorized(res, 'Session expirée ou révoquée. Veuillez vous reconnecter');
+    }
+
     // Ajouter l'utilisateur à la requête
     req.user = user;
     req.userId = user._id;
     req.userRole = user.role;
+    req.sessionId = decoded.sid;
 
     logger.debug(`Authentification réussie (avec mot de passe) - User: ${user.email} (${user.role})`);
     next();
@@ -131,10 +146,11 @@ const optionalAuth = async (req, res, next) => {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
       const user = await User.findById(decoded.userId).select('-motDePasse');
 
-      if (user && user.isActive) {
+      if (user && user.isActive && sessionOuverte(user, decoded)) {
         req.user = user;
         req.userId = user._id;
         req.userRole = user.role;
+        req.sessionId = decoded.sid;
       }
     }
 
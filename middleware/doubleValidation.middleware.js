@@ -30,6 +30,7 @@ const requireDoubleValidation = (actionType) => {
           'UNBLOCK_TONTINE',
           'ACTIVATE_USER',
           'DEACTIVATE_USER',
+          'REFUND_TRANSACTION',
         ];
 
         if (!actionsNecessitantValidation.includes(actionType)) {
@@ -1,7 +1,12 @@
 // middleware/role.middleware.js
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const Tirage = require('../models/Tirage');
 const ApiResponse = require('../utils/apiResponse');
-const { ROLES } = require('../config/constants');
+const { ROLES, MFA } = require('../config/constants');
 const logger = require('../utils/logger');
+const { AppError } = require('../utils/errors');
+const tontineRoleService = require('../services/tontineRole.service');
 
 /**
  *  CORRECTION : Fonction pour normaliser TOUS les variants de rôles
@@ -38,6 +43,12 @@ const normalizeRole = (role) => {
   return roleMap[role] || role;
 };
 
+/**
+ * Double authentification obligatoire pour les Admins et Trésoriers : tant qu'elle n'est
+ * pas activée, les routes réservées à un rôle leur sont refusées (l'enrôlement reste possible)
+ */
+const mfaManquante = (user) => MFA.ROLES_OBLIGATOIRES.includes(user.role) && !user.mfa?.totpActif;
+
 /**
  * Middleware pour vérifier si l'utilisateur a le(s) rôle(s) requis
  * @param {...string} allowedRoles - Liste des rôles autorisés
@@ -69,6 +80,14 @@ const checkRole = (...allowedRoles) => {
       );
     }
 
+    if (mfaManquante(req.user)) {
+      logger.warn(` Accès refusé (double authentification non activée) - Utilisateur: ${req.user.email}`);
+      return ApiResponse.forbidden(
+        res,
+        'Activez la double authentification (application d\'authentification) pour accéder à cette fonction'
+      );
+    }
+
     logger.debug(` Autorisation accordée - Utilisateur: ${req.user.email} (${userRole})`);
     next();
   };
@@ -124,6 +143,128 @@ const isSelfOrAdmin = (req, res, next) => {
   return ApiResponse.forbidden(res, 'Vous ne pouvez accéder qu\'à vos propres données');
 };
 
+// ========================================
+// PERMISSIONS PAR TONTINE
+// ========================================
+
+/**
+ * Tontine de la requête : paramètre :tontineId
+ */
+const tontineDeLaRoute = (req) => req.params.tontineId;
+
+/**
+ * Tontine d'une transaction (:transactionId)
+ */
+const tontineDeTransaction = async (req) => {
+  const transaction = await Transaction.findById(req.params.transactionId).select('tontineId');
+  if (!transaction) {
+    throw new AppError('Transaction introuvable', 404);
+  }
+  return transaction.tontineId;
+};
+
+/**
+ * Tontine d'un tirage (:tirageId)
+ */
+const tontineDeTirage = async (req) => {
+  const tirage = await Tirage.findById(req.params.tirageId).select('tontineId');
+  if (!tirage) {
+    throw new AppError('Tirage introuvable', 404);
+  }
+  return tirage.tontineId;
+};
+
+/**
+ * Middleware pour vérifier une capacité de l'utilisateur sur la tontine de la requête
+ * (rôle dans la tontine, voir tontineRole.service). A placer après la validation des paramètres.
+ * Expose req.tontineAcces = { tontineId, roles, capacites }.
+ * @param {string} capacite - Capacité requise (CAPABILITIES)
+ * @param {Function} resoudreTontine - (req) => tontineId, :tontineId par défaut
+ */
+const checkTontineCapability = (capacite, resoudreTontine = tontineDeLaRoute) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        logger.warn(`🔒 Tentative d'accès sans authentification`);
+        return ApiResponse.unauthorized(res, 'Authentification requise');
+      }
+
+      const tontineId = await resoudreTontine(req);
+      const tontine = mongoose.isValidObjectId(tontineId) &&
+        (await tontineRoleService.chargerPourPermissions(tontineId));
+      if (!tontine) {
+        return ApiResponse.notFound(res, 'Tontine introuvable');
+      }
+
+      const { roles, capacites } = tontineRoleService.accesDans(tontine, req.user);
+
+      if (!capacites.includes(capacite)) {
+        logger.warn(
+          ` Accès refusé - Utilisateur: ${req.user.email} - Tontine: ${tontine.nom} ` +
+          `(rôles: ${roles.join(', ') || 'aucun'}) - Capacité requise: ${capacite}`
+        );
+        return ApiResponse.forbidden(res, `Accès refusé. Permission requise sur cette tontine: ${capacite}`);
+      }
+
+      if (mfaManquante(req.user) || (tontineRoleService.mfaExigee(roles) && !req.user.mfa?.totpActif)) {
+        logger.warn(` Accès refusé (double authentification non activée) - Utilisateur: ${req.user.email}`);
+        return ApiResponse.forbidden(
+          res,
+          'Activez la double authentification (application d\'authentification) pour accéder à cette fonction'
+        );
+      }
+
+      req.tontineAcces = { tontineId: tontine._id, roles, capacites };
+      next();
+    } catch (error) {
+      if (error.isOperational) {
+        return ApiResponse.error(res, error.message, error.statusCode);
+      }
+      logger.error(' Erreur vérification permission tontine:', error);
+      return ApiResponse.serverError(res);
+    }
+  };
+};
+
+/**
+ * Middleware pour les listes qui couvrent plusieurs tontines : l'utilisateur doit avoir la
+ * capacité sur au moins une tontine. Expose req.tontinesAcces = { tontineIds } (null pour
+ * un Admin : toutes les tontines) que le contrôleur utilise pour restreindre sa requête.
+ * @param {string} capacite - Capacité requise (CAPABILITIES)
+ */
+const checkAnyTontineCapability = (capacite) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        logger.warn(`🔒 Tentative d'accès sans authentification`);
+        return ApiResponse.unauthorized(res, 'Authentification requise');
+      }
+
+      const acces = await tontineRoleService.tontinesAvecCapacite(req.user, capacite);
+
+      if (acces && acces.length === 0) {
+        logger.warn(` Accès refusé - Utilisateur: ${req.user.email} - Capacité requise: ${capacite}`);
+        return ApiResponse.forbidden(res, `Accès refusé. Permission requise sur une tontine: ${capacite}`);
+      }
+
+      const mfaRoleTontine = (acces || []).some(({ roles }) => tontineRoleService.mfaExigee(roles));
+      if (mfaManquante(req.user) || (mfaRoleTontine && !req.user.mfa?.totpActif)) {
+        logger.warn(` Accès refusé (double authentification non activée) - Utilisateur: ${req.user.email}`);
+        return ApiResponse.forbidden(
+          res,
+          'Activez la double authentification (application d\'authentification) pour accéder à cette fonction'
+        );
+      }
+
+      req.tontinesAcces = { tontineIds: acces && acces.map(({ tontineId }) => tontineId) };
+      next();
+    } catch (error) {
+      logger.error(' Erreur vérification permission tontines:', error);
+      return ApiResponse.serverError(res);
+    }
+  };
+};
+
 module.exports = {
   checkRole,
   isAdmin,
@@ -132,4 +273,8 @@ module.exports = {
   isMembre,
   isSelfOrAdmin,
   normalizeRole, //  Exporter pour réutilisation
+  checkTontineCapability,
+  checkAnyTontineCapability,
+  tontineDeTransaction,
+  tontineDeTirage,
 };
\ No newline at end of file
@@ -33,7 +33,19 @@ userRole: {
         'CHANGE_PASSWORD',
         'LOGIN',
         'LOGOUT',
+        'REVOKE_SESSION',
+        'ENABLE_MFA',
+        'DISABLE_MFA',
+        'REGENERATE_RECOVERY_CODES',
         'LOGIN_FAILED',
+        'LOCK_ACCOUNT',
+        'UNLOCK_ACCOUNT',
+        'NEW_DEVICE_LOGIN',
+        'REGISTER',
+        'APPROVE_KYC',
+        'REJECT_KYC',
+        'REQUEST_KYC_COMPLEMENT',
+        'SUBMIT_KYC_COMPLEMENT',
 
         // Tontines
         'CREATE_TONTINE',
@@ -45,6 +57,17 @@ userRole: {
         'CLOSE_TONTINE',
         'ADD_MEMBER_TONTINE',
         'REMOVE_MEMBER_TONTINE',
+        'ASSIGN_TONTINE_ROLE',
+        'REVOKE_TONTINE_ROLE',
+        'MEMBER_EXIT',
+        'ADD_GARANT',
+        'REMOVE_GARANT',
+        'TRANSFER_DEBT_GARANT',
+        'CREATE_INVITE_CODE',
+        'REVOKE_INVITE_CODE',
+        'JOIN_REQUEST',
+        'APPROVE_JOIN_REQUEST',
+        'DECLINE_JOIN_REQUEST',
 
         // Transactions
         'CREATE_TRANSACTION',
@@ -52,11 +75,16 @@ userRole: {
         'REJECT_TRANSACTION',
         'PAYMENT_RECEIVED',
         'PAYMENT_FAILED',
+        'REFUND_TRANSACTION',
 
         // Tirages
         'CREATE_TIRAGE',
         'VALIDATE_TIRAGE',
         'PAY_TIRAGE',
+        'DEFER_TIRAGE',
+        'SKIP_TIRAGE',
+        'CANCEL_TIRAGE',
+        'CLAWBACK_TIRAGE',
 
         // Pénalités
         'CREATE_PENALITE',
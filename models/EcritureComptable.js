@@ -0,0 +1,138 @@
+// models/EcritureComptable.js
+const mongoose = require('mongoose');
+const { LEDGER_ACCOUNTS } = require('../config/constants');
+
+/**
+ * Écriture du journal d'une tontine (comptabilité en partie double)
+ * Chaque écriture est équilibrée : total des débits = total des crédits
+ */
+const LigneSchema = new mongoose.Schema(
+  {
+    compte: {
+      type: String,
+      enum: Object.values(LEDGER_ACCOUNTS),
+      required: [true, 'Le compte est requis'],
+    },
+    // Sous-compte membre (créance membre)
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    debit: {
+      type: Number,
+      default: 0,
+      min: [0, 'Le débit doit être positif'],
+    },
+    credit: {
+      type: Number,
+      default: 0,
+      min: [0, 'Le crédit doit être positif'],
+    },
+  },
+  { _id: false }
+);
+
+const EcritureComptableSchema = new mongoose.Schema(
+  {
+    tontineId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tontine',
+      required: [true, 'La tontine est requise'],
+      index: true,
+    },
+    dateOperation: {
+      type: Date,
+      default: Date.now,
+    },
+    type: {
+      type: String,
+      enum: [
+        'appel_cotisations',
+        'annulation_appel_cotisations',
+        'transfert_appel_cotisations',
+        'declaration_paiement',
+        'validation_paiement',
+        'rejet_paiement',
+        'remboursement',
+        'penalite',
+        'ajustement_penalite',
+        'exoneration_penalite',
+        'versement_tirage',
+        'remise_enchere',
+        'recuperation_tirage',
+        'annulation_remise_enchere',
+        'transfert_position',
+        'transfert_garant',
+        'liberation_garant',
+      ],
+      required: [true, 'Le type d\'écriture est requis'],
+    },
+    libelle: {
+      type: String,
+      required: [true, 'Le libellé est requis'],
+    },
+    lignes: {
+      type: [LigneSchema],
+      validate: {
+        validator: (lignes) => lignes.length >= 2,
+        message: 'Une écriture comporte au moins deux lignes',
+      },
+    },
+
+    // Pièce à l'origine de l'écriture
+    source: {
+      modele: {
+        type: String,
+        enum: ['Transaction', 'Penalite', 'Tirage', 'Tontine'],
+      },
+      id: mongoose.Schema.Types.ObjectId,
+    },
+
+    // Clé d'idempotence : une même opération n'est jamais comptabilisée deux fois
+    cle: {
+      type: String,
+      required: true,
+      unique: true,
+    },
+
+    creePar: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ========================================
+// INDEXES
+// ========================================
+EcritureComptableSchema.index({ tontineId: 1, dateOperation: 1 });
+EcritureComptableSchema.index({ 'source.id': 1 });
+
+// ========================================
+// VALIDATION
+// ========================================
+
+/**
+ * Refuser toute écriture déséquilibrée ou vide
+ */
+EcritureComptableSchema.pre('validate', function (next) {
+  const totalDebit = this.lignes.reduce((sum, l) => sum + (l.debit || 0), 0);
+  const totalCredit = this.lignes.reduce((sum, l) => sum + (l.credit || 0), 0);
+
+  if (totalDebit !== totalCredit) {
+    return next(
+      new Error(`Écriture déséquilibrée (débit ${totalDebit}, crédit ${totalCredit})`)
+    );
+  }
+
+  if (totalDebit === 0) {
+    return next(new Error('Écriture de montant nul'));
+  }
+
+  next();
+});
+
+module.exports = mongoose.model('EcritureComptable', EcritureComptableSchema);
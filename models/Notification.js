@@ -26,6 +26,11 @@ const NotificationSchema = new mongoose.Schema(
         'TONTINE_ACTIVATION',      // Tontine activée
         'TONTINE_BLOQUEE',         // Tontine bloquée
         'TONTINE_CLOTUREE',        // Tontine clôturée
+        'ECHANGE_POSITION',        // Demande d'échange de position (tour de rôle)
+        'GARANTIE_DEMANDE',        // Demande de caution d'un membre
+        'GARANTIE_APPEL',          // Relance d'un garant (membre en retard après avoir gagné)
+        'ADHESION_DEMANDE',        // Demande d'adhésion à une tontine (à approuver)
+        'KYC_REVUE',               // Inscription à vérifier par un Admin
         'SYSTEM',                  // Notification système
       ],
       required: true,
@@ -61,10 +66,21 @@ const NotificationSchema = new mongoose.Schema(
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Transaction',
       },
+      echangeId: mongoose.Schema.Types.ObjectId,   // Demande d'échange (Tontine.demandesEchange)
+      garantieId: mongoose.Schema.Types.ObjectId,  // Caution (Tontine.membres.garants)
+      demandeAdhesionId: mongoose.Schema.Types.ObjectId, // Demande d'adhésion (Tontine.demandesAdhesion)
+      membreId: {                  // Membre cautionné
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+      },
+      niveauRelance: Number,       // Palier de relance du garant (1 à 3)
       dateTirage: Date,           // Date prévue du tirage
+      seedHash: String,            // Empreinte de la seed du tirage (vérification)
       dateExpiration: Date,        // Date limite pour accepter/refuser
       delaiOptInMinutes: Number,   // Délai en minutes
       montant: Number,
+      enchereOuverte: Boolean,     // Mode enchère : offres acceptées jusqu'au tirage
+      creditCotisation: Number,    // Part de remise d'enchère créditée au membre
       action: String,              // 'opt_in', 'opt_out', 'view', etc.
     },
 
@@ -225,33 +241,74 @@ NotificationSchema.statics.createTirageNotification = async function (userId, to
     userId,
     type: 'TIRAGE_NOTIFICATION',
     titre: ` Tirage à venir - ${tontine.nom}`,
-    message: `Un tirage au sort aura lieu bientôt. Confirmez votre participation avant le ${dateExpiration.toLocaleString('fr-FR')} (délai : ${delaiOptIn} min).`,
+    message: `Un tirage au sort aura lieu bientôt. Confirmez votre participation avant le ${dateExpiration.toLocaleString('fr-FR')} (délai : ${delaiOptIn} min).` +
+      (tontine.modeTirage === 'enchere'
+        ? ` Les enchères sont ouvertes jusqu'au ${new Date(dateTirage).toLocaleString('fr-FR')} : proposez votre remise pour recevoir la cagnotte.`
+        : '') +
+      (tontine.engagementTirage?.seedHash
+        ? ` Empreinte du tirage : ${tontine.engagementTirage.seedHash}`
+        : ''),
     data: {
       tontineId: tontine._id,
       dateTirage,
+      seedHash: tontine.engagementTirage?.seedHash,
       dateExpiration,
       delaiOptInMinutes: delaiOptIn,
       montant: tontine.montantCotisation * tontine.membres.length,
       action: 'opt_in_tirage',
+      enchereOuverte: tontine.modeTirage === 'enchere',
     },
     requiresAction: true,
     expiresAt: new Date(Date.now() + 7 * 24 * 60 * 60 * 1000), // Expire après 7 jours
   });
 };
 
+/**
+ * Annoncer le nouveau tirage d'une place annulée, avec l'empreinte de la valeur engagée
+ */
+NotificationSchema.statics.createTirageRelanceNotification = async function (userId, tirage, tontine) {
+  const { dateRelancePrevue, complementHashRelance } = tirage.annulation;
+
+  return await this.create({
+    userId,
+    type: 'TIRAGE_NOTIFICATION',
+    titre: ` Nouveau tirage d'une place annulée - ${tontine.nom}`,
+    message: `Le tirage #${tirage.numeroTirage} de l'échéance ${tirage.numeroEcheance} a été annulé. ` +
+      `Sa place sera tirée à nouveau le ${dateRelancePrevue.toLocaleString('fr-FR')} parmi les mêmes candidats. ` +
+      `Empreinte du nouveau tirage : ${complementHashRelance}`,
+    data: {
+      tontineId: tontine._id,
+      tirageId: tirage._id,
+      dateTirage: dateRelancePrevue,
+      seedHash: complementHashRelance,
+    },
+    requiresAction: false,
+    expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // Expire après 30 jours
+  });
+};
+
 /**
  * Créer notification de résultat de tirage
  */
 NotificationSchema.statics.createTirageResultNotification = async function (userId, tirage, tontine, gagnant) {
+  // Enchère : part de la remise déduite de la prochaine cotisation du membre
+  const credit = tirage.detailsEnchere?.redistribution?.find(
+    (r) => r.userId.toString() === userId.toString()
+  );
+
   return await this.create({
     userId,
     type: 'TIRAGE_RESULTAT',
     titre: ` Résultat du tirage - ${tontine.nom}`,
-    message: `Le gagnant du tirage est ${gagnant.prenom} ${gagnant.nom}. Montant : ${tirage.montantDistribue} FCFA.`,
+    message: `Le gagnant du tirage est ${gagnant.prenom} ${gagnant.nom}. Montant : ${tirage.montantDistribue} FCFA.` +
+      (credit && credit.montant > 0
+        ? ` Remise de l'enchère : ${credit.montant} FCFA déduits de votre prochaine cotisation.`
+        : ''),
     data: {
       tontineId: tontine._id,
       tirageId: tirage._id,
       montant: tirage.montantDistribue,
+      creditCotisation: credit?.montant,
     },
     requiresAction: false,
     expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // Expire après 30 jours
@@ -262,15 +319,23 @@ NotificationSchema.statics.createTirageResultNotification = async function (user
  * Créer notification de gain
  */
 NotificationSchema.statics.createTirageWinnerNotification = async function (userId, tirage, tontine) {
+  // Position partagée : chaque co-titulaire reçoit sa quote-part
+  const part = (tirage.repartition || []).find(
+    (r) => (r.userId._id || r.userId).toString() === userId.toString()
+  );
+  const montant = part ? part.montant : tirage.montantDistribue;
+
   return await this.create({
     userId,
     type: 'TIRAGE_GAGNANT',
     titre: ` FÉLICITATIONS ! Vous avez gagné !`,
-    message: `Vous avez gagné le tirage de "${tontine.nom}" ! Montant : ${tirage.montantDistribue} FCFA.`,
+    message: part
+      ? `Votre position a gagné le tirage de "${tontine.nom}" ! Votre quote-part (${part.quotePart}%) : ${montant} FCFA sur ${tirage.montantDistribue} FCFA.`
+      : `Vous avez gagné le tirage de "${tontine.nom}" ! Montant : ${montant} FCFA.`,
     data: {
       tontineId: tontine._id,
       tirageId: tirage._id,
-      montant: tirage.montantDistribue,
+      montant,
     },
     requiresAction: false,
     expiresAt: new Date(Date.now() + 90 * 24 * 60 * 60 * 1000), // Expire après 90 jours
@@ -301,6 +366,98 @@ NotificationSchema.statics.createInvitationTontine = async function (userId, ton
   });
 };
 
+/**
+ * Créer notification de demande d'échange de position (tour de rôle)
+ */
+NotificationSchema.statics.createEchangePositionNotification = async function (
+  destinataireId,
+  demandeur,
+  tontine,
+  demande
+) {
+  return await this.create({
+    userId: destinataireId,
+    type: 'ECHANGE_POSITION',
+    titre: ` Échange de position - "${tontine.nom}"`,
+    message:
+      `${demandeur.prenom} ${demandeur.nom} vous propose d'échanger vos positions dans le tour de rôle : ` +
+      `vous passeriez de la position ${demande.positionDestinataire} à la position ${demande.positionDemandeur}.`,
+    data: {
+      tontineId: tontine._id,
+      echangeId: demande._id,
+    },
+    requiresAction: true,
+    createdBy: demandeur._id,
+  });
+};
+
+/**
+ * Créer notification de demande de caution
+ */
+NotificationSchema.statics.createGarantieRequestNotification = async function (
+  garantId,
+  membre,
+  tontine,
+  garantie
+) {
+  return await this.create({
+    userId: garantId,
+    type: 'GARANTIE_DEMANDE',
+    titre: ` Demande de caution - "${tontine.nom}"`,
+    message:
+      `${membre.prenom} ${membre.nom} vous demande de vous porter garant de sa participation à "${tontine.nom}" ` +
+      `(cotisation de ${tontine.montantCotisation} FCFA). S'il cesse de payer après avoir reçu la cagnotte, ` +
+      `vous serez relancé puis sa dette vous sera transférée.`,
+    data: {
+      tontineId: tontine._id,
+      garantieId: garantie._id,
+      membreId: membre._id,
+      montant: tontine.montantCotisation,
+    },
+    requiresAction: true,
+    createdBy: membre._id,
+    expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // Expire après 30 jours
+  });
+};
+
+/**
+ * Créer notification de relance d'un garant
+ * @param {Object} relance - { niveau (1 alerte, 2 mise en demeure, 3 transfert), joursRetard, soldeRetard, montantTransfere }
+ */
+NotificationSchema.statics.createGarantieAppelNotification = async function (
+  garantId,
+  membre,
+  tontine,
+  garantie,
+  relance
+) {
+  const nomMembre = `${membre.prenom} ${membre.nom}`;
+  const titres = {
+    1: ` Caution : ${nomMembre} est en retard`,
+    2: ` Mise en demeure - caution de ${nomMembre}`,
+    3: ` Dette de ${nomMembre} transférée`,
+  };
+  const messages = {
+    1: `${nomMembre}, que vous cautionnez dans "${tontine.nom}", a ${relance.joursRetard} jours de retard (${relance.soldeRetard} FCFA impayés) après avoir reçu la cagnotte.`,
+    2: `${nomMembre} n'a toujours pas régularisé ses ${relance.soldeRetard} FCFA de retard dans "${tontine.nom}". Sans paiement, sa dette vous sera transférée.`,
+    3: `En tant que garant de ${nomMembre}, vous êtes désormais redevable de ${relance.montantTransfere} FCFA dans "${tontine.nom}", pénalités de retard comprises le cas échéant.`,
+  };
+
+  return await this.create({
+    userId: garantId,
+    type: 'GARANTIE_APPEL',
+    titre: titres[relance.niveau],
+    message: messages[relance.niveau],
+    data: {
+      tontineId: tontine._id,
+      garantieId: garantie._id,
+      membreId: membre._id,
+      niveauRelance: relance.niveau,
+      montant: relance.niveau === 3 ? relance.montantTransfere : relance.soldeRetard,
+    },
+    requiresAction: false,
+  });
+};
 
 //  AJOUTER ICI
 /**
@@ -320,6 +477,7 @@ NotificationSchema.statics.createValidationRequestNotification = async function
     UNBLOCK_TONTINE: 'Déblocage de tontine',
     ACTIVATE_USER: 'Activation d\'utilisateur',
     DEACTIVATE_USER: 'Désactivation d\'utilisateur',
+    REFUND_TRANSACTION: 'Remboursement de paiement',
   };
 
   return await this.create({
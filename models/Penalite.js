@@ -48,6 +48,7 @@ const PenaliteSchema = new mongoose.Schema(
       type: Date,
       required: [true, 'La date d\'échéance est requise'],
     },
+    echeanceNumero: Number, // Échéance du calendrier dont le solde est en retard
     dateCalcul: {
       type: Date,
       default: Date.now,
@@ -91,6 +92,14 @@ const PenaliteSchema = new mongoose.Schema(
       ref: 'Transaction',
     },
 
+    // Garantie : pénalité transférée au garant du membre, qui en devient redevable
+    garantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: true,
+    },
+    dateTransfertGarant: Date,
+
     // Notifications
     notificationEnvoyee: {
       type: Boolean,
@@ -116,6 +125,7 @@ const PenaliteSchema = new mongoose.Schema(
 // ========================================
 PenaliteSchema.index({ userId: 1, tontineId: 1, dateCalcul: -1 });
 PenaliteSchema.index({ statut: 1 });
+PenaliteSchema.index({ userId: 1, tontineId: 1, echeanceNumero: 1 });
 PenaliteSchema.index({ exoneree: 1, approuveeParAdmin: 1 });
 
 // ========================================
@@ -0,0 +1,107 @@
+// models/Reconciliation.js
+const mongoose = require('mongoose');
+const { getMethods } = require('../services/providers/registry');
+
+/**
+ * Rapprochement d'un relevé provider (CSV Wave / Orange Money) avec les transactions
+ */
+const ReconciliationSchema = new mongoose.Schema(
+  {
+    moyenPaiement: {
+      type: String,
+      required: [true, 'Le moyen de paiement est requis'],
+      validate: {
+        validator: (value) => getMethods().includes(value),
+        message: 'Moyen de paiement invalide',
+      },
+      index: true,
+    },
+    nomFichier: String,
+
+    // Synthèse pour le tableau de bord trésorier
+    resume: {
+      totalLignes: { type: Number, default: 0 },
+      valideesAuto: { type: Number, default: 0 },
+      dejaValidees: { type: Number, default: 0 },
+      orphelines: { type: Number, default: 0 },
+      ecartsMontant: { type: Number, default: 0 },
+      doublons: { type: Number, default: 0 },
+      transactionsRejetees: { type: Number, default: 0 },
+      versementsPropres: { type: Number, default: 0 }, // Versements de l'importateur, à valider par un autre
+      ignorees: { type: Number, default: 0 }, // Paiements non aboutis chez le provider
+      montantReleve: { type: Number, default: 0 },
+      montantValide: { type: Number, default: 0 },
+    },
+
+    // Détail ligne par ligne
+    lignes: [
+      {
+        numeroLigne: Number,
+        reference: String,
+        montant: Number,
+        dateOperation: String,
+        statutProvider: String,
+        resultat: {
+          type: String,
+          enum: [
+            'validee_auto',
+            'deja_validee',
+            'orpheline',
+            'ecart_montant',
+            'doublon',
+            'transaction_rejetee',
+            'propre_versement',
+            'ignoree',
+          ],
+        },
+        transactionId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Transaction',
+        },
+        tontineId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'Tontine',
+        },
+        montantAttendu: Number,
+        details: String,
+      },
+    ],
+
+    importePar: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ========================================
+// INDEXES
+// ========================================
+ReconciliationSchema.index({ createdAt: -1 });
+ReconciliationSchema.index({ 'lignes.tontineId': 1 });
+
+// ========================================
+// VIRTUALS
+// ========================================
+
+/**
+ * Nombre de lignes demandant une action du trésorier
+ */
+ReconciliationSchema.virtual('anomalies').get(function () {
+  const r = this.resume || {};
+  return (
+    (r.orphelines || 0) +
+    (r.ecartsMontant || 0) +
+    (r.doublons || 0) +
+    (r.transactionsRejetees || 0) +
+    (r.versementsPropres || 0)
+  );
+});
+
+ReconciliationSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('Reconciliation', ReconciliationSchema);
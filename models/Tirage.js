@@ -1,5 +1,6 @@
 // models/Tirage.js
 const mongoose = require('mongoose');
+const { getMethods } = require('../services/providers/registry');
 
 const TirageSchema = new mongoose.Schema(
   {
@@ -28,6 +29,11 @@ const TirageSchema = new mongoose.Schema(
       default: Date.now,
       index: true,
     },
+    // Échéance couverte (plusieurs tirages par échéance si gagnantsParCycle > 1)
+    numeroEcheance: {
+      type: Number,
+      min: [1, 'Le numéro d\'échéance doit être positif'],
+    },
     montantDistribue: {
       type: Number,
       required: [true, 'Le montant est requis'],
@@ -37,7 +43,7 @@ const TirageSchema = new mongoose.Schema(
     // Méthode de sélection
     methodeTirage: {
       type: String,
-      enum: ['aleatoire', 'tour_de_role', 'manuel'],
+      enum: ['aleatoire', 'tour_de_role', 'enchere', 'manuel'],
       default: 'aleatoire',
     },
 
@@ -54,22 +60,93 @@ const TirageSchema = new mongoose.Schema(
           score: Number, // Score de priorité si applicable
         },
       ],
-      seed: String, // Seed aléatoire pour reproductibilité
-      resultatAleatoire: Number,
+      algorithme: String, // Voir services/draw.service.js
+      seed: String, // Seed aléatoire pour reproductibilité (révélée au tirage)
+      seedHash: String, // Empreinte SHA-256 de la seed, publiée avant le tirage
+      dateEngagement: Date,
+      engagementPublie: Boolean, // false si la seed a été générée au moment du tirage
+      // Nouveau tirage d'une place annulée : seed = SHA-256("<seedPrecedente>:<complement>")
+      seedPrecedente: String, // Seed révélée du tirage annulé
+      complement: String, // Valeur fraîche, révélée au tirage
+      complementHash: String, // Empreinte du complément, engagée à l'annulation
+      empreinte: String, // SHA-256 de la seed et des candidats triés
+      resultatAleatoire: Number, // Rang du gagnant parmi les candidats triés
+    },
+
+    // Enchère : offres scellées révélées au tirage et redistribution de la remise
+    detailsEnchere: {
+      dateOuverture: Date,
+      dateCloture: Date,
+      montantCagnotte: Number, // Cagnotte avant remise
+      montantRemise: Number, // Offre gagnante, déduite de la cagnotte du gagnant
+      offres: [
+        {
+          userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+          montantRemise: Number,
+          dateOffre: Date,
+          retenue: Boolean, // false si le membre n'était plus éligible au tirage
+        },
+      ],
+      // Crédits sur la prochaine cotisation des autres membres
+      redistribution: [
+        {
+          userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+          montant: Number,
+        },
+      ],
     },
 
-    // Statut du paiement
+    // Position partagée : cagnotte versée à chaque co-titulaire selon sa quote-part
+    repartition: [
+      {
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        quotePart: Number,
+        montant: Number,
+        statutPaiement: {
+          type: String,
+          enum: ['en_attente', 'en_cours', 'paye'],
+          default: 'en_attente',
+        },
+        referencePaiement: String,
+      },
+    ],
+
+    // Statut du paiement ('annule' est terminal, voir annuler)
     statutPaiement: {
       type: String,
-      enum: ['en_attente', 'paye', 'echec'],
+      enum: ['en_attente', 'paye', 'echec', 'annule'],
       default: 'en_attente',
     },
     datePaiement: Date,
     referencePaiement: String,
     moyenPaiement: {
       type: String,
-      enum: ['Wave', 'Orange Money', 'Virement', 'Cash'],
+      validate: {
+        validator: (value) => !value || getMethods().includes(value),
+        message: 'Moyen de paiement invalide',
+      },
+    },
+
+    // Versement automatique au bénéficiaire
+    paiementEnCours: {
+      type: Boolean,
+      default: false,
     },
+    tentativesPaiement: {
+      type: Number,
+      default: 0,
+    },
+    prochaineTentative: Date,
+    erreurPaiement: String,
+    historiquePaiement: [
+      {
+        date: { type: Date, default: Date.now },
+        statut: String,
+        moyenPaiement: String,
+        reference: String,
+        erreur: String,
+      },
+    ],
 
     // Notifications
     notificationEnvoyee: {
@@ -89,6 +166,32 @@ const TirageSchema = new mongoose.Schema(
       ref: 'User',
     },
 
+    // Annulation du tirage et, le cas échéant, nouveau tirage désigné à sa place
+    annulation: {
+      date: Date,
+      par: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      raison: String,
+      montantRecupere: Number,
+      rang: Number, // N-ième annulation de l'échéance (voir TIRAGE.ANNULATIONS_MAX_PAR_ECHEANCE)
+      // Nouveau tirage de la place : valeur engagée à l'annulation, empreinte publiée aux
+      // membres, tirage à dateRelancePrevue (voir draw.service)
+      complementHashRelance: String,
+      complementRelance: { type: String, select: false },
+      dateRelancePrevue: Date,
+      relanceTirageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tirage' },
+      erreurRelance: String, // Nouveau tirage impossible : la place revient au tirage planifié
+    },
+
+    // Récupération auprès du bénéficiaire d'une cagnotte déjà versée (préalable à l'annulation)
+    recuperation: {
+      montant: Number,
+      moyenPaiement: String,
+      reference: String,
+      date: Date,
+      enregistrePar: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      notes: String,
+    },
+
     // Commentaires/Notes
     notes: String,
 
@@ -124,6 +227,24 @@ TirageSchema.virtual('estEnAttente').get(function () {
   return this.statutPaiement === 'en_attente';
 });
 
+// Avant le statut 'annule', une annulation passait le tirage en 'echec' avec une note "ANNULÉ"
+TirageSchema.virtual('estAnnule').get(function () {
+  return (
+    this.statutPaiement === 'annule' ||
+    (this.statutPaiement === 'echec' && /^ANNULÉ/.test(this.notes || ''))
+  );
+});
+
+// Montant déjà parvenu au(x) bénéficiaire(s)
+TirageSchema.virtual('montantVerse').get(function () {
+  if (this.statutPaiement === 'paye') {
+    return this.montantDistribue;
+  }
+  return (this.repartition || [])
+    .filter((part) => part.statutPaiement === 'paye')
+    .reduce((total, part) => total + part.montant, 0);
+});
+
 // ========================================
 // MÉTHODES D'INSTANCE
 // ========================================
@@ -138,6 +259,60 @@ TirageSchema.methods.marquerPaye = function (moyenPaiement, referencePaiement) {
   this.referencePaiement = referencePaiement;
 };
 
+/**
+ * Enregistrer l'échec d'un versement et planifier la prochaine tentative
+ * @param {String} erreur - Message du provider
+ * @param {Date|null} prochaineTentative - null si plus de tentative prévue
+ */
+TirageSchema.methods.marquerEchecPaiement = function (erreur, prochaineTentative) {
+  this.statutPaiement = 'echec';
+  this.erreurPaiement = erreur;
+  this.prochaineTentative = prochaineTentative;
+};
+
+/**
+ * Un versement est-il en cours chez le provider ?
+ */
+TirageSchema.methods.aVersementEnCours = function () {
+  return (
+    this.paiementEnCours ||
+    (this.repartition || []).some((part) => part.statutPaiement === 'en_cours') ||
+    (this.statutPaiement === 'en_attente' && this.tentativesPaiement > 0 && Boolean(this.referencePaiement))
+  );
+};
+
+/**
+ * Annuler le tirage : en_attente/echec -> annule, ou paye -> annule si la cagnotte
+ * versée a été récupérée (voir recuperation)
+ * @param {String} raison - Motif de l'annulation
+ * @param {Object} user - Auteur de l'annulation
+ */
+TirageSchema.methods.annuler = function (raison, user) {
+  if (this.estAnnule) {
+    throw new Error('Tirage deja annule');
+  }
+
+  if (this.aVersementEnCours()) {
+    throw new Error('Un versement est en cours chez le provider : attendez son issue avant d\'annuler');
+  }
+
+  const montantVerse = this.montantVerse;
+  if (montantVerse > 0 && (this.recuperation?.montant || 0) < montantVerse) {
+    throw new Error(
+      `Cagnotte deja versee (${montantVerse} FCFA) : enregistrez d'abord sa recuperation aupres du beneficiaire`
+    );
+  }
+
+  this.statutPaiement = 'annule';
+  this.prochaineTentative = undefined; // Ne plus relancer le versement
+  this.annulation = {
+    date: Date.now(),
+    par: user ? user._id : null,
+    raison,
+    montantRecupere: montantVerse || undefined,
+  };
+};
+
 /**
  * Valider le tirage (par trésorier)
  */
@@ -206,6 +381,89 @@ TirageSchema.statics.getProchainNumero = async function (tontineId) {
   return dernierTirage ? dernierTirage.numeroTirage + 1 : 1;
 };
 
+/**
+ * Filtre des tirages en vigueur (non annulés, annulations antérieures au statut 'annule' comprises)
+ * @param {Object} filtre - Critères complémentaires
+ */
+TirageSchema.statics.enVigueur = function (filtre = {}) {
+  return {
+    ...filtre,
+    statutPaiement: { $ne: 'annule' },
+    $nor: [{ statutPaiement: 'echec', notes: /^ANNULÉ/ }],
+  };
+};
+
+/**
+ * Filtre des tirages annulés dont le nouveau tirage de la place est programmé, pas encore effectué
+ * @param {Object} filtre - Critères complémentaires
+ */
+TirageSchema.statics.relancesEnAttente = function (filtre = {}) {
+  return {
+    'annulation.dateRelancePrevue': { $exists: true },
+    'annulation.relanceTirageId': { $exists: false },
+    'annulation.erreurRelance': { $exists: false },
+    ...filtre,
+  };
+};
+
+/**
+ * Bénéficiaires ayant reçu (ou en train de recevoir) la cagnotte
+ */
+TirageSchema.statics.getBeneficiaires = function (tontineId) {
+  return this.find(this.enVigueur({ tontineId })).distinct('beneficiaireId');
+};
+
+/**
+ * Nombre de cagnottes reçues (ou en cours de versement) par membre
+ * Les gains d'une position reprise par un remplaçant lui sont comptés
+ * @returns {Map<String, Number>} - userId → nombre de tirages gagnés
+ */
+TirageSchema.statics.getGainsParMembre = async function (tontineId) {
+  const [gains, tontine] = await Promise.all([
+    this.aggregate([
+      { $match: this.enVigueur({ tontineId: new mongoose.Types.ObjectId(tontineId) }) },
+      { $group: { _id: '$beneficiaireId', nombre: { $sum: 1 } } },
+    ]),
+    mongoose.model('Tontine').findById(tontineId).select('sortiesMembres'),
+  ]);
+
+  const parMembre = new Map(gains.map((g) => [g._id.toString(), g.nombre]));
+
+  (tontine?.sortiesMembres || [])
+    .filter((s) => s.remplacantId)
+    .sort((a, b) => a.date - b.date)
+    .forEach((s) => {
+      const sortant = s.userId.toString();
+      const remplacant = s.remplacantId.toString();
+      if (!parMembre.has(sortant)) return;
+
+      parMembre.set(remplacant, (parMembre.get(remplacant) || 0) + parMembre.get(sortant));
+      parMembre.delete(sortant);
+    });
+
+  return parMembre;
+};
+
+/**
+ * Échéance dont les bénéficiaires restent à désigner : la dernière échéance tirée
+ * si elle n'a pas tous ses gagnants, sinon la suivante. Les tirages antérieurs à la
+ * numérotation des échéances comptent chacun pour une échéance.
+ * @param {Object} tontine - Document Tontine
+ */
+TirageSchema.statics.getEcheanceATirer = async function (tontine) {
+  const tirages = await this.find(this.enVigueur({ tontineId: tontine._id })).select('numeroEcheance');
+
+  const numeros = tirages.map((t) => t.numeroEcheance).filter(Boolean);
+  if (numeros.length === 0) {
+    return tirages.length + 1;
+  }
+
+  const derniere = Math.max(...numeros);
+  const tiresDerniere = numeros.filter((n) => n === derniere).length;
+
+  return tiresDerniere < tontine.getNombreGagnantsEcheance(derniere) ? derniere : derniere + 1;
+};
+
 /**
  * Obtenir tous les tirages d'une tontine
  */
@@ -255,59 +513,6 @@ TirageSchema.statics.getMembresEligibles = async function (tontineId) {
   return eligibles;
 };
 
-/**
- * Effectuer un tirage aléatoire
- */
-TirageSchema.statics.effectuerTirageAleatoire = async function (
-  tontineId,
-  montant,
-  createdBy
-) {
-  // Obtenir les membres éligibles
-  const eligibles = await this.getMembresEligibles(tontineId);
-
-  if (eligibles.length === 0) {
-    throw new Error('Aucun membre éligible pour le tirage');
-  }
-
-  // Filtrer uniquement ceux à jour (optionnel - selon règles métier)
-  const eligiblesAJour = eligibles.filter((e) => e.cotisationsAJour);
-
-  const candidats = eligiblesAJour.length > 0 ? eligiblesAJour : eligibles;
-
-  // Tirage aléatoire
-  const seed = Date.now().toString();
-  const randomValue = Math.random();
-  const indexGagnant = Math.floor(randomValue * candidats.length);
-  const gagnant = candidats[indexGagnant];
-
-  // Obtenir le prochain numéro
-  const numeroTirage = await this.getProchainNumero(tontineId);
-
-  // Créer le tirage
-  const tirage = await this.create({
-    tontineId,
-    beneficiaireId: gagnant.userId,
-    numeroTirage,
-    montantDistribue: montant,
-    methodeTirage: 'aleatoire',
-    detailsAlgorithme: {
-      candidatsEligibles: candidats.map((c, idx) => ({
-        ...c,
-        score: idx,
-      })),
-      seed,
-      resultatAleatoire: randomValue,
-    },
-    createdBy,
-  });
-
-  // Mettre à jour le membre dans la tontine
-  await tirage.updateMembreTontine();
-
-  return tirage;
-};
-
 /**
  * Statistiques des tirages
  */
@@ -1,6 +1,7 @@
 // models/Tontine.js
+const crypto = require('crypto');
 const mongoose = require('mongoose');
-const { TONTINE_STATUS, FREQUENCES } = require('../config/constants');
+const { TONTINE_STATUS, FREQUENCES, TONTINE_ROLES } = require('../config/constants');
 
 const TontineSchema = new mongoose.Schema(
   {
@@ -95,7 +96,62 @@ description: {
     type: Boolean,
     default: false,
     description: 'Participation confirmée automatiquement après délai'
-  }
+  },
+  // Nombre de "mains" : cotisation multipliée d'autant, une cagnotte gagnée par main
+  nombreParts: {
+    type: Number,
+    default: 1,
+    min: [1, 'Au moins une part par membre'],
+    max: [10, 'Maximum 10 parts par membre']
+  },
+  // Position partagée : le membre est co-titulaire de la position de ce titulaire
+  titulaireId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Quote-part de la position détenue (%) : cotisations et cagnotte au prorata
+  quotePart: {
+    type: Number,
+    default: 100,
+    min: [1, 'La quote-part doit être d\'au moins 1%'],
+    max: [100, 'La quote-part ne peut pas dépasser 100%']
+  },
+  // Remises d'enchères redistribuées, imputées sur les prochaines cotisations
+  creditCotisation: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Cotisations versées par le membre remplacé, reprises avec sa position
+  cotisationsReprises: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Membre sorti après avoir reçu la cagnotte : il reste redevable des cotisations restantes
+  dateSortie: Date,
+  // Cautions : utilisateurs qui reprennent la dette du membre s'il cesse de payer après avoir gagné
+  garants: [{
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    statut: {
+      type: String,
+      enum: ['en_attente', 'accepte', 'refuse', 'retire'],
+      default: 'en_attente'
+    },
+    notificationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Notification' },
+    dateDemande: { type: Date, default: Date.now },
+    dateReponse: Date,
+    // 0 : aucune relance, 1 : alerte, 2 : mise en demeure, 3 : dette transférée
+    niveauRelance: { type: Number, default: 0, min: 0, max: 3 },
+    dateDerniereRelance: Date,
+    // Dette transférée au garant, libérée à mesure que le membre régularise lui-même
+    transferts: [{
+      type: { type: String, enum: ['transfert', 'liberation'], required: true },
+      montant: { type: Number, required: true, min: 1 },
+      date: { type: Date, default: Date.now }
+    }]
+  }]
 }],
     // Trésorier assigné à cette tontine (OBLIGATOIRE pour activation)
 // Tontine.js - CORRECTION
@@ -136,6 +192,201 @@ delaiOptIn: {
   max: [1440, 'Délai maximum 24 heures'],
   description: "Délai (en minutes) avant opt-in automatique"
 },
+
+    // Désignation du bénéficiaire de chaque cycle
+    modeTirage: {
+      type: String,
+      enum: {
+        values: ['aleatoire', 'tour_de_role', 'enchere'],
+        message: 'Mode de tirage invalide',
+      },
+      default: 'aleatoire',
+    },
+
+    // Nombre de bénéficiaires (parts gagnantes) à chaque échéance
+    gagnantsParCycle: {
+      type: Number,
+      default: 1,
+      min: [1, 'Au moins un bénéficiaire par échéance'],
+      max: [20, 'Maximum 20 bénéficiaires par échéance'],
+    },
+
+    // Tirages planifiés : annonce N jours après chaque échéance à heure fixe,
+    // tirage à l'issue du délai d'opt-in (voir jobs/tirage.cron.js)
+    planificationTirage: {
+      active: { type: Boolean, default: false },
+      joursApresEcheance: {
+        type: Number,
+        default: 3,
+        min: [0, 'Le décalage ne peut pas être négatif'],
+        max: [30, 'Le décalage ne peut pas dépasser 30 jours'],
+      },
+      heure: {
+        type: String,
+        default: '18:00',
+        match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Heure invalide (HH:MM)'],
+      },
+      // Cotisations incomplètes à l'heure du tirage : reporter ou sauter le cycle
+      siCotisationsIncompletes: {
+        type: String,
+        enum: ['reporter', 'sauter'],
+        default: 'reporter',
+      },
+      delaiReportHeures: {
+        type: Number,
+        default: 24,
+        min: [1, 'Report minimum 1 heure'],
+        max: [168, 'Report maximum 7 jours'],
+      },
+      nombreReportsMax: {
+        type: Number,
+        default: 3,
+        min: [0, 'Le nombre de reports ne peut pas être négatif'],
+        max: [10, 'Maximum 10 reports'],
+      },
+    },
+
+    // Calendrier des tirages planifiés (un par échéance)
+    calendrierTirages: [
+      {
+        numeroEcheance: Number,
+        datePrevue: Date,
+        statut: {
+          type: String,
+          enum: ['planifie', 'notifie', 'reporte', 'effectue', 'saute'],
+          default: 'planifie',
+        },
+        dateNotification: Date,
+        dateExecution: Date,
+        nombreReports: { type: Number, default: 0 },
+        raison: String,
+        tirageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Tirage' },
+      },
+    ],
+
+    // Tirage vérifiable : empreinte publiée à l'annonce, seed révélée au tirage
+    engagementTirage: {
+      seedHash: String,
+      seed: { type: String, select: false },
+      dateEngagement: Date,
+    },
+
+    // Enchère en cours : offres scellées jusqu'à la clôture (date du tirage)
+    enchereEnCours: {
+      dateOuverture: Date,
+      dateCloture: Date,
+      offres: {
+        type: [
+          {
+            userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+            montantRemise: { type: Number, required: true, min: 1 },
+            dateOffre: { type: Date, default: Date.now },
+          },
+        ],
+        select: false,
+      },
+    },
+
+    // Tour de rôle : ordre fixe de réception de la cagnotte (position 1 = premier cycle)
+    ordreRotation: [
+      {
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        position: { type: Number, required: true },
+      },
+    ],
+    ordreRotationTireAuSort: {
+      type: Boolean,
+      default: false,
+    },
+    dateOrdreRotation: Date,
+
+    // Sorties de membres en cours de tontine (double validation MEMBER_EXIT)
+    sortiesMembres: [
+      {
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        remplacantId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        date: { type: Date, default: Date.now },
+        motif: String,
+        validationRequestId: { type: mongoose.Schema.Types.ObjectId, ref: 'ValidationRequest' },
+        traitePar: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        nombreGains: { type: Number, default: 0 },
+        totalVerse: { type: Number, default: 0 }, // Cotisations versées par le membre
+        penalitesImpayees: { type: Number, default: 0 },
+        cotisationsReprises: { type: Number, default: 0 }, // Transmises au remplaçant
+        montantARembourser: { type: Number, default: 0 },
+        montantDu: { type: Number, default: 0 }, // Reste dû par le membre sorti
+        statut: {
+          type: String,
+          enum: ['soldee', 'a_rembourser', 'a_recouvrer'],
+          default: 'soldee',
+        },
+      },
+    ],
+
+    // Rôles attribués sur cette tontine (propriétaire, trésorier et membres découlent
+    // de createdBy, tresorierAssigne et membres)
+    rolesAttribues: [
+      {
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        role: {
+          type: String,
+          enum: [TONTINE_ROLES.CO_TRESORIER, TONTINE_ROLES.AUDITEUR],
+          required: true,
+        },
+        attribuePar: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        dateAttribution: { type: Date, default: Date.now },
+      },
+    ],
+
+    // Codes (et liens) d'invitation partageables, avant activation
+    codesInvitation: [
+      {
+        code: { type: String, required: true, uppercase: true, trim: true },
+        dateExpiration: { type: Date, required: true },
+        utilisationsMax: { type: Number, min: 1 }, // Absent : utilisations illimitées
+        utilisations: { type: Number, default: 0 },
+        actif: { type: Boolean, default: true },
+        createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        dateCreation: { type: Date, default: Date.now },
+      },
+    ],
+
+    // Demandes d'adhésion (code d'invitation ou tontine publique), à approuver par l'Admin ou le Trésorier
+    demandesAdhesion: [
+      {
+        userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        codeInvitation: String,
+        message: { type: String, maxlength: 500 },
+        dateAcceptationReglement: { type: Date, required: true },
+        statut: {
+          type: String,
+          enum: ['en_attente', 'acceptee', 'refusee'],
+          default: 'en_attente',
+        },
+        dateDemande: { type: Date, default: Date.now },
+        dateReponse: Date,
+        traitePar: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+        motifRefus: String,
+      },
+    ],
+
+    // Échanges de position entre deux membres (consentement des deux parties)
+    demandesEchange: [
+      {
+        demandeurId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        destinataireId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+        positionDemandeur: Number,
+        positionDestinataire: Number,
+        statut: {
+          type: String,
+          enum: ['en_attente', 'acceptee', 'refusee', 'annulee'],
+          default: 'en_attente',
+        },
+        notificationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Notification' },
+        dateDemande: { type: Date, default: Date.now },
+        dateReponse: Date,
+      },
+    ],
     // Statut
     statut: {
       type: String,
@@ -159,6 +410,30 @@ delaiOptIn: {
       min: [0, 'Le délai de grâce ne peut pas être négatif'],
       max: [30, 'Le délai de grâce ne peut pas dépasser 30 jours'],
     },
+    // Retard (jours) d'un membre ayant gagné au-delà duquel ses garants sont mobilisés
+    delaiMobilisationGarant: {
+      type: Number,
+      default: 15,
+      min: [1, 'Le délai de mobilisation des garants doit être d\'au moins 1 jour'],
+      max: [90, 'Le délai de mobilisation des garants ne peut pas dépasser 90 jours'],
+    },
+    // Score de fiabilité minimal pour rejoindre la tontine (null : pas de condition)
+    scoreMinimum: {
+      type: Number,
+      default: null,
+      min: [0, 'Le score minimum doit être compris entre 0 et 100'],
+      max: [100, 'Le score minimum doit être compris entre 0 et 100'],
+    },
+    // Tirage au sort pondéré par le score de fiabilité des candidats
+    prioriteFiabilite: {
+      type: Boolean,
+      default: false,
+    },
+    // Visible dans la liste publique des tontines en attente (demandes d'adhésion sans code)
+    visibilitePublique: {
+      type: Boolean,
+      default: false,
+    },
 
     // Calendrier des cotisations (généré automatiquement à l'activation)
     calendrierCotisations: [
@@ -220,6 +495,9 @@ delaiOptIn: {
 // ========================================
 TontineSchema.index({ nom: 1 });
 TontineSchema.index({ statut: 1 });
+TontineSchema.index({ 'codesInvitation.code': 1 });
+TontineSchema.index({ 'rolesAttribues.userId': 1 });
+TontineSchema.index({ visibilitePublique: 1, statut: 1, montantCotisation: 1 });
 TontineSchema.index({ dateDebut: 1 });
 TontineSchema.index({ 'membres.userId': 1 });
 
@@ -231,6 +509,13 @@ TontineSchema.virtual('nombreMembres').get(function () {
   return this.membres?.length || 0;
 });
 
+TontineSchema.virtual('nombreParts').get(function () {
+  return this.membres?.reduce(
+    (total, m) => total + (m.titulaireId ? 0 : m.nombreParts || 1),
+    0
+  ) || 0;
+});
+
 TontineSchema.virtual('nombreMembresActifs').get(function () {
   return this.membres?.filter((m) => !m.aGagne).length || 0;
 });
@@ -252,14 +537,41 @@ TontineSchema.virtual('duree').get(function () {
   return Math.ceil(diff / (1000 * 60 * 60 * 24)); // En jours
 });
 
+// ========================================
+// VALIDATION
+// ========================================
+
+/**
+ * Après activation, toute modification des parts ou du nombre de gagnants
+ * doit conserver des échéances complètes (voir verifierRepartitionGagnants)
+ */
+TontineSchema.pre('validate', function (next) {
+  if (this.isNew || this.statut === TONTINE_STATUS.EN_ATTENTE) return next();
+
+  const partsModifiees = this.isModified('gagnantsParCycle') ||
+    this.directModifiedPaths().some(
+      (path) => path === 'membres' || /^membres\.\d+\.(nombreParts|titulaireId)$/.test(path)
+    );
+  if (!partsModifiees) return next();
+
+  try {
+    this.verifierRepartitionGagnants();
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
 // ========================================
 // MÉTHODES D'INSTANCE
 // ========================================
 
 /**
  * Ajouter un membre
+ * @param {String} userId - ID de l'utilisateur
+ * @param {Number} nombreParts - Nombre de mains du membre
  */
-TontineSchema.methods.ajouterMembre = function (userId) {
+TontineSchema.methods.ajouterMembre = function (userId, nombreParts = 1) {
   // Vérifier si déjà membre
   const existe = this.membres.some((m) => m.userId.toString() === userId.toString());
   if (existe) {
@@ -279,16 +591,333 @@ TontineSchema.methods.ajouterMembre = function (userId) {
   this.membres.push({
     userId,
     dateAjout: Date.now(),
+    nombreParts,
+  });
+};
+
+/**
+ * Membres encore engagés dans la tontine : un membre sorti sans remplaçant après avoir gagné
+ * (recouvrement) reste dans membres, sa dette n'étant plus suivie que par sortiesMembres
+ */
+TontineSchema.methods.getMembresPresents = function () {
+  return this.membres.filter((m) => !m.dateSortie);
+};
+
+/**
+ * Nombre de parts (mains) d'un membre (0 pour un co-titulaire : les parts
+ * de la position sont portées par son titulaire)
+ */
+TontineSchema.methods.getNombreParts = function (userId) {
+  const membre = this.membres.find(
+    (m) => (m.userId._id || m.userId).toString() === userId.toString()
+  );
+  return membre && !membre.titulaireId ? membre.nombreParts || 1 : 0;
+};
+
+/**
+ * Co-titulaires de la position d'un membre
+ */
+TontineSchema.methods.getCoTitulaires = function (titulaireId) {
+  return this.membres.filter(
+    (m) => m.titulaireId && m.titulaireId.toString() === titulaireId.toString()
+  );
+};
+
+/**
+ * Titulaire de la position détenue par un membre (lui-même s'il n'est pas co-titulaire)
+ * @returns {ObjectId|null} - null si l'utilisateur n'est pas membre
+ */
+TontineSchema.methods.getTitulaire = function (userId) {
+  const membre = this.membres.find(
+    (m) => (m.userId._id || m.userId).toString() === userId.toString()
+  );
+  if (!membre) return null;
+  return membre.titulaireId || membre.userId._id || membre.userId;
+};
+
+/**
+ * Positions de la tontine : un titulaire (éventuellement à plusieurs parts)
+ * et ses co-titulaires avec leurs quotes-parts
+ * @returns {Array} - [{ titulaireId, nombreParts, titulaires: [{ userId, quotePart }] }]
+ */
+TontineSchema.methods.getPositions = function () {
+  return this.membres
+    .filter((m) => !m.titulaireId)
+    .map((m) => {
+      const titulaireId = m.userId._id || m.userId;
+      return {
+        titulaireId,
+        nombreParts: m.nombreParts || 1,
+        titulaires: [m, ...this.getCoTitulaires(titulaireId)].map((t) => ({
+          userId: t.userId._id || t.userId,
+          quotePart: t.quotePart ?? 100,
+        })),
+      };
+    });
+};
+
+/**
+ * Répartir un montant de la position entre ses titulaires au prorata des quotes-parts
+ * (au franc inférieur pour les co-titulaires, le reliquat revenant au titulaire)
+ * @param {String} titulaireId - Titulaire de la position
+ * @param {Number} montant - Montant de la position
+ * @returns {Array} - [{ userId, quotePart, montant }], titulaire en premier
+ */
+TontineSchema.methods.repartirMontant = function (titulaireId, montant) {
+  const titulaire = this.membres.find(
+    (m) => (m.userId._id || m.userId).toString() === titulaireId.toString()
+  );
+  const coTitulaires = this.getCoTitulaires(titulaireId).map((m) => ({
+    userId: m.userId._id || m.userId,
+    quotePart: m.quotePart,
+    montant: Math.floor((montant * m.quotePart) / 100),
+  }));
+  const partCoTitulaires = coTitulaires.reduce((total, c) => total + c.montant, 0);
+
+  return [
+    {
+      userId: titulaire ? titulaire.userId._id || titulaire.userId : titulaireId,
+      quotePart: titulaire?.quotePart ?? 100,
+      montant: montant - partCoTitulaires,
+    },
+    ...coTitulaires,
+  ];
+};
+
+/**
+ * Cotisation due par un membre pour une échéance : une cotisation par part
+ * de sa position, à hauteur de sa quote-part
+ * @param {String} userId - ID du membre
+ * @param {Number} montantEcheance - Montant de l'échéance pour une part
+ */
+TontineSchema.methods.getCotisationMembre = function (userId, montantEcheance = this.montantCotisation) {
+  const titulaireId = this.getTitulaire(userId);
+  if (!titulaireId) return 0;
+
+  const montantPosition = montantEcheance * this.getNombreParts(titulaireId);
+  return this.repartirMontant(titulaireId, montantPosition).find(
+    (r) => r.userId.toString() === userId.toString()
+  ).montant;
+};
+
+/**
+ * Répartition d'une cagnotte gagnée par une position (vide si la position n'est pas partagée)
+ * @param {String} titulaireId - Titulaire de la position gagnante
+ * @param {Number} montant - Montant distribué
+ * @returns {Array} - [{ userId, quotePart, montant }] (voir Tirage.repartition)
+ */
+TontineSchema.methods.repartirGain = function (titulaireId, montant) {
+  return this.getCoTitulaires(titulaireId).length > 0
+    ? this.repartirMontant(titulaireId, montant)
+    : [];
+};
+
+/**
+ * Enregistrer le gain d'un tirage sur les titulaires de la position gagnante
+ * @param {Object} tirage - Tirage créé (beneficiaireId, montantDistribue, repartition)
+ */
+TontineSchema.methods.enregistrerGain = function (tirage) {
+  const parts = tirage.repartition?.length
+    ? tirage.repartition
+    : [{ userId: tirage.beneficiaireId, montant: tirage.montantDistribue }];
+
+  parts.forEach((part) => {
+    const membre = this.membres.find(
+      (m) => (m.userId._id || m.userId).toString() === (part.userId._id || part.userId).toString()
+    );
+    if (!membre) return;
+
+    membre.aGagne = true;
+    membre.dateGain = tirage.dateTirage;
+    membre.montantGagne = (membre.montantGagne || 0) + part.montant;
+  });
+};
+
+/**
+ * Annuler le gain d'un tirage : les titulaires de la position retrouvent leur part à gagner
+ * et les crédits de remise d'enchère accordés aux autres membres sont repris
+ * @param {Object} tirage - Tirage annulé
+ * @param {Map} gains - userId → nombre de tirages gagnés, tirage annulé exclu (Tirage.getGainsParMembre)
+ */
+TontineSchema.methods.annulerGain = function (tirage, gains) {
+  const parts = tirage.repartition?.length
+    ? tirage.repartition
+    : [{ userId: tirage.beneficiaireId, montant: tirage.montantDistribue }];
+  const trouver = (userId) =>
+    this.membres.find(
+      (m) => (m.userId._id || m.userId).toString() === (userId._id || userId).toString()
+    );
+  const titulaireId = tirage.beneficiaireId._id || tirage.beneficiaireId;
+  const gagneEncore = (gains.get(titulaireId.toString()) || 0) > 0;
+
+  parts.forEach((part) => {
+    const membre = trouver(part.userId);
+    if (!membre) return;
+
+    membre.montantGagne = Math.max(0, (membre.montantGagne || 0) - part.montant);
+    if (!gagneEncore) {
+      membre.aGagne = false;
+      membre.dateGain = undefined;
+    }
+  });
+
+  (tirage.detailsEnchere?.redistribution || []).forEach((r) => {
+    const membre = trouver(r.userId);
+    if (!membre) return;
+
+    membre.creditCotisation = Math.max(0, (membre.creditCotisation || 0) - r.montant);
+  });
+};
+
+/**
+ * Partager la position d'un membre avec des co-titulaires (avant activation)
+ * Le titulaire conserve le reste des quotes-parts ; une liste vide dissout le partage
+ * @param {String} titulaireId - Titulaire de la position
+ * @param {Array} coTitulaires - [{ userId, quotePart }] (quotes-parts en %)
+ */
+TontineSchema.methods.partagerPosition = function (titulaireId, coTitulaires) {
+  if (this.statut !== TONTINE_STATUS.EN_ATTENTE) {
+    throw new Error('Les positions ne peuvent plus être modifiées après activation');
+  }
+
+  const trouver = (id) =>
+    this.membres.find((m) => (m.userId._id || m.userId).toString() === id.toString());
+
+  const titulaire = trouver(titulaireId);
+  if (!titulaire) {
+    throw new Error('Le titulaire n\'est pas membre de la tontine');
+  }
+  if (titulaire.titulaireId) {
+    throw new Error('Le titulaire est lui-même co-titulaire d\'une autre position');
+  }
+
+  const ids = coTitulaires.map((c) => c.userId.toString());
+  if (new Set(ids).size !== ids.length || ids.includes(titulaireId.toString())) {
+    throw new Error('Chaque co-titulaire doit être un autre membre, cité une seule fois');
+  }
+
+  const totalCoTitulaires = coTitulaires.reduce((total, c) => total + c.quotePart, 0);
+  if (totalCoTitulaires >= 100) {
+    throw new Error('Les quotes-parts des co-titulaires doivent laisser une part au titulaire');
+  }
+
+  for (const id of ids) {
+    const membre = trouver(id);
+    if (!membre) {
+      throw new Error(`L'utilisateur ${id} n'est pas membre de la tontine`);
+    }
+    if (membre.titulaireId && membre.titulaireId.toString() !== titulaireId.toString()) {
+      throw new Error(`Le membre ${id} est déjà co-titulaire d'une autre position`);
+    }
+    if (this.getCoTitulaires(id).length > 0) {
+      throw new Error(`Le membre ${id} détient lui-même une position partagée`);
+    }
+  }
+
+  this.getCoTitulaires(titulaireId).forEach((m) => {
+    m.titulaireId = null;
+    m.quotePart = 100;
+  });
+
+  coTitulaires.forEach((c) => {
+    const membre = trouver(c.userId);
+    membre.titulaireId = titulaire.userId._id || titulaire.userId;
+    membre.quotePart = c.quotePart;
+    membre.nombreParts = 1;
   });
+
+  titulaire.quotePart = 100 - totalCoTitulaires;
+};
+
+/**
+ * Parts d'un membre qui n'ont pas encore gagné la cagnotte
+ * @param {String} userId - ID du membre
+ * @param {Map} gains - userId → nombre de tirages gagnés (Tirage.getGainsParMembre)
+ */
+TontineSchema.methods.getPartsRestantes = function (userId, gains) {
+  return Math.max(0, this.getNombreParts(userId) - (gains.get(userId.toString()) || 0));
+};
+
+/**
+ * Toutes les parts de la position du membre ont-elles gagné ?
+ * (un non-membre compte pour une part)
+ */
+TontineSchema.methods.aToutGagne = function (userId, gains) {
+  const titulaireId = this.getTitulaire(userId) || userId;
+  return (gains.get(titulaireId.toString()) || 0) >= Math.max(1, this.getNombreParts(titulaireId));
+};
+
+/**
+ * Nombre d'échéances nécessaires pour que chaque part gagne une fois
+ */
+TontineSchema.methods.getNombreCycles = function () {
+  return Math.ceil(this.nombreParts / (this.gagnantsParCycle || 1));
+};
+
+/**
+ * Toutes les échéances doivent compter exactement gagnantsParCycle parts gagnantes :
+ * sinon les gagnants d'une dernière échéance incomplète se partageraient la cagnotte
+ * entière à moins et toucheraient plus que ce qu'ils ont cotisé
+ */
+TontineSchema.methods.verifierRepartitionGagnants = function () {
+  const k = this.gagnantsParCycle || 1;
+  if (this.nombreParts % k !== 0) {
+    throw new Error(
+      `Le nombre total de parts (${this.nombreParts}) doit être un multiple du nombre ` +
+      `de gagnants par échéance (${k})`
+    );
+  }
+};
+
+/**
+ * Cagnotte d'une échéance : cotisations de toutes les parts
+ */
+TontineSchema.methods.getMontantCagnotte = function () {
+  return this.montantCotisation * this.nombreParts;
+};
+
+/**
+ * Nombre de parts gagnantes prévues à une échéance (0 au-delà de la dernière)
+ */
+TontineSchema.methods.getNombreGagnantsEcheance = function (numeroEcheance) {
+  const k = this.gagnantsParCycle || 1;
+  return Math.max(0, Math.min(k, this.nombreParts - (numeroEcheance - 1) * k));
+};
+
+/**
+ * Montant versé à chaque part gagnante d'une échéance : la cagnotte est partagée
+ * entre les gagnants prévus, le reliquat de la division revenant au premier
+ * @param {Number} numeroEcheance - Échéance du tirage
+ * @param {Number} rang - Rang du gagnant dans l'échéance (0 = premier)
+ */
+TontineSchema.methods.getMontantParGagnant = function (numeroEcheance, rang = 0) {
+  const cagnotte = this.getMontantCagnotte();
+  const gagnants = this.getNombreGagnantsEcheance(numeroEcheance) || 1;
+  const part = Math.floor(cagnotte / gagnants);
+
+  return rang === 0 ? cagnotte - part * (gagnants - 1) : part;
 };
 
 /**
  * Retirer un membre
  */
 TontineSchema.methods.retirerMembre = function (userId) {
-  // Possible uniquement avant activation
+  // Possible uniquement avant activation (ensuite : sortie en double validation MEMBER_EXIT)
   if (this.statut !== TONTINE_STATUS.EN_ATTENTE) {
-    throw new Error('Impossible de retirer un membre après activation');
+    throw new Error('Impossible de retirer un membre après activation : demandez sa sortie (MEMBER_EXIT)');
+  }
+
+  if (this.getCoTitulaires(userId).length > 0) {
+    throw new Error(
+      'Impossible de retirer le titulaire d\'une position partagée : retirez d\'abord ses co-titulaires'
+    );
+  }
+
+  // La quote-part d'un co-titulaire retiré revient au titulaire de la position
+  const membre = this.membres.find((m) => m.userId.toString() === userId.toString());
+  if (membre?.titulaireId) {
+    const titulaire = this.membres.find((m) => m.userId.equals(membre.titulaireId));
+    titulaire.quotePart += membre.quotePart;
   }
 
   this.membres = this.membres.filter(
@@ -296,8 +925,107 @@ TontineSchema.methods.retirerMembre = function (userId) {
   );
 };
 
+/**
+ * Annuler les demandes d'échange de position en attente impliquant un membre
+ */
+const annulerEchangesEnAttente = (tontine, userId) => {
+  tontine.demandesEchange
+    .filter(
+      (d) =>
+        d.statut === 'en_attente' &&
+        (d.demandeurId.equals(userId) || d.destinataireId.equals(userId))
+    )
+    .forEach((d) => {
+      d.statut = 'annulee';
+      d.dateReponse = Date.now();
+    });
+};
+
+/**
+ * Transmettre en cours de tontine la position d'un membre sortant à son remplaçant :
+ * parts, gains, quote-part, crédits et places du tour de rôle sont repris tels quels
+ * @param {String} userId - Membre sortant
+ * @param {String} remplacantId - Nouveau membre
+ * @param {Number} cotisationsReprises - Cotisations versées par le sortant, imputées au remplaçant
+ */
+TontineSchema.methods.remplacerMembre = function (userId, remplacantId, cotisationsReprises = 0) {
+  const trouver = (id) =>
+    this.membres.find((m) => (m.userId._id || m.userId).toString() === id.toString());
+
+  const membre = trouver(userId);
+  if (!membre) {
+    throw new Error('Ce membre ne fait pas partie de la tontine');
+  }
+  if (trouver(remplacantId)) {
+    throw new Error('Le remplaçant est déjà membre de la tontine');
+  }
+
+  membre.userId = remplacantId;
+  membre.dateAjout = Date.now();
+  membre.cotisationsReprises = (membre.cotisationsReprises || 0) + cotisationsReprises;
+
+  // Les garants s'étaient engagés pour le sortant, pas pour son remplaçant
+  membre.garants
+    .filter((g) => ['en_attente', 'accepte'].includes(g.statut))
+    .forEach((g) => {
+      g.statut = 'retire';
+      g.dateReponse = Date.now();
+    });
+
+  this.membres.forEach((m) => {
+    if (m.titulaireId?.equals(userId)) m.titulaireId = remplacantId;
+  });
+  this.ordreRotation.forEach((e) => {
+    if (e.userId.equals(userId)) e.userId = remplacantId;
+  });
+  annulerEchangesEnAttente(this, userId);
+};
+
+/**
+ * Retirer en cours de tontine un membre dont la position n'a rien gagné : ses places
+ * du tour de rôle sont libérées et les échéances devenues sans bénéficiaire
+ * retirées des calendriers (la date de fin est recalée)
+ * @param {String} userId - Membre sortant
+ */
+TontineSchema.methods.retirerPosition = function (userId) {
+  if (this.getCoTitulaires(userId).length > 0) {
+    throw new Error('La position est partagée : sa sortie nécessite un remplaçant');
+  }
+
+  const membre = this.membres.find(
+    (m) => (m.userId._id || m.userId).toString() === userId.toString()
+  );
+  if (!membre) {
+    throw new Error('Ce membre ne fait pas partie de la tontine');
+  }
+
+  // La quote-part d'un co-titulaire sortant revient au titulaire de la position
+  if (membre.titulaireId) {
+    const titulaire = this.membres.find((m) => (m.userId._id || m.userId).equals(membre.titulaireId));
+    titulaire.quotePart += membre.quotePart;
+  }
+
+  this.membres = this.membres.filter((m) => m !== membre);
+  this.ordreRotation = this.ordreRotation.filter((e) => !e.userId.equals(userId));
+  annulerEchangesEnAttente(this, userId);
+
+  const nombreCycles = this.getNombreCycles();
+  this.calendrierCotisations = this.calendrierCotisations.filter(
+    (e) => e.numeroEcheance <= nombreCycles
+  );
+  this.calendrierTirages = this.calendrierTirages.filter(
+    (t) => t.numeroEcheance <= nombreCycles || t.statut === 'effectue'
+  );
+
+  const derniere = this.calendrierCotisations[this.calendrierCotisations.length - 1];
+  if (this.calendrierCotisations.length > 1) {
+    this.dateFin = derniere.dateEcheance;
+  }
+};
+
 /**
  * Générer le calendrier des cotisations
+ * Une échéance par cycle (voir getNombreCycles) : la date de fin est recalée sur la dernière
  */
 TontineSchema.methods.genererCalendrierCotisations = function () {
   if (this.statut !== TONTINE_STATUS.EN_ATTENTE) {
@@ -306,10 +1034,10 @@ TontineSchema.methods.genererCalendrierCotisations = function () {
 
   const calendrier = [];
   let dateEcheance = new Date(this.dateDebut);
-  const dateLimite = new Date(this.dateFin);
+  const nombreCycles = this.getNombreCycles();
   let numeroEcheance = 1;
 
-  while (dateEcheance <= dateLimite) {
+  while (numeroEcheance <= nombreCycles) {
     calendrier.push({
       numeroEcheance,
       dateEcheance: new Date(dateEcheance),
@@ -328,9 +1056,69 @@ TontineSchema.methods.genererCalendrierCotisations = function () {
   }
 
   this.calendrierCotisations = calendrier;
+  if (calendrier.length > 1) {
+    this.dateFin = calendrier[calendrier.length - 1].dateEcheance;
+  }
   return calendrier;
 };
 
+/**
+ * Générer (ou recaler) le calendrier des tirages planifiés à partir des échéances
+ * Les tirages déjà annoncés, reportés ou terminés ne sont pas modifiés
+ */
+TontineSchema.methods.genererCalendrierTirages = function () {
+  const { joursApresEcheance, heure } = this.planificationTirage;
+  const [heures, minutes] = heure.split(':').map(Number);
+
+  for (const echeance of this.calendrierCotisations) {
+    const datePrevue = new Date(echeance.dateEcheance);
+    datePrevue.setDate(datePrevue.getDate() + joursApresEcheance);
+    datePrevue.setHours(heures, minutes, 0, 0);
+
+    const existant = this.calendrierTirages.find(
+      (t) => t.numeroEcheance === echeance.numeroEcheance
+    );
+
+    if (!existant) {
+      this.calendrierTirages.push({ numeroEcheance: echeance.numeroEcheance, datePrevue });
+    } else if (existant.statut === 'planifie') {
+      existant.datePrevue = datePrevue;
+    }
+  }
+
+  return this.calendrierTirages;
+};
+
+/**
+ * Tirage planifié en cours : premier du calendrier qui n'est ni effectué ni sauté
+ */
+TontineSchema.methods.getTiragePlanifieEnCours = function () {
+  return [...this.calendrierTirages]
+    .sort((a, b) => a.numeroEcheance - b.numeroEcheance)
+    .find((t) => !['effectue', 'saute'].includes(t.statut)) || null;
+};
+
+/**
+ * Rouvrir le tirage planifié couvert par un tirage annulé : il sera de nouveau annoncé
+ * à la prochaine exécution du CRON
+ * @param {Object} tirage - Tirage annulé
+ * @param {String} raison - Motif de l'annulation
+ * @returns {Object|null} - Entrée du calendrier rouverte
+ */
+TontineSchema.methods.rouvrirTiragePlanifie = function (tirage, raison) {
+  const tiragePlanifie = this.calendrierTirages.find(
+    (t) => t.statut === 'effectue' && t.numeroEcheance === tirage.numeroEcheance
+  );
+  if (!tiragePlanifie) return null;
+
+  tiragePlanifie.statut = 'planifie';
+  tiragePlanifie.tirageId = undefined;
+  tiragePlanifie.dateExecution = undefined;
+  tiragePlanifie.dateNotification = undefined;
+  tiragePlanifie.raison = `Tirage #${tirage.numeroTirage} annulé : ${raison}`;
+
+  return tiragePlanifie;
+};
 
 /**
  * Activer la tontine
@@ -368,14 +1156,191 @@ TontineSchema.methods.activer = function () {
     );
   }
 
+  //  VÉRIFICATION 4 : Échéances complètes (parts multiple de gagnantsParCycle)
+  this.verifierRepartitionGagnants();
+
   //  GÉNÉRATION DU CALENDRIER
   if (this.calendrierCotisations.length === 0) {
     this.genererCalendrierCotisations();
   }
 
+  //  TIRAGES PLANIFIÉS
+  if (this.planificationTirage?.active) {
+    this.genererCalendrierTirages();
+  }
+
+  //  ORDRE DÉFINITIF DU TOUR DE RÔLE
+  if (this.modeTirage === 'tour_de_role') {
+    this.completerOrdreRotation();
+  }
+
   this.statut = TONTINE_STATUS.ACTIVE;
   this.dateActivation = Date.now();
 };
+
+/**
+ * Mélanger une liste sur place (Fisher-Yates, aléa cryptographique)
+ */
+const melanger = (liste) => {
+  for (let i = liste.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [liste[i], liste[j]] = [liste[j], liste[i]];
+  }
+  return liste;
+};
+
+/**
+ * Ordre du tour de rôle trié par position
+ */
+TontineSchema.methods.getOrdreRotation = function () {
+  return [...this.ordreRotation].sort((a, b) => a.position - b.position);
+};
+
+/**
+ * Membres répétés autant de fois qu'ils ont de parts (une position par part)
+ */
+const positionsParPart = (membres) =>
+  membres
+    .filter((m) => !m.titulaireId)
+    .flatMap((m) => Array(m.nombreParts || 1).fill(m.userId._id || m.userId));
+
+/**
+ * Définir manuellement l'ordre du tour de rôle (avant activation)
+ * Les positions non attribuées iront aux dernières places à l'activation
+ * @param {Array} userIds - Membres dans l'ordre de réception de la cagnotte (un membre
+ *   à plusieurs parts peut apparaître jusqu'à son nombre de parts)
+ */
+TontineSchema.methods.definirOrdreRotation = function (userIds) {
+  if (this.statut !== TONTINE_STATUS.EN_ATTENTE) {
+    throw new Error('L\'ordre du tour de rôle ne peut plus être modifié après activation');
+  }
+
+  if (this.ordreRotationTireAuSort) {
+    throw new Error('L\'ordre du tour de rôle a été tiré au sort et ne peut plus être modifié');
+  }
+
+  const occurrences = new Map();
+
+  for (const userId of userIds) {
+    const id = userId.toString();
+    const nombreParts = this.getNombreParts(id);
+    if (nombreParts === 0) {
+      throw new Error(`L'utilisateur ${id} n'est pas titulaire d'une position de la tontine`);
+    }
+    occurrences.set(id, (occurrences.get(id) || 0) + 1);
+    if (occurrences.get(id) > nombreParts) {
+      throw new Error('Un membre ne peut pas occuper plus de positions que de parts');
+    }
+  }
+
+  this.ordreRotation = userIds.map((userId, index) => ({ userId, position: index + 1 }));
+  this.dateOrdreRotation = Date.now();
+};
+
+/**
+ * Tirage au sort initial de l'ordre du tour de rôle (une seule fois, avant activation)
+ */
+TontineSchema.methods.tirerOrdreRotation = function () {
+  if (this.statut !== TONTINE_STATUS.EN_ATTENTE) {
+    throw new Error('L\'ordre du tour de rôle ne peut plus être modifié après activation');
+  }
+
+  if (this.ordreRotationTireAuSort) {
+    throw new Error('L\'ordre du tour de rôle a déjà été tiré au sort');
+  }
+
+  const userIds = melanger(positionsParPart(this.membres));
+
+  this.ordreRotation = userIds.map((userId, index) => ({ userId, position: index + 1 }));
+  this.ordreRotationTireAuSort = true;
+  this.dateOrdreRotation = Date.now();
+};
+
+/**
+ * Arrêter l'ordre du tour de rôle à l'activation :
+ * - sans ordre défini, il est tiré au sort
+ * - les positions des anciens membres (ou au-delà de leurs parts) sont retirées,
+ *   les positions manquantes vont aux dernières places
+ *   (tirées au sort si l'ordre l'a été, par date d'adhésion sinon)
+ */
+TontineSchema.methods.completerOrdreRotation = function () {
+  if (this.ordreRotation.length === 0) {
+    this.tirerOrdreRotation();
+    return;
+  }
+
+  const places = new Map();
+  const ordre = this.getOrdreRotation()
+    .filter((e) => {
+      const id = e.userId.toString();
+      places.set(id, (places.get(id) || 0) + 1);
+      return places.get(id) <= this.getNombreParts(id);
+    })
+    .map((e) => e.userId);
+
+  let nouveaux = [...this.membres]
+    .sort((a, b) => a.dateAjout - b.dateAjout)
+    .flatMap((m) => {
+      const userId = m.userId._id || m.userId;
+      const nombreParts = this.getNombreParts(userId);
+      const manquantes = nombreParts - Math.min(places.get(userId.toString()) || 0, nombreParts);
+      return Array(Math.max(0, manquantes)).fill(userId);
+    });
+
+  if (this.ordreRotationTireAuSort) {
+    nouveaux = melanger(nouveaux);
+  }
+
+  this.ordreRotation = [...ordre, ...nouveaux].map((userId, index) => ({
+    userId,
+    position: index + 1,
+  }));
+};
+
+/**
+ * Positions du tour de rôle pas encore servies : pour un membre à plusieurs parts,
+ * ses N premières positions sont servies s'il a gagné N fois
+ * @param {Map} gains - userId → nombre de tirages gagnés (Tirage.getGainsParMembre)
+ * @returns {Array} - Entrées { userId, position } triées
+ */
+TontineSchema.methods.getPositionsNonServies = function (gains = new Map()) {
+  const vues = new Map();
+
+  return this.getOrdreRotation().filter((e) => {
+    const id = e.userId.toString();
+    vues.set(id, (vues.get(id) || 0) + 1);
+    return vues.get(id) > (gains.get(id) || 0);
+  });
+};
+
+/**
+ * Prochain bénéficiaire du tour de rôle : première position pas encore servie
+ * @param {Map} gains - userId → nombre de tirages gagnés
+ * @param {Array} exclus - Membres déjà désignés pour l'échéance en cours
+ * @returns {Object|null} - Entrée { userId, position } de l'ordre
+ */
+TontineSchema.methods.getProchainBeneficiaireRotation = function (gains = new Map(), exclus = []) {
+  const dejaDesignes = new Set(exclus.map((id) => id.toString()));
+
+  return this.getPositionsNonServies(gains).find(
+    (e) => !dejaDesignes.has(e.userId.toString())
+  ) || null;
+};
+
+/**
+ * Échanger deux positions du tour de rôle
+ */
+TontineSchema.methods.echangerPositions = function (positionA, positionB) {
+  const a = this.ordreRotation.find((e) => e.position === positionA);
+  const b = this.ordreRotation.find((e) => e.position === positionB);
+
+  if (!a || !b) {
+    throw new Error('Position absente de l\'ordre du tour de rôle');
+  }
+
+  [a.userId, b.userId] = [b.userId, a.userId];
+};
+
 /**
  * Bloquer la tontine
  */
@@ -400,12 +1365,15 @@ TontineSchema.methods.reactiver = function () {
 
 /**
  * Clôturer la tontine
+ * @param {Map} gains - userId → nombre de tirages gagnés (Tirage.getGainsParMembre)
  */
-TontineSchema.methods.cloturer = function () {
-  // Vérifier que tous les membres ont gagné
-  const membresNonGagnants = this.membres.filter((m) => !m.aGagne);
+TontineSchema.methods.cloturer = function (gains) {
+  // Vérifier que chaque part de chaque membre a gagné
+  const membresNonGagnants = this.membres.filter(
+    (m) => this.getPartsRestantes(m.userId._id || m.userId, gains) > 0
+  );
   if (membresNonGagnants.length > 0) {
-    throw new Error('Tous les membres doivent avoir gagné avant clôture');
+    throw new Error('Toutes les parts doivent avoir gagné avant clôture');
   }
 
   this.statut = TONTINE_STATUS.TERMINEE;
@@ -417,7 +1385,32 @@ TontineSchema.methods.cloturer = function () {
 TontineSchema.methods.genererReglement = function () {
   const frequenceText = this.frequence === 'hebdomadaire' ? 'semaine' : 'mois';
   const montantText = this.montantCotisation.toLocaleString('fr-FR');
-  
+
+  const gagnantsText = (this.gagnantsParCycle || 1) > 1
+    ? `   • ${this.gagnantsParCycle} parts gagnantes par échéance, qui se partagent la cagnotte à parts égales\n`
+    : '';
+
+  const reglesAttribution = {
+    tour_de_role: `2. TOUR DE RÔLE
+   • L'ordre de réception de la cagnotte est fixé avant l'activation
+   • À chaque cycle, le membre suivant dans l'ordre reçoit la cagnotte
+   • Chaque part (main) reçoit la cagnotte une seule fois
+   • Deux membres peuvent échanger leurs positions d'un commun accord
+`,
+    enchere: `2. ENCHÈRES
+   • À l'annonce de chaque tirage, les membres n'ayant pas encore gagné proposent une remise sous pli scellé
+   • La plus forte remise l'emporte (à égalité, la première offre reçue)
+   • Le gagnant reçoit la cagnotte diminuée de sa remise
+   • La remise est répartie entre les autres membres, en déduction de leur prochaine cotisation
+   • Sans aucune offre, le bénéficiaire est tiré au sort
+`,
+    aleatoire: `2. TIRAGE AU SORT
+   • Le tirage détermine l'ordre de réception de la cagnotte
+   • Chaque part (main) reçoit la cagnotte une seule fois
+   • Les membres doivent confirmer leur participation avant chaque tirage
+`,
+  }[this.modeTirage || 'aleatoire'];
+
   return ` RÈGLEMENT DE LA TONTINE "${this.nom.toUpperCase()}"
 
 ━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━
@@ -441,18 +1434,15 @@ Ces paramètres sont fixés et ne peuvent être modifiés :
  RÈGLES GÉNÉRALES
 
 1. COTISATION
-   • Chaque membre cotise ${montantText} FCFA par ${frequenceText}
+   • Chaque membre cotise ${montantText} FCFA par ${frequenceText} et par part détenue
+   • Une position peut être partagée : ses co-titulaires cotisent et reçoivent la cagnotte au prorata de leur quote-part
    • Le paiement doit être effectué avant la date d'échéance
    • Retards sanctionnés selon les pénalités ci-dessus
 
-2. TIRAGE AU SORT
-   • Le tirage détermine l'ordre de réception de la cagnotte
-   • Chaque membre reçoit la totalité de la cagnotte une seule fois
-   • Les membres doivent confirmer leur participation avant chaque tirage
-
+${reglesAttribution}
 3. DISTRIBUTION
    • Le montant distribué = Total des cotisations collectées
-   • Le bénéficiaire est notifié immédiatement après le tirage
+${gagnantsText}   • Le bénéficiaire est notifié immédiatement après le tirage
    • Le paiement est effectué par le trésorier
 
 4. ENGAGEMENT
@@ -482,7 +1472,10 @@ TontineSchema.methods.updateStats = async function () {
     {
       $group: {
         _id: null,
-        totalCollecte: { $sum: '$montant' },
+        // Les remboursements effectués sortent de la cagnotte
+        totalCollecte: {
+          $sum: { $subtract: ['$montant', { $ifNull: ['$montantRembourse', 0] }] },
+        },
         nombreValidees: { $sum: 1 },
       },
     },
@@ -1,6 +1,7 @@
 // models/Transaction.js
 const mongoose = require('mongoose');
-const { TRANSACTION_STATUS, TRANSACTION_TYPES, PAYMENT_METHODS } = require('../config/constants');
+const { TRANSACTION_STATUS, TRANSACTION_TYPES } = require('../config/constants');
+const { getMethods } = require('../services/providers/registry');
 
 const TransactionSchema = new mongoose.Schema(
   {
@@ -54,8 +55,8 @@ const TransactionSchema = new mongoose.Schema(
     // Paiement
     moyenPaiement: {
       type: String,
-      enum: {
-        values: Object.values(PAYMENT_METHODS),
+      validate: {
+        validator: (value) => getMethods().includes(value),
         message: 'Moyen de paiement invalide',
       },
       required: [true, 'Le moyen de paiement est requis'],
@@ -123,6 +124,71 @@ const TransactionSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Le provider a confirmé l'encaissement (webhook ou vérification de statut)
+    paiementConfirme: {
+      type: Boolean,
+      default: false,
+    },
+
+    // Garant qui règle la dette transférée d'un membre (userId reste le membre débiteur)
+    payePar: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      index: true,
+    },
+
+    // Remboursements (paiement rejeté après encaissement, doublon...)
+    remboursements: [
+      {
+        montant: {
+          type: Number,
+          required: true,
+          min: [1, 'Le montant doit être positif'],
+        },
+        motif: {
+          type: String,
+          required: true,
+        },
+        statut: {
+          type: String,
+          enum: ['en_cours', 'manuel_requis', 'effectue', 'echec'],
+          default: 'en_cours',
+        },
+        referenceRemboursement: String, // Référence provider ou pièce du remboursement manuel
+        // Preuve de l'encaissement d'une transaction rejetée avant de la rembourser
+        preuveEncaissement: {
+          type: String,
+          enum: ['confirmation_provider', 'statut_provider', 'releve'],
+        },
+        validationRequestId: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'ValidationRequest',
+        },
+        demandePar: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        confirmePar: {
+          type: mongoose.Schema.Types.ObjectId,
+          ref: 'User',
+        },
+        dateDemande: {
+          type: Date,
+          default: Date.now,
+        },
+        dateRemboursement: Date,
+        erreur: String,
+      },
+    ],
+    montantRembourse: {
+      type: Number,
+      default: 0,
+    },
+    statutRemboursement: {
+      type: String,
+      enum: ['aucun', 'partiel', 'total'],
+      default: 'aucun',
+    },
   },
   {
     timestamps: true,
@@ -158,6 +224,16 @@ TransactionSchema.virtual('estRejetee').get(function () {
   return this.statut === TRANSACTION_STATUS.REJETEE;
 });
 
+/**
+ * Montant encore remboursable (hors remboursements effectués ou en cours)
+ */
+TransactionSchema.virtual('montantRemboursable').get(function () {
+  const engage = (this.remboursements || [])
+    .filter((r) => r.statut !== 'echec')
+    .reduce((sum, r) => sum + r.montant, 0);
+  return Math.max(0, this.montant - engage);
+});
+
 // ========================================
 // MÉTHODES D'INSTANCE
 // ========================================
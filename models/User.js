@@ -1,7 +1,7 @@
 // models/User.js
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
-const { ROLES, ROLE_VALUES } = require('../config/constants'); // ✅ CHANGE: Ajoute ROLE_VALUES
+const { ROLES, ROLE_VALUES, KYC_STATUS, OTP_DELIVERY } = require('../config/constants'); // ✅ CHANGE: Ajoute ROLE_VALUES
 
 const UserSchema = new mongoose.Schema(
   {
@@ -150,6 +150,29 @@ role: {
       code: String,
       codeExpiry: Date,
       attempts: { type: Number, default: 0 },
+      methode: { type: String, enum: ['code', 'totp'], default: 'code' },
+    },
+
+    // Double authentification : application TOTP, codes de récupération à usage unique,
+    // et appareils sur lesquels le second facteur n'est pas redemandé pendant 30 jours
+    mfa: {
+      totpActif: { type: Boolean, default: false },
+      secret: { type: String, select: false },
+      secretEnAttente: { type: String, select: false },
+      dernierPas: { type: Number, select: false }, // dernier pas TOTP accepté (anti-rejeu)
+      dateActivation: Date,
+      codesRecuperation: {
+        type: [{ hash: String, dateUtilisation: Date }],
+        select: false,
+      },
+      appareilsConfiance: [
+        {
+          tokenHash: String,
+          appareil: String,
+          dateCreation: { type: Date, default: Date.now },
+          dateExpiration: Date,
+        },
+      ],
     },
 
     // pour confirmation changement de mot de passe
@@ -168,6 +191,47 @@ role: {
       },
     ],
 
+    // Sessions ouvertes (une par appareil) : seule l'empreinte du refresh token courant est conservée
+    sessions: [
+      {
+        appareil: String,
+        ip: String,
+        userAgent: String,
+        refreshTokenHash: String,
+        dateCreation: { type: Date, default: Date.now },
+        derniereActivite: { type: Date, default: Date.now },
+        dateExpiration: Date,
+        dateRevocation: Date,
+        motifRevocation: {
+          type: String,
+          enum: ['deconnexion', 'revocation', 'reutilisation', 'mot_de_passe'],
+        },
+      },
+    ],
+
+    // Derniers envois de codes, pour limiter les envois par canal
+    otpEnvois: [
+      {
+        canal: { type: String, enum: OTP_DELIVERY.CHANNELS },
+        motif: String,
+        succes: Boolean,
+        date: { type: Date, default: Date.now },
+      },
+    ],
+
+    // Verrouillage progressif après des échecs de connexion consécutifs
+    // (durées : LOCKOUT.DUREES_MINUTES ; au-delà, seul un Admin peut débloquer)
+    verrouillage: {
+      echecs: { type: Number, default: 0 },
+      dernierEchec: Date,
+      niveau: { type: Number, default: 0 },
+      jusquA: Date,
+      definitif: { type: Boolean, default: false },
+      dateVerrouillage: Date,
+      debloquePar: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      dateDeblocage: Date,
+    },
+
     // Historique connexions
     loginHistory: [
       {
@@ -178,12 +242,66 @@ role: {
       },
     ],
 
+    // Vérification d'identité : les comptes inscrits en libre-service confirment leur
+    // email et leur téléphone, puis attendent la revue d'un Admin (comptes créés par un Admin : approuvés)
+    kyc: {
+      statut: {
+        type: String,
+        enum: Object.values(KYC_STATUS),
+        default: KYC_STATUS.APPROUVE,
+      },
+      source: { type: String, enum: ['admin', 'inscription'], default: 'admin' },
+      emailVerifie: { type: Boolean, default: false },
+      telephoneVerifie: { type: Boolean, default: false },
+      otpEmail: {
+        code: String,
+        codeExpiry: Date,
+        attempts: { type: Number, default: 0 },
+      },
+      otpTelephone: {
+        code: String,
+        codeExpiry: Date,
+        attempts: { type: Number, default: 0 },
+      },
+      dateSoumission: Date,
+      dateDecision: Date,
+      decidePar: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+      motif: String, // Motif du refus ou pièces demandées
+      historique: [
+        {
+          action: {
+            type: String,
+            enum: ['soumission', 'approbation', 'rejet', 'complement_demande', 'complement_fourni'],
+          },
+          motif: String,
+          par: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+          date: { type: Date, default: Date.now },
+        },
+      ],
+    },
+
+    // Score de fiabilité (recalculé chaque nuit par le CRON fiabilite)
+    fiabilite: {
+      score: { type: Number, min: 0, max: 100 },
+      details: {
+        cotisations: { type: Number, default: 0 },
+        cotisationsAHeure: { type: Number, default: 0 },
+        penalites: { type: Number, default: 0 },
+        penalitesExonerees: { type: Number, default: 0 },
+        defautsApresGain: { type: Number, default: 0 },
+        tontinesTerminees: { type: Number, default: 0 },
+      },
+      dateCalcul: Date,
+    },
+
     // Preferences
     preferences: {
       receiveEmailNotifications: { type: Boolean, default: true },
       receivePushNotifications: { type: Boolean, default: true },
       receiveSMS: { type: Boolean, default: false },
       language: { type: String, default: 'fr' },
+      // Canal d'envoi des codes de connexion et de réinitialisation (les autres servent de secours)
+      canalOTP: { type: String, enum: OTP_DELIVERY.CHANNELS, default: 'email' },
     },
 
     // Metadonnees
@@ -207,6 +325,7 @@ role: {
 // INDEXES
 // ========================================
 UserSchema.index({ role: 1, isActive: 1 });
+UserSchema.index({ 'kyc.statut': 1 });
 
 // ========================================
 // VIRTUALS
@@ -238,6 +357,11 @@ UserSchema.virtual('photoProfilUrl').get(function () {
   return this.photoProfil?.url || null;
 });
 
+// Identité vérifiée : seuls ces comptes peuvent rejoindre une tontine
+UserSchema.virtual('kycApprouve').get(function () {
+  return !this.kyc || this.kyc.statut === KYC_STATUS.APPROUVE;
+});
+
 // ========================================
 // HOOKS (MIDDLEWARE)
 // ========================================
@@ -320,6 +444,11 @@ UserSchema.methods.logLogin = function (ip, userAgent, success) {
   }
 };
 
+UserSchema.methods.estVerrouille = function () {
+  return Boolean(this.verrouillage?.definitif) ||
+    Boolean(this.verrouillage?.jusquA && this.verrouillage.jusquA > new Date());
+};
+
 UserSchema.methods.updateProfilePhoto = function (url, publicId) {
   this.photoProfil = {
     url,
@@ -335,6 +464,7 @@ UserSchema.methods.generateLoginOTP = function () {
     code: crypto.createHash('sha256').update(code).digest('hex'),
     codeExpiry: Date.now() + 15 * 60 * 1000,
     attempts: 0,
+    methode: 'code',
   };
   return code;
 };
@@ -365,6 +495,50 @@ UserSchema.methods.verifyLoginOTP = function (code) {
   return { success: false, message: 'Code incorrect' };
 };
 
+/**
+ * Code de vérification d'un contact à l'inscription
+ * @param {String} canal - 'email' ou 'telephone'
+ */
+UserSchema.methods.generateKycOTP = function (canal) {
+  const code = Math.floor(100000 + Math.random() * 900000).toString();
+  const crypto = require('crypto');
+  this.kyc[canal === 'email' ? 'otpEmail' : 'otpTelephone'] = {
+    code: crypto.createHash('sha256').update(code).digest('hex'),
+    codeExpiry: Date.now() + 15 * 60 * 1000,
+    attempts: 0,
+  };
+  return code;
+};
+
+UserSchema.methods.verifyKycOTP = function (canal, code) {
+  const crypto = require('crypto');
+  const champ = canal === 'email' ? 'otpEmail' : 'otpTelephone';
+  const otp = this.kyc[champ];
+
+  if (!otp || !otp.code) {
+    return { success: false, message: 'Aucun code en attente' };
+  }
+
+  if (Date.now() > otp.codeExpiry) {
+    return { success: false, message: 'Code expire' };
+  }
+
+  if (otp.attempts >= 3) {
+    return { success: false, message: 'Nombre maximum de tentatives atteint' };
+  }
+
+  const hashedInput = crypto.createHash('sha256').update(code).digest('hex');
+  otp.attempts += 1;
+
+  if (hashedInput === otp.code) {
+    this.kyc[champ] = { code: undefined, codeExpiry: undefined, attempts: 0 };
+    this.kyc[canal === 'email' ? 'emailVerifie' : 'telephoneVerifie'] = true;
+    return { success: true, message: 'Code valide' };
+  }
+
+  return { success: false, message: 'Code incorrect' };
+};
+
 UserSchema.methods.createPendingPasswordChange = async function (newPassword) {
   const crypto = require('crypto');
   const bcrypt = require('bcryptjs');
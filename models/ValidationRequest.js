@@ -14,6 +14,8 @@ const ValidationRequestSchema = new mongoose.Schema(
         'UNBLOCK_TONTINE',
         'ACTIVATE_USER',
         'DEACTIVATE_USER',
+        'REFUND_TRANSACTION',
+        'MEMBER_EXIT',
       ],
       required: true,
       index: true,
@@ -22,7 +24,7 @@ const ValidationRequestSchema = new mongoose.Schema(
     // Ressource concernée
     resourceType: {
       type: String,
-      enum: ['User', 'Tontine'],
+      enum: ['User', 'Tontine', 'Transaction'],
       required: true,
     },
     resourceId: {
@@ -0,0 +1,61 @@
+// models/WebhookEvent.js
+const mongoose = require('mongoose');
+
+/**
+ * Événements webhook déjà traités
+ * L'index unique (provider, eventId) garantit qu'une livraison n'est traitée qu'une fois
+ */
+const WebhookEventSchema = new mongoose.Schema(
+  {
+    provider: {
+      type: String,
+      required: true,
+    },
+    eventId: {
+      type: String,
+      required: true,
+    },
+    transactionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+    },
+    status: String,
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  {
+    timestamps: false,
+  }
+);
+
+// ========================================
+// INDEXES
+// ========================================
+WebhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+// Index TTL : au-delà de 90 jours, la fenêtre de tolérance suffit à bloquer un rejeu
+WebhookEventSchema.index({ receivedAt: 1 }, { expireAfterSeconds: 7776000 });
+
+// ========================================
+// MÉTHODES STATIQUES
+// ========================================
+
+/**
+ * Réserver un événement avant traitement
+ * @returns {Boolean} - false si l'événement a déjà été reçu (doublon ou rejeu)
+ */
+WebhookEventSchema.statics.claim = async function (data) {
+  try {
+    await this.create(data);
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('WebhookEvent', WebhookEventSchema);
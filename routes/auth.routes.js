@@ -13,9 +13,22 @@ const {
   resetPassword,
   getMe,
   logout,
+  refreshToken,
+  getSessions,
+  revokeSession,
+  revokeOtherSessions,
+  getMfaStatus,
+  startTotpEnrollment,
+  activateTotp,
+  deactivateTotp,
+  regenerateRecoveryCodes,
+  forgetTrustedDevices,
   registerFCMToken,
   removeFCMToken,
   verifyToken: verifyTokenController,
+  register,
+  verifyRegistration,
+  resendRegistrationCodes,
   createAdmin,
 } = require('../controllers/auth.controller');
 
@@ -27,8 +40,16 @@ const {
   validateForgotPassword,
   validateResetPassword,
   validateFCMToken,
+  validateRefreshToken,
+  validateSessionId,
+  validateTotpCode,
+  validateSecondFactor,
   validateConfirmPasswordChange,
+  validateRegister,
+  validateVerifyRegistration,
+  validateResendRegistration,
 } = require('../validators/auth.validator');
+const { uploadIdentityPhoto } = require('../services/cloudinary.service');
 
 const { validate } = require('../middleware/validator.middleware');
 const { 
@@ -70,6 +91,59 @@ router.post(
   verifyLoginOTP
 );
 
+/**
+ * @route   POST /api/v1/auth/refresh-token
+ * @desc    Renouveler l'access token (rotation : le refresh token presente est remplace)
+ * @access  Public
+ */
+router.post(
+  '/refresh-token',
+  validateRefreshToken,
+  validate,
+  refreshToken
+);
+
+/**
+ * @route   POST /api/v1/auth/register
+ * @desc    Inscription en libre-service AVEC photo d'identite (codes envoyes par email et WhatsApp)
+ * @access  Public
+ */
+router.post(
+  '/register',
+  sensitiveActionsLimiter,
+  uploadIdentityPhoto,
+  validateRegister,
+  validate,
+  auditLog('REGISTER', 'User'),
+  register
+);
+
+/**
+ * @route   POST /api/v1/auth/register/verify
+ * @desc    Confirmer l'email et/ou le telephone (dossier soumis a la revue une fois les deux confirmes)
+ * @access  Public
+ */
+router.post(
+  '/register/verify',
+  loginLimiter,
+  validateVerifyRegistration,
+  validate,
+  verifyRegistration
+);
+
+/**
+ * @route   POST /api/v1/auth/register/resend
+ * @desc    Renvoyer les codes de verification d'inscription
+ * @access  Public
+ */
+router.post(
+  '/register/resend',
+  sensitiveActionsLimiter,
+  validateResendRegistration,
+  validate,
+  resendRegistrationCodes
+);
+
 /**
  * @route   POST /api/v1/auth/forgot-password
  * @desc    Demander reinitialisation de mot de passe
@@ -177,6 +251,121 @@ router.post(
   logout
 );
 
+/**
+ * @route   GET /api/v1/auth/sessions
+ * @desc    Mes sessions ouvertes (une par appareil)
+ * @access  Private
+ */
+router.get(
+  '/sessions',
+  authMiddleware,
+  getSessions
+);
+
+/**
+ * @route   DELETE /api/v1/auth/sessions
+ * @desc    Fermer toutes mes autres sessions
+ * @access  Private
+ */
+router.delete(
+  '/sessions',
+  authMiddleware,
+  auditLog('REVOKE_SESSION', 'User'),
+  revokeOtherSessions
+);
+
+/**
+ * @route   DELETE /api/v1/auth/sessions/:sessionId
+ * @desc    Fermer une session (appareil perdu ou non reconnu)
+ * @access  Private
+ */
+router.delete(
+  '/sessions/:sessionId',
+  authMiddleware,
+  validateSessionId,
+  validate,
+  auditLog('REVOKE_SESSION', 'User'),
+  revokeSession
+);
+
+/**
+ * @route   GET /api/v1/auth/mfa
+ * @desc    Etat de ma double authentification
+ * @access  Private
+ */
+router.get(
+  '/mfa',
+  authMiddleware,
+  getMfaStatus
+);
+
+/**
+ * @route   POST /api/v1/auth/mfa/totp/enrolement
+ * @desc    Demarrer l'enrolement d'une application d'authentification (secret + URL otpauth)
+ * @access  Private
+ */
+router.post(
+  '/mfa/totp/enrolement',
+  authMiddleware,
+  startTotpEnrollment
+);
+
+/**
+ * @route   POST /api/v1/auth/mfa/totp/activer
+ * @desc    Activer la double authentification (retourne les codes de recuperation)
+ * @access  Private
+ */
+router.post(
+  '/mfa/totp/activer',
+  authMiddleware,
+  sensitiveActionsLimiter,
+  validateTotpCode,
+  validate,
+  auditLog('ENABLE_MFA', 'User'),
+  activateTotp
+);
+
+/**
+ * @route   POST /api/v1/auth/mfa/totp/desactiver
+ * @desc    Desactiver la double authentification (interdit aux Admins et Tresoriers)
+ * @access  Private
+ */
+router.post(
+  '/mfa/totp/desactiver',
+  authMiddleware,
+  sensitiveActionsLimiter,
+  validateSecondFactor,
+  validate,
+  auditLog('DISABLE_MFA', 'User'),
+  deactivateTotp
+);
+
+/**
+ * @route   POST /api/v1/auth/mfa/codes-recuperation
+ * @desc    Remplacer mes codes de recuperation
+ * @access  Private
+ */
+router.post(
+  '/mfa/codes-recuperation',
+  authMiddleware,
+  sensitiveActionsLimiter,
+  validateTotpCode,
+  validate,
+  auditLog('REGENERATE_RECOVERY_CODES', 'User'),
+  regenerateRecoveryCodes
+);
+
+/**
+ * @route   DELETE /api/v1/auth/mfa/appareils-confiance
+ * @desc    Oublier mes appareils de confiance
+ * @access  Private
+ */
+router.delete(
+  '/mfa/appareils-confiance',
+  authMiddleware,
+  forgetTrustedDevices
+);
+
 /**
  * @route   POST /api/v1/auth/fcm-token
  * @desc    Enregistrer token FCM (push notifications)
@@ -124,5 +124,49 @@ router.post(
   notificationController.refuserDemandeValidation
 );
 
+/**
+ * @route   POST /digitontine/notifications/:notificationId/accepter-echange
+ * @desc    Accepter un échange de position (tour de rôle)
+ * @access  Private
+ */
+router.post(
+  '/:notificationId/accepter-echange',
+  verifyToken,
+  notificationController.accepterEchangePosition
+);
+
+/**
+ * @route   POST /digitontine/notifications/:notificationId/refuser-echange
+ * @desc    Refuser un échange de position (tour de rôle)
+ * @access  Private
+ */
+router.post(
+  '/:notificationId/refuser-echange',
+  verifyToken,
+  notificationController.refuserEchangePosition
+);
+
+/**
+ * @route   POST /digitontine/notifications/:notificationId/accepter-garantie
+ * @desc    Accepter de se porter garant d'un membre
+ * @access  Private
+ */
+router.post(
+  '/:notificationId/accepter-garantie',
+  verifyToken,
+  notificationController.accepterGarantie
+);
+
+/**
+ * @route   POST /digitontine/notifications/:notificationId/refuser-garantie
+ * @desc    Refuser de se porter garant d'un membre
+ * @access  Private
+ */
+router.post(
+  '/:notificationId/refuser-garantie',
+  verifyToken,
+  notificationController.refuserGarantie
+);
+
 module.exports = router;
 module.exports = router;
\ No newline at end of file
@@ -12,9 +12,19 @@ const multer = require('multer');
 const logger = require('../utils/logger');
 const { verifyToken } = require('../middleware/auth.middleware');
 
+// Webhooks : le corps brut et les en-têtes de signature doivent arriver intacts
+const WEBHOOK_PATH = 'transactions/webhook';
+const WEBHOOK_FORWARDED_HEADERS = ['wave-signature', 'x-webhook-signature'];
+
+const captureRawBody = (req, res, buf) => {
+  if (req.originalUrl.includes(`/${WEBHOOK_PATH}`)) {
+    req.rawBody = buf;
+  }
+};
+
 //  Parser JSON pour les routes proxy
-const jsonParser = express.json({ limit: '10mb' });
-const urlEncodedParser = express.urlencoded({ extended: true, limit: '10mb' });
+const jsonParser = express.json({ limit: '10mb', verify: captureRawBody });
+const urlEncodedParser = express.urlencoded({ extended: true, limit: '10mb', verify: captureRawBody });
 
 // Configuration Multer pour gérer les fichiers en mémoire
 const upload = multer({
@@ -28,6 +38,7 @@ const parseMultipart = upload.any();
 
 /**
  * Routes publiques (sans authentification JWT)
+ * Préfixe de chemin, ou expression régulière pour un chemin à paramètre
  */
 const publicRoutes = [
   '/auth/login',
@@ -38,7 +49,8 @@ const publicRoutes = [
   '/auth/confirm-password-change',
   '/auth/verify-email',
   '/auth/refresh-token',
-  '/transactions/webhook/wave'
+  '/transactions/webhook',
+  /^tirages\/[^/]+\/verify$/, // Vérification publique d'un tirage (voir tirage.routes)
 ];
 
 /**
@@ -77,6 +89,9 @@ const conditionalAuth = (req, res, next) => {
   const path = req.params[0] || '';
   
   const isPublicRoute = publicRoutes.some(route => {
+    if (route instanceof RegExp) {
+      return route.test(path);
+    }
     const routePath = route.substring(1);
     return path === routePath || path.startsWith(routePath + '/');
   });
@@ -189,6 +204,17 @@ router.all('/*', conditionalAuth, async (req, res) => {
       axiosConfig.data = formData;
       Object.assign(axiosConfig.headers, formData.getHeaders());
       
+    } else if (path.startsWith(WEBHOOK_PATH) && req.rawBody) {
+      // Transmettre le corps tel quel pour ne pas casser la signature
+      axiosConfig.headers['Content-Type'] = contentType;
+      axiosConfig.data = req.rawBody;
+
+      WEBHOOK_FORWARDED_HEADERS.forEach((header) => {
+        if (req.headers[header]) {
+          axiosConfig.headers[header] = req.headers[header];
+        }
+      });
+
     } else if (['POST', 'PUT', 'PATCH'].includes(req.method)) {
       axiosConfig.headers['Content-Type'] = 'application/json';
       
@@ -0,0 +1,158 @@
+// routes/reconciliation.routes.js
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+
+const {
+  importStatement,
+  listReconciliations,
+  getReconciliationReport,
+} = require('../controllers/reconciliation.controller');
+
+const {
+  validateImportStatement,
+  validateListReconciliations,
+  validateReconciliationReport,
+} = require('../validators/reconciliation.validator');
+
+const { validate } = require('../middleware/validator.middleware');
+const { verifyToken } = require('../middleware/auth.middleware');
+const { checkAnyTontineCapability } = require('../middleware/role.middleware');
+const { CAPABILITIES } = require('../config/constants');
+
+// Relevé CSV gardé en mémoire (jamais écrit sur disque)
+const uploadStatement = (req, res, next) => {
+  multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 }, // 5MB max
+    fileFilter: (req, file, cb) => {
+      const isCsv =
+        file.mimetype === 'text/csv' ||
+        file.mimetype === 'application/vnd.ms-excel' ||
+        file.originalname.toLowerCase().endsWith('.csv');
+      cb(isCsv ? null : new Error('Seuls les fichiers CSV sont acceptés'), isCsv);
+    },
+  }).single('releve')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: err.code === 'LIMIT_FILE_SIZE' ? 'Fichier trop volumineux (5MB max)' : err.message,
+      });
+    }
+    next();
+  });
+};
+
+/**
+ * @route   POST /digitontine/reconciliations
+ * @desc    Importer un relevé Wave / Orange Money et rapprocher les transactions
+ * @access  validate_transaction sur au moins une tontine (validation limitée à ces tontines), Admin
+ */
+router.post(
+  '/',
+  verifyToken,
+  uploadStatement,
+  validateImportStatement,
+  validate,
+  checkAnyTontineCapability(CAPABILITIES.VALIDATE_TRANSACTION),
+  importStatement
+);
+
+/**
+ * @route   GET /digitontine/reconciliations
+ * @desc    Historique des rapprochements
+ * @access  view_accounting sur au moins une tontine, Admin
+ */
+router.get(
+  '/',
+  verifyToken,
+  validateListReconciliations,
+  validate,
+  checkAnyTontineCapability(CAPABILITIES.VIEW_ACCOUNTING),
+  listReconciliations
+);
+
+/**
+ * @route   GET /digitontine/reconciliations/:reconciliationId
+ * @desc    Rapport détaillé (orphelines, écarts de montant, doublons)
+ * @access  view_accounting sur au moins une tontine (lignes de ces tontines), Admin
+ */
+router.get(
+  '/:reconciliationId',
+  verifyToken,
+  validateReconciliationReport,
+  validate,
+  checkAnyTontineCapability(CAPABILITIES.VIEW_ACCOUNTING),
+  getReconciliationReport
+);
+
+/**
+ * @swagger
+ * /digitontine/reconciliations:
+ *   post:
+ *     tags: [Rapprochements]
+ *     summary: Importer un relevé provider (Tresorier)
+ *     description: |
+ *       Rapproche chaque ligne du CSV exporte du portail marchand avec
+ *       referenceTransaction / referencePaiement. Les correspondances exactes
+ *       (reference + montant) sur une transaction en attente sont validees.
+ *     security:
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - releve
+ *               - moyenPaiement
+ *             properties:
+ *               releve:
+ *                 type: string
+ *                 format: binary
+ *               moyenPaiement:
+ *                 type: string
+ *                 example: "Wave"
+ *     responses:
+ *       201:
+ *         description: Rapprochement effectue, anomalies retournees
+ *       400:
+ *         description: Fichier absent, vide ou illisible
+ *   get:
+ *     tags: [Rapprochements]
+ *     summary: Historique des rapprochements
+ *     security:
+ *       - BearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Liste paginee des rapprochements
+ */
+
+/**
+ * @swagger
+ * /digitontine/reconciliations/{reconciliationId}:
+ *   get:
+ *     tags: [Rapprochements]
+ *     summary: Rapport detaille d'un rapprochement
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: reconciliationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: resultat
+ *         schema:
+ *           type: string
+ *           enum: [validee_auto, deja_validee, orpheline, ecart_montant, doublon, transaction_rejetee, propre_versement, ignoree]
+ *     responses:
+ *       200:
+ *         description: Lignes du releve et leur resultat
+ *       404:
+ *         description: Rapprochement introuvable
+ */
+
+module.exports = router;
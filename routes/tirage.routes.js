@@ -2,19 +2,28 @@ const express = require('express');
 const router = express.Router();
 const tirageController = require('../controllers/tirage.controller');
 const { verifyToken } = require('../middleware/auth.middleware');
-const { isAdmin, isAdminOrTresorier } = require('../middleware/role.middleware');
+const {
+  checkTontineCapability,
+  tontineDeTirage,
+} = require('../middleware/role.middleware');
+const { CAPABILITIES } = require('../config/constants');
 const { 
   validateCreateTirage, 
-  validateTirageId 
+  validateTirageId,
+  validatePayTirage,
+  validateAnnulerTirage,
+  validateRecuperationTirage,
+  validateOffreEnchere
 } = require('../validators/tirage.validator');
+const { validate } = require('../middleware/validator.middleware');
 const { auditLog } = require('../middleware/audit.middleware');
 const { body } = require('express-validator');
 
-// Route pour notifier les membres avant tirage (Admin/Tresorier)
+// Route pour notifier les membres avant tirage (run_tirage : Proprietaire, Tresorier de la tontine)
 router.post(
   '/tontine/:tontineId/notify',
   verifyToken,
-  isAdminOrTresorier,
+  checkTontineCapability(CAPABILITIES.RUN_TIRAGE),
   body('dateTirage')
     .notEmpty()
     .withMessage('Date du tirage requise')
@@ -24,43 +33,63 @@ router.post(
   tirageController.notifyUpcomingTirage
 );
 
-// Tirage automatique (Admin/Tresorier)
+// Tirage automatique (run_tirage : Proprietaire, Tresorier de la tontine)
 router.post(
   '/tontine/:tontineId/automatique',
   verifyToken,
-  isAdminOrTresorier,
+  checkTontineCapability(CAPABILITIES.RUN_TIRAGE),
   auditLog('TIRAGE_AUTOMATIQUE', 'Tirage'),
   tirageController.effectuerTirageAutomatique
 );
-//  NOUVEAU : Tirage automatique MODE TEST (Admin/Trésorier)
+//  NOUVEAU : Tirage automatique MODE TEST (run_tirage : Proprietaire, Tresorier de la tontine)
 router.post(
   '/tontine/:tontineId/automatique-test',
   verifyToken,
-  isAdminOrTresorier,
+  checkTontineCapability(CAPABILITIES.RUN_TIRAGE),
   auditLog('TIRAGE_AUTOMATIQUE_TEST', 'Tirage'),
   tirageController.effectuerTirageAutomatiqueTest
 );
 
-// Tirage manuel (Admin uniquement)
+// Tirage manuel (manage_tontine : Proprietaire de la tontine)
 router.post(
   '/tontine/:tontineId/manuel',
   verifyToken,
-  isAdmin,
+  checkTontineCapability(CAPABILITIES.MANAGE_TONTINE),
   validateCreateTirage,
   auditLog('TIRAGE_MANUEL', 'Tirage'),
   tirageController.effectuerTirageManuel
 );
 
-// Annuler un tirage (Admin uniquement)
+// Annuler un tirage (manage_tontine : Proprietaire de la tontine)
 router.put(
   '/:tirageId/annuler',
   verifyToken,
-  isAdmin,
-  validateTirageId,
-  auditLog('TIRAGE_ANNULATION', 'Tirage'),
+  validateAnnulerTirage,
+  validate,
+  checkTontineCapability(CAPABILITIES.MANAGE_TONTINE, tontineDeTirage),
   tirageController.annulerTirage
 );
 
+// Enregistrer la recuperation d'une cagnotte versee, prealable a l'annulation (run_tirage : Proprietaire, Tresorier)
+router.post(
+  '/:tirageId/recuperation',
+  verifyToken,
+  validateRecuperationTirage,
+  validate,
+  checkTontineCapability(CAPABILITIES.RUN_TIRAGE, tontineDeTirage),
+  tirageController.enregistrerRecuperationTirage
+);
+
+// Verser la cagnotte au beneficiaire (run_tirage : Proprietaire, Tresorier de la tontine)
+router.post(
+  '/:tirageId/payer',
+  verifyToken,
+  validatePayTirage,
+  validate,
+  checkTontineCapability(CAPABILITIES.RUN_TIRAGE, tontineDeTirage),
+  tirageController.payerTirage
+);
+
 // Liste des tirages d'une tontine (Tous)
 router.get(
   '/tontine/:tontineId',
@@ -68,6 +97,14 @@ router.get(
   tirageController.listeTiragesTontine
 );
 
+// Verification publique d'un tirage (recalcul du gagnant)
+router.get(
+  '/:tirageId/verify',
+  validateTirageId,
+  validate,
+  tirageController.verifierTirage
+);
+
 // Details d'un tirage (Tous)
 router.get(
   '/:tirageId',
@@ -101,6 +138,15 @@ router.post(
   tirageController.confirmParticipationTirage
 );
 
+// Offre scellee pour l'enchere en cours (Membre n'ayant pas encore gagne)
+router.post(
+  '/tontine/:tontineId/encheres',
+  verifyToken,
+  validateOffreEnchere,
+  validate,
+  tirageController.soumettreOffreEnchere
+);
+
 // ========================================
 // Les autres routes restent inchangées
 // ========================================
@@ -216,6 +262,52 @@ router.post(
  *         description: Tontine introuvable
  */
 
+/**
+ * @swagger
+ * /digitontine/tirages/tontine/{tontineId}/encheres:
+ *   post:
+ *     tags: [Tirages]
+ *     summary: Deposer ou remplacer son offre pour l'enchere en cours (Membre)
+ *     description: |
+ *       Tontine en mode enchere : l'annonce du tirage ouvre les offres jusqu'a la date du tirage.
+ *       Les offres sont scellees (seule la sienne est renvoyee). La plus forte remise gagne
+ *       la cagnotte diminuee de la remise, repartie en credit sur la prochaine cotisation
+ *       des autres membres. Encherir vaut confirmation de participation.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tontineId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - montantRemise
+ *             properties:
+ *               montantRemise:
+ *                 type: integer
+ *                 minimum: 1
+ *                 example: 5000
+ *                 description: Remise proposee en FCFA (inferieure a la cagnotte)
+ *     responses:
+ *       201:
+ *         description: Offre enregistree
+ *       200:
+ *         description: Offre precedente remplacee
+ *       400:
+ *         description: Aucune enchere ouverte, membre deja gagnant ou remise trop elevee
+ *       403:
+ *         description: Non membre de la tontine
+ *       404:
+ *         description: Tontine introuvable
+ */
+
 /**
  * @swagger
  * /digitontine/tirages/tontine/{tontineId}/automatique:
@@ -321,6 +413,13 @@ router.post(
  *   put:
  *     tags: [Tirages]
  *     summary: Annuler un tirage (Admin uniquement)
+ *     description: |
+ *       Passe le tirage au statut annule et rend au beneficiaire sa part a gagner.
+ *       Une cagnotte deja versee doit d'abord avoir ete recuperee
+ *       (POST /digitontine/tirages/{tirageId}/recuperation). Avec relancer, le nouveau
+ *       tirage de la place parmi les autres candidats du tirage annule est engage aussitot
+ *       (empreinte publiee aux membres) et a lieu a l'issue du delai d'opt-in.
+ *       Une meme echeance ne peut etre annulee que TIRAGE_MAX_ANNULATIONS fois (2 par defaut).
  *     security:
  *       - BearerAuth: []
  *     parameters:
@@ -343,13 +442,106 @@ router.post(
  *                 minLength: 10
  *                 description: Raison de l'annulation (minimum 10 caracteres)
  *                 example: "Erreur dans le processus de tirage"
+ *               relancer:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Programmer le nouveau tirage de la place
+ *     responses:
+ *       200:
+ *         description: Tirage annule (relance contient la date du nouveau tirage et son empreinte)
+ *       400:
+ *         description: Tirage deja annule, cagnotte versee non recuperee ou versement en cours
+ *       404:
+ *         description: Tirage introuvable
+ *       409:
+ *         description: Nombre maximal d'annulations atteint pour l'echeance
+ */
+
+/**
+ * @swagger
+ * /digitontine/tirages/{tirageId}/recuperation:
+ *   post:
+ *     tags: [Tirages]
+ *     summary: Enregistrer la recuperation d'une cagnotte versee (Admin/Tresorier)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tirageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - montant
+ *             properties:
+ *               montant:
+ *                 type: integer
+ *                 description: Montant recupere (egal au montant verse)
+ *               moyenPaiement:
+ *                 type: string
+ *               reference:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Recuperation enregistree, le tirage peut etre annule
+ *       400:
+ *         description: Rien a recuperer, montant incorrect ou tirage deja annule
+ *       404:
+ *         description: Tirage introuvable
+ *       409:
+ *         description: Recuperation deja enregistree
+ */
+
+/**
+ * @swagger
+ * /digitontine/tirages/{tirageId}/payer:
+ *   post:
+ *     tags: [Tirages]
+ *     summary: Verser la cagnotte au beneficiaire (Admin/Tresorier)
+ *     description: |
+ *       Lance le versement mobile money vers le numero du beneficiaire, ou relance
+ *       un versement echoue. Avec un moyen manuel (Cash, Virement), l'appel confirme
+ *       que la cagnotte a ete remise.
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: tirageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               moyenPaiement:
+ *                 type: string
+ *                 description: Moyen de versement (defaut PAYOUT_DEFAULT_METHOD)
+ *                 example: "Wave"
+ *               referencePaiement:
+ *                 type: string
+ *                 description: Reference du versement manuel
+ *               notes:
+ *                 type: string
  *     responses:
  *       200:
- *         description: Tirage annule avec succes
+ *         description: Versement effectue, en cours ou echoue (voir statutPaiement)
  *       400:
- *         description: Tirage deja annule ou raison trop courte
+ *         description: Tirage deja paye
  *       404:
  *         description: Tirage introuvable
+ *       409:
+ *         description: Versement deja en cours
  */
 
 /**
@@ -450,6 +642,62 @@ router.post(
  *         description: Tirage introuvable
  */
 
+/**
+ * @swagger
+ * /digitontine/tirages/{tirageId}/verify:
+ *   get:
+ *     tags: [Tirages]
+ *     summary: Verifier un tirage (public)
+ *     description: |
+ *       Recalcule le gagnant a partir de la seed revelee et des candidats tries :
+ *       candidats[SHA256(seed + ":" + candidats.join(",")) mod n].
+ *       Verifie aussi que SHA256(seed) correspond a l'empreinte publiee avant le tirage.
+ *     parameters:
+ *       - in: path
+ *         name: tirageId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Rapport de verification
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     tirage:
+ *                       type: object
+ *                     verification:
+ *                       type: object
+ *                       properties:
+ *                         verifiable:
+ *                           type: boolean
+ *                         valide:
+ *                           type: boolean
+ *                         seed:
+ *                           type: string
+ *                         seedHash:
+ *                           type: string
+ *                         candidats:
+ *                           type: array
+ *                           items:
+ *                             type: string
+ *                         index:
+ *                           type: integer
+ *                         gagnantCalcule:
+ *                           type: string
+ *                         gagnantEnregistre:
+ *                           type: string
+ *       404:
+ *         description: Tirage introuvable
+ */
+
 /**
  * @swagger
  * /digitontine/tirages/me/gains:
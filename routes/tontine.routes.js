@@ -6,6 +6,10 @@ const {
   createTontine,
   addMembers,
   removeMember,
+  definirPartsMembre,
+  definirCoTitulaires,
+  getSoldeSortie,
+  sortieMembre,
   inviterMembres,
   activateTontine,
   updateTontine,
@@ -21,23 +25,72 @@ const {
   optInForTirage,
   mesTontines,
 } = require('../controllers/tontine.controller');
+const { getTrialBalance, getJournal } = require('../controllers/ledger.controller');
+const {
+  getRolesTontine,
+  attribuerRoleTontine,
+  retirerRoleTontine,
+} = require('../controllers/tontineRole.controller');
+const {
+  definirOrdreRotation,
+  tirerOrdreRotation,
+  demanderEchangePosition,
+} = require('../controllers/rotation.controller');
+const {
+  demanderGarantie,
+  getGaranties,
+  retirerGarant,
+} = require('../controllers/garantie.controller');
+const {
+  creerCodeInvitation,
+  getCodesInvitation,
+  desactiverCodeInvitation,
+  getTontineParCode,
+  rejoindreParCode,
+  listerTontinesPubliques,
+  demanderAdhesion,
+  getDemandesAdhesion,
+  accepterDemandeAdhesion,
+  refuserDemandeAdhesion,
+} = require('../controllers/adhesion.controller');
 const { body } = require('express-validator');
 const {
   validateCreateTontine,
   validateUpdateTontine,
   validateAddMembers,
   validateRemoveMember,
+  validateNombreParts,
+  validateCoTitulaires,
+  validateSoldeSortie,
+  validateSortieMembre,
+  validateDemandeGarantie,
+  validateRetraitGarant,
   validateActivateTontine,
   validateBlockTontine,
   validateCloseTontine,
   validateDeleteTontine,
   validateListTontines,
   validateTontineId,
+  validateTrialBalance,
+  validateJournal,
+  validateOrdreRotation,
+  validateDemandeEchange,
+  validateCodeInvitation,
+  validateCodeInvitationId,
+  validateCodeRejoindre,
+  validateRejoindreParCode,
+  validateDemandeAdhesion,
+  validateListDemandesAdhesion,
+  validateReponseAdhesion,
+  validateTontinesPubliques,
+  validateRoleTontine,
+  validateAttributionRole,
 } = require('../validators/tontine.validator');
+const { CAPABILITIES } = require('../config/constants');
 
 const { validate } = require('../middleware/validator.middleware');
 const { verifyToken } = require('../middleware/auth.middleware');
-const { isAdmin } = require('../middleware/role.middleware');
+const { isAdmin, checkTontineCapability } = require('../middleware/role.middleware');
 const { auditLog } = require('../middleware/audit.middleware');
 
 // ========================================
@@ -71,6 +124,47 @@ router.get(
   mesTontines
 );
 
+/**
+ * @route   GET /digitontine/tontines/publiques
+ * @desc    Tontines en attente listees publiquement (?montantMin, montantMax, frequence), reglement inclus
+ * @access  Private
+ * IMPORTANT: Cette route DOIT etre AVANT /:tontineId
+ */
+router.get(
+  '/publiques',
+  verifyToken,
+  validateTontinesPubliques,
+  validate,
+  listerTontinesPubliques
+);
+
+/**
+ * @route   GET /digitontine/tontines/rejoindre/:code
+ * @desc    Presentation d'une tontine et de son reglement a partir d'un code d'invitation
+ * @access  Private
+ */
+router.get(
+  '/rejoindre/:code',
+  verifyToken,
+  validateCodeRejoindre,
+  validate,
+  getTontineParCode
+);
+
+/**
+ * @route   POST /digitontine/tontines/rejoindre/:code
+ * @desc    Demander a rejoindre une tontine avec un code d'invitation (reglement accepte)
+ * @access  Private (Membre)
+ */
+router.post(
+  '/rejoindre/:code',
+  verifyToken,
+  validateRejoindreParCode,
+  validate,
+  auditLog('JOIN_REQUEST', 'Tontine'),
+  rejoindreParCode
+);
+
 /**
  * @route   POST /digitontine/tontines
  * @desc    Creer une nouvelle tontine
@@ -104,18 +198,46 @@ router.get(
 /**
  * @route   GET /digitontine/tontines/:tontineId/invitations
  * @desc    Liste des invitations pour une tontine
- * @access  Admin
+ * @access  manage_members sur la tontine (Proprietaire, Tresorier)
  * IMPORTANT: Cette route DOIT etre AVANT /:tontineId
  */
 router.get(
   '/:tontineId/invitations',
   verifyToken,
-  isAdmin,
   validateTontineId,
   validate,
+  checkTontineCapability(CAPABILITIES.MANAGE_MEMBERS),
   getTontineInvitations
 );
 
+/**
+ * @route   GET /digitontine/tontines/:tontineId/grand-livre/balance
+ * @desc    Balance des comptes de la tontine a une date (?date=YYYY-MM-DD)
+ * @access  view_accounting sur la tontine (Proprietaire, Tresorier, Co-tresorier, Auditeur)
+ */
+router.get(
+  '/:tontineId/grand-livre/balance',
+  verifyToken,
+  validateTrialBalance,
+  validate,
+  checkTontineCapability(CAPABILITIES.VIEW_ACCOUNTING),
+  getTrialBalance
+);
+
+/**
+ * @route   GET /digitontine/tontines/:tontineId/grand-livre/journal
+ * @desc    Journal des ecritures de la tontine
+ * @access  view_accounting sur la tontine (Proprietaire, Tresorier, Co-tresorier, Auditeur)
+ */
+router.get(
+  '/:tontineId/grand-livre/journal',
+  verifyToken,
+  validateJournal,
+  validate,
+  checkTontineCapability(CAPABILITIES.VIEW_ACCOUNTING),
+  getJournal
+);
+
 /**
  * @route   GET /digitontine/tontines/:tontineId
  * @desc    Details d'une tontine
@@ -133,15 +255,15 @@ router.get(
 /**
  * @route   PUT /digitontine/tontines/:tontineId
  * @desc    Modifier une tontine
- * @access  Admin
+ * @access  manage_tontine sur la tontine (Proprietaire)
  * US 2.5
  */
 router.put(
   '/:tontineId',
   verifyToken,
-  isAdmin,
   validateUpdateTontine,
   validate,
+  checkTontineCapability(CAPABILITIES.MANAGE_TONTINE),
   auditLog('UPDATE_TONTINE', 'Tontine'),
   updateTontine
 );
@@ -149,15 +271,15 @@ router.put(
 /**
  * @route   DELETE /digitontine/tontines/:tontineId
  * @desc    Supprimer une tontine
- * @access  Admin
+ * @access  manage_tontine sur la tontine (Proprietaire)
  * US 2.9
  */
 router.delete(
   '/:tontineId',
   verifyToken,
-  isAdmin,
   validateDeleteTontine,
   validate,
+  checkTontineCapability(CAPABILITIES.MANAGE_TONTINE),
   auditLog('DELETE_TONTINE', 'Tontine'),
   deleteTontine
 );
@@ -169,15 +291,15 @@ router.delete(
 /**
  * @route   POST /digitontine/tontines/:tontineId/membres
  * @desc    Ajouter des membres a une tontine
- * @access  Admin
+ * @access  manage_members sur la tontine (Proprietaire, Tresorier)
  * US 2.2
  */
 router.post(
   '/:tontineId/membres',
   verifyToken,
-  isAdmin,
   validateAddMembers,
   validate,
+  checkTontineCapability(CAPABILITIES.MANAGE_MEMBERS),
   auditLog('ADD_MEMBRES_TONTINE', 'Tontine'),
   addMembers
 );
@@ -185,14 +307,14 @@ router.post(
 /**
  * @route   POST /digitontine/tontines/:tontineId/inviter-membres
  * @desc    Inviter des membres a une tontine
- * @access  Admin
+ * @access  manage_members sur la tontine (Proprietaire, Tresorier)
  */
 router.post(
   '/:tontineId/inviter-membres',
   verifyToken,
-  isAdmin,
   validateAddMembers,
   validate,
+  checkTontineCapability(CAPABILITIES.MANAGE_MEMBERS),
   auditLog('INVITE_MEMBRES_TONTINE', 'Tontine'),
   inviterMembres
 );
@@ -200,19 +322,229 @@ router.post(
 /**
  * @route   DELETE /digitontine/tontines/:tontineId/membres/:userId
  * @desc    Retirer un membre d'une tontine
- * @access  Admin
+ * @access  manage_members sur la tontine (Proprietaire, Tresorier)
  * US 2.3
  */
 router.delete(
   '/:tontineId/membres/:userId',
   verifyToken,
-  isAdmin,
   validateRemoveMember,
   validate,
+  checkTontineCapability(CAPABILITIES.MANAGE_MEMBERS),
   auditLog('REMOVE_MEMBRE_TONTINE', 'Tontine'),
   removeMember
 );
 
+/**
+ * @route   PUT /digitontine/tontines/:tontineId/membres/:userId/parts
+ * @desc    Definir le nombre de parts (mains) d'un membre (avant activation)
+ * @access  manage_members sur la tontine (Proprietaire, Tresorier)
+ */
+router.put(
+  '/:tontineId/membres/:userId/parts',
+  verifyToken,
+  validateNombreParts,
+  validate,
+  checkTontineCapability(CAPABILITIES.MANAGE_MEMBERS),
+  auditLog('UPDATE_TONTINE', 'Tontine'),
+  definirPartsMembre
+);
+
+/**
+ * @route   PUT /digitontine/tontines/:tontineId/membres/:userId/co-titulaires
+ * @desc    Partager la position d'un membre (quotes-parts en %, liste vide pour dissoudre)
+ * @access  manage_members sur la tontine (Proprietaire, Tresorier)
+ */
+router.put(
+  '/:tontineId/membres/:userId/co-titulaires',
+  verifyToken,
+  validateCoTitulaires,
+  validate,
+  checkTontineCapability(CAPABILITIES.MANAGE_MEMBERS),
+  auditLog('UPDATE_TONTINE', 'Tontine'),
+  definirCoTitulaires
+);
+
+/**
+ * @route   GET /digitontine/tontines/:tontineId/membres/:userId/sortie
+ * @desc    Solde de sortie d'un membre en cours de tontine (remboursement, reprise ou reste du)
+ * @access  view_accounting sur la tontine (Proprietaire, Tresorier, Co-tresorier, Auditeur)
+ */
+router.get(
+  '/:tontineId/membres/:userId/sortie',
+  verifyToken,
+  validateSoldeSortie,
+  validate,
+  checkTontineCapability(CAPABILITIES.VIEW_ACCOUNTING),
+  getSoldeSortie
+);
+
+/**
+ * @route   POST /digitontine/tontines/:tontineId/membres/:userId/sortie
+ * @desc    Executer la sortie d'un membre (ValidationRequest MEMBER_EXIT acceptee)
+ * @access  manage_members sur la tontine (Proprietaire, Tresorier)
+ */
+router.post(
+  '/:tontineId/membres/:userId/sortie',
+  verifyToken,
+  validateSortieMembre,
+  validate,
+  checkTontineCapability(CAPABILITIES.MANAGE_MEMBERS),
+  sortieMembre
+);
+
+// ========================================
+// ROUTES - GARANTS
+// ========================================
+
+/**
+ * @route   GET /digitontine/tontines/:tontineId/membres/:userId/garants
+ * @desc    Cautions d'un membre et dette restant due par chaque garant
+ * @access  view_tontine sur la tontine (le membre lui-meme, ou view_accounting)
+ */
+router.get(
+  '/:tontineId/membres/:userId/garants',
+  verifyToken,
+  validateRemoveMember,
+  validate,
+  checkTontineCapability(CAPABILITIES.VIEW_TONTINE),
+  getGaranties
+);
+
+/**
+ * @route   POST /digitontine/tontines/:tontineId/membres/:userId/garants
+ * @desc    Demander a un utilisateur de se porter garant d'un membre (effectif apres son acceptation)
+ * @access  view_tontine sur la tontine (le membre lui-meme ou Admin)
+ */
+router.post(
+  '/:tontineId/membres/:userId/garants',
+  verifyToken,
+  validateDemandeGarantie,
+  validate,
+  checkTontineCapability(CAPABILITIES.VIEW_TONTINE),
+  demanderGarantie
+);
+
+/**
+ * @route   DELETE /digitontine/tontines/:tontineId/membres/:userId/garants/:garantieId
+ * @desc    Retirer un garant tant que sa caution n'est pas mobilisee
+ * @access  view_tontine sur la tontine (le membre lui-meme ou Admin)
+ */
+router.delete(
+  '/:tontineId/membres/:userId/garants/:garantieId',
+  verifyToken,
+  validateRetraitGarant,
+  validate,
+  checkTontineCapability(CAPABILITIES.VIEW_TONTINE),
+  retirerGarant
+);
+
+// ========================================
+// ROUTES - ADHESIONS (codes d'invitation, demandes)
+// ========================================
+
+/**
+ * @route   POST /digitontine/tontines/:tontineId/codes-invitation
+ * @desc    Creer un code (lien) d'invitation avec expiration et nombre d'utilisations maximum
+ * @access  manage_members sur la tontine (Proprietaire, Tresorier)
+ */
+router.post(
+  '/:tontineId/codes-invitation',
+  verifyToken,
+  validateCodeInvitation,
+  validate,
+  checkTontineCapability(CAPABILITIES.MANAGE_MEMBERS),
+  auditLog('CREATE_INVITE_CODE', 'Tontine'),
+  creerCodeInvitation
+);
+
+/**
+ * @route   GET /digitontine/tontines/:tontineId/codes-invitation
+ * @desc    Codes d'invitation d'une tontine et leurs utilisations
+ * @access  manage_members sur la tontine (Proprietaire, Tresorier)
+ */
+router.get(
+  '/:tontineId/codes-invitation',
+  verifyToken,
+  validateTontineId,
+  validate,
+  checkTontineCapability(CAPABILITIES.MANAGE_MEMBERS),
+  getCodesInvitation
+);
+
+/**
+ * @route   DELETE /digitontine/tontines/:tontineId/codes-invitation/:codeId
+ * @desc    Desactiver un code d'invitation
+ * @access  manage_members sur la tontine (Proprietaire, Tresorier)
+ */
+router.delete(
+  '/:tontineId/codes-invitation/:codeId',
+  verifyToken,
+  validateCodeInvitationId,
+  validate,
+  checkTontineCapability(CAPABILITIES.MANAGE_MEMBERS),
+  auditLog('REVOKE_INVITE_CODE', 'Tontine'),
+  desactiverCodeInvitation
+);
+
+/**
+ * @route   POST /digitontine/tontines/:tontineId/demandes-adhesion
+ * @desc    Demander a rejoindre une tontine publique (ou avec un code), reglement accepte
+ * @access  Private (Membre)
+ */
+router.post(
+  '/:tontineId/demandes-adhesion',
+  verifyToken,
+  validateDemandeAdhesion,
+  validate,
+  auditLog('JOIN_REQUEST', 'Tontine'),
+  demanderAdhesion
+);
+
+/**
+ * @route   GET /digitontine/tontines/:tontineId/demandes-adhesion
+ * @desc    Demandes d'adhesion d'une tontine (?statut=en_attente|acceptee|refusee)
+ * @access  manage_members sur la tontine (Proprietaire, Tresorier)
+ */
+router.get(
+  '/:tontineId/demandes-adhesion',
+  verifyToken,
+  validateListDemandesAdhesion,
+  validate,
+  checkTontineCapability(CAPABILITIES.MANAGE_MEMBERS),
+  getDemandesAdhesion
+);
+
+/**
+ * @route   POST /digitontine/tontines/:tontineId/demandes-adhesion/:demandeId/accepter
+ * @desc    Approuver une demande d'adhesion (le membre rejoint la tontine)
+ * @access  manage_members sur la tontine (Proprietaire, Tresorier)
+ */
+router.post(
+  '/:tontineId/demandes-adhesion/:demandeId/accepter',
+  verifyToken,
+  validateReponseAdhesion,
+  validate,
+  checkTontineCapability(CAPABILITIES.MANAGE_MEMBERS),
+  auditLog('APPROVE_JOIN_REQUEST', 'Tontine'),
+  accepterDemandeAdhesion
+);
+
+/**
+ * @route   POST /digitontine/tontines/:tontineId/demandes-adhesion/:demandeId/refuser
+ * @desc    Refuser une demande d'adhesion
+ * @access  manage_members sur la tontine (Proprietaire, Tresorier)
+ */
+router.post(
+  '/:tontineId/demandes-adhesion/:demandeId/refuser',
+  verifyToken,
+  validateReponseAdhesion,
+  validate,
+  checkTontineCapability(CAPABILITIES.MANAGE_MEMBERS),
+  auditLog('DECLINE_JOIN_REQUEST', 'Tontine'),
+  refuserDemandeAdhesion
+);
+
 /**
  * @route   POST /digitontine/tontines/:tontineId/opt-in
  * @desc    Confirmer participation au prochain tirage
@@ -232,6 +564,101 @@ router.post(
   optInForTirage
 );
 
+// ========================================
+// ROUTES - ROLES DANS LA TONTINE
+// ========================================
+
+/**
+ * @route   GET /digitontine/tontines/:tontineId/roles
+ * @desc    Roles et capacites des participants, et mes capacites sur la tontine
+ * @access  view_tontine sur la tontine (participants)
+ */
+router.get(
+  '/:tontineId/roles',
+  verifyToken,
+  validateTontineId,
+  validate,
+  checkTontineCapability(CAPABILITIES.VIEW_TONTINE),
+  getRolesTontine
+);
+
+/**
+ * @route   PUT /digitontine/tontines/:tontineId/roles/:userId
+ * @desc    Attribuer un role de tontine (co_tresorier : membre de la tontine, auditeur)
+ * @access  manage_roles sur la tontine (Proprietaire)
+ */
+router.put(
+  '/:tontineId/roles/:userId',
+  verifyToken,
+  validateAttributionRole,
+  validate,
+  checkTontineCapability(CAPABILITIES.MANAGE_ROLES),
+  auditLog('ASSIGN_TONTINE_ROLE', 'Tontine'),
+  attribuerRoleTontine
+);
+
+/**
+ * @route   DELETE /digitontine/tontines/:tontineId/roles/:userId
+ * @desc    Retirer le role attribue a un utilisateur
+ * @access  manage_roles sur la tontine (Proprietaire)
+ */
+router.delete(
+  '/:tontineId/roles/:userId',
+  verifyToken,
+  validateRoleTontine,
+  validate,
+  checkTontineCapability(CAPABILITIES.MANAGE_ROLES),
+  auditLog('REVOKE_TONTINE_ROLE', 'Tontine'),
+  retirerRoleTontine
+);
+
+// ========================================
+// ROUTES - TOUR DE ROLE
+// ========================================
+
+/**
+ * @route   PUT /digitontine/tontines/:tontineId/ordre-rotation
+ * @desc    Definir l'ordre de reception de la cagnotte (avant activation)
+ * @access  manage_tontine sur la tontine (Proprietaire)
+ */
+router.put(
+  '/:tontineId/ordre-rotation',
+  verifyToken,
+  validateOrdreRotation,
+  validate,
+  checkTontineCapability(CAPABILITIES.MANAGE_TONTINE),
+  auditLog('UPDATE_TONTINE', 'Tontine'),
+  definirOrdreRotation
+);
+
+/**
+ * @route   POST /digitontine/tontines/:tontineId/ordre-rotation/tirage-initial
+ * @desc    Tirer au sort l'ordre du tour de role (une seule fois, avant activation)
+ * @access  manage_tontine sur la tontine (Proprietaire)
+ */
+router.post(
+  '/:tontineId/ordre-rotation/tirage-initial',
+  verifyToken,
+  validateTontineId,
+  validate,
+  checkTontineCapability(CAPABILITIES.MANAGE_TONTINE),
+  auditLog('UPDATE_TONTINE', 'Tontine'),
+  tirerOrdreRotation
+);
+
+/**
+ * @route   POST /digitontine/tontines/:tontineId/ordre-rotation/echanges
+ * @desc    Proposer a un membre d'echanger nos positions (effectif apres son acceptation)
+ * @access  Private (Membre de la tontine)
+ */
+router.post(
+  '/:tontineId/ordre-rotation/echanges',
+  verifyToken,
+  validateDemandeEchange,
+  validate,
+  demanderEchangePosition
+);
+
 // ========================================
 // ROUTES - ACTIONS SUR TONTINES
 // ========================================
@@ -239,15 +666,15 @@ router.post(
 /**
  * @route   POST /digitontine/tontines/:tontineId/activate
  * @desc    Activer une tontine
- * @access  Admin
+ * @access  manage_tontine sur la tontine (Proprietaire)
  * US 2.4
  */
 router.post(
   '/:tontineId/activate',
   verifyToken,
-  isAdmin,
   validateActivateTontine,
   validate,
+  checkTontineCapability(CAPABILITIES.MANAGE_TONTINE),
   auditLog('ACTIVATE_TONTINE', 'Tontine'),
   activateTontine
 );
@@ -255,15 +682,15 @@ router.post(
 /**
  * @route   POST /digitontine/tontines/:tontineId/block
  * @desc    Bloquer une tontine
- * @access  Admin
+ * @access  manage_tontine sur la tontine (Proprietaire)
  * US 2.6
  */
 router.post(
   '/:tontineId/block',
   verifyToken,
-  isAdmin,
   validateBlockTontine,
   validate,
+  checkTontineCapability(CAPABILITIES.MANAGE_TONTINE),
   auditLog('BLOCK_TONTINE', 'Tontine'),
   blockTontine
 );
@@ -271,15 +698,15 @@ router.post(
 /**
  * @route   POST /digitontine/tontines/:tontineId/unblock
  * @desc    Debloquer/Reactiver une tontine
- * @access  Admin
+ * @access  manage_tontine sur la tontine (Proprietaire)
  * US 2.7
  */
 router.post(
   '/:tontineId/unblock',
   verifyToken,
-  isAdmin,
   validateTontineId,
   validate,
+  checkTontineCapability(CAPABILITIES.MANAGE_TONTINE),
   auditLog('UNBLOCK_TONTINE', 'Tontine'),
   unblockTontine
 );
@@ -287,15 +714,15 @@ router.post(
 /**
  * @route   POST /digitontine/tontines/:tontineId/close
  * @desc    Cloturer une tontine
- * @access  Admin
+ * @access  manage_tontine sur la tontine (Proprietaire)
  * US 2.8
  */
 router.post(
   '/:tontineId/close',
   verifyToken,
-  isAdmin,
   validateCloseTontine,
   validate,
+  checkTontineCapability(CAPABILITIES.MANAGE_TONTINE),
   auditLog('CLOSE_TONTINE', 'Tontine'),
   closeTontine
 );
@@ -9,21 +9,34 @@ const {
   listTransactions,
   getTransactionDetails,
   getMyTransactions,
-  handleWaveWebhook,
+  getEcheancier,
+  handlePaymentWebhook,
+  checkTransactionPaymentStatus,
+  refundTransaction,
+  confirmRefund,
 } = require('../controllers/transaction.controller');
 
 const {
   validateCreateTransaction,
   validateValidateTransaction,
   validateRejectTransaction,
+  validateRefundTransaction,
+  validateConfirmRefund,
   validateListTransactions,
   validateTransactionId,
   validateWebhook,
+  validateEcheancier,
 } = require('../validators/transaction.validator');
 
 const { validate } = require('../middleware/validator.middleware');
 const { verifyToken } = require('../middleware/auth.middleware');
-const { isAdminOrTresorier, isTresorier } = require('../middleware/role.middleware');
+const {
+  isAdmin,
+  checkTontineCapability,
+  checkAnyTontineCapability,
+  tontineDeTransaction,
+} = require('../middleware/role.middleware');
+const { CAPABILITIES } = require('../config/constants');
 const { auditLog } = require('../middleware/audit.middleware');
 
 // ========================================
@@ -31,11 +44,11 @@ const { auditLog } = require('../middleware/audit.middleware');
 // ========================================
 
 /**
- * @route   POST /digitontine/transactions/webhook/wave
- * @desc    Webhook Wave (callback paiement)
- * @access  Public (validation interne)
+ * @route   POST /digitontine/transactions/webhook/:provider
+ * @desc    Webhook d'un provider de paiement (wave, orange-money...)
+ * @access  Public (validation par le provider)
  */
-router.post('/webhook/wave', validateWebhook, validate, handleWaveWebhook);
+router.post('/webhook/:provider', validateWebhook, validate, handlePaymentWebhook);
 
 // ========================================
 // ROUTES MEMBRES - MES TRANSACTIONS
@@ -49,6 +62,19 @@ router.post('/webhook/wave', validateWebhook, validate, handleWaveWebhook);
  */
 router.get('/me', verifyToken, getMyTransactions);
 
+/**
+ * @route   GET /digitontine/transactions/tontine/:tontineId/echeancier
+ * @desc    Échéancier : versements partiels, reste à payer, avance reportée
+ * @access  Private (Membre pour lui-même, view_accounting sur la tontine avec ?userId=)
+ */
+router.get(
+  '/tontine/:tontineId/echeancier',
+  verifyToken,
+  validateEcheancier,
+  validate,
+  getEcheancier
+);
+
 /**
  * @route   POST /digitontine/transactions
  * @desc    Effectuer une cotisation
@@ -64,6 +90,19 @@ router.post(
   createTransaction
 );
 
+/**
+ * @route   GET /digitontine/transactions/:transactionId/payment-status
+ * @desc    Vérifier le statut du paiement auprès du provider
+ * @access  Private (Membre propriétaire, view_accounting sur la tontine)
+ */
+router.get(
+  '/:transactionId/payment-status',
+  verifyToken,
+  validateTransactionId,
+  validate,
+  checkTransactionPaymentStatus
+);
+
 // ========================================
 // ROUTES TRÉSORIER - GESTION TRANSACTIONS
 // ========================================
@@ -71,30 +110,30 @@ router.post(
 /**
  * @route   GET /digitontine/transactions
  * @desc    Liste des transactions (avec filtres)
- * @access  Trésorier/Admin
+ * @access  view_accounting sur au moins une tontine (limitée à ces tontines), Admin
  * US 4.4
  */
 router.get(
   '/',
   verifyToken,
-  isAdminOrTresorier,
   validateListTransactions,
   validate,
+  checkAnyTontineCapability(CAPABILITIES.VIEW_ACCOUNTING),
   listTransactions
 );
 
 /**
  * @route   POST /digitontine/transactions/:transactionId/validate
  * @desc    Valider une transaction
- * @access  Trésorier
+ * @access  validate_transaction sur la tontine (Proprietaire, Tresorier, Co-tresorier)
  * US 4.3
  */
 router.post(
   '/:transactionId/validate',
   verifyToken,
-  isTresorier,
   validateValidateTransaction,
   validate,
+  checkTontineCapability(CAPABILITIES.VALIDATE_TRANSACTION, tontineDeTransaction),
   auditLog('VALIDATE_TRANSACTION', 'Transaction'),
   validateTransaction
 );
@@ -102,19 +141,47 @@ router.post(
 /**
  * @route   POST /digitontine/transactions/:transactionId/reject
  * @desc    Rejeter une transaction
- * @access  Trésorier
+ * @access  validate_transaction sur la tontine (Proprietaire, Tresorier, Co-tresorier)
  * US 4.3
  */
 router.post(
   '/:transactionId/reject',
   verifyToken,
-  isTresorier,
   validateRejectTransaction,
   validate,
+  checkTontineCapability(CAPABILITIES.VALIDATE_TRANSACTION, tontineDeTransaction),
   auditLog('REJECT_TRANSACTION', 'Transaction'),
   rejectTransaction
 );
 
+/**
+ * @route   POST /digitontine/transactions/:transactionId/refund
+ * @desc    Rembourser tout ou partie d'un paiement (double validation REFUND_TRANSACTION)
+ * @access  Admin
+ */
+router.post(
+  '/:transactionId/refund',
+  verifyToken,
+  isAdmin,
+  validateRefundTransaction,
+  validate,
+  refundTransaction
+);
+
+/**
+ * @route   POST /digitontine/transactions/:transactionId/refund/:refundId/confirm
+ * @desc    Confirmer un remboursement effectue manuellement
+ * @access  validate_transaction sur la tontine (Proprietaire, Tresorier, Co-tresorier)
+ */
+router.post(
+  '/:transactionId/refund/:refundId/confirm',
+  verifyToken,
+  validateConfirmRefund,
+  validate,
+  checkTontineCapability(CAPABILITIES.VALIDATE_TRANSACTION, tontineDeTransaction),
+  confirmRefund
+);
+
 /**
  * @swagger
  * /digitontine/transactions/me:
@@ -135,6 +202,24 @@ router.post(
  *         description: Liste paginée
  */
 
+/**
+ * @swagger
+ * /digitontine/transactions/{transactionId}/payment-status:
+ *   get:
+ *     tags: [Transactions]
+ *     summary: Vérifier le statut du paiement auprès du provider (Wave, Orange Money)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200:
+ *         description: Statut du paiement
+ */
+
 /**
  * @swagger
  * /digitontine/transactions/{transactionId}/validate:
@@ -186,4 +271,64 @@ router.post(
  *       200:
  *         description: Transaction rejetée
  */
+
+/**
+ * @swagger
+ * /digitontine/transactions/{transactionId}/refund:
+ *   post:
+ *     tags: [Transactions]
+ *     summary: Rembourser un paiement (Admin, après validation REFUND_TRANSACTION du Trésorier)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [motif, validationRequestId]
+ *             properties:
+ *               motif: { type: string }
+ *               montant: { type: integer, description: 'Remboursement partiel (défaut : montant approuvé ou restant)' }
+ *               validationRequestId: { type: string }
+ *     responses:
+ *       200:
+ *         description: Remboursement effectué ou à confirmer manuellement
+ *       502:
+ *         description: Remboursement refusé par le provider
+ */
+
+/**
+ * @swagger
+ * /digitontine/transactions/{transactionId}/refund/{refundId}/confirm:
+ *   post:
+ *     tags: [Transactions]
+ *     summary: Confirmer un remboursement effectué manuellement (Cash, portail marchand)
+ *     security:
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema: { type: string }
+ *       - in: path
+ *         name: refundId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               referenceRemboursement: { type: string }
+ *     responses:
+ *       200:
+ *         description: Remboursement confirmé
+ */
 module.exports = router;
\ No newline at end of file
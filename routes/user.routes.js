@@ -22,6 +22,13 @@ const {
   getUserStats,
   updateProfilePhoto,    //  AJOUT
   deleteProfilePhoto,    //  AJOUT
+  listKycDossiers,
+  approuverKyc,
+  rejeterKyc,
+  demanderComplementKyc,
+  completerMonKyc,
+  listComptesVerrouilles,
+  deverrouillerCompte,
 } = require('../controllers/user.controller');
 
 const {
@@ -33,6 +40,10 @@ const {
   validateListUsers,
   validateUserId,
   validateAdminResetPassword,
+  validateListKyc,
+  validateDecisionKyc,
+  validateCompleterKyc,
+  validateListComptesVerrouilles,
 } = require('../validators/user.validator');
 
 const { validate, validateMongoId } = require('../middleware/validator.middleware');
@@ -113,6 +124,102 @@ router.get(
   getUserStats
 );
 
+// ========================================
+// ROUTES ADMIN - REVUE DES INSCRIPTIONS (KYC)
+// ========================================
+
+/**
+ * @route   GET /digitontine/users/kyc
+ * @desc    File de revue des inscriptions en libre-service
+ * @access  Admin
+ */
+router.get(
+  '/kyc',
+  verifyToken,
+  isAdmin,
+  validateListKyc,
+  validate,
+  listKycDossiers
+);
+
+/**
+ * @route   POST /digitontine/users/:userId/kyc/approuver
+ * @desc    Approuver un dossier d'inscription
+ * @access  Admin
+ */
+router.post(
+  '/:userId/kyc/approuver',
+  verifyToken,
+  isAdmin,
+  validateDecisionKyc(false),
+  validate,
+  auditLog('APPROVE_KYC', 'User'),
+  approuverKyc
+);
+
+/**
+ * @route   POST /digitontine/users/:userId/kyc/rejeter
+ * @desc    Refuser un dossier d'inscription (motif obligatoire)
+ * @access  Admin
+ */
+router.post(
+  '/:userId/kyc/rejeter',
+  verifyToken,
+  isAdmin,
+  validateDecisionKyc(true),
+  validate,
+  auditLog('REJECT_KYC', 'User'),
+  rejeterKyc
+);
+
+/**
+ * @route   POST /digitontine/users/:userId/kyc/demander-complement
+ * @desc    Demander un complément sur un dossier d'inscription (motif obligatoire)
+ * @access  Admin
+ */
+router.post(
+  '/:userId/kyc/demander-complement',
+  verifyToken,
+  isAdmin,
+  validateDecisionKyc(true),
+  validate,
+  auditLog('REQUEST_KYC_COMPLEMENT', 'User'),
+  demanderComplementKyc
+);
+
+// ========================================
+// ROUTES ADMIN - COMPTES VERROUILLÉS
+// ========================================
+
+/**
+ * @route   GET /digitontine/users/verrouilles
+ * @desc    Comptes verrouillés après des échecs de connexion
+ * @access  Admin
+ */
+router.get(
+  '/verrouilles',
+  verifyToken,
+  isAdmin,
+  validateListComptesVerrouilles,
+  validate,
+  listComptesVerrouilles
+);
+
+/**
+ * @route   POST /digitontine/users/:userId/deverrouiller
+ * @desc    Débloquer un compte verrouillé
+ * @access  Admin
+ */
+router.post(
+  '/:userId/deverrouiller',
+  verifyToken,
+  isAdmin,
+  validateUserId,
+  validate,
+  auditLog('UNLOCK_ACCOUNT', 'User'),
+  deverrouillerCompte
+);
+
 /**
  * @route   GET /digitontine/users/:userId
  * @desc    Détails d'un utilisateur
@@ -214,6 +321,21 @@ router.put(
   updateMyProfile
 );
 
+/**
+ * @route   PUT /digitontine/users/me/kyc
+ * @desc    Fournir le complément demandé sur son dossier d'inscription
+ * @access  Private
+ */
+router.put(
+  '/me/kyc',
+  verifyToken,
+  uploadIdentityPhoto,
+  validateCompleterKyc,
+  validate,
+  auditLog('SUBMIT_KYC_COMPLEMENT', 'User'),
+  completerMonKyc
+);
+
 /**
  *  @route   PUT /digitontine/users/me/photo-profil
  * @desc    Mettre à jour sa photo de profil (MODIFIABLE)
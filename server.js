@@ -31,10 +31,23 @@ const tirageRoutes = require('./routes/tirage.routes');
 const dashboardRoutes = require('./routes/dashboard.routes');
 const validationRoutes = require('./routes/validation.routes');
 const notificationRoutes = require('./routes/notification.routes');
+const reconciliationRoutes = require('./routes/reconciliation.routes');
 
 // Controller pour route publique admin
 const { createAdmin } = require('./controllers/auth.controller');
 
+// Providers de paiement
+const { registerDefaultProviders } = require('./services/payment.service');
+
+// Transports des codes à usage unique (email, SMS, WhatsApp)
+const { registerDefaultTransports } = require('./services/otpDelivery.service');
+
+// Taches planifiees
+const { initializeTirageJob } = require('./jobs/tirage.cron');
+const { initializePayoutJob } = require('./jobs/payout.cron');
+const { initializeGarantieJob } = require('./jobs/garantie.cron');
+const { initializeFiabiliteJob } = require('./jobs/fiabilite.cron');
+
 // ========================================
 // INITIALISATION APP
 // ========================================
@@ -45,6 +58,24 @@ app.set('trust proxy', 1);
 // ========================================
 connectDB();
 
+// ========================================
+// TACHES PLANIFIEES
+// ========================================
+initializeTirageJob();
+initializePayoutJob();
+initializeGarantieJob();
+initializeFiabiliteJob();
+
+// ========================================
+// PROVIDERS DE PAIEMENT
+// ========================================
+registerDefaultProviders();
+
+// ========================================
+// TRANSPORTS DES CODES (OTP)
+// ========================================
+registerDefaultTransports();
+
 // ========================================
 // MIDDLEWARE DE SECURITE
 // ========================================
@@ -114,19 +145,26 @@ app.use(compression());
 // MIDDLEWARE PARSING & LOGGING
 // ========================================
 
+// Conserver le corps brut des webhooks : la signature est calculée dessus
+const captureRawBody = (req, res, buf) => {
+  if (req.originalUrl.includes('/transactions/webhook')) {
+    req.rawBody = buf;
+  }
+};
+
 //  Body parser SAUF pour /api/proxy/* (géré par Multer dans le proxy)
 app.use((req, res, next) => {
   if (req.path.startsWith('/api/proxy')) {
     return next();
   }
-  express.json({ limit: '10mb' })(req, res, next);
+  express.json({ limit: '10mb', verify: captureRawBody })(req, res, next);
 });
 
 app.use((req, res, next) => {
   if (req.path.startsWith('/api/proxy')) {
     return next();
   }
-  express.urlencoded({ extended: true, limit: '10mb' })(req, res, next);
+  express.urlencoded({ extended: true, limit: '10mb', verify: captureRawBody })(req, res, next);
 });
 
 
@@ -517,6 +555,7 @@ app.use(`${API_PREFIX}/tirages`, tirageRoutes);
 app.use(`${API_PREFIX}/dashboard`, dashboardRoutes);
 app.use(`${API_PREFIX}/validation`, validationRoutes);
 app.use(`${API_PREFIX}/notifications`, notificationRoutes);
+app.use(`${API_PREFIX}/reconciliations`, reconciliationRoutes);
 
 // ========================================
 // GESTION DES ERREURS
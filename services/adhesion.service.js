@@ -0,0 +1,419 @@
+// services/adhesion.service.js
+const crypto = require('crypto');
+const Tontine = require('../models/Tontine');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const fiabiliteService = require('./fiabilite.service');
+const kycService = require('./kyc.service');
+const tontineRoleService = require('./tontineRole.service');
+const emailService = require('./email.service');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errors');
+const { ROLES, TONTINE_STATUS, CAPABILITIES } = require('../config/constants');
+
+/**
+ * Adhésions en libre-service
+ *
+ * 1. L'Admin ou le Trésorier de la tontine génère des codes d'invitation (lien partageable),
+ *    valables jusqu'à une date d'expiration et pour un nombre d'utilisations limité.
+ * 2. Un membre qui détient un code (ou qui trouve la tontine dans la liste publique)
+ *    consulte le règlement puis dépose une demande d'adhésion en l'acceptant.
+ *    Chaque demande consomme une utilisation du code.
+ * 3. L'Admin ou le Trésorier approuve (le membre est ajouté) ou refuse la demande.
+ */
+
+// Sans caractères ambigus (0/O, 1/I/L)
+const ALPHABET_CODE = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const LONGUEUR_CODE = 8;
+const DUREE_VALIDITE_DEFAUT_JOURS = 7;
+
+/**
+ * Générer un code d'invitation aléatoire
+ */
+const genererCode = () =>
+  Array.from(crypto.randomBytes(LONGUEUR_CODE), (octet) => ALPHABET_CODE[octet % ALPHABET_CODE.length]).join('');
+
+/**
+ * Lien d'invitation à partager
+ */
+const lienInvitation = (code) => `${process.env.FRONTEND_URL}/tontines/rejoindre/${code}`;
+
+/**
+ * Charger une tontine et vérifier que l'utilisateur gère ses membres (capacité manage_members)
+ */
+const chargerTontineGeree = async (tontineId, user) => {
+  const tontine = await Tontine.findById(tontineId);
+  if (!tontine) {
+    throw new AppError('Tontine introuvable', 404);
+  }
+
+  if (!tontineRoleService.aCapacite(tontine, user, CAPABILITIES.MANAGE_MEMBERS)) {
+    throw new AppError('Réservé aux gestionnaires des membres de la tontine', 403);
+  }
+
+  return tontine;
+};
+
+/**
+ * Le code peut-il encore être utilisé ?
+ */
+const estCodeUtilisable = (codeInvitation) =>
+  codeInvitation.actif &&
+  codeInvitation.dateExpiration > new Date() &&
+  (!codeInvitation.utilisationsMax || codeInvitation.utilisations < codeInvitation.utilisationsMax);
+
+/**
+ * Vue publique d'un code
+ */
+const formaterCode = (codeInvitation) => ({
+  id: codeInvitation._id,
+  code: codeInvitation.code,
+  lien: lienInvitation(codeInvitation.code),
+  dateExpiration: codeInvitation.dateExpiration,
+  utilisationsMax: codeInvitation.utilisationsMax || null,
+  utilisations: codeInvitation.utilisations,
+  actif: codeInvitation.actif,
+  utilisable: estCodeUtilisable(codeInvitation),
+  dateCreation: codeInvitation.dateCreation,
+});
+
+/**
+ * Présentation d'une tontine à un futur membre (règlement compris)
+ */
+const apercuTontine = (tontine) => ({
+  id: tontine._id,
+  nom: tontine.nom,
+  description: tontine.description,
+  montantCotisation: tontine.montantCotisation,
+  frequence: tontine.frequence,
+  dateDebut: tontine.dateDebut,
+  dateFin: tontine.dateFin,
+  modeTirage: tontine.modeTirage,
+  nombreMembres: tontine.membres.length,
+  nombreMembresMax: tontine.nombreMembresMax,
+  placesRestantes: Math.max(0, tontine.nombreMembresMax - tontine.membres.length),
+  scoreMinimum: tontine.scoreMinimum,
+  reglement: tontine.reglement,
+});
+
+/**
+ * Créer un code d'invitation
+ * @param {Object} options - { dureeValiditeJours, utilisationsMax }
+ * @returns {Object} - { tontine, codeInvitation }
+ */
+const creerCodeInvitation = async (tontineId, options, user) => {
+  const { dureeValiditeJours = DUREE_VALIDITE_DEFAUT_JOURS, utilisationsMax } = options;
+
+  const tontine = await chargerTontineGeree(tontineId, user);
+  if (tontine.statut !== TONTINE_STATUS.EN_ATTENTE) {
+    throw new AppError('Les invitations ne sont possibles qu\'avant activation', 400);
+  }
+
+  let code = genererCode();
+  while (await Tontine.exists({ 'codesInvitation.code': code })) {
+    code = genererCode();
+  }
+
+  tontine.codesInvitation.push({
+    code,
+    dateExpiration: new Date(Date.now() + dureeValiditeJours * 24 * 60 * 60 * 1000),
+    utilisationsMax,
+    createdBy: user._id,
+  });
+  const codeInvitation = tontine.codesInvitation[tontine.codesInvitation.length - 1];
+
+  tontine.lastModifiedBy = user._id;
+  await tontine.save();
+
+  logger.info(`Code d'invitation ${code} cree pour "${tontine.nom}" par ${user.email}`);
+
+  return { tontine, codeInvitation };
+};
+
+/**
+ * Codes d'invitation d'une tontine
+ */
+const listerCodesInvitation = async (tontineId, user) => {
+  const tontine = await chargerTontineGeree(tontineId, user);
+  return tontine.codesInvitation
+    .slice()
+    .sort((a, b) => b.dateCreation - a.dateCreation)
+    .map(formaterCode);
+};
+
+/**
+ * Désactiver un code d'invitation
+ */
+const desactiverCodeInvitation = async (tontineId, codeId, user) => {
+  const tontine = await chargerTontineGeree(tontineId, user);
+
+  const codeInvitation = tontine.codesInvitation.id(codeId);
+  if (!codeInvitation) {
+    throw new AppError('Code d\'invitation introuvable', 404);
+  }
+
+  codeInvitation.actif = false;
+  tontine.lastModifiedBy = user._id;
+  await tontine.save();
+
+  logger.info(`Code d'invitation ${codeInvitation.code} desactive - "${tontine.nom}" par ${user.email}`);
+
+  return { tontine, codeInvitation };
+};
+
+/**
+ * Retrouver la tontine d'un code d'invitation encore utilisable
+ * @returns {Object} - { tontine, codeInvitation }
+ */
+const trouverParCode = async (code) => {
+  const codeNormalise = code.toUpperCase().trim();
+  const tontine = await Tontine.findOne({ 'codesInvitation.code': codeNormalise });
+  const codeInvitation = tontine?.codesInvitation.find((c) => c.code === codeNormalise);
+
+  if (!codeInvitation) {
+    throw new AppError('Code d\'invitation invalide', 404);
+  }
+
+  if (!estCodeUtilisable(codeInvitation)) {
+    throw new AppError('Ce code d\'invitation a expiré ou a atteint son nombre d\'utilisations', 410);
+  }
+
+  if (tontine.statut !== TONTINE_STATUS.EN_ATTENTE) {
+    throw new AppError('Cette tontine n\'accepte plus de nouveaux membres', 400);
+  }
+
+  return { tontine, codeInvitation };
+};
+
+/**
+ * Tontines en attente listées publiquement
+ * @param {Object} filtres - { montantMin, montantMax, frequence, page, limit, skip }
+ * @returns {Object} - { tontines, total }
+ */
+const listerTontinesPubliques = async ({ montantMin, montantMax, frequence, limit, skip }) => {
+  const query = { visibilitePublique: true, statut: TONTINE_STATUS.EN_ATTENTE };
+
+  if (montantMin !== undefined || montantMax !== undefined) {
+    query.montantCotisation = {};
+    if (montantMin !== undefined) query.montantCotisation.$gte = montantMin;
+    if (montantMax !== undefined) query.montantCotisation.$lte = montantMax;
+  }
+  if (frequence) query.frequence = frequence;
+
+  const [tontines, total] = await Promise.all([
+    Tontine.find(query)
+      .select('nom description montantCotisation frequence dateDebut dateFin modeTirage membres.userId nombreMembresMax scoreMinimum reglement')
+      .sort({ dateDebut: 1 })
+      .skip(skip)
+      .limit(limit),
+    Tontine.countDocuments(query),
+  ]);
+
+  return { tontines: tontines.map(apercuTontine), total };
+};
+
+/**
+ * Déposer une demande d'adhésion (avec un code, ou directement si la tontine est publique)
+ * @param {Object} options - { code, reglementAccepte, message }
+ * @returns {Object} - { tontine, demande }
+ */
+const demanderAdhesion = async (tontineId, options, user) => {
+  const { code, reglementAccepte, message } = options;
+
+  let tontine;
+  let codeInvitation = null;
+  if (code) {
+    ({ tontine, codeInvitation } = await trouverParCode(code));
+    if (tontineId && !tontine._id.equals(tontineId)) {
+      throw new AppError('Ce code d\'invitation ne correspond pas à cette tontine', 400);
+    }
+  } else {
+    tontine = await Tontine.findById(tontineId);
+    if (!tontine) {
+      throw new AppError('Tontine introuvable', 404);
+    }
+    if (!tontine.visibilitePublique) {
+      throw new AppError('Un code d\'invitation est nécessaire pour rejoindre cette tontine', 403);
+    }
+    if (tontine.statut !== TONTINE_STATUS.EN_ATTENTE) {
+      throw new AppError('Cette tontine n\'accepte plus de nouveaux membres', 400);
+    }
+  }
+
+  if (reglementAccepte !== true) {
+    throw new AppError('Vous devez accepter le règlement de la tontine', 400);
+  }
+
+  if (user.role !== ROLES.MEMBRE) {
+    throw new AppError('Seuls les membres peuvent rejoindre une tontine', 403);
+  }
+
+  if (tontine.membres.some((m) => m.userId.equals(user._id))) {
+    throw new AppError('Vous êtes déjà membre de cette tontine', 409);
+  }
+
+  if (tontine.demandesAdhesion.some((d) => d.userId.equals(user._id) && d.statut === 'en_attente')) {
+    throw new AppError('Vous avez déjà une demande d\'adhésion en attente pour cette tontine', 409);
+  }
+
+  if (tontine.membres.length >= tontine.nombreMembresMax) {
+    throw new AppError('La tontine a atteint sa capacité maximale', 400);
+  }
+
+  kycService.verifierKycApprouve(user);
+  await fiabiliteService.verifierScoreMinimum(tontine, user);
+
+  if (codeInvitation) {
+    codeInvitation.utilisations += 1;
+  }
+
+  tontine.demandesAdhesion.push({
+    userId: user._id,
+    codeInvitation: codeInvitation?.code,
+    message,
+    dateAcceptationReglement: new Date(),
+  });
+  const demande = tontine.demandesAdhesion[tontine.demandesAdhesion.length - 1];
+  await tontine.save();
+
+  // Prévenir ceux qui approuvent : créateur (Admin) et Trésorier
+  const destinataires = [tontine.createdBy, tontine.tresorierAssigne]
+    .filter(Boolean)
+    .filter((id, idx, ids) => ids.findIndex((autre) => autre.equals(id)) === idx);
+
+  try {
+    await Notification.insertMany(
+      destinataires.map((destinataireId) => ({
+        userId: destinataireId,
+        type: 'ADHESION_DEMANDE',
+        titre: ` Demande d'adhésion - "${tontine.nom}"`,
+        message:
+          `${user.nomComplet} souhaite rejoindre "${tontine.nom}" et a accepté son règlement.` +
+          (message ? ` Message : ${message}` : ''),
+        data: { tontineId: tontine._id, demandeAdhesionId: demande._id, membreId: user._id },
+        requiresAction: false,
+        createdBy: user._id,
+      }))
+    );
+  } catch (error) {
+    logger.error('Erreur notification demande adhesion:', error);
+  }
+
+  logger.info(`Demande d'adhesion - ${user.email} pour "${tontine.nom}"${codeInvitation ? ` (code ${codeInvitation.code})` : ''}`);
+
+  return { tontine, demande };
+};
+
+/**
+ * Demandes d'adhésion d'une tontine
+ * @param {String} statut - Filtre optionnel
+ */
+const listerDemandesAdhesion = async (tontineId, statut, user) => {
+  const tontine = await chargerTontineGeree(tontineId, user);
+  await tontine.populate('demandesAdhesion.userId', 'prenom nom email numeroTelephone fiabilite.score');
+
+  return tontine.demandesAdhesion
+    .filter((d) => !statut || d.statut === statut)
+    .sort((a, b) => b.dateDemande - a.dateDemande)
+    .map((d) => ({
+      id: d._id,
+      membre: d.userId ? {
+        id: d.userId._id,
+        nom: d.userId.nomComplet,
+        email: d.userId.email,
+        numeroTelephone: d.userId.numeroTelephone,
+        scoreFiabilite: d.userId.fiabilite?.score ?? null,
+      } : null,
+      codeInvitation: d.codeInvitation,
+      message: d.message,
+      dateAcceptationReglement: d.dateAcceptationReglement,
+      statut: d.statut,
+      dateDemande: d.dateDemande,
+      dateReponse: d.dateReponse,
+      motifRefus: d.motifRefus,
+    }));
+};
+
+/**
+ * Approuver ou refuser une demande d'adhésion
+ * @param {String} action - 'accepter' ou 'refuser'
+ * @returns {Object} - { tontine, demande }
+ */
+const repondreDemandeAdhesion = async (tontineId, demandeId, action, motif, user) => {
+  const tontine = await chargerTontineGeree(tontineId, user);
+
+  const demande = tontine.demandesAdhesion.id(demandeId);
+  if (!demande) {
+    throw new AppError('Demande d\'adhésion introuvable', 404);
+  }
+
+  if (demande.statut !== 'en_attente') {
+    throw new AppError('Cette demande a déjà été traitée', 400);
+  }
+
+  const membre = await User.findById(demande.userId);
+  if (!membre || !membre.isActive) {
+    throw new AppError('Demandeur introuvable ou inactif', 404);
+  }
+
+  if (action === 'accepter') {
+    kycService.verifierKycApprouve(membre);
+    await fiabiliteService.verifierScoreMinimum(tontine, membre);
+
+    try {
+      tontine.ajouterMembre(membre._id);
+    } catch (error) {
+      throw new AppError(error.message, 400);
+    }
+    demande.statut = 'acceptee';
+  } else {
+    demande.statut = 'refusee';
+    demande.motifRefus = motif;
+  }
+
+  demande.dateReponse = new Date();
+  demande.traitePar = user._id;
+  tontine.lastModifiedBy = user._id;
+  await tontine.save();
+
+  await Notification.create({
+    userId: membre._id,
+    type: 'SYSTEM',
+    titre: action === 'accepter'
+      ? ` Bienvenue dans "${tontine.nom}"`
+      : ` Demande d'adhésion refusée - "${tontine.nom}"`,
+    message: action === 'accepter'
+      ? `Votre demande d'adhésion à "${tontine.nom}" a été acceptée.`
+      : `Votre demande d'adhésion à "${tontine.nom}" a été refusée.${motif ? ` Motif : ${motif}` : ''}`,
+    data: { tontineId: tontine._id, demandeAdhesionId: demande._id },
+    requiresAction: false,
+    createdBy: user._id,
+  });
+
+  if (action === 'accepter') {
+    try {
+      await emailService.sendTontineInvitation(membre, tontine);
+    } catch (emailError) {
+      logger.error(`Erreur envoi email a ${membre.email}:`, emailError);
+    }
+  }
+
+  logger.info(
+    `Demande d'adhesion ${demande.statut} - ${membre.email} pour "${tontine.nom}" par ${user.email}`
+  );
+
+  return { tontine, demande };
+};
+
+module.exports = {
+  lienInvitation,
+  apercuTontine,
+  creerCodeInvitation,
+  listerCodesInvitation,
+  desactiverCodeInvitation,
+  trouverParCode,
+  listerTontinesPubliques,
+  demanderAdhesion,
+  listerDemandesAdhesion,
+  repondreDemandeAdhesion,
+};
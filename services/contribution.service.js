@@ -0,0 +1,226 @@
+// services/contribution.service.js
+const Transaction = require('../models/Transaction');
+const { TRANSACTION_STATUS, TRANSACTION_TYPES } = require('../config/constants');
+
+/**
+ * Échéancier des cotisations
+ *
+ * Les cotisations validées d'un membre sont imputées dans l'ordre du calendrier :
+ * une échéance peut être réglée en plusieurs fois, et tout surplus est reporté
+ * sur les échéances suivantes (paiement d'avance). Les crédits d'enchère du membre
+ * (remises redistribuées) s'imputent de la même façon, sur la prochaine échéance due,
+ * tout comme les cotisations reprises d'un membre remplacé.
+ *
+ * Chaque membre doit, par échéance, une cotisation par part de sa position,
+ * à hauteur de sa quote-part si la position est partagée (voir Tontine.getCotisationMembre).
+ */
+
+const MS_PAR_JOUR = 1000 * 60 * 60 * 24;
+
+/**
+ * Part d'une transaction imputable aux échéances (hors pénalité et remboursements)
+ */
+const montantImputable = (transaction) => {
+  const base =
+    typeof transaction.montantCotisation === 'number'
+      ? transaction.montantCotisation
+      : transaction.montant - (transaction.montantPenalite || 0);
+  return Math.max(0, base - (transaction.montantRembourse || 0));
+};
+
+/**
+ * Crédits du membre imputés comme des versements : remises d'enchère accumulées
+ * et cotisations reprises du membre qu'il remplace
+ */
+const creditsMembre = (membre) =>
+  (membre?.creditCotisation || 0) + (membre?.cotisationsReprises || 0);
+
+/**
+ * Calendrier des cotisations ramené à ce que doit un membre
+ */
+const calendrierMembre = (tontine, userId) =>
+  tontine.calendrierCotisations.map((echeance) => ({
+    numeroEcheance: echeance.numeroEcheance,
+    dateEcheance: echeance.dateEcheance,
+    montant: tontine.getCotisationMembre(userId, echeance.montant || 0),
+  }));
+
+/**
+ * Imputer un total versé sur le calendrier de la tontine
+ * @param {Array} calendrier - tontine.calendrierCotisations
+ * @param {Number} totalVerse - Somme des cotisations validées du membre
+ * @param {Date} dateReference - Date de calcul des retards
+ * @returns {Object} - Échéancier du membre
+ */
+const allocate = (calendrier, totalVerse, dateReference = new Date()) => {
+  let disponible = totalVerse;
+  let totalDuEchu = 0;
+  let soldeRetard = 0;
+
+  const echeances = [...calendrier]
+    .sort((a, b) => a.numeroEcheance - b.numeroEcheance)
+    .map((echeance) => {
+      const montantDu = echeance.montant || 0;
+      const montantPaye = Math.min(disponible, montantDu);
+      disponible -= montantPaye;
+
+      const resteAPayer = montantDu - montantPaye;
+      const echue = new Date(echeance.dateEcheance) <= dateReference;
+      const joursRetard =
+        echue && resteAPayer > 0
+          ? Math.floor((dateReference - new Date(echeance.dateEcheance)) / MS_PAR_JOUR)
+          : 0;
+
+      if (echue) {
+        totalDuEchu += montantDu;
+        soldeRetard += resteAPayer;
+      }
+
+      let statut = 'impayee';
+      if (resteAPayer === 0) statut = 'payee';
+      else if (montantPaye > 0) statut = 'partielle';
+
+      return {
+        numeroEcheance: echeance.numeroEcheance,
+        dateEcheance: echeance.dateEcheance,
+        montantDu,
+        montantPaye,
+        resteAPayer,
+        statut,
+        echue,
+        joursRetard,
+      };
+    });
+
+  const totalCalendrier = echeances.reduce((sum, e) => sum + e.montantDu, 0);
+
+  return {
+    echeances,
+    totalVerse,
+    totalDuEchu,
+    soldeRetard,
+    // Versé au-delà de ce qui est échu (imputé sur les échéances futures)
+    avance: totalVerse - (totalDuEchu - soldeRetard),
+    // Versé au-delà de tout le calendrier
+    credit: disponible,
+    resteCalendrier: Math.max(0, totalCalendrier - totalVerse),
+    aJour: soldeRetard === 0,
+  };
+};
+
+/**
+ * Échéancier d'un membre dans une tontine
+ * @param {Object} tontine - Document Tontine (calendrierCotisations et membres requis)
+ * @param {String} userId - ID du membre
+ * @returns {Object} - { echeances, totalVerse (crédits d'enchère et reprises compris), soldeRetard, avance, credit, aJour }
+ */
+const getMemberLedger = async (tontine, userId) => {
+  const transactions = await Transaction.find({
+    tontineId: tontine._id,
+    userId,
+    type: TRANSACTION_TYPES.COTISATION,
+    statut: TRANSACTION_STATUS.VALIDEE,
+  }).select('montant montantCotisation montantPenalite montantRembourse');
+
+  const totalVerse =
+    transactions.reduce((sum, t) => sum + montantImputable(t), 0) +
+    creditsMembre(
+      tontine.membres.find((m) => (m.userId._id || m.userId).toString() === userId.toString())
+    );
+
+  return allocate(calendrierMembre(tontine, userId), totalVerse);
+};
+
+/**
+ * Cotisations d'un membre en attente de validation, pas encore imputées sur l'échéancier
+ * @param {Object} tontine - Document Tontine
+ * @param {String} userId - ID du membre
+ * @returns {Number} - Montant imputable en attente (FCFA)
+ */
+const getMontantEnAttente = async (tontine, userId) => {
+  const transactions = await Transaction.find({
+    tontineId: tontine._id,
+    userId,
+    type: TRANSACTION_TYPES.COTISATION,
+    statut: TRANSACTION_STATUS.EN_ATTENTE,
+  }).select('montant montantCotisation montantPenalite montantRembourse');
+
+  return transactions.reduce((sum, t) => sum + montantImputable(t), 0);
+};
+
+/**
+ * Échéanciers de tous les membres d'une tontine (une seule requête)
+ * @param {Object} tontine - Document Tontine
+ * @returns {Map<String, Object>} - userId → échéancier
+ */
+const getTontineLedgers = async (tontine) => {
+  const versements = await Transaction.aggregate([
+    {
+      $match: {
+        tontineId: tontine._id,
+        type: TRANSACTION_TYPES.COTISATION,
+        statut: TRANSACTION_STATUS.VALIDEE,
+      },
+    },
+    {
+      $group: {
+        _id: '$userId',
+        total: {
+          $sum: {
+            $max: [
+              0,
+              {
+                $subtract: [
+                  {
+                    $ifNull: [
+                      '$montantCotisation',
+                      { $subtract: ['$montant', { $ifNull: ['$montantPenalite', 0] }] },
+                    ],
+                  },
+                  { $ifNull: ['$montantRembourse', 0] },
+                ],
+              },
+            ],
+          },
+        },
+      },
+    },
+  ]);
+
+  const totaux = new Map(versements.map((v) => [v._id.toString(), v.total]));
+  const ledgers = new Map();
+
+  tontine.membres.forEach((membre) => {
+    const userId = (membre.userId._id || membre.userId).toString();
+    const totalVerse = (totaux.get(userId) || 0) + creditsMembre(membre);
+    ledgers.set(userId, allocate(calendrierMembre(tontine, userId), totalVerse));
+  });
+
+  return ledgers;
+};
+
+/**
+ * Le membre a-t-il soldé toutes les échéances jusqu'à numeroEcheance incluse ?
+ */
+const estAJourJusqua = (ledger, numeroEcheance) => {
+  return ledger.echeances
+    .filter((e) => e.numeroEcheance <= numeroEcheance)
+    .every((e) => e.resteAPayer === 0);
+};
+
+/**
+ * Première échéance non soldée (cible par défaut d'un nouveau versement)
+ */
+const prochaineEcheance = (ledger) => {
+  return ledger.echeances.find((e) => e.resteAPayer > 0) || null;
+};
+
+module.exports = {
+  montantImputable,
+  allocate,
+  getMemberLedger,
+  getMontantEnAttente,
+  getTontineLedgers,
+  estAJourJusqua,
+  prochaineEcheance,
+};
@@ -0,0 +1,273 @@
+// services/draw.service.js
+const crypto = require('crypto');
+
+/**
+ * Tirage au sort vérifiable (engagement / révélation)
+ *
+ * 1. À la notification du tirage, une graine secrète est générée et seule son empreinte
+ *    SHA-256 est publiée aux membres.
+ * 2. Au tirage, la graine est révélée. Le gagnant est l'indice
+ *    SHA-256("<graine>:<id1>,<id2>,...") mod n, les identifiants des n candidats
+ *    étant triés par ordre croissant.
+ * 3. N'importe qui peut recalculer l'empreinte de la graine et le gagnant.
+ *
+ * Avec la priorité de fiabilité (tontine.prioriteFiabilite), chaque candidat pèse son
+ * score de fiabilité publié dans candidatsEligibles : la valeur
+ * SHA-256("<graine>:<id1>=<poids1>,<id2>=<poids2>,...") mod (somme des poids) désigne
+ * le gagnant sur les poids cumulés, dans l'ordre croissant des identifiants.
+ *
+ * Le nouveau tirage d'une place annulée ne peut pas réutiliser la graine déjà révélée :
+ * sa graine est SHA-256("<graine annulée>:<complément>"), le complément étant une valeur
+ * secrète fraîche dont l'empreinte est publiée aux membres dès l'annulation. Le nouveau
+ * tirage n'a lieu qu'après un délai : annuler pour retirer n'offre pas d'autre issue.
+ */
+const ALGORITHME = 'sha256-mod-v1';
+const ALGORITHME_PONDERE = 'sha256-pondere-v1';
+
+// Poids d'un candidat dont le score n'a pas encore été calculé
+const POIDS_SANS_SCORE = 50;
+
+/**
+ * Empreinte SHA-256 (hex) d'une graine
+ */
+const hashSeed = (seed) => crypto.createHash('sha256').update(seed).digest('hex');
+
+/**
+ * Générer une graine secrète et son empreinte publique
+ * @returns {Object} - { seed, seedHash, dateEngagement }
+ */
+const genererEngagement = () => {
+  const seed = crypto.randomBytes(32).toString('hex');
+  return { seed, seedHash: hashSeed(seed), dateEngagement: new Date() };
+};
+
+/**
+ * Graine d'un nouveau tirage de place annulée
+ */
+const graineDerivee = (seedPrecedente, complement) => hashSeed(`${seedPrecedente}:${complement}`);
+
+/**
+ * Engagement du nouveau tirage d'une place annulée, dérivé de la graine révélée
+ * Sans graine révélée (place gagnée par enchère), le complément sert lui-même de graine
+ * @param {String|null} seedPrecedente - Graine révélée du tirage annulé
+ * @param {String|null} complement - Complément engagé à l'annulation (généré s'il est absent)
+ * @param {Date} dateEngagement - Date de l'annulation
+ * @returns {Object} - { seed, seedHash, dateEngagement, engagementPublie, seedPrecedente, complement, complementHash }
+ */
+const deriverEngagement = (seedPrecedente, complement = null, dateEngagement = new Date()) => {
+  const valeur = complement || crypto.randomBytes(32).toString('hex');
+  const complementHash = hashSeed(valeur);
+
+  if (!seedPrecedente) {
+    return {
+      seed: valeur,
+      seedHash: complementHash,
+      dateEngagement,
+      engagementPublie: true,
+      complement: valeur,
+      complementHash,
+    };
+  }
+
+  const seed = graineDerivee(seedPrecedente, valeur);
+
+  return {
+    seed,
+    seedHash: hashSeed(seed),
+    dateEngagement,
+    engagementPublie: true, // Empreinte du complément publiée aux membres à l'annulation
+    seedPrecedente,
+    complement: valeur,
+    complementHash,
+  };
+};
+
+/**
+ * Identifiants des candidats en chaînes, triés par ordre croissant
+ */
+const trierCandidats = (candidatIds) => candidatIds.map((id) => id.toString()).sort();
+
+/**
+ * Désigner le gagnant à partir de la graine et des candidats
+ * @param {String} seed - Graine révélée
+ * @param {Array} candidatIds - Identifiants des candidats éligibles (ordre indifférent)
+ * @returns {Object} - { candidats, empreinte, index, gagnantId }
+ */
+const calculerGagnant = (seed, candidatIds) => {
+  if (!candidatIds.length) {
+    throw new Error('Aucun candidat pour le tirage');
+  }
+
+  const candidats = trierCandidats(candidatIds);
+  const empreinte = crypto
+    .createHash('sha256')
+    .update(`${seed}:${candidats.join(',')}`)
+    .digest('hex');
+  const index = Number(BigInt(`0x${empreinte}`) % BigInt(candidats.length));
+
+  return { candidats, empreinte, index, gagnantId: candidats[index] };
+};
+
+/**
+ * Poids d'un candidat au tirage pondéré (au moins 1 : un score nul garde une chance)
+ */
+const poidsCandidat = (score) =>
+  Math.max(1, Math.round(score === undefined || score === null ? POIDS_SANS_SCORE : score));
+
+/**
+ * Désigner le gagnant à partir de la graine et des candidats pondérés par leur score
+ * @param {String} seed - Graine révélée
+ * @param {Array} candidatsScores - [{ userId, score }] (ordre indifférent)
+ * @returns {Object} - { candidats, poids, empreinte, valeur, index, gagnantId }
+ */
+const calculerGagnantPondere = (seed, candidatsScores) => {
+  if (!candidatsScores.length) {
+    throw new Error('Aucun candidat pour le tirage');
+  }
+
+  const tries = candidatsScores
+    .map((c) => ({ userId: c.userId.toString(), poids: poidsCandidat(c.score) }))
+    .sort((a, b) => (a.userId < b.userId ? -1 : a.userId > b.userId ? 1 : 0));
+
+  const empreinte = crypto
+    .createHash('sha256')
+    .update(`${seed}:${tries.map((c) => `${c.userId}=${c.poids}`).join(',')}`)
+    .digest('hex');
+  const total = tries.reduce((sum, c) => sum + c.poids, 0);
+  const valeur = Number(BigInt(`0x${empreinte}`) % BigInt(total));
+
+  let cumul = 0;
+  const index = tries.findIndex((c) => (cumul += c.poids) > valeur);
+
+  return {
+    candidats: tries.map((c) => c.userId),
+    poids: tries.map((c) => c.poids),
+    empreinte,
+    valeur,
+    index,
+    gagnantId: tries[index].userId,
+  };
+};
+
+/**
+ * Tirer le bénéficiaire parmi les membres éligibles d'une tontine
+ * @param {Object|null} engagement - Engagement publié ({ seed, seedHash, dateEngagement }), sinon une graine est générée
+ * @param {Array} membresEligibles - Membres (userId peuplé, avec fiabilite.score)
+ * @param {Object} options - { pondere } : tirage pondéré par le score de fiabilité
+ * @returns {Object} - { beneficiaire, detailsAlgorithme }
+ */
+const tirerBeneficiaire = (engagement, membresEligibles, { pondere = false } = {}) => {
+  const avecEngagement = Boolean(engagement && engagement.seed);
+  const { seed, seedHash, dateEngagement } = avecEngagement ? engagement : genererEngagement();
+  const engagementPublie = avecEngagement && engagement.engagementPublie !== false;
+  const derivation = avecEngagement && engagement.seedPrecedente
+    ? {
+      seedPrecedente: engagement.seedPrecedente,
+      complement: engagement.complement,
+      complementHash: engagement.complementHash,
+    }
+    : {};
+
+  const idMembre = (m) => (m.userId._id || m.userId).toString();
+  const scoreMembre = (m) => m.userId.fiabilite?.score ?? null;
+  const resultat = pondere
+    ? calculerGagnantPondere(
+        seed,
+        membresEligibles.map((m) => ({ userId: idMembre(m), score: scoreMembre(m) }))
+      )
+    : calculerGagnant(seed, membresEligibles.map(idMembre));
+  const beneficiaire = membresEligibles.find((m) => idMembre(m) === resultat.gagnantId);
+
+  return {
+    beneficiaire,
+    detailsAlgorithme: {
+      candidatsEligibles: resultat.candidats.map((userId) => {
+        const membre = membresEligibles.find((m) => idMembre(m) === userId);
+        return {
+          userId,
+          nom: membre.userId.nomComplet,
+          cotisationsAJour: true,
+          score: scoreMembre(membre),
+        };
+      }),
+      algorithme: pondere ? ALGORITHME_PONDERE : ALGORITHME,
+      seed,
+      seedHash,
+      dateEngagement,
+      engagementPublie,
+      ...derivation,
+      empreinte: resultat.empreinte,
+      resultatAleatoire: resultat.index,
+    },
+  };
+};
+
+/**
+ * Recalculer un tirage à partir des données publiées
+ * @param {Object} tirage - Document Tirage
+ * @returns {Object} - Rapport de vérification
+ */
+const verifierTirage = (tirage) => {
+  const details = tirage.detailsAlgorithme || {};
+
+  if (!details.seed || !details.seedHash || !details.candidatsEligibles?.length) {
+    const raisons = {
+      aleatoire: 'Tirage effectué avant la mise en place du tirage vérifiable',
+      manuel: 'Tirage manuel : aucun aléa à vérifier',
+      tour_de_role: 'Tirage par tour de rôle : aucun aléa à vérifier',
+      enchere: 'Tirage par enchère : le gagnant est la meilleure offre (voir detailsEnchere)',
+    };
+    return {
+      verifiable: false,
+      raison: raisons[tirage.methodeTirage] || raisons.manuel,
+    };
+  }
+
+  const pondere = details.algorithme === ALGORITHME_PONDERE;
+  const resultat = pondere
+    ? calculerGagnantPondere(details.seed, details.candidatsEligibles)
+    : calculerGagnant(details.seed, details.candidatsEligibles.map((c) => c.userId));
+
+  const empreinteGraineValide = hashSeed(details.seed) === details.seedHash;
+  const gagnantValide = resultat.gagnantId === tirage.beneficiaireId.toString();
+  // Nouveau tirage d'une place annulée : graine dérivée de la graine révélée et du complément
+  const derivationValide = details.seedPrecedente
+    ? hashSeed(details.complement || '') === details.complementHash &&
+      graineDerivee(details.seedPrecedente, details.complement) === details.seed
+    : undefined;
+
+  return {
+    verifiable: true,
+    valide: empreinteGraineValide && gagnantValide && derivationValide !== false,
+    algorithme: details.algorithme || ALGORITHME,
+    engagementPublie: Boolean(details.engagementPublie),
+    dateEngagement: details.dateEngagement,
+    seed: details.seed,
+    seedHash: details.seedHash,
+    empreinteGraineValide,
+    seedPrecedente: details.seedPrecedente,
+    complement: details.complement,
+    complementHash: details.complementHash,
+    derivationValide,
+    candidats: resultat.candidats,
+    poids: resultat.poids,
+    empreinte: resultat.empreinte,
+    index: resultat.index,
+    valeur: resultat.valeur,
+    gagnantCalcule: resultat.gagnantId,
+    gagnantEnregistre: tirage.beneficiaireId.toString(),
+    gagnantValide,
+  };
+};
+
+module.exports = {
+  ALGORITHME,
+  ALGORITHME_PONDERE,
+  hashSeed,
+  genererEngagement,
+  deriverEngagement,
+  calculerGagnant,
+  calculerGagnantPondere,
+  tirerBeneficiaire,
+  verifierTirage,
+};
@@ -179,12 +179,17 @@ const sendPasswordResetCode = async (user, resetCode) => {
       </div>
     `;
 
-    await sendEmail(
+    const result = await sendEmail(
       user.email,
       'Reinitialisation de mot de passe',
       getEmailTemplate('Reinitialisation', content)
     );
 
+    if (!result.success) {
+      logger.warn(`Code reset non envoye a ${user.email}: ${result.error}`);
+      return false;
+    }
+
     logger.info(`Code reset envoye a ${user.email}`);
     return true;
   } catch (error) {
@@ -218,12 +223,17 @@ const sendLoginOTP = async (user, code) => {
       <p>Si vous n'etes pas a l'origine de cette tentative de connexion, ignorez cet email et changez votre mot de passe immediatement.</p>
     `;
 
-    await sendEmail(
+    const result = await sendEmail(
       user.email,
       'Code de connexion DigiTontine',
       getEmailTemplate('Code de connexion', content)
     );
 
+    if (!result.success) {
+      logger.warn(`OTP connexion non envoye a ${user.email}: ${result.error}`);
+      return false;
+    }
+
     logger.info(`OTP connexion envoye a ${user.email}`);
     return true;
   } catch (error) {
@@ -494,6 +504,45 @@ const sendTontineRemovalNotification = async (user, tontine) => {
   }
 };
 
+/**
+ * Notifier la sortie d'un membre en cours de tontine et le solde de sa position
+ */
+const sendMemberExitNotification = async (user, tontine, sortie) => {
+  try {
+    let solde = '<p>Votre position est soldée.</p>';
+    if (sortie.remplacantId) {
+      solde = `<p>Votre position et vos cotisations versées (${sortie.cotisationsReprises} FCFA) ont été reprises par votre remplaçant.</p>`;
+    } else if (sortie.montantARembourser > 0) {
+      solde = `<p>Vos cotisations vous sont remboursées : <strong>${sortie.montantARembourser} FCFA</strong>, pénalités impayées déduites (${sortie.penalitesImpayees} FCFA).</p>`;
+    }
+
+    const content = `
+      <p>Bonjour <strong>${user.prenom} ${user.nom}</strong>,</p>
+
+      <div class="warning-box">
+        <strong>Votre sortie de la tontine "${tontine.nom}" a été enregistrée</strong>
+      </div>
+
+      ${solde}
+      ${sortie.montantDu > 0 ? `<p>Vous restez redevable de <strong>${sortie.montantDu} FCFA</strong> envers la tontine.</p>` : ''}
+
+      <p>Si vous pensez qu'il s'agit d'une erreur, veuillez contacter l'administrateur.</p>
+    `;
+
+    await sendEmail(
+      user.email,
+      `Sortie de la tontine "${tontine.nom}"`,
+      getEmailTemplate('Sortie Tontine', content)
+    );
+
+    logger.info(`Email sortie tontine envoye a ${user.email}`);
+    return true;
+  } catch (error) {
+    logger.error('Erreur envoi sortie tontine:', error);
+    throw error;
+  }
+};
+
 /**
  * Notifier activation de tontine
  */
@@ -943,6 +992,7 @@ const sendValidationRequestEmail = async (tresorier, admin, actionType, resource
       UNBLOCK_TONTINE: 'Déblocage de tontine',
       ACTIVATE_USER: 'Activation d\'utilisateur',
       DEACTIVATE_USER: 'Désactivation d\'utilisateur',
+      REFUND_TRANSACTION: 'Remboursement de paiement',
     };
 
     const content = `
@@ -990,6 +1040,7 @@ const sendValidationRejectedEmail = async (admin, validationRequest, reason) =>
       UNBLOCK_TONTINE: 'Déblocage de tontine',
       ACTIVATE_USER: 'Activation d\'utilisateur',
       DEACTIVATE_USER: 'Désactivation d\'utilisateur',
+      REFUND_TRANSACTION: 'Remboursement de paiement',
     };
 
     const content = `
@@ -1031,6 +1082,7 @@ const sendValidationAcceptedEmail = async (admin, tresorier, actionType, resourc
       UNBLOCK_TONTINE: 'Déblocage de tontine',
       ACTIVATE_USER: 'Activation d\'utilisateur',
       DEACTIVATE_USER: 'Désactivation d\'utilisateur',
+      REFUND_TRANSACTION: 'Remboursement de paiement',
     };
 
     const content = `
@@ -1101,6 +1153,208 @@ const sendTestEmail = async (toEmail) => {
   }
 };
 
+/**
+ * Envoyer notification de remboursement
+ * @param {Object} remboursement - Entrée de transaction.remboursements
+ */
+const sendRefundNotification = async (user, transaction, remboursement) => {
+  try {
+    const effectue = remboursement.statut === 'effectue';
+
+    const content = `
+      <p>Bonjour <strong>${user.prenom} ${user.nom}</strong>,</p>
+      
+      <div class="${effectue ? 'success-box' : 'info-box'}">
+        <strong>${effectue ? 'Votre remboursement a ete effectue' : 'Un remboursement est en cours'}</strong>
+      </div>
+      
+      <div class="info-box">
+        <strong>Paiement :</strong> ${transaction.referenceTransaction}<br>
+        <strong>Montant rembourse :</strong> ${formatCurrency(remboursement.montant)}<br>
+        <strong>Moyen :</strong> ${transaction.moyenPaiement}<br>
+        ${remboursement.referenceRemboursement ? `<strong>Reference :</strong> ${remboursement.referenceRemboursement}<br>` : ''}
+        <strong>Motif :</strong> ${remboursement.motif}
+      </div>
+      
+      <p>${effectue
+        ? 'Le montant a ete renvoye sur votre compte.'
+        : 'Le tresorier de votre tontine vous contactera pour finaliser le remboursement.'}</p>
+    `;
+
+    await sendEmail(
+      user.email,
+      `Remboursement ${effectue ? 'effectue' : 'en cours'} - ${transaction.referenceTransaction}`,
+      getEmailTemplate('Remboursement', content)
+    );
+
+    logger.info(`Email remboursement envoye a ${user.email}`);
+    return true;
+  } catch (error) {
+    logger.error('Erreur envoi remboursement:', error);
+    throw error;
+  }
+};
+
+/**
+ * Envoyer le code de verification de l'email a l'inscription
+ */
+const sendRegistrationOTP = async (user, code) => {
+  try {
+    const content = `
+      <p>Bonjour <strong>${user.prenom} ${user.nom}</strong>,</p>
+      
+      <p>Merci pour votre inscription sur DigiTontine. Confirmez votre adresse email avec ce code :</p>
+      
+      <div class="info-box">
+        <div style="font-size: 32px; font-weight: bold; color: #667eea; text-align: center; margin: 20px 0; letter-spacing: 5px;">
+          ${code}
+        </div>
+      </div>
+      
+      <div class="warning-box">
+        Ce code est valide pendant <strong>15 minutes</strong><br>
+        Vous avez <strong>3 tentatives</strong> maximum
+      </div>
+      
+      <p>Un second code vous a ete envoye par WhatsApp pour confirmer votre numero de telephone.
+      Votre dossier sera ensuite examine par un administrateur.</p>
+    `;
+
+    await sendEmail(
+      user.email,
+      'Confirmez votre inscription DigiTontine',
+      getEmailTemplate('Verification de votre email', content)
+    );
+
+    logger.info(`OTP inscription envoye a ${user.email}`);
+    return true;
+  } catch (error) {
+    logger.error('Erreur envoi OTP inscription:', error);
+    throw error;
+  }
+};
+
+/**
+ * Envoyer la decision sur le dossier d'inscription (KYC)
+ * @param {String} decision - 'approuve', 'rejete' ou 'complement_demande'
+ */
+const sendKycDecision = async (user, decision, motif) => {
+  try {
+    const messages = {
+      approuve: {
+        titre: 'Inscription validee',
+        box: 'success-box',
+        texte: 'Votre identite a ete verifiee. Vous pouvez desormais rejoindre des tontines.',
+      },
+      rejete: {
+        titre: 'Inscription refusee',
+        box: 'warning-box',
+        texte: 'Votre dossier d\'inscription n\'a pas ete accepte.',
+      },
+      complement_demande: {
+        titre: 'Informations complementaires requises',
+        box: 'info-box',
+        texte: 'Votre dossier est incomplet. Connectez-vous pour fournir les elements demandes.',
+      },
+    };
+    const { titre, box, texte } = messages[decision];
+
+    const content = `
+      <p>Bonjour <strong>${user.prenom} ${user.nom}</strong>,</p>
+      
+      <div class="${box}">
+        <strong>${texte}</strong>
+      </div>
+      
+      ${motif ? `<div class="info-box"><strong>Motif :</strong> ${motif}</div>` : ''}
+      
+      ${decision === 'rejete' ? '' : `<a href="${process.env.FRONTEND_URL}/login" class="button">Se connecter</a>`}
+    `;
+
+    await sendEmail(user.email, `${titre} - DigiTontine`, getEmailTemplate(titre, content));
+
+    logger.info(`Email decision KYC (${decision}) envoye a ${user.email}`);
+    return true;
+  } catch (error) {
+    logger.error('Erreur envoi decision KYC:', error);
+    throw error;
+  }
+};
+
+/**
+ * Alerter l'utilisateur du verrouillage de son compte (trop d'echecs de connexion)
+ * @param {Date|null} jusquA - Fin du verrouillage, ou null si seul un Admin peut debloquer
+ */
+const sendAccountLockedAlert = async (user, jusquA, ip) => {
+  try {
+    const content = `
+      <p>Bonjour <strong>${user.prenom} ${user.nom}</strong>,</p>
+      
+      <div class="warning-box">
+        <strong>Votre compte a ete verrouille apres plusieurs tentatives de connexion echouees.</strong>
+      </div>
+      
+      <div class="info-box">
+        <strong>Derniere tentative depuis :</strong> ${ip || 'adresse inconnue'}<br>
+        ${jusquA
+          ? `<strong>Deverrouillage automatique :</strong> ${formatDate(jusquA, 'full')}`
+          : '<strong>Deverrouillage :</strong> contactez l\'administrateur'}
+      </div>
+      
+      <p>Si vous n'etes pas a l'origine de ces tentatives, quelqu'un essaie peut-etre d'acceder a votre compte : changez votre mot de passe des que possible.</p>
+    `;
+
+    await sendEmail(
+      user.email,
+      'Compte verrouille - DigiTontine',
+      getEmailTemplate('Compte verrouille', content)
+    );
+
+    logger.info(`Alerte verrouillage envoyee a ${user.email}`);
+    return true;
+  } catch (error) {
+    logger.error('Erreur alerte verrouillage:', error);
+    throw error;
+  }
+};
+
+/**
+ * Alerter l'utilisateur d'une connexion depuis un nouvel appareil ou une nouvelle adresse IP
+ */
+const sendNewDeviceLoginAlert = async (user, { appareil, ip, date }) => {
+  try {
+    const content = `
+      <p>Bonjour <strong>${user.prenom} ${user.nom}</strong>,</p>
+      
+      <p>Une connexion a votre compte vient d'avoir lieu depuis un appareil ou une adresse inhabituels.</p>
+      
+      <div class="info-box">
+        <strong>Appareil :</strong> ${appareil}<br>
+        <strong>Adresse IP :</strong> ${ip || 'inconnue'}<br>
+        <strong>Date :</strong> ${formatDate(date, 'full')}
+      </div>
+      
+      <div class="warning-box">
+        Si ce n'est pas vous, changez votre mot de passe immediatement et deconnectez les autres sessions depuis votre profil.
+      </div>
+      
+      <a href="${process.env.FRONTEND_URL}/profile/sessions" class="button">Voir mes sessions</a>
+    `;
+
+    await sendEmail(
+      user.email,
+      'Nouvelle connexion a votre compte - DigiTontine',
+      getEmailTemplate('Nouvelle connexion', content)
+    );
+
+    logger.info(`Alerte nouvelle connexion envoyee a ${user.email}`);
+    return true;
+  } catch (error) {
+    logger.error('Erreur alerte nouvelle connexion:', error);
+    throw error;
+  }
+};
+
 module.exports = {
   sendEmail,
   sendAccountCredentials,
@@ -1116,11 +1370,13 @@ module.exports = {
   sendTestEmail,
   sendTontineInvitation,
   sendTontineRemovalNotification,
+  sendMemberExitNotification,
   sendTontineActivationNotification,
   sendTontineBlockedNotification,
   sendTontineUnblockedNotification,
   sendTontineClosedNotification,
   sendPaymentRejectedNotification,
+  sendRefundNotification,
   sendTirageNotification,
   sendTirageResultNotification,
   sendLoginOTP,
@@ -1130,4 +1386,8 @@ module.exports = {
   sendValidationRequestEmail,   //  AJOUTER
   sendValidationAcceptedEmail,  //  AJOUTER
   sendValidationRejectedEmail,
+  sendRegistrationOTP,
+  sendKycDecision,
+  sendAccountLockedAlert,
+  sendNewDeviceLoginAlert,
 };
\ No newline at end of file
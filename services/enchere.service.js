@@ -0,0 +1,209 @@
+// services/enchere.service.js
+const Tontine = require('../models/Tontine');
+const Tirage = require('../models/Tirage');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errors');
+const { TONTINE_STATUS } = require('../config/constants');
+
+/**
+ * Tontine à enchères
+ *
+ * 1. L'annonce du tirage ouvre une enchère jusqu'à la date du tirage.
+ * 2. Les membres qui n'ont pas encore gagné proposent une remise sous pli scellé
+ *    (seule sa propre offre est visible, elle peut être remplacée jusqu'à la clôture).
+ * 3. Au tirage, la plus forte remise l'emporte (à égalité, la première offre reçue) :
+ *    le gagnant reçoit la cagnotte moins sa remise, répartie entre les autres membres
+ *    en crédit sur leur prochaine cotisation.
+ */
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+/**
+ * Cagnotte revenant à chaque gagnant d'une échéance complète (avant remise)
+ */
+const montantPartCagnotte = (tontine) =>
+  Math.floor(tontine.getMontantCagnotte() / (tontine.gagnantsParCycle || 1));
+
+/**
+ * Ouvrir l'enchère du prochain tirage (ou en repousser la clôture si elle est déjà ouverte)
+ * @param {Object} tontine - Tontine en mode enchère (sauvegarde à la charge de l'appelant)
+ * @param {Date} dateCloture - Date prévue du tirage
+ */
+const ouvrirEnchere = (tontine, dateCloture) => {
+  if (tontine.enchereEnCours?.dateOuverture) {
+    tontine.enchereEnCours.dateCloture = dateCloture;
+    return;
+  }
+
+  tontine.enchereEnCours = {
+    dateOuverture: new Date(),
+    dateCloture,
+    offres: [],
+  };
+};
+
+/**
+ * L'enchère de la tontine accepte-t-elle encore des offres ?
+ */
+const estOuverte = (tontine, maintenant = Date.now()) => {
+  const enchere = tontine.enchereEnCours;
+  return Boolean(enchere?.dateOuverture && enchere.dateCloture && enchere.dateCloture > maintenant);
+};
+
+/**
+ * Déposer ou remplacer l'offre scellée d'un membre
+ * @param {String} tontineId - ID de la tontine
+ * @param {Object} user - Membre qui enchérit
+ * @param {Number} montantRemise - Remise proposée (FCFA)
+ * @returns {Object} - { tontine, offre, remplacee }
+ */
+const soumettreOffre = async (tontineId, user, montantRemise) => {
+  const tontine = await Tontine.findById(tontineId).select('+enchereEnCours.offres');
+
+  if (!tontine) {
+    throw new AppError('Tontine introuvable', 404);
+  }
+
+  if (tontine.modeTirage !== 'enchere') {
+    throw new AppError('Cette tontine n\'est pas en mode enchère', 400);
+  }
+
+  if (tontine.statut !== TONTINE_STATUS.ACTIVE) {
+    throw new AppError('La tontine doit etre active', 400);
+  }
+
+  if (!estOuverte(tontine)) {
+    throw new AppError('Aucune enchère ouverte pour cette tontine', 400);
+  }
+
+  const membre = tontine.getMembresPresents().find((m) => m.userId.equals(user._id));
+  if (!membre) {
+    throw new AppError('Vous n\'êtes pas membre de cette tontine', 403);
+  }
+
+  if (membre.titulaireId) {
+    throw new AppError('Votre position est partagée : seul son titulaire peut enchérir', 403);
+  }
+
+  const gains = await Tirage.getGainsParMembre(tontine._id);
+  if (tontine.aToutGagne(user._id, gains)) {
+    throw new AppError('Vous avez déjà reçu la cagnotte : vous ne pouvez plus enchérir', 400);
+  }
+
+  const montantCagnotte = montantPartCagnotte(tontine);
+  if (montantRemise >= montantCagnotte) {
+    throw new AppError(
+      `La remise doit être inférieure à la cagnotte (${montantCagnotte} FCFA)`,
+      400
+    );
+  }
+
+  const existante = tontine.enchereEnCours.offres.find((o) => o.userId.equals(user._id));
+  if (existante) {
+    existante.montantRemise = montantRemise;
+    existante.dateOffre = new Date();
+  } else {
+    tontine.enchereEnCours.offres.push({ userId: user._id, montantRemise });
+  }
+
+  // Enchérir vaut confirmation de participation au tirage
+  membre.participeTirage = true;
+  membre.optInAutomatique = false;
+  membre.dateOptIn = Date.now();
+
+  await tontine.save();
+
+  const offre = tontine.enchereEnCours.offres.find((o) => o.userId.equals(user._id));
+
+  logger.info(
+    `Offre d'enchère ${existante ? 'remplacée' : 'déposée'} - ${tontine.nom} par ${user.email}`
+  );
+
+  return { tontine, offre, remplacee: Boolean(existante) };
+};
+
+/**
+ * Désigner le gagnant de l'enchère parmi les membres éligibles au tirage
+ * @param {Array} offres - Offres scellées de l'enchère
+ * @param {Array} membresEligibles - Membres éligibles (userId peuplé)
+ * @returns {Object} - { beneficiaire, offreRetenue, offres } (beneficiaire null si aucune offre recevable)
+ */
+const designerGagnant = (offres, membresEligibles) => {
+  const estEligible = (userId) => membresEligibles.some((m) => idOf(m.userId).equals(userId));
+
+  const classees = [...offres]
+    .map((o) => ({
+      userId: o.userId,
+      montantRemise: o.montantRemise,
+      dateOffre: o.dateOffre,
+      retenue: estEligible(o.userId),
+    }))
+    .sort((a, b) => b.montantRemise - a.montantRemise || a.dateOffre - b.dateOffre);
+
+  const offreRetenue = classees.find((o) => o.retenue) || null;
+  const beneficiaire = offreRetenue
+    ? membresEligibles.find((m) => idOf(m.userId).equals(offreRetenue.userId))
+    : null;
+
+  return { beneficiaire, offreRetenue, offres: classees };
+};
+
+/**
+ * Répartir la remise entre les autres positions au prorata de leurs parts, puis entre les
+ * co-titulaires de chaque position selon leur quote-part, et l'ajouter à leur crédit de
+ * cotisation (au franc près : les premières positions, par ordre de titulaire, reçoivent
+ * le reliquat de la division)
+ * @param {Object} tontine - Tontine (sauvegarde à la charge de l'appelant)
+ * @param {ObjectId} gagnantId - Titulaire de la position gagnante
+ * @param {Number} montantRemise - Remise à redistribuer
+ * @returns {Array} - [{ userId, montant }]
+ */
+const redistribuerRemise = (tontine, gagnantId, montantRemise) => {
+  const presents = tontine.getMembresPresents();
+  const estPresent = (userId) => presents.some((m) => idOf(m.userId).equals(userId));
+
+  // La position gagnante et celles dont le titulaire est sorti ne sont pas créditées
+  const positions = tontine.getPositions()
+    .filter((p) => !p.titulaireId.equals(gagnantId) && estPresent(p.titulaireId))
+    .sort((a, b) => a.titulaireId.toString().localeCompare(b.titulaireId.toString()));
+
+  if (positions.length === 0 || montantRemise <= 0) {
+    return [];
+  }
+
+  const totalParts = positions.reduce((total, p) => total + p.nombreParts, 0);
+  const montants = positions.map((p) => Math.floor((montantRemise * p.nombreParts) / totalParts));
+  let reliquat = montantRemise - montants.reduce((total, m) => total + m, 0);
+  for (let i = 0; reliquat > 0; i++, reliquat--) {
+    montants[i] += 1;
+  }
+
+  const credits = new Map();
+  positions.forEach((position, index) => {
+    tontine.repartirMontant(position.titulaireId, montants[index]).forEach(({ userId, montant }) => {
+      // La quote-part d'un co-titulaire sorti revient au titulaire de la position
+      const beneficiaireId = estPresent(userId) ? idOf(userId) : position.titulaireId;
+      const cle = beneficiaireId.toString();
+      const credit = credits.get(cle) || { userId: beneficiaireId, montant: 0 };
+      credit.montant += montant;
+      credits.set(cle, credit);
+    });
+  });
+
+  return [...credits.values()]
+    .filter((credit) => credit.montant > 0)
+    .map((credit) => {
+      const membre = tontine.membres.find((m) => idOf(m.userId).equals(credit.userId));
+      membre.creditCotisation = (membre.creditCotisation || 0) + credit.montant;
+      return credit;
+    });
+};
+
+module.exports = {
+  montantPartCagnotte,
+  ouvrirEnchere,
+  estOuverte,
+  soumettreOffre,
+  designerGagnant,
+  redistribuerRemise,
+};
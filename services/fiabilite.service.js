@@ -0,0 +1,183 @@
+// services/fiabilite.service.js
+const Tontine = require('../models/Tontine');
+const Tirage = require('../models/Tirage');
+const Transaction = require('../models/Transaction');
+const Penalite = require('../models/Penalite');
+const User = require('../models/User');
+const contributionService = require('./contribution.service');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errors');
+const { ROLES, TONTINE_STATUS, TRANSACTION_STATUS, TRANSACTION_TYPES } = require('../config/constants');
+
+/**
+ * Score de fiabilité d'un utilisateur (0 à 100), calculé sur tout son historique
+ *
+ * - Ponctualité (40 pts) : part des cotisations validées payées sans retard
+ *   (moitié des points sans historique)
+ * - Pénalités (20 pts) : -4 par pénalité retenue, -1 par pénalité exonérée
+ * - Défauts après gain (25 pts) : -25 par tontine où le membre, après avoir gagné,
+ *   a fait mobiliser ses garants, est sorti en restant débiteur, ou est en retard
+ *   au-delà du délai de mobilisation des garants
+ * - Expérience (15 pts) : 5 par tontine terminée
+ *
+ * Un nouvel utilisateur part donc de 65.
+ */
+
+const BAREME = {
+  PONCTUALITE: 40,
+  PENALITES: 20,
+  PAR_PENALITE: 4,
+  PAR_PENALITE_EXONEREE: 1,
+  DEFAUTS: 25,
+  PAR_DEFAUT: 25,
+  EXPERIENCE: 15,
+  PAR_TONTINE_TERMINEE: 5,
+};
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+/**
+ * Le membre a-t-il fait défaut après avoir gagné dans cette tontine ?
+ */
+const estEnDefautApresGain = async (tontine, userId) => {
+  const sortie = tontine.sortiesMembres.find(
+    (s) => s.userId.toString() === userId && s.statut === 'a_recouvrer'
+  );
+  if (sortie) {
+    return sortie.nombreGains > 0;
+  }
+
+  const membre = tontine.membres.find((m) => idOf(m.userId).toString() === userId);
+  if (!membre) return false;
+
+  const garantsMobilises = (membre.garants || []).some((g) =>
+    (g.transferts || []).some((t) => t.type === 'transfert')
+  );
+  if (garantsMobilises) return true;
+
+  if (tontine.statut !== TONTINE_STATUS.ACTIVE) return false;
+
+  const gains = await Tirage.getGainsParMembre(tontine._id);
+  if (!gains.get(userId)) return false;
+
+  const ledger = await contributionService.getMemberLedger(tontine, userId);
+  const joursRetard = Math.max(0, ...ledger.echeances.map((e) => e.joursRetard || 0));
+  return joursRetard > tontine.delaiMobilisationGarant;
+};
+
+/**
+ * Calculer (et enregistrer) le score de fiabilité d'un utilisateur
+ * @param {String} userId - ID de l'utilisateur
+ * @returns {Object} - { score, details, dateCalcul }
+ */
+const calculerScore = async (userId) => {
+  const id = userId.toString();
+
+  const [cotisations, penalites, tontines] = await Promise.all([
+    Transaction.find({
+      userId,
+      type: TRANSACTION_TYPES.COTISATION,
+      statut: TRANSACTION_STATUS.VALIDEE,
+    }).select('joursRetard'),
+    Penalite.find({ userId, statut: { $ne: 'annulee' } }).select('statut'),
+    Tontine.find({
+      $or: [{ 'membres.userId': userId }, { 'sortiesMembres.userId': userId }],
+    }),
+  ]);
+
+  const details = {
+    cotisations: cotisations.length,
+    cotisationsAHeure: cotisations.filter((t) => !(t.joursRetard > 0)).length,
+    penalites: penalites.filter((p) => p.statut !== 'exoneree').length,
+    penalitesExonerees: penalites.filter((p) => p.statut === 'exoneree').length,
+    defautsApresGain: 0,
+    tontinesTerminees: 0,
+  };
+
+  for (const tontine of tontines) {
+    if (await estEnDefautApresGain(tontine, id)) {
+      details.defautsApresGain++;
+    }
+
+    const estMembre = tontine.membres.some((m) => idOf(m.userId).toString() === id);
+    if (estMembre && tontine.statut === TONTINE_STATUS.TERMINEE) {
+      details.tontinesTerminees++;
+    }
+  }
+
+  const tauxPonctualite = details.cotisations > 0
+    ? details.cotisationsAHeure / details.cotisations
+    : 0.5;
+
+  const points = {
+    ponctualite: BAREME.PONCTUALITE * tauxPonctualite,
+    penalites: Math.max(
+      0,
+      BAREME.PENALITES -
+        details.penalites * BAREME.PAR_PENALITE -
+        details.penalitesExonerees * BAREME.PAR_PENALITE_EXONEREE
+    ),
+    defauts: Math.max(0, BAREME.DEFAUTS - details.defautsApresGain * BAREME.PAR_DEFAUT),
+    experience: Math.min(BAREME.EXPERIENCE, details.tontinesTerminees * BAREME.PAR_TONTINE_TERMINEE),
+  };
+
+  const fiabilite = {
+    score: Math.round(points.ponctualite + points.penalites + points.defauts + points.experience),
+    details,
+    dateCalcul: new Date(),
+  };
+
+  await User.updateOne({ _id: userId }, { $set: { fiabilite } });
+
+  return fiabilite;
+};
+
+/**
+ * Recalculer le score de tous les membres actifs
+ * @returns {Object} - { utilisateursTraites, erreurs }
+ */
+const recalculerScores = async () => {
+  const users = await User.find({ role: ROLES.MEMBRE, isActive: true }).select('_id email');
+  const results = { utilisateursTraites: 0, erreurs: 0 };
+
+  for (const user of users) {
+    try {
+      await calculerScore(user._id);
+      results.utilisateursTraites++;
+    } catch (error) {
+      results.erreurs++;
+      logger.error(`Erreur calcul fiabilite ${user.email}:`, error);
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Vérifier qu'un utilisateur atteint le score minimum exigé par la tontine
+ * (score calculé à la volée s'il ne l'a jamais été)
+ * @param {Object} tontine - Document Tontine
+ * @param {Object} user - Document User
+ */
+const verifierScoreMinimum = async (tontine, user) => {
+  if (tontine.scoreMinimum === null || tontine.scoreMinimum === undefined) return;
+
+  let score = user.fiabilite?.score;
+  if (score === undefined || score === null) {
+    ({ score } = await calculerScore(user._id));
+  }
+
+  if (score < tontine.scoreMinimum) {
+    throw new AppError(
+      `Score de fiabilité insuffisant (${score}/100, minimum ${tontine.scoreMinimum} requis)`,
+      403
+    );
+  }
+};
+
+module.exports = {
+  BAREME,
+  calculerScore,
+  recalculerScores,
+  verifierScoreMinimum,
+};
@@ -0,0 +1,503 @@
+// services/garantie.service.js
+const Tontine = require('../models/Tontine');
+const Tirage = require('../models/Tirage');
+const Transaction = require('../models/Transaction');
+const Penalite = require('../models/Penalite');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const Notification = require('../models/Notification');
+const contributionService = require('./contribution.service');
+const notificationService = require('./notification.service');
+const ledgerService = require('./ledger.service');
+const emailService = require('./email.service');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errors');
+const { ROLES, TONTINE_STATUS, TRANSACTION_STATUS, TRANSACTION_TYPES } = require('../config/constants');
+
+/**
+ * Cautions des membres
+ *
+ * 1. Un membre (ou l'Admin) désigne un ou plusieurs garants parmi les utilisateurs ;
+ *    chacun accepte ou refuse depuis la notification reçue.
+ * 2. Quand un membre qui a déjà gagné dépasse tontine.delaiMobilisationGarant jours de
+ *    retard, ses garants sont relancés par paliers : alerte, puis mise en demeure une
+ *    semaine plus tard, puis une semaine encore après, transfert de la dette.
+ * 3. La dette (cotisations en retard et pénalités actives) passe au premier garant ayant
+ *    accepté : il la règle par des cotisations payées pour le compte du membre, et les
+ *    pénalités transférées lui sont facturées. Si le membre régularise lui-même, le garant
+ *    est libéré d'autant.
+ */
+
+const JOURS_ENTRE_PALIERS = 7;
+
+const NIVEAUX = { ALERTE: 1, MISE_EN_DEMEURE: 2, TRANSFERT: 3 };
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+const trouverMembre = (tontine, userId) =>
+  tontine.membres.find((m) => idOf(m.userId).toString() === userId.toString());
+
+/**
+ * Dette transférée au garant, nette des libérations (hors versements du garant)
+ */
+const montantTransfere = (garantie) =>
+  garantie.transferts.reduce(
+    (sum, t) => sum + (t.type === 'transfert' ? t.montant : -t.montant),
+    0
+  );
+
+/**
+ * Garant qui porte la dette du membre : le premier à avoir accepté
+ */
+const getGarantPrincipal = (membre) =>
+  membre.garants
+    .filter((g) => g.statut === 'accepte')
+    .sort((a, b) => a.dateReponse - b.dateReponse)[0] || null;
+
+/**
+ * Dette transférée que le garant n'a pas encore réglée
+ */
+const getDetteGarant = async (tontineId, membreId, garantie) => {
+  const transfere = montantTransfere(garantie);
+  if (transfere <= 0) {
+    return 0;
+  }
+
+  const versements = await Transaction.find({
+    tontineId,
+    userId: membreId,
+    payePar: idOf(garantie.userId),
+    type: TRANSACTION_TYPES.COTISATION,
+    statut: TRANSACTION_STATUS.VALIDEE,
+  }).select('montant montantCotisation montantPenalite montantRembourse');
+
+  const verse = versements.reduce((sum, t) => sum + contributionService.montantImputable(t), 0);
+  return Math.max(0, transfere - verse);
+};
+
+/**
+ * Palier de relance atteint pour un retard donné (0 tant que le délai de mobilisation court)
+ */
+const niveauCible = (tontine, joursRetard) => {
+  const depassement = joursRetard - tontine.delaiMobilisationGarant;
+  if (depassement <= 0) return 0;
+  if (depassement > 2 * JOURS_ENTRE_PALIERS) return NIVEAUX.TRANSFERT;
+  if (depassement > JOURS_ENTRE_PALIERS) return NIVEAUX.MISE_EN_DEMEURE;
+  return NIVEAUX.ALERTE;
+};
+
+/**
+ * Journaliser une opération sur une caution
+ */
+const logGarantie = async (action, tontine, user, body) => {
+  try {
+    await AuditLog.create({
+      userId: user ? user._id : null,
+      userEmail: user ? user.email : 'Système',
+      userRole: user ? user.role : 'Système',
+      action,
+      resource: 'Tontine',
+      resourceId: tontine._id,
+      details: { body },
+      statusCode: 200,
+      success: true,
+      severity: action === 'TRANSFER_DEBT_GARANT' ? 'warning' : 'info',
+    });
+  } catch (error) {
+    logger.error('Erreur audit garantie:', error);
+  }
+};
+
+/**
+ * Demander à un utilisateur de se porter garant d'un membre
+ * @param {String} tontineId - ID de la tontine
+ * @param {String} membreId - Membre cautionné
+ * @param {String} garantId - Garant pressenti
+ * @param {Object} user - Le membre lui-même ou un Admin
+ * @returns {Object} - { tontine, garantie }
+ */
+const demanderGarantie = async (tontineId, membreId, garantId, user) => {
+  const tontine = await Tontine.findById(tontineId);
+  if (!tontine) {
+    throw new AppError('Tontine introuvable', 404);
+  }
+
+  if (![TONTINE_STATUS.EN_ATTENTE, TONTINE_STATUS.ACTIVE].includes(tontine.statut)) {
+    throw new AppError('Les cautions ne peuvent plus être modifiées pour cette tontine', 400);
+  }
+
+  const membre = trouverMembre(tontine, membreId);
+  if (!membre) {
+    throw new AppError('Ce membre ne fait pas partie de la tontine', 404);
+  }
+
+  if (user.role !== ROLES.ADMIN && !user._id.equals(membre.userId)) {
+    throw new AppError('Seul le membre ou un Admin peut désigner ses garants', 403);
+  }
+
+  if (garantId.toString() === membreId.toString()) {
+    throw new AppError('Un membre ne peut pas être son propre garant', 400);
+  }
+
+  const titulaireGarant = tontine.getTitulaire(garantId);
+  if (titulaireGarant && titulaireGarant.equals(tontine.getTitulaire(membreId))) {
+    throw new AppError('Un co-titulaire de la même position ne peut pas être garant', 400);
+  }
+
+  if (
+    membre.garants.some(
+      (g) => g.userId.equals(garantId) && ['en_attente', 'accepte'].includes(g.statut)
+    )
+  ) {
+    throw new AppError('Cet utilisateur est déjà garant (ou sollicité) pour ce membre', 409);
+  }
+
+  const [garant, membreUser] = await Promise.all([
+    User.findOne({ _id: garantId, isActive: true }),
+    User.findById(membreId),
+  ]);
+  if (!garant) {
+    throw new AppError('Garant introuvable ou inactif', 404);
+  }
+
+  membre.garants.push({ userId: garant._id });
+  const garantie = membre.garants[membre.garants.length - 1];
+
+  const result = await notificationService.sendGarantieRequest(garant._id, membreUser, tontine, garantie);
+  if (!result.success) {
+    throw new AppError('Impossible de notifier le garant', 500);
+  }
+
+  garantie.notificationId = result.notification._id;
+  await tontine.save();
+
+  logger.info(`Caution demandée - ${tontine.nom} : ${garant.email} pour ${membreUser.email} par ${user.email}`);
+
+  return { tontine, garantie };
+};
+
+/**
+ * Réponse du garant à une demande de caution (notification GARANTIE_DEMANDE)
+ * @param {String} action - 'accepted' ou 'refused'
+ * @returns {Object} - { tontine, garantie, membreId, notification }
+ */
+const repondreGarantie = async (notificationId, user, action) => {
+  const result = await notificationService.respondGarantie(notificationId, user._id, action);
+  if (!result.success) {
+    throw new AppError(result.error, 400);
+  }
+
+  const notification = result.notification;
+  const tontine = await Tontine.findById(notification.data?.tontineId);
+  if (!tontine) {
+    throw new AppError('Tontine introuvable', 404);
+  }
+
+  const membre = tontine.membres.find((m) => m.garants.id(notification.data.garantieId));
+  const garantie = membre?.garants.id(notification.data.garantieId);
+  if (!garantie) {
+    throw new AppError('Demande de caution introuvable', 404);
+  }
+
+  if (garantie.statut !== 'en_attente') {
+    throw new AppError('Cette demande de caution a été retirée', 400);
+  }
+
+  garantie.statut = action === 'accepted' ? 'accepte' : 'refuse';
+  garantie.dateReponse = Date.now();
+  await tontine.save();
+
+  await Notification.create({
+    userId: membre.userId,
+    type: 'SYSTEM',
+    titre: action === 'accepted'
+      ? ` ${user.nomComplet} se porte garant - "${tontine.nom}"`
+      : ` ${user.nomComplet} a refusé d'être garant - "${tontine.nom}"`,
+    message: action === 'accepted'
+      ? `${user.nomComplet} a accepté de se porter garant de votre participation.`
+      : `${user.nomComplet} a décliné votre demande de caution.`,
+    data: { tontineId: tontine._id, garantieId: garantie._id },
+    requiresAction: false,
+  });
+
+  if (action === 'accepted') {
+    await logGarantie('ADD_GARANT', tontine, user, {
+      membre: membre.userId,
+      garant: user._id,
+      garantieId: garantie._id,
+    });
+  }
+
+  logger.info(
+    `Caution ${action === 'accepted' ? 'acceptée' : 'refusée'} - ${tontine.nom} : ${user.email} pour ${membre.userId}`
+  );
+
+  return { tontine, garantie, membreId: membre.userId, notification };
+};
+
+/**
+ * Retirer un garant (impossible une fois la caution mobilisée)
+ * @param {Object} user - Le membre lui-même ou un Admin
+ */
+const retirerGarant = async (tontineId, membreId, garantieId, user) => {
+  const tontine = await Tontine.findById(tontineId);
+  if (!tontine) {
+    throw new AppError('Tontine introuvable', 404);
+  }
+
+  const membre = trouverMembre(tontine, membreId);
+  const garantie = membre?.garants.id(garantieId);
+  if (!garantie) {
+    throw new AppError('Caution introuvable', 404);
+  }
+
+  if (user.role !== ROLES.ADMIN && !user._id.equals(membre.userId)) {
+    throw new AppError('Seul le membre ou un Admin peut retirer un garant', 403);
+  }
+
+  if (!['en_attente', 'accepte'].includes(garantie.statut)) {
+    throw new AppError('Cette caution n\'est plus active', 400);
+  }
+
+  if (garantie.niveauRelance > 0 || (await getDetteGarant(tontine._id, membre.userId, garantie)) > 0) {
+    throw new AppError('Cette caution est mobilisée : le garant ne peut plus être retiré', 400);
+  }
+
+  garantie.statut = 'retire';
+  garantie.dateReponse = Date.now();
+  await tontine.save();
+
+  await logGarantie('REMOVE_GARANT', tontine, user, {
+    membre: membre.userId,
+    garant: garantie.userId,
+    garantieId: garantie._id,
+  });
+
+  logger.info(`Garant ${garantie.userId} retiré pour ${membre.userId} - ${tontine.nom} par ${user.email}`);
+
+  return { tontine, garantie };
+};
+
+/**
+ * Cautions d'un membre avec la dette restant due par chaque garant
+ */
+const listerGaranties = async (tontine, membreId) => {
+  const membre = trouverMembre(tontine, membreId);
+  if (!membre) {
+    throw new AppError('Ce membre ne fait pas partie de la tontine', 404);
+  }
+
+  return Promise.all(
+    membre.garants.map(async (g) => ({
+      id: g._id,
+      garant: g.userId,
+      statut: g.statut,
+      dateDemande: g.dateDemande,
+      dateReponse: g.dateReponse,
+      niveauRelance: g.niveauRelance,
+      dateDerniereRelance: g.dateDerniereRelance,
+      montantTransfere: montantTransfere(g),
+      detteRestante: await getDetteGarant(tontine._id, membre.userId, g),
+    }))
+  );
+};
+
+/**
+ * Vérifier qu'un garant peut régler pour le compte d'un membre le montant demandé
+ * @returns {Object} - Caution concernée
+ */
+const verifierPaiementGarant = async (tontine, membreId, garantId, montant) => {
+  const membre = trouverMembre(tontine, membreId);
+  if (!membre) {
+    throw new AppError('Ce membre ne fait pas partie de la tontine', 400);
+  }
+
+  const garantie = membre.garants.find((g) => g.statut === 'accepte' && g.userId.equals(garantId));
+  if (!garantie) {
+    throw new AppError('Vous n\'êtes pas garant de ce membre', 403);
+  }
+
+  const dette = await getDetteGarant(tontine._id, membre.userId, garantie);
+  if (dette <= 0) {
+    throw new AppError('Aucune dette de ce membre ne vous a été transférée', 400);
+  }
+
+  if (montant > dette) {
+    throw new AppError(`Montant supérieur à la dette transférée (${dette} FCFA)`, 400);
+  }
+
+  return garantie;
+};
+
+/**
+ * Ajouter un mouvement de dette à une caution
+ */
+const ajouterMouvement = (garantie, type, montant) => {
+  garantie.transferts.push({ type, montant });
+  return garantie.transferts[garantie.transferts.length - 1];
+};
+
+/**
+ * Relancer les garants des membres en retard après avoir gagné et leur transférer la dette
+ * @param {Object} tontine - Tontine active (membres.userId peuplé ; sauvegardée ici)
+ * @returns {Object} - { relances, transferts, liberations }
+ */
+const mobiliserGaranties = async (tontine) => {
+  const resultats = { relances: 0, transferts: 0, liberations: 0 };
+
+  // La dette d'un membre sorti relève de sa sortie (sortiesMembres), pas de ses garants
+  const cautionnes = tontine.getMembresPresents().filter((m) => getGarantPrincipal(m));
+  if (cautionnes.length === 0) {
+    return resultats;
+  }
+
+  const [gains, ledgers] = await Promise.all([
+    Tirage.getGainsParMembre(tontine._id),
+    contributionService.getTontineLedgers(tontine),
+  ]);
+
+  const mouvements = [];
+  const relances = [];
+
+  for (const membre of cautionnes) {
+    const membreId = idOf(membre.userId);
+    if (!gains.get(tontine.getTitulaire(membreId).toString())) continue;
+
+    const ledger = ledgers.get(membreId.toString());
+    const joursRetard = Math.max(0, ...ledger.echeances.map((e) => e.joursRetard));
+    const garants = membre.garants.filter((g) => g.statut === 'accepte');
+    const principal = getGarantPrincipal(membre);
+    let dette = await getDetteGarant(tontine._id, membreId, principal);
+
+    // Ce que le membre a régularisé lui-même n'est plus dû par le garant
+    if (dette > ledger.soldeRetard) {
+      const mouvement = ajouterMouvement(principal, 'liberation', dette - ledger.soldeRetard);
+      mouvements.push({ membre, garantie: principal, mouvement });
+      dette = ledger.soldeRetard;
+      resultats.liberations++;
+    }
+
+    const niveau = niveauCible(tontine, joursRetard);
+    if (niveau === 0) {
+      if (dette === 0) {
+        garants.forEach((g) => {
+          g.niveauRelance = 0;
+        });
+      }
+      continue;
+    }
+
+    let nouvelleDette = 0;
+    if (niveau === NIVEAUX.TRANSFERT) {
+      const complement = ledger.soldeRetard - dette;
+      if (complement > 0) {
+        const mouvement = ajouterMouvement(principal, 'transfert', complement);
+        mouvements.push({ membre, garantie: principal, mouvement });
+        nouvelleDette += complement;
+      }
+
+      const penalites = await Penalite.find({
+        userId: membreId,
+        tontineId: tontine._id,
+        statut: 'active',
+        garantId: null,
+      });
+      for (const penalite of penalites) {
+        penalite.garantId = principal.userId;
+        penalite.dateTransfertGarant = new Date();
+        await penalite.save();
+        await ledgerService.safePost(ledgerService.recordPenaltyTransfer, penalite);
+        nouvelleDette += penalite.montantPenalite;
+      }
+
+      if (nouvelleDette > 0) {
+        resultats.transferts++;
+      }
+    }
+
+    // Seul le garant principal reçoit la dette, les autres s'arrêtent à la mise en demeure
+    garants.forEach((g) => {
+      const cible = g === principal ? niveau : Math.min(niveau, NIVEAUX.MISE_EN_DEMEURE);
+      const nouveauTransfert = g === principal && nouvelleDette > 0;
+      if (g.niveauRelance >= cible && !nouveauTransfert) return;
+
+      g.niveauRelance = cible;
+      g.dateDerniereRelance = new Date();
+      relances.push({
+        membre,
+        garantie: g,
+        relance: {
+          niveau: cible,
+          joursRetard,
+          soldeRetard: ledger.soldeRetard,
+          montantTransfere: nouvelleDette,
+        },
+      });
+    });
+  }
+
+  await tontine.save();
+
+  for (const { membre, garantie, mouvement } of mouvements) {
+    await ledgerService.safePost(
+      ledgerService.recordGuaranteeTransfer,
+      tontine,
+      idOf(membre.userId),
+      garantie,
+      mouvement
+    );
+  }
+
+  for (const { membre, garantie, relance } of relances) {
+    await notificationService.sendGarantieAppel(garantie.userId, membre.userId, tontine, garantie, relance);
+    resultats.relances++;
+
+    if (relance.niveau === NIVEAUX.TRANSFERT) {
+      await logGarantie('TRANSFER_DEBT_GARANT', tontine, null, {
+        membre: idOf(membre.userId),
+        garant: garantie.userId,
+        montant: relance.montantTransfere,
+        joursRetard: relance.joursRetard,
+      });
+    }
+
+    if (relance.niveau >= NIVEAUX.MISE_EN_DEMEURE) {
+      try {
+        const garant = await User.findById(garantie.userId);
+        await emailService.sendEmail(
+          garant.email,
+          relance.niveau === NIVEAUX.TRANSFERT
+            ? `Dette transferee - ${tontine.nom}`
+            : `Mise en demeure - ${tontine.nom}`,
+          relance.niveau === NIVEAUX.TRANSFERT
+            ? `Bonjour ${garant.prenom},\n\n${membre.userId.prenom} ${membre.userId.nom}, que vous cautionnez, a ${relance.joursRetard} jours de retard apres avoir recu la cagnotte.\n\nSa dette vous est transferee : ${relance.montantTransfere} FCFA, penalites comprises le cas echeant.\nVous pouvez la regler en cotisant pour son compte.`
+            : `Bonjour ${garant.prenom},\n\n${membre.userId.prenom} ${membre.userId.nom}, que vous cautionnez, n'a toujours pas regle ses ${relance.soldeRetard} FCFA de retard (${relance.joursRetard} jours).\n\nSans regularisation sous ${JOURS_ENTRE_PALIERS} jours, sa dette vous sera transferee.`
+        );
+      } catch (emailError) {
+        logger.error('Erreur envoi email garant:', emailError);
+      }
+    }
+  }
+
+  if (resultats.relances > 0 || resultats.liberations > 0) {
+    logger.info(
+      `Garanties ${tontine.nom}: ${resultats.relances} relance(s), ${resultats.transferts} transfert(s), ${resultats.liberations} liberation(s)`
+    );
+  }
+
+  return resultats;
+};
+
+module.exports = {
+  NIVEAUX,
+  montantTransfere,
+  getGarantPrincipal,
+  getDetteGarant,
+  niveauCible,
+  demanderGarantie,
+  repondreGarantie,
+  retirerGarant,
+  listerGaranties,
+  verifierPaiementGarant,
+  mobiliserGaranties,
+};
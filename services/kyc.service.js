@@ -0,0 +1,278 @@
+// services/kyc.service.js
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const emailService = require('./email.service');
+const whatsappService = require('./whatsapp.service');
+const { deleteImage } = require('./cloudinary.service');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errors');
+const { ROLES, KYC_STATUS } = require('../config/constants');
+
+/**
+ * Inscription en libre-service et vérification d'identité (KYC)
+ *
+ * 1. L'utilisateur s'inscrit avec sa photo d'identité : le compte est créé en
+ *    'verification_contact' et un code est envoyé par email, un autre par WhatsApp.
+ * 2. Les deux codes confirmés, le dossier passe 'en_attente' et les Admins sont prévenus.
+ * 3. Un Admin approuve, refuse, ou demande un complément ; dans ce dernier cas l'utilisateur
+ *    (qui peut se connecter) renvoie une photo d'identité et le dossier repasse 'en_attente'.
+ *
+ * Tant que le dossier n'est pas approuvé, le compte ne peut rejoindre aucune tontine.
+ */
+
+const CANAUX = ['email', 'telephone'];
+
+// Décisions de l'Admin → statut du dossier et action d'historique
+const DECISIONS = {
+  approuver: { statut: KYC_STATUS.APPROUVE, action: 'approbation' },
+  rejeter: { statut: KYC_STATUS.REJETE, action: 'rejet' },
+  demander_complement: { statut: KYC_STATUS.COMPLEMENT_DEMANDE, action: 'complement_demande' },
+};
+
+/**
+ * Prévenir les Admins actifs qu'un dossier attend leur revue
+ */
+const notifierAdmins = async (user, titre, message) => {
+  try {
+    const admins = await User.find({ role: ROLES.ADMIN, isActive: true }).select('_id');
+    await Notification.insertMany(
+      admins.map((admin) => ({
+        userId: admin._id,
+        type: 'KYC_REVUE',
+        titre,
+        message,
+        data: { membreId: user._id },
+        requiresAction: false,
+      }))
+    );
+  } catch (error) {
+    logger.error('Erreur notification revue KYC:', error);
+  }
+};
+
+/**
+ * Envoyer les codes de vérification des contacts non encore confirmés
+ * @param {Array} canaux - Canaux à (re)vérifier : 'email', 'telephone'
+ * @returns {Object} - { email, telephone } : true si le code a été envoyé
+ */
+const envoyerCodesVerification = async (user, canaux = CANAUX) => {
+  const aEnvoyer = canaux.filter((canal) =>
+    canal === 'email' ? !user.kyc.emailVerifie : !user.kyc.telephoneVerifie
+  );
+  const codes = Object.fromEntries(aEnvoyer.map((canal) => [canal, user.generateKycOTP(canal)]));
+  await user.save();
+
+  const envois = { email: false, telephone: false };
+
+  if (codes.email) {
+    try {
+      envois.email = await emailService.sendRegistrationOTP(user, codes.email);
+    } catch (error) {
+      logger.error(`Erreur envoi code inscription a ${user.email}:`, error);
+    }
+  }
+
+  if (codes.telephone) {
+    const result = await whatsappService.sendRegistrationCodeWhatsApp(user, codes.telephone);
+    envois.telephone = result.success;
+  }
+
+  return envois;
+};
+
+/**
+ * Retrouver une inscription dont les contacts restent à confirmer
+ */
+const trouverInscription = async (email) => {
+  const user = await User.findOne({
+    email: email.toLowerCase(),
+    'kyc.statut': KYC_STATUS.VERIFICATION_CONTACT,
+  });
+  if (!user) {
+    throw new AppError('Aucune inscription en attente de vérification pour cet email', 404);
+  }
+  return user;
+};
+
+/**
+ * Confirmer l'email et/ou le téléphone d'une inscription ; une fois les deux
+ * confirmés, le dossier est soumis à la revue des Admins
+ * @param {Object} codes - { codeEmail, codeTelephone }
+ * @returns {Object} - { user, soumis }
+ */
+const verifierContacts = async (email, { codeEmail, codeTelephone }) => {
+  const user = await trouverInscription(email);
+
+  const erreurs = [];
+  if (codeEmail && !user.kyc.emailVerifie) {
+    const verification = user.verifyKycOTP('email', codeEmail);
+    if (!verification.success) erreurs.push(`Email : ${verification.message}`);
+  }
+  if (codeTelephone && !user.kyc.telephoneVerifie) {
+    const verification = user.verifyKycOTP('telephone', codeTelephone);
+    if (!verification.success) erreurs.push(`Téléphone : ${verification.message}`);
+  }
+
+  const soumis = user.kyc.emailVerifie && user.kyc.telephoneVerifie;
+  if (soumis) {
+    user.kyc.statut = KYC_STATUS.EN_ATTENTE;
+    user.kyc.dateSoumission = new Date();
+    user.kyc.historique.push({ action: 'soumission' });
+  }
+  await user.save();
+
+  if (erreurs.length > 0) {
+    throw new AppError(erreurs.join(' ; '), 400);
+  }
+
+  if (soumis) {
+    await notifierAdmins(
+      user,
+      ` Nouvelle inscription à vérifier`,
+      `${user.nomComplet} (${user.email}) a confirmé ses contacts. Son identité est à vérifier.`
+    );
+    logger.info(`Inscription soumise a la revue KYC - ${user.email}`);
+  }
+
+  return { user, soumis };
+};
+
+/**
+ * Renvoyer les codes de vérification d'une inscription
+ * @param {String} canal - 'email', 'telephone', ou absent pour les deux
+ */
+const renvoyerCodes = async (email, canal) => {
+  const user = await trouverInscription(email);
+  const envois = await envoyerCodesVerification(user, canal ? [canal] : CANAUX);
+  return { user, envois };
+};
+
+/**
+ * File de revue des dossiers
+ * @param {Object} options - { statut, limit, skip }
+ * @returns {Object} - { dossiers, total }
+ */
+const listerDossiers = async ({ statut, limit, skip }) => {
+  const query = {
+    'kyc.statut': statut || { $in: [KYC_STATUS.EN_ATTENTE, KYC_STATUS.COMPLEMENT_DEMANDE] },
+  };
+
+  const [dossiers, total] = await Promise.all([
+    User.find(query)
+      .select('prenom nom email numeroTelephone adresse carteIdentite dateNaissance photoIdentite kyc.statut kyc.source kyc.emailVerifie kyc.telephoneVerifie kyc.dateSoumission kyc.motif kyc.historique createdAt')
+      .sort({ 'kyc.dateSoumission': 1 })
+      .skip(skip)
+      .limit(limit),
+    User.countDocuments(query),
+  ]);
+
+  return { dossiers, total };
+};
+
+/**
+ * Décision d'un Admin sur un dossier
+ * @param {String} decision - 'approuver', 'rejeter' ou 'demander_complement'
+ * @param {String} motif - Obligatoire pour un refus ou une demande de complément
+ * @returns {Object} - User
+ */
+const deciderDossier = async (userId, decision, motif, admin) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new AppError('Utilisateur introuvable', 404);
+  }
+
+  if (![KYC_STATUS.EN_ATTENTE, KYC_STATUS.COMPLEMENT_DEMANDE].includes(user.kyc.statut)) {
+    throw new AppError('Ce dossier n\'est pas en attente de revue', 400);
+  }
+
+  if (decision === 'approuver' && user.kyc.statut !== KYC_STATUS.EN_ATTENTE) {
+    throw new AppError('Le complément demandé n\'a pas encore été fourni', 400);
+  }
+
+  if (decision !== 'approuver' && !motif) {
+    throw new AppError('Le motif est requis', 400);
+  }
+
+  const { statut, action } = DECISIONS[decision];
+  user.kyc.statut = statut;
+  user.kyc.dateDecision = new Date();
+  user.kyc.decidePar = admin._id;
+  user.kyc.motif = motif;
+  user.kyc.historique.push({ action, motif, par: admin._id });
+  user._updateUserId = admin._id;
+  await user.save();
+
+  try {
+    await emailService.sendKycDecision(user, statut, motif);
+  } catch (error) {
+    logger.error(`Erreur envoi decision KYC a ${user.email}:`, error);
+  }
+
+  logger.info(`Dossier KYC ${user.email} : ${action} par ${admin.email}`);
+
+  return user;
+};
+
+/**
+ * Fournir le complément demandé (nouvelle photo d'identité, adresse)
+ * @param {Object} file - Photo d'identité téléversée (multer)
+ * @returns {Object} - User
+ */
+const completerDossier = async (user, file, { adresse }) => {
+  if (user.kyc.statut !== KYC_STATUS.COMPLEMENT_DEMANDE) {
+    throw new AppError('Aucun complément n\'est demandé sur votre dossier', 400);
+  }
+
+  const anciennePhoto = file ? user.photoIdentite?.publicId : null;
+  if (file) {
+    user.photoIdentite = {
+      url: file.path,
+      publicId: file.filename,
+      uploadedAt: Date.now(),
+      isLocked: true,
+    };
+  }
+  if (adresse !== undefined) {
+    user.adresse = adresse;
+  }
+
+  user.kyc.statut = KYC_STATUS.EN_ATTENTE;
+  user.kyc.dateSoumission = new Date();
+  user.kyc.historique.push({ action: 'complement_fourni' });
+  await user.save();
+
+  if (anciennePhoto) {
+    await deleteImage(anciennePhoto);
+  }
+
+  await notifierAdmins(
+    user,
+    ` Complément d'inscription reçu`,
+    `${user.nomComplet} (${user.email}) a fourni le complément demandé. Son identité est à vérifier.`
+  );
+
+  logger.info(`Complement KYC fourni - ${user.email}`);
+
+  return user;
+};
+
+/**
+ * Vérifier que l'identité d'un utilisateur a été approuvée avant qu'il rejoigne une tontine
+ * @param {Object} user - Document User
+ */
+const verifierKycApprouve = (user) => {
+  if (!user.kycApprouve) {
+    throw new AppError(`Identité non vérifiée : ${user.nomComplet} ne peut pas encore rejoindre une tontine`, 403);
+  }
+};
+
+module.exports = {
+  CANAUX,
+  envoyerCodesVerification,
+  verifierContacts,
+  renvoyerCodes,
+  listerDossiers,
+  deciderDossier,
+  completerDossier,
+  verifierKycApprouve,
+};
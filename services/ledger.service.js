@@ -0,0 +1,742 @@
+// services/ledger.service.js
+const mongoose = require('mongoose');
+const EcritureComptable = require('../models/EcritureComptable');
+const Transaction = require('../models/Transaction');
+const Tirage = require('../models/Tirage');
+const logger = require('../utils/logger');
+const { LEDGER_ACCOUNTS, TRANSACTION_STATUS } = require('../config/constants');
+
+/**
+ * Grand livre des tontines (partie double)
+ *
+ * Schéma des écritures :
+ * - appel d'une échéance        : D creance_membre      / C cotisations_appelees
+ * - déclaration d'un paiement   : D paiements_a_valider / C creance_membre
+ * - validation par le trésorier : D cagnotte            / C paiements_a_valider
+ * - rejet par le trésorier      : D creance_membre      / C paiements_a_valider
+ * - remboursement (si validé)  : D creance_membre      / C cagnotte
+ * - pénalité appliquée          : D creance_membre      / C penalites
+ * - exonération de pénalité     : D penalites           / C creance_membre
+ * - versement d'un tirage       : D versements          / C cagnotte
+ * - remise d'une enchère        : D versements          / C creance_membre (autres membres)
+ * - récupération d'un versement : D cagnotte            / C versements
+ * - annulation d'une remise     : D creance_membre      / C versements (autres membres)
+ * - reprise d'une position      : D creance_membre (sortant) / C creance_membre (remplaçant)
+ *   et, pour les cotisations appelées : D creance_membre (remplaçant) / C creance_membre (sortant)
+ * - sortie remboursée           : D cotisations_appelees / C creance_membre (sortant)
+ * - transfert à un garant       : D creance_membre (garant)  / C creance_membre (membre)
+ * - libération d'un garant      : D creance_membre (membre)  / C creance_membre (garant)
+ *
+ * Le sous-compte débiteur d'un paiement est celui de son payeur (le garant pour une dette
+ * transférée), celui d'une pénalité transférée est le garant qui en a hérité.
+ * Le solde d'un membre est ainsi ce qu'il doit (cotisations appelées et pénalités) moins
+ * ce qu'il a versé ou reçu en crédit.
+ */
+
+const {
+  CREANCE_MEMBRE,
+  PAIEMENTS_A_VALIDER,
+  CAGNOTTE,
+  PENALITES,
+  VERSEMENTS,
+  COTISATIONS_APPELEES,
+} = LEDGER_ACCOUNTS;
+
+const SENS_DEBITEUR = [CREANCE_MEMBRE, PAIEMENTS_A_VALIDER, CAGNOTTE, VERSEMENTS];
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+const debit = (compte, montant, userId) => ({ compte, userId, debit: montant, credit: 0 });
+const credit = (compte, montant, userId) => ({ compte, userId, debit: 0, credit: montant });
+
+const debiteurPaiement = (transaction) => idOf(transaction.payePar || transaction.userId);
+const debiteurPenalite = (penalite) => idOf(penalite.garantId || penalite.userId);
+
+/**
+ * Enregistrer une écriture (idempotent sur la clé)
+ * @returns {Object|null} - Écriture créée ou existante, null si montant nul
+ */
+const postEntry = async ({ cle, tontineId, type, libelle, lignes, source, dateOperation, user }) => {
+  const existante = await EcritureComptable.findOne({ cle });
+  if (existante) {
+    return existante;
+  }
+
+  try {
+    return await EcritureComptable.create({
+      cle,
+      tontineId: idOf(tontineId),
+      type,
+      libelle,
+      lignes,
+      source,
+      dateOperation: dateOperation || new Date(),
+      creePar: user ? user._id : undefined,
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      return EcritureComptable.findOne({ cle });
+    }
+    throw error;
+  }
+};
+
+/**
+ * Cotisations appelées à une échéance : chaque membre est débité de ce qu'il doit
+ * (une cotisation par part de sa position, à hauteur de sa quote-part)
+ * @param {Object} tontine - Tontine (membres requis)
+ * @param {Object} echeance - Entrée de tontine.calendrierCotisations
+ */
+const recordDuesCalled = async (tontine, echeance) => {
+  const appels = tontine.membres
+    .map((m) => ({
+      userId: idOf(m.userId),
+      montant: tontine.getCotisationMembre(idOf(m.userId), echeance.montant || 0),
+    }))
+    .filter((a) => a.montant > 0);
+  const total = appels.reduce((sum, a) => sum + a.montant, 0);
+
+  if (total === 0) {
+    return null;
+  }
+
+  return postEntry({
+    cle: `appel:${tontine._id}:${echeance.numeroEcheance}`,
+    tontineId: tontine._id,
+    type: 'appel_cotisations',
+    libelle: `Appel des cotisations échéance ${echeance.numeroEcheance} (${total} FCFA)`,
+    lignes: [
+      ...appels.map((a) => debit(CREANCE_MEMBRE, a.montant, a.userId)),
+      credit(COTISATIONS_APPELEES, total),
+    ],
+    source: { modele: 'Tontine', id: tontine._id },
+    dateOperation: echeance.dateEcheance,
+  });
+};
+
+/**
+ * Appeler les cotisations de toutes les échéances arrivées à terme
+ * (les échéances déjà appelées sont ignorées, clés idempotentes)
+ * @returns {Array} - Écritures d'appel
+ */
+const recordDuesCalledUntil = async (tontine, date = new Date()) => {
+  const ecritures = [];
+
+  for (const echeance of tontine.calendrierCotisations || []) {
+    if (new Date(echeance.dateEcheance) <= date) {
+      const ecriture = await recordDuesCalled(tontine, echeance);
+      if (ecriture) ecritures.push(ecriture);
+    }
+  }
+
+  return ecritures;
+};
+
+/**
+ * Paiement déclaré par un membre (transaction en attente)
+ */
+const recordPaymentDeclared = async (transaction, user = null) => {
+  const montant = transaction.montant;
+  const userId = debiteurPaiement(transaction);
+
+  return postEntry({
+    cle: `declaration:${transaction._id}`,
+    tontineId: transaction.tontineId,
+    type: 'declaration_paiement',
+    libelle: `Paiement déclaré ${transaction.referenceTransaction}`,
+    lignes: [debit(PAIEMENTS_A_VALIDER, montant), credit(CREANCE_MEMBRE, montant, userId)],
+    source: { modele: 'Transaction', id: transaction._id },
+    dateOperation: transaction.dateTransaction || transaction.createdAt,
+    user,
+  });
+};
+
+/**
+ * Paiement validé : les fonds entrent dans la cagnotte
+ */
+const recordPaymentValidated = async (transaction, user = null) => {
+  await recordPaymentDeclared(transaction, user);
+
+  return postEntry({
+    cle: `validation:${transaction._id}`,
+    tontineId: transaction.tontineId,
+    type: 'validation_paiement',
+    libelle: `Paiement validé ${transaction.referenceTransaction}`,
+    lignes: [debit(CAGNOTTE, transaction.montant), credit(PAIEMENTS_A_VALIDER, transaction.montant)],
+    source: { modele: 'Transaction', id: transaction._id },
+    dateOperation: transaction.dateValidation,
+    user,
+  });
+};
+
+/**
+ * Paiement rejeté : la dette du membre est rétablie
+ */
+const recordPaymentRejected = async (transaction, user = null) => {
+  const userId = debiteurPaiement(transaction);
+
+  await recordPaymentDeclared(transaction, user);
+
+  return postEntry({
+    cle: `rejet:${transaction._id}`,
+    tontineId: transaction.tontineId,
+    type: 'rejet_paiement',
+    libelle: `Paiement rejeté ${transaction.referenceTransaction}`,
+    lignes: [
+      debit(CREANCE_MEMBRE, transaction.montant, userId),
+      credit(PAIEMENTS_A_VALIDER, transaction.montant),
+    ],
+    source: { modele: 'Transaction', id: transaction._id },
+    dateOperation: transaction.dateRejet,
+    user,
+  });
+};
+
+/**
+ * Remboursement effectué : seul un paiement validé a alimenté la cagnotte
+ * (un paiement rejeté n'y est jamais entré, son remboursement n'y touche pas)
+ */
+const recordRefund = async (transaction, remboursement, user = null) => {
+  if (transaction.statut !== TRANSACTION_STATUS.VALIDEE) {
+    return null;
+  }
+
+  const userId = debiteurPaiement(transaction);
+
+  return postEntry({
+    cle: `remboursement:${remboursement._id}`,
+    tontineId: transaction.tontineId,
+    type: 'remboursement',
+    libelle: `Remboursement ${transaction.referenceTransaction} (${remboursement.motif})`,
+    lignes: [
+      debit(CREANCE_MEMBRE, remboursement.montant, userId),
+      credit(CAGNOTTE, remboursement.montant),
+    ],
+    source: { modele: 'Transaction', id: transaction._id },
+    dateOperation: remboursement.dateRemboursement,
+    user,
+  });
+};
+
+/**
+ * Pénalité appliquée (ou réévaluée) : seul l'écart avec ce qui est déjà comptabilisé est passé
+ */
+const recordPenalty = async (penalite) => {
+  const tontineId = idOf(penalite.tontineId);
+  const userId = debiteurPenalite(penalite);
+  const dejaComptabilise = await getPenaltyBalance(penalite._id);
+  const ecart = penalite.montantPenalite - dejaComptabilise;
+
+  if (ecart === 0) {
+    return null;
+  }
+
+  const premiere = dejaComptabilise === 0;
+  const lignes =
+    ecart > 0
+      ? [debit(CREANCE_MEMBRE, ecart, userId), credit(PENALITES, ecart)]
+      : [debit(PENALITES, -ecart), credit(CREANCE_MEMBRE, -ecart, userId)];
+
+  return postEntry({
+    cle: premiere
+      ? `penalite:${penalite._id}`
+      : `penalite:${penalite._id}:${penalite.montantPenalite}:${Date.now()}`,
+    tontineId,
+    type: premiere ? 'penalite' : 'ajustement_penalite',
+    libelle: `Pénalité échéance ${penalite.echeanceNumero || '-'} (${penalite.montantPenalite} FCFA)`,
+    lignes,
+    source: { modele: 'Penalite', id: penalite._id },
+    dateOperation: penalite.dateCalcul,
+  });
+};
+
+/**
+ * Pénalité exonérée : annule tout ce qui a été facturé pour cette pénalité
+ */
+const recordPenaltyExemption = async (penalite, user = null) => {
+  const userId = debiteurPenalite(penalite);
+  const solde = await getPenaltyBalance(penalite._id);
+
+  if (solde <= 0) {
+    return null;
+  }
+
+  return postEntry({
+    cle: `exoneration:${penalite._id}`,
+    tontineId: penalite.tontineId,
+    type: 'exoneration_penalite',
+    libelle: `Exonération pénalité échéance ${penalite.echeanceNumero || '-'}`,
+    lignes: [debit(PENALITES, solde), credit(CREANCE_MEMBRE, solde, userId)],
+    source: { modele: 'Penalite', id: penalite._id },
+    dateOperation: penalite.dateExoneration,
+    user,
+  });
+};
+
+/**
+ * Cagnotte versée au bénéficiaire d'un tirage
+ */
+const recordPayout = async (tirage, user = null) => {
+  return postEntry({
+    cle: `versement:${tirage._id}`,
+    tontineId: tirage.tontineId,
+    type: 'versement_tirage',
+    libelle: `Versement tirage #${tirage.numeroTirage}`,
+    lignes: [
+      debit(VERSEMENTS, tirage.montantDistribue),
+      credit(CAGNOTTE, tirage.montantDistribue),
+    ],
+    source: { modele: 'Tirage', id: tirage._id },
+    dateOperation: tirage.datePaiement,
+    user,
+  });
+};
+
+/**
+ * Remise d'une enchère : restée dans la cagnotte, elle est versée aux autres
+ * membres sous forme de crédit sur leurs prochaines cotisations
+ */
+const recordAuctionDiscount = async (tirage, user = null) => {
+  const redistribution = (tirage.detailsEnchere?.redistribution || []).filter((r) => r.montant > 0);
+  const total = redistribution.reduce((sum, r) => sum + r.montant, 0);
+
+  if (total === 0) {
+    return null;
+  }
+
+  return postEntry({
+    cle: `remise_enchere:${tirage._id}`,
+    tontineId: tirage.tontineId,
+    type: 'remise_enchere',
+    libelle: `Remise enchère tirage #${tirage.numeroTirage} (${total} FCFA)`,
+    lignes: [
+      debit(VERSEMENTS, total),
+      ...redistribution.map((r) => credit(CREANCE_MEMBRE, r.montant, idOf(r.userId))),
+    ],
+    source: { modele: 'Tirage', id: tirage._id },
+    dateOperation: tirage.dateTirage,
+    user,
+  });
+};
+
+/**
+ * Cagnotte d'un tirage payé récupérée auprès du bénéficiaire (préalable à l'annulation)
+ * Sans objet si le versement n'avait pas été comptabilisé (tirage non encore payé en totalité)
+ */
+const recordPayoutClawback = async (tirage, user = null) => {
+  const versement = await EcritureComptable.exists({ cle: `versement:${tirage._id}` });
+  if (!versement) {
+    return null;
+  }
+
+  return postEntry({
+    cle: `recuperation:${tirage._id}`,
+    tontineId: tirage.tontineId,
+    type: 'recuperation_tirage',
+    libelle: `Récupération versement tirage #${tirage.numeroTirage}`,
+    lignes: [
+      debit(CAGNOTTE, tirage.recuperation.montant),
+      credit(VERSEMENTS, tirage.recuperation.montant),
+    ],
+    source: { modele: 'Tirage', id: tirage._id },
+    dateOperation: tirage.recuperation.date,
+    user,
+  });
+};
+
+/**
+ * Annulation d'un tirage à enchère : les crédits de remise des autres membres sont repris
+ */
+const recordAuctionDiscountReversal = async (tirage, user = null) => {
+  const redistribution = (tirage.detailsEnchere?.redistribution || []).filter((r) => r.montant > 0);
+  const total = redistribution.reduce((sum, r) => sum + r.montant, 0);
+
+  if (total === 0) {
+    return null;
+  }
+
+  return postEntry({
+    cle: `annulation_remise_enchere:${tirage._id}`,
+    tontineId: tirage.tontineId,
+    type: 'annulation_remise_enchere',
+    libelle: `Annulation remise enchère tirage #${tirage.numeroTirage} (${total} FCFA)`,
+    lignes: [
+      ...redistribution.map((r) => debit(CREANCE_MEMBRE, r.montant, idOf(r.userId))),
+      credit(VERSEMENTS, total),
+    ],
+    source: { modele: 'Tirage', id: tirage._id },
+    dateOperation: tirage.annulation?.date,
+    user,
+  });
+};
+
+/**
+ * Cotisations d'un membre sortant transmises à son remplaçant avec sa position
+ * @param {Object} tontine - Tontine
+ * @param {Object} sortie - Entrée de tontine.sortiesMembres (remplacantId et cotisationsReprises renseignés)
+ */
+const recordPositionTransfer = async (tontine, sortie, user = null) => {
+  if (!sortie.cotisationsReprises) {
+    return null;
+  }
+
+  return postEntry({
+    cle: `transfert_position:${sortie._id}`,
+    tontineId: tontine._id,
+    type: 'transfert_position',
+    libelle: `Reprise de position (${sortie.cotisationsReprises} FCFA de cotisations)`,
+    lignes: [
+      debit(CREANCE_MEMBRE, sortie.cotisationsReprises, idOf(sortie.userId)),
+      credit(CREANCE_MEMBRE, sortie.cotisationsReprises, idOf(sortie.remplacantId)),
+    ],
+    source: { modele: 'Tontine', id: tontine._id },
+    dateOperation: sortie.date,
+    user,
+  });
+};
+
+/**
+ * Cotisations appelées d'un membre sortant transmises à son remplaçant avec sa position
+ * @param {Object} tontine - Tontine
+ * @param {Object} sortie - Entrée de tontine.sortiesMembres (remplacantId renseigné)
+ */
+const recordDuesCalledTransfer = async (tontine, sortie, user = null) => {
+  const appele = await getDuesCalledBalance(tontine._id, sortie.userId);
+
+  if (appele <= 0) {
+    return null;
+  }
+
+  return postEntry({
+    cle: `transfert_appel:${sortie._id}`,
+    tontineId: tontine._id,
+    type: 'transfert_appel_cotisations',
+    libelle: `Reprise de position (${appele} FCFA de cotisations appelées)`,
+    lignes: [
+      debit(CREANCE_MEMBRE, appele, idOf(sortie.remplacantId)),
+      credit(CREANCE_MEMBRE, appele, idOf(sortie.userId)),
+    ],
+    source: { modele: 'Tontine', id: tontine._id },
+    dateOperation: sortie.date,
+    user,
+  });
+};
+
+/**
+ * Position retirée avec remboursement du membre : ses cotisations appelées sont annulées
+ * @param {Object} tontine - Tontine
+ * @param {Object} sortie - Entrée de tontine.sortiesMembres
+ */
+const recordDuesCalledCancellation = async (tontine, sortie, user = null) => {
+  const appele = await getDuesCalledBalance(tontine._id, sortie.userId);
+
+  if (appele <= 0) {
+    return null;
+  }
+
+  return postEntry({
+    cle: `annulation_appel:${sortie._id}`,
+    tontineId: tontine._id,
+    type: 'annulation_appel_cotisations',
+    libelle: `Sortie remboursée (${appele} FCFA de cotisations appelées annulés)`,
+    lignes: [
+      debit(COTISATIONS_APPELEES, appele),
+      credit(CREANCE_MEMBRE, appele, idOf(sortie.userId)),
+    ],
+    source: { modele: 'Tontine', id: tontine._id },
+    dateOperation: sortie.date,
+    user,
+  });
+};
+
+/**
+ * Dette d'un membre transférée à son garant, ou libérée quand le membre régularise lui-même
+ * @param {Object} tontine - Tontine
+ * @param {String} membreId - Membre cautionné
+ * @param {Object} garantie - Caution (tontine.membres.garants)
+ * @param {Object} mouvement - Entrée de garantie.transferts
+ */
+const recordGuaranteeTransfer = async (tontine, membreId, garantie, mouvement, user = null) => {
+  const garantId = idOf(garantie.userId);
+  const liberation = mouvement.type === 'liberation';
+  const [debiteur, crediteur] = liberation ? [idOf(membreId), garantId] : [garantId, idOf(membreId)];
+
+  return postEntry({
+    cle: `garantie:${mouvement._id}`,
+    tontineId: tontine._id,
+    type: liberation ? 'liberation_garant' : 'transfert_garant',
+    libelle: liberation
+      ? `Libération du garant (${mouvement.montant} FCFA régularisés par le membre)`
+      : `Dette de cotisations transférée au garant (${mouvement.montant} FCFA)`,
+    lignes: [
+      debit(CREANCE_MEMBRE, mouvement.montant, debiteur),
+      credit(CREANCE_MEMBRE, mouvement.montant, crediteur),
+    ],
+    source: { modele: 'Tontine', id: tontine._id },
+    dateOperation: mouvement.date,
+    user,
+  });
+};
+
+/**
+ * Pénalité transférée au garant : ce qui en a déjà été facturé passe à sa charge
+ * (garantId renseigné, les réévaluations suivantes lui sont imputées directement)
+ */
+const recordPenaltyTransfer = async (penalite, user = null) => {
+  const solde = await getPenaltyBalance(penalite._id);
+
+  if (solde <= 0) {
+    return null;
+  }
+
+  return postEntry({
+    cle: `transfert_penalite:${penalite._id}`,
+    tontineId: penalite.tontineId,
+    type: 'transfert_garant',
+    libelle: `Pénalité échéance ${penalite.echeanceNumero || '-'} transférée au garant`,
+    lignes: [
+      debit(CREANCE_MEMBRE, solde, idOf(penalite.garantId)),
+      credit(CREANCE_MEMBRE, solde, idOf(penalite.userId)),
+    ],
+    source: { modele: 'Penalite', id: penalite._id },
+    dateOperation: penalite.dateTransfertGarant,
+    user,
+  });
+};
+
+/**
+ * Montant net comptabilisé au compte pénalités pour une pénalité donnée
+ */
+const getPenaltyBalance = async (penaliteId) => {
+  const [result] = await EcritureComptable.aggregate([
+    { $match: { 'source.id': new mongoose.Types.ObjectId(penaliteId) } },
+    { $unwind: '$lignes' },
+    { $match: { 'lignes.compte': PENALITES } },
+    {
+      $group: {
+        _id: null,
+        solde: { $sum: { $subtract: ['$lignes.credit', '$lignes.debit'] } },
+      },
+    },
+  ]);
+
+  return result ? result.solde : 0;
+};
+
+/**
+ * Cotisations appelées restant à la charge d'un membre (appels, reprises et annulations)
+ */
+const getDuesCalledBalance = async (tontineId, userId) => {
+  const [result] = await EcritureComptable.aggregate([
+    {
+      $match: {
+        tontineId: new mongoose.Types.ObjectId(idOf(tontineId)),
+        type: { $in: ['appel_cotisations', 'annulation_appel_cotisations', 'transfert_appel_cotisations'] },
+      },
+    },
+    { $unwind: '$lignes' },
+    {
+      $match: {
+        'lignes.compte': CREANCE_MEMBRE,
+        'lignes.userId': new mongoose.Types.ObjectId(idOf(userId)),
+      },
+    },
+    {
+      $group: {
+        _id: null,
+        solde: { $sum: { $subtract: ['$lignes.debit', '$lignes.credit'] } },
+      },
+    },
+  ]);
+
+  return result ? result.solde : 0;
+};
+
+/**
+ * Comptabiliser sans bloquer l'opération métier : une écriture manquante
+ * apparaît dans le contrôle de la balance et peut être repassée (clés idempotentes)
+ */
+const safePost = async (fn, ...args) => {
+  try {
+    return await fn(...args);
+  } catch (error) {
+    logger.error(`Erreur écriture comptable (${fn.name}):`, error);
+    return null;
+  }
+};
+
+/**
+ * Balance des comptes d'une tontine à une date
+ * @param {String} tontineId - ID de la tontine
+ * @param {Date} dateFin - Date d'arrêté (incluse), maintenant par défaut
+ * @returns {Object} - { comptes, membres, totaux, controle }
+ */
+const getTrialBalance = async (tontineId, dateFin = new Date()) => {
+  const tontineObjectId = new mongoose.Types.ObjectId(tontineId);
+  const match = { tontineId: tontineObjectId, dateOperation: { $lte: dateFin } };
+
+  const [parCompte, parMembre] = await Promise.all([
+    EcritureComptable.aggregate([
+      { $match: match },
+      { $unwind: '$lignes' },
+      {
+        $group: {
+          _id: '$lignes.compte',
+          totalDebit: { $sum: '$lignes.debit' },
+          totalCredit: { $sum: '$lignes.credit' },
+        },
+      },
+    ]),
+    EcritureComptable.aggregate([
+      { $match: match },
+      { $unwind: '$lignes' },
+      { $match: { 'lignes.compte': CREANCE_MEMBRE } },
+      {
+        $group: {
+          _id: '$lignes.userId',
+          totalDebit: { $sum: '$lignes.debit' },
+          totalCredit: { $sum: '$lignes.credit' },
+        },
+      },
+    ]),
+  ]);
+
+  const comptes = Object.values(LEDGER_ACCOUNTS).map((compte) => {
+    const ligne = parCompte.find((c) => c._id === compte) || { totalDebit: 0, totalCredit: 0 };
+    const solde = SENS_DEBITEUR.includes(compte)
+      ? ligne.totalDebit - ligne.totalCredit
+      : ligne.totalCredit - ligne.totalDebit;
+
+    return {
+      compte,
+      totalDebit: ligne.totalDebit,
+      totalCredit: ligne.totalCredit,
+      solde,
+      sens: SENS_DEBITEUR.includes(compte) ? 'debiteur' : 'crediteur',
+    };
+  });
+
+  const totalDebit = comptes.reduce((sum, c) => sum + c.totalDebit, 0);
+  const totalCredit = comptes.reduce((sum, c) => sum + c.totalCredit, 0);
+
+  // Contrôle indépendant : ce que la cagnotte devrait contenir d'après les pièces
+  const [encaisse, rembourse, verse, recupere] = await Promise.all([
+    Transaction.aggregate([
+      {
+        $match: {
+          tontineId: tontineObjectId,
+          statut: TRANSACTION_STATUS.VALIDEE,
+          dateValidation: { $lte: dateFin },
+        },
+      },
+      { $group: { _id: null, total: { $sum: '$montant' } } },
+    ]),
+    Transaction.aggregate([
+      { $match: { tontineId: tontineObjectId, statut: TRANSACTION_STATUS.VALIDEE } },
+      { $unwind: '$remboursements' },
+      {
+        $match: {
+          'remboursements.statut': 'effectue',
+          'remboursements.dateRemboursement': { $lte: dateFin },
+        },
+      },
+      { $group: { _id: null, total: { $sum: '$remboursements.montant' } } },
+    ]),
+    // Un tirage payé puis annulé reste versé, sa récupération revenant en cagnotte
+    Tirage.aggregate([
+      {
+        $match: {
+          tontineId: tontineObjectId,
+          statutPaiement: { $in: ['paye', 'annule'] },
+          datePaiement: { $lte: dateFin },
+        },
+      },
+      { $group: { _id: null, total: { $sum: '$montantDistribue' } } },
+    ]),
+    Tirage.aggregate([
+      {
+        $match: {
+          tontineId: tontineObjectId,
+          datePaiement: { $exists: true },
+          'recuperation.date': { $lte: dateFin },
+        },
+      },
+      { $group: { _id: null, total: { $sum: '$recuperation.montant' } } },
+    ]),
+  ]);
+
+  const total = (result) => (result[0] ? result[0].total : 0);
+  const cagnotteAttendue =
+    total(encaisse) - total(rembourse) - total(verse) + total(recupere);
+  const cagnotteComptable = comptes.find((c) => c.compte === CAGNOTTE).solde;
+
+  return {
+    tontineId,
+    dateArrete: dateFin,
+    comptes,
+    membres: parMembre.map((m) => ({
+      userId: m._id,
+      totalDebit: m.totalDebit,
+      totalCredit: m.totalCredit,
+      // Positif : le membre doit ; négatif : il a versé d'avance
+      solde: m.totalDebit - m.totalCredit,
+    })),
+    totaux: {
+      totalDebit,
+      totalCredit,
+      equilibree: totalDebit === totalCredit,
+    },
+    controle: {
+      cagnotteComptable,
+      cagnotteAttendue,
+      ecart: cagnotteComptable - cagnotteAttendue,
+    },
+  };
+};
+
+/**
+ * Journal d'une tontine (écritures entre deux dates)
+ */
+const getJournal = async (tontineId, { dateDebut, dateFin, skip = 0, limit = 50 } = {}) => {
+  const query = { tontineId };
+  if (dateDebut || dateFin) {
+    query.dateOperation = {};
+    if (dateDebut) query.dateOperation.$gte = dateDebut;
+    if (dateFin) query.dateOperation.$lte = dateFin;
+  }
+
+  const [ecritures, total] = await Promise.all([
+    EcritureComptable.find(query)
+      .select('-cle')
+      .populate('lignes.userId', 'prenom nom')
+      .sort({ dateOperation: 1, createdAt: 1 })
+      .skip(skip)
+      .limit(limit),
+    EcritureComptable.countDocuments(query),
+  ]);
+
+  return { ecritures, total };
+};
+
+module.exports = {
+  recordDuesCalled,
+  recordDuesCalledUntil,
+  recordPaymentDeclared,
+  recordPaymentValidated,
+  recordPaymentRejected,
+  recordRefund,
+  recordPenalty,
+  recordPenaltyExemption,
+  recordPayout,
+  recordAuctionDiscount,
+  recordPayoutClawback,
+  recordAuctionDiscountReversal,
+  recordPositionTransfer,
+  recordDuesCalledTransfer,
+  recordDuesCalledCancellation,
+  recordGuaranteeTransfer,
+  recordPenaltyTransfer,
+  safePost,
+  getTrialBalance,
+  getJournal,
+};
@@ -0,0 +1,244 @@
+// services/loginSecurity.service.js
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errors');
+const { LOCKOUT } = require('../config/constants');
+const emailService = require('./email.service');
+const pushService = require('./push.service');
+const { decrireAppareil } = require('./session.service');
+
+/**
+ * Sécurité des connexions
+ *
+ * - Verrouillage progressif : après LOCKOUT.SEUIL_ECHECS échecs consécutifs (mot de passe
+ *   ou code du second facteur), le compte est verrouillé pour la durée du palier suivant
+ *   de LOCKOUT.DUREES_MINUTES ; une fois les paliers épuisés, il reste verrouillé jusqu'au
+ *   déblocage par un Admin. Une connexion réussie remet les compteurs à zéro.
+ * - Connexion inhabituelle : un appareil ou une adresse IP absents des connexions réussies
+ *   de l'historique déclenchent une alerte email et push (pas pour la toute première connexion).
+ *
+ * Chaque événement est tracé dans l'AuditLog.
+ */
+
+const CHAMPS_LISTE = 'prenom nom email numeroTelephone role isActive verrouillage';
+
+/**
+ * Contexte d'une requête de connexion, pour l'historique et l'AuditLog
+ */
+const contexteDe = (req) => ({
+  ip: req.ip,
+  userAgent: req.get('user-agent'),
+  method: req.method,
+  url: req.originalUrl,
+});
+
+const tracer = (user, action, contexte, options = {}) =>
+  AuditLog.logUserAction({
+    userId: user._id,
+    userEmail: user.email,
+    userRole: user.role,
+    action,
+    resource: 'User',
+    resourceId: user._id,
+    ...contexte,
+    ...options,
+  });
+
+/**
+ * Message présenté à l'utilisateur dont le compte est verrouillé
+ */
+const messageVerrouillage = (user) => {
+  if (user.verrouillage.definitif) {
+    return 'Compte verrouillé après de trop nombreuses tentatives de connexion. Contactez l\'administrateur.';
+  }
+  const minutes = Math.max(1, Math.ceil((user.verrouillage.jusquA - Date.now()) / 60000));
+  return `Compte temporairement verrouillé après de trop nombreuses tentatives de connexion. Réessayez dans ${minutes} minute(s).`;
+};
+
+/**
+ * Refuser la connexion d'un compte verrouillé (la tentative est tracée)
+ */
+const verifierVerrouillage = async (user, contexte) => {
+  if (!user.estVerrouille()) return;
+
+  await tracer(user, 'LOGIN_FAILED', contexte, {
+    statusCode: 423,
+    success: false,
+    severity: 'warning',
+    tags: ['compte_verrouille'],
+  });
+  throw new AppError(messageVerrouillage(user), 423);
+};
+
+/**
+ * Passer au palier de verrouillage suivant
+ */
+const verrouiller = (user) => {
+  const verrouillage = user.verrouillage;
+  verrouillage.niveau += 1;
+  verrouillage.echecs = 0;
+  verrouillage.dateVerrouillage = new Date();
+
+  const duree = LOCKOUT.DUREES_MINUTES[verrouillage.niveau - 1];
+  if (duree) {
+    verrouillage.jusquA = new Date(Date.now() + duree * 60 * 1000);
+  } else {
+    verrouillage.jusquA = undefined;
+    verrouillage.definitif = true;
+  }
+};
+
+const alerterVerrouillage = async (user, contexte) => {
+  const jusquA = user.verrouillage.definitif ? null : user.verrouillage.jusquA;
+  try {
+    await emailService.sendAccountLockedAlert(user, jusquA, contexte.ip);
+  } catch (error) {
+    logger.error(`Alerte verrouillage non envoyee a ${user.email}:`, error);
+  }
+  await pushService.notifyAccountLocked(user._id, jusquA);
+};
+
+/**
+ * Enregistrer un échec de connexion et verrouiller le compte au seuil
+ * @param {Object} user - Document User
+ * @param {Object} contexte - Voir contexteDe
+ * @param {String} etape - 'mot_de_passe' ou 'second_facteur'
+ * @returns {Object} - { verrouille }
+ */
+const enregistrerEchec = async (user, contexte, etape) => {
+  const verrouillage = user.verrouillage;
+  const fenetre = LOCKOUT.FENETRE_ECHECS_MINUTES * 60 * 1000;
+
+  if (!verrouillage.dernierEchec || Date.now() - verrouillage.dernierEchec.getTime() > fenetre) {
+    verrouillage.echecs = 0;
+  }
+  verrouillage.echecs += 1;
+  verrouillage.dernierEchec = new Date();
+  user.logLogin(contexte.ip, contexte.userAgent, false);
+
+  const verrouille = verrouillage.echecs >= LOCKOUT.SEUIL_ECHECS;
+  if (verrouille) {
+    verrouiller(user);
+  }
+
+  await user.save();
+
+  await tracer(user, 'LOGIN_FAILED', contexte, {
+    statusCode: verrouille ? 423 : 401,
+    success: false,
+    severity: 'warning',
+    tags: [etape],
+  });
+
+  if (verrouille) {
+    logger.warn(
+      `Compte ${user.email} verrouille (palier ${verrouillage.niveau}) apres ${LOCKOUT.SEUIL_ECHECS} echecs - IP ${contexte.ip}`
+    );
+    await tracer(user, 'LOCK_ACCOUNT', contexte, {
+      statusCode: 423,
+      severity: verrouillage.definitif ? 'critical' : 'warning',
+      tags: [`palier_${verrouillage.niveau}`],
+    });
+    await alerterVerrouillage(user, contexte);
+  }
+
+  return { verrouille };
+};
+
+/**
+ * Enregistrer une connexion réussie : remise à zéro des échecs, détection d'un nouvel
+ * appareil ou d'une nouvelle adresse IP (alerte). L'appelant enregistre l'utilisateur.
+ * @returns {Object} - { nouvelAppareil, nouvelleIP }
+ */
+const enregistrerSucces = async (user, contexte) => {
+  const appareil = decrireAppareil(contexte.userAgent);
+  const connexionsReussies = user.loginHistory.filter((connexion) => connexion.success);
+  const connu = connexionsReussies.length > 0;
+
+  const nouvelAppareil = connu &&
+    !connexionsReussies.some((connexion) => decrireAppareil(connexion.userAgent) === appareil);
+  const nouvelleIP = connu && !connexionsReussies.some((connexion) => connexion.ip === contexte.ip);
+
+  user.logLogin(contexte.ip, contexte.userAgent, true);
+  user.verrouillage.echecs = 0;
+  user.verrouillage.dernierEchec = undefined;
+  user.verrouillage.niveau = 0;
+
+  await tracer(user, 'LOGIN', contexte);
+
+  if (nouvelAppareil || nouvelleIP) {
+    const tags = [nouvelAppareil && 'nouvel_appareil', nouvelleIP && 'nouvelle_ip'].filter(Boolean);
+    logger.warn(`Connexion inhabituelle - ${user.email} (${appareil}, IP ${contexte.ip})`);
+    await tracer(user, 'NEW_DEVICE_LOGIN', contexte, { severity: 'warning', tags });
+
+    try {
+      await emailService.sendNewDeviceLoginAlert(user, { appareil, ip: contexte.ip, date: new Date() });
+    } catch (error) {
+      logger.error(`Alerte nouvelle connexion non envoyee a ${user.email}:`, error);
+    }
+    await pushService.notifyNewDeviceLogin(user._id, appareil, contexte.ip);
+  }
+
+  return { nouvelAppareil, nouvelleIP };
+};
+
+/**
+ * Comptes actuellement verrouillés, le plus récent en premier
+ */
+const listerComptesVerrouilles = async ({ limit, skip }) => {
+  const query = {
+    $or: [
+      { 'verrouillage.definitif': true },
+      { 'verrouillage.jusquA': { $gt: new Date() } },
+    ],
+  };
+
+  const [comptes, total] = await Promise.all([
+    User.find(query)
+      .select(CHAMPS_LISTE)
+      .sort({ 'verrouillage.dateVerrouillage': -1 })
+      .skip(skip)
+      .limit(limit),
+    User.countDocuments(query),
+  ]);
+
+  return { comptes, total };
+};
+
+/**
+ * Débloquer un compte (Admin) : verrouillage levé et paliers remis à zéro
+ * @returns {Object} - User
+ */
+const deverrouiller = async (userId, admin) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new AppError('Utilisateur introuvable', 404);
+  }
+  if (!user.estVerrouille()) {
+    throw new AppError('Ce compte n\'est pas verrouillé', 400);
+  }
+
+  user.verrouillage.echecs = 0;
+  user.verrouillage.dernierEchec = undefined;
+  user.verrouillage.niveau = 0;
+  user.verrouillage.jusquA = undefined;
+  user.verrouillage.definitif = false;
+  user.verrouillage.debloquePar = admin._id;
+  user.verrouillage.dateDeblocage = new Date();
+  await user.save();
+
+  logger.info(`Compte ${user.email} deverrouille par ${admin.email}`);
+
+  return user;
+};
+
+module.exports = {
+  contexteDe,
+  messageVerrouillage,
+  verifierVerrouillage,
+  enregistrerEchec,
+  enregistrerSucces,
+  listerComptesVerrouilles,
+  deverrouiller,
+};
@@ -0,0 +1,303 @@
+// services/mfa.service.js
+const crypto = require('crypto');
+const User = require('../models/User');
+const totp = require('../utils/totp');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errors');
+const { MFA } = require('../config/constants');
+
+/**
+ * Double authentification
+ *
+ * - Application d'authentification (TOTP) : enrôlement en deux temps (secret en attente,
+ *   puis activation par un premier code), obligatoire pour les Admins et Trésoriers.
+ * - Codes de récupération : 10 codes à usage unique remis à l'activation, acceptés à la
+ *   place d'un code TOTP (téléphone perdu).
+ * - Appareils de confiance : après un second facteur validé, l'utilisateur peut demander
+ *   à ne plus le saisir sur cet appareil pendant 30 jours. Le client conserve le jeton
+ *   remis et le renvoie à la connexion ; seule son empreinte est stockée.
+ */
+
+const DEFI_TOTP_MINUTES = 5;
+const MAX_TENTATIVES_DEFI = 5;
+const MAX_APPAREILS_CONFIANCE = 10;
+const CHAMPS_SECRETS = '+mfa.secret +mfa.secretEnAttente +mfa.dernierPas +mfa.codesRecuperation';
+
+const hash = (valeur) => crypto.createHash('sha256').update(valeur).digest('hex');
+
+const normaliserCodeRecuperation = (code) => code.toLowerCase().replace(/[^a-f0-9]/g, '');
+
+/**
+ * La double authentification est-elle obligatoire pour ce rôle ?
+ */
+const estObligatoire = (user) => MFA.ROLES_OBLIGATOIRES.includes(user.role);
+
+/**
+ * Recharger l'utilisateur avec les secrets MFA (non sélectionnés par défaut)
+ */
+const chargerAvecSecrets = async (userId) => {
+  const user = await User.findById(userId).select(CHAMPS_SECRETS);
+  if (!user) {
+    throw new AppError('Utilisateur introuvable', 404);
+  }
+  return user;
+};
+
+/**
+ * Générer une nouvelle série de codes de récupération (remplace la précédente)
+ * @returns {Array} - Codes en clair, à remettre une seule fois à l'utilisateur
+ */
+const genererCodesRecuperation = (user) => {
+  const codes = Array.from({ length: MFA.CODES_RECUPERATION }, () => {
+    const brut = crypto.randomBytes(5).toString('hex');
+    return `${brut.slice(0, 5)}-${brut.slice(5)}`;
+  });
+
+  user.mfa.codesRecuperation = codes.map((code) => ({ hash: hash(normaliserCodeRecuperation(code)) }));
+  return codes;
+};
+
+/**
+ * Vérifier un second facteur : code TOTP, ou code de récupération (consommé)
+ * L'utilisateur doit avoir été chargé avec ses secrets ; l'appelant enregistre.
+ * @param {Object} options - { recuperationAutorisee }
+ * @returns {Object} - { success, codeRecuperation, message }
+ */
+const verifierSecondFacteur = (user, code, { recuperationAutorisee = true } = {}) => {
+  const pas = totp.verifyCode(user.mfa.secret, code, { dernierPas: user.mfa.dernierPas });
+  if (pas !== null) {
+    user.mfa.dernierPas = pas;
+    return { success: true, codeRecuperation: false };
+  }
+
+  if (recuperationAutorisee && !/^\d{6}$/.test(code)) {
+    const empreinte = hash(normaliserCodeRecuperation(code));
+    const codeRecuperation = (user.mfa.codesRecuperation || []).find(
+      (c) => c.hash === empreinte && !c.dateUtilisation
+    );
+    if (codeRecuperation) {
+      codeRecuperation.dateUtilisation = new Date();
+      return { success: true, codeRecuperation: true };
+    }
+  }
+
+  return { success: false, message: 'Code incorrect' };
+};
+
+/**
+ * Codes de récupération encore utilisables
+ */
+const codesRestants = (user) =>
+  (user.mfa.codesRecuperation || []).filter((c) => !c.dateUtilisation).length;
+
+/**
+ * Etat de la double authentification d'un utilisateur
+ */
+const statut = async (user) => {
+  const complet = await chargerAvecSecrets(user._id);
+
+  return {
+    totpActif: complet.mfa.totpActif,
+    obligatoire: estObligatoire(complet),
+    dateActivation: complet.mfa.dateActivation,
+    codesRecuperationRestants: complet.mfa.totpActif ? codesRestants(complet) : 0,
+    appareilsConfiance: complet.mfa.appareilsConfiance
+      .filter((a) => a.dateExpiration > new Date())
+      .map((a) => ({
+        id: a._id,
+        appareil: a.appareil,
+        dateCreation: a.dateCreation,
+        dateExpiration: a.dateExpiration,
+      })),
+  };
+};
+
+/**
+ * Démarrer l'enrôlement : secret en attente, à confirmer par un premier code
+ * @returns {Object} - { secret, otpauthUrl }
+ */
+const demarrerEnrolement = async (user) => {
+  const complet = await chargerAvecSecrets(user._id);
+
+  if (complet.mfa.totpActif) {
+    throw new AppError('La double authentification est déjà activée', 409);
+  }
+
+  const secret = totp.generateSecret();
+  complet.mfa.secretEnAttente = secret;
+  await complet.save();
+
+  return { secret, otpauthUrl: totp.buildOtpauthUrl(secret, complet.email) };
+};
+
+/**
+ * Activer la double authentification avec un premier code de l'application
+ * @returns {Object} - { codesRecuperation }
+ */
+const activerTotp = async (user, code) => {
+  const complet = await chargerAvecSecrets(user._id);
+
+  if (complet.mfa.totpActif) {
+    throw new AppError('La double authentification est déjà activée', 409);
+  }
+  if (!complet.mfa.secretEnAttente) {
+    throw new AppError('Aucun enrôlement en cours', 400);
+  }
+
+  const pas = totp.verifyCode(complet.mfa.secretEnAttente, code);
+  if (pas === null) {
+    throw new AppError('Code incorrect. Vérifiez l\'heure de votre téléphone et réessayez.', 400);
+  }
+
+  complet.mfa.secret = complet.mfa.secretEnAttente;
+  complet.mfa.secretEnAttente = undefined;
+  complet.mfa.dernierPas = pas;
+  complet.mfa.totpActif = true;
+  complet.mfa.dateActivation = new Date();
+  const codesRecuperation = genererCodesRecuperation(complet);
+  await complet.save();
+
+  logger.info(`Double authentification activee - ${complet.email}`);
+
+  return { codesRecuperation };
+};
+
+/**
+ * Désactiver la double authentification (impossible pour les rôles où elle est obligatoire)
+ */
+const desactiverTotp = async (user, code) => {
+  const complet = await chargerAvecSecrets(user._id);
+
+  if (!complet.mfa.totpActif) {
+    throw new AppError('La double authentification n\'est pas activée', 400);
+  }
+  if (estObligatoire(complet)) {
+    throw new AppError('La double authentification est obligatoire pour votre rôle', 403);
+  }
+
+  const verification = verifierSecondFacteur(complet, code);
+  if (!verification.success) {
+    throw new AppError(verification.message, 400);
+  }
+
+  complet.mfa.totpActif = false;
+  complet.mfa.secret = undefined;
+  complet.mfa.dernierPas = undefined;
+  complet.mfa.dateActivation = undefined;
+  complet.mfa.codesRecuperation = [];
+  complet.mfa.appareilsConfiance = [];
+  await complet.save();
+
+  logger.info(`Double authentification desactivee - ${complet.email}`);
+};
+
+/**
+ * Remplacer les codes de récupération (code TOTP exigé)
+ * @returns {Object} - { codesRecuperation }
+ */
+const regenererCodesRecuperation = async (user, code) => {
+  const complet = await chargerAvecSecrets(user._id);
+
+  if (!complet.mfa.totpActif) {
+    throw new AppError('La double authentification n\'est pas activée', 400);
+  }
+
+  const verification = verifierSecondFacteur(complet, code, { recuperationAutorisee: false });
+  if (!verification.success) {
+    throw new AppError(verification.message, 400);
+  }
+
+  const codesRecuperation = genererCodesRecuperation(complet);
+  await complet.save();
+
+  return { codesRecuperation };
+};
+
+/**
+ * Ouvrir le défi TOTP d'une connexion (mot de passe vérifié, code de l'application attendu)
+ */
+const ouvrirDefiTotp = (user) => {
+  user.loginOTP = {
+    code: undefined,
+    codeExpiry: Date.now() + DEFI_TOTP_MINUTES * 60 * 1000,
+    attempts: 0,
+    methode: 'totp',
+  };
+};
+
+/**
+ * Répondre au défi TOTP d'une connexion
+ * L'utilisateur doit avoir été chargé avec ses secrets ; l'appelant enregistre.
+ * @returns {Object} - { success, codeRecuperation, message }
+ */
+const verifierDefiTotp = (user, code) => {
+  if (!user.loginOTP?.codeExpiry || Date.now() > user.loginOTP.codeExpiry) {
+    return { success: false, message: 'Code expire' };
+  }
+
+  if (user.loginOTP.attempts >= MAX_TENTATIVES_DEFI) {
+    return { success: false, message: 'Nombre maximum de tentatives atteint' };
+  }
+
+  user.loginOTP.attempts += 1;
+
+  const verification = verifierSecondFacteur(user, code);
+  if (verification.success) {
+    user.loginOTP = { code: undefined, codeExpiry: undefined, attempts: 0, methode: 'code' };
+  }
+  return verification;
+};
+
+/**
+ * Enregistrer l'appareil comme appareil de confiance
+ * @returns {Object} - { token, dateExpiration } : jeton à renvoyer lors des prochaines connexions
+ */
+const ajouterAppareilConfiance = (user, appareil) => {
+  const token = crypto.randomBytes(32).toString('hex');
+  const dateExpiration = new Date(Date.now() + MFA.APPAREIL_CONFIANCE_JOURS * 24 * 60 * 60 * 1000);
+
+  user.mfa.appareilsConfiance = user.mfa.appareilsConfiance
+    .filter((a) => a.dateExpiration > new Date())
+    .slice(-(MAX_APPAREILS_CONFIANCE - 1));
+  user.mfa.appareilsConfiance.push({ tokenHash: hash(token), appareil, dateExpiration });
+
+  return { token, dateExpiration };
+};
+
+/**
+ * Le jeton présenté correspond-il à un appareil de confiance encore valide ?
+ */
+const estAppareilDeConfiance = (user, token) => {
+  if (!token) return false;
+  const empreinte = hash(token);
+  return user.mfa.appareilsConfiance.some(
+    (a) => a.tokenHash === empreinte && a.dateExpiration > new Date()
+  );
+};
+
+/**
+ * Oublier tous les appareils de confiance
+ * @returns {Number} - Nombre d'appareils oubliés
+ */
+const oublierAppareilsConfiance = async (user) => {
+  const nombre = user.mfa.appareilsConfiance.filter((a) => a.dateExpiration > new Date()).length;
+  user.mfa.appareilsConfiance = [];
+  await user.save();
+  return nombre;
+};
+
+module.exports = {
+  estObligatoire,
+  chargerAvecSecrets,
+  verifierSecondFacteur,
+  statut,
+  demarrerEnrolement,
+  activerTotp,
+  desactiverTotp,
+  regenererCodesRecuperation,
+  ouvrirDefiTotp,
+  verifierDefiTotp,
+  ajouterAppareilConfiance,
+  estAppareilDeConfiance,
+  oublierAppareilsConfiance,
+};
@@ -22,6 +22,19 @@ const sendTirageNotification = async (user, tontine, dateTirage, delaiOptIn) =>
   }
 };
 
+/**
+ * Annoncer le nouveau tirage d'une place annulée
+ */
+const sendTirageRelanceNotification = async (user, tirage, tontine) => {
+  try {
+    const notification = await Notification.createTirageRelanceNotification(user._id, tirage, tontine);
+    return { success: true, notification };
+  } catch (error) {
+    logger.error(` Erreur notification nouveau tirage pour ${user.email}:`, error);
+    return { success: false, error: error.message };
+  }
+};
+
 /**
  * Créer notification de résultat de tirage
  */
@@ -320,8 +333,136 @@ const sendValidationRequestNotification = async (tresorier, admin, validationReq
     return { success: false, error: error.message };
   }
 };
+
+/**
+ * Proposer un échange de position dans le tour de rôle
+ */
+const sendEchangePositionRequest = async (destinataireId, demandeur, tontine, demande) => {
+  try {
+    const notification = await Notification.createEchangePositionNotification(
+      destinataireId,
+      demandeur,
+      tontine,
+      demande
+    );
+
+    logger.info(` Demande d'échange de position envoyée par ${demandeur.email} pour "${tontine.nom}"`);
+    return { success: true, notification };
+  } catch (error) {
+    logger.error(` Erreur demande d'échange de position de ${demandeur.email}:`, error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Répondre à une demande d'échange de position
+ * @param {String} action - 'accepted' ou 'refused'
+ */
+const respondEchangePosition = async (notificationId, userId, action) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: notificationId,
+      userId,
+      type: 'ECHANGE_POSITION',
+    });
+
+    if (!notification) {
+      return { success: false, error: 'Demande d\'échange introuvable' };
+    }
+
+    if (notification.actionTaken) {
+      return { success: false, error: 'Demande d\'échange déjà traitée' };
+    }
+
+    notification.recordAction(action);
+    await notification.save();
+
+    logger.info(` ${userId} a ${action === 'accepted' ? 'accepté' : 'refusé'} l'échange ${notification.data.echangeId}`);
+    return { success: true, notification };
+  } catch (error) {
+    logger.error(` Erreur réponse échange de position:`, error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Demander à un utilisateur de se porter garant d'un membre
+ */
+const sendGarantieRequest = async (garantId, membre, tontine, garantie) => {
+  try {
+    const notification = await Notification.createGarantieRequestNotification(
+      garantId,
+      membre,
+      tontine,
+      garantie
+    );
+
+    logger.info(` Demande de caution envoyée par ${membre.email} pour "${tontine.nom}"`);
+    return { success: true, notification };
+  } catch (error) {
+    logger.error(` Erreur demande de caution de ${membre.email}:`, error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Répondre à une demande de caution
+ * @param {String} action - 'accepted' ou 'refused'
+ */
+const respondGarantie = async (notificationId, userId, action) => {
+  try {
+    const notification = await Notification.findOne({
+      _id: notificationId,
+      userId,
+      type: 'GARANTIE_DEMANDE',
+    });
+
+    if (!notification) {
+      return { success: false, error: 'Demande de caution introuvable' };
+    }
+
+    if (notification.actionTaken) {
+      return { success: false, error: 'Demande de caution déjà traitée' };
+    }
+
+    if (notification.isExpired()) {
+      return { success: false, error: 'Demande de caution expirée' };
+    }
+
+    notification.recordAction(action);
+    await notification.save();
+
+    logger.info(` ${userId} a ${action === 'accepted' ? 'accepté' : 'refusé'} la caution ${notification.data.garantieId}`);
+    return { success: true, notification };
+  } catch (error) {
+    logger.error(` Erreur réponse demande de caution:`, error);
+    return { success: false, error: error.message };
+  }
+};
+
+/**
+ * Relancer un garant (alerte, mise en demeure ou transfert de dette)
+ */
+const sendGarantieAppel = async (garantId, membre, tontine, garantie, relance) => {
+  try {
+    const notification = await Notification.createGarantieAppelNotification(
+      garantId,
+      membre,
+      tontine,
+      garantie,
+      relance
+    );
+
+    return { success: true, notification };
+  } catch (error) {
+    logger.error(` Erreur relance garant ${garantId}:`, error);
+    return { success: false, error: error.message };
+  }
+};
+
 module.exports = {
   sendTirageNotification,
+  sendTirageRelanceNotification,
   sendTirageResultNotification,
   sendTirageWinnerNotification,
   getUserNotifications,
@@ -335,4 +476,9 @@ module.exports = {
   acceptInvitationTontine,      
   refuseInvitationTontine,
   sendValidationRequestNotification,
+  sendEchangePositionRequest,
+  respondEchangePosition,
+  sendGarantieRequest,
+  respondGarantie,
+  sendGarantieAppel,
 };
\ No newline at end of file
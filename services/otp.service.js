@@ -76,6 +76,7 @@ const sendAdminOTP = async (admin, code, actionType, resourceName) => {
       UNBLOCK_TONTINE: 'Deblocage de tontine',
       ACTIVATE_USER: 'Activation d\'utilisateur',
       DEACTIVATE_USER: 'Desactivation d\'utilisateur',
+      REFUND_TRANSACTION: 'Remboursement de paiement',
     };
 
     const htmlContent = `
@@ -164,6 +165,7 @@ const sendTresorierOTP = async (tresorier, code, actionType, resourceName) => {
       UNBLOCK_TONTINE: 'Deblocage de tontine',
       ACTIVATE_USER: 'Activation d\'utilisateur',
       DEACTIVATE_USER: 'Desactivation d\'utilisateur',
+      REFUND_TRANSACTION: 'Remboursement de paiement',
     };
 
     const htmlContent = `
@@ -254,6 +256,7 @@ const sendValidationCompleteNotification = async (admin, tresorier, actionType,
       UNBLOCK_TONTINE: 'Deblocage de tontine',
       ACTIVATE_USER: 'Activation d\'utilisateur',
       DEACTIVATE_USER: 'Desactivation d\'utilisateur',
+      REFUND_TRANSACTION: 'Remboursement de paiement',
     };
 
     const htmlAdmin = `
@@ -313,6 +316,7 @@ const sendRejectionNotification = async (recipient, actionType, resourceName, re
       UNBLOCK_TONTINE: 'Deblocage de tontine',
       ACTIVATE_USER: 'Activation d\'utilisateur',
       DEACTIVATE_USER: 'Desactivation d\'utilisateur',
+      REFUND_TRANSACTION: 'Remboursement de paiement',
     };
 
     const htmlContent = `
@@ -0,0 +1,262 @@
+// services/otpDelivery.service.js
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errors');
+const { OTP_DELIVERY } = require('../config/constants');
+const emailService = require('./email.service');
+const smsService = require('./sms.service');
+const whatsappService = require('./whatsapp.service');
+
+/**
+ * Envoi des codes à usage unique (connexion, réinitialisation du mot de passe)
+ *
+ * Un transport est un objet qui expose :
+ *   - canal                   : 'email', 'sms' ou 'whatsapp'
+ *   - isConfigured()
+ *   - send(user, { code, motif }) : { success, error }
+ *
+ * Le code part d'abord par le canal préféré de l'utilisateur (preferences.canalOTP, ou
+ * celui demandé pour cet envoi), puis, en cas d'échec, par les autres canaux dans l'ordre
+ * de OTP_DELIVERY.CHANNELS. Chaque canal est limité à MAX_PER_WINDOW envois par
+ * utilisateur sur WINDOW_MINUTES ; un canal saturé est sauté.
+ *
+ * Avec OTP_TRANSPORT=stub, les codes ne partent pas : ils sont conservés dans une boîte
+ * d'envoi en mémoire (getStubOutbox) et écrits dans les logs, pour le développement local.
+ */
+
+const MOTIFS = ['connexion', 'reinitialisation'];
+const HISTORIQUE_MAX = 30;
+
+const transports = new Map();
+
+/**
+ * Enregistrer un transport (remplace celui du même canal)
+ * @param {Object} transport - Implémentation du transport
+ */
+const registerTransport = (transport) => {
+  if (!transport || !OTP_DELIVERY.CHANNELS.includes(transport.canal)) {
+    throw new Error(`Un transport doit avoir un canal parmi: ${OTP_DELIVERY.CHANNELS.join(', ')}`);
+  }
+  if (typeof transport.isConfigured !== 'function' || typeof transport.send !== 'function') {
+    throw new Error(`Transport ${transport.canal} incomplet - isConfigured() et send() requis`);
+  }
+
+  transports.set(transport.canal, transport);
+};
+
+/**
+ * Vider le registre (tests)
+ */
+const clearTransports = () => {
+  transports.clear();
+};
+
+// ========================================
+// TRANSPORTS LIVRES AVEC L'APPLICATION
+// ========================================
+
+const emailTransport = {
+  canal: 'email',
+  isConfigured: () => Boolean(process.env.MAILJET_API_KEY && process.env.MAILJET_SECRET_KEY),
+  send: async (user, { code, motif }) => {
+    const envoye = motif === 'connexion'
+      ? await emailService.sendLoginOTP(user, code)
+      : await emailService.sendPasswordResetCode(user, code);
+    return envoye ? { success: true } : { success: false, error: 'Echec envoi email' };
+  },
+};
+
+const smsTransport = {
+  canal: 'sms',
+  isConfigured: () => smsService.isSMSConfigured(),
+  send: (user, { code, motif }) =>
+    motif === 'connexion'
+      ? smsService.sendLoginOTPSMS(user, code)
+      : smsService.sendPasswordResetCodeSMS(user, code),
+};
+
+const whatsappTransport = {
+  canal: 'whatsapp',
+  isConfigured: () => whatsappService.isWhatsAppConfigured(),
+  send: (user, { code, motif }) =>
+    motif === 'connexion'
+      ? whatsappService.sendLoginOTPWhatsApp(user, code)
+      : whatsappService.sendPasswordResetCodeWhatsApp(user, code),
+};
+
+// ========================================
+// TRANSPORT LOCAL (DEVELOPPEMENT, TESTS)
+// ========================================
+
+const stubOutbox = [];
+
+/**
+ * Fabrique un transport qui n'envoie rien et conserve les codes en mémoire
+ * @param {String} canal - Canal simulé
+ * @param {Object} options - { echec } : simuler une panne du canal
+ * @returns {Object} - Transport compatible avec le registre
+ */
+const createStubTransport = (canal, { echec = false } = {}) => ({
+  canal,
+  isConfigured: () => true,
+  send: async (user, { code, motif }) => {
+    if (echec) {
+      return { success: false, error: `Panne simulee du canal ${canal}` };
+    }
+    stubOutbox.push({ canal, userId: user._id, destination: destinationDe(user, canal), code, motif, date: new Date() });
+    logger.info(`[OTP stub] ${canal} -> ${destinationDe(user, canal)} : ${code} (${motif})`);
+    return { success: true };
+  },
+});
+
+/**
+ * Codes "envoyés" par les transports stub
+ */
+const getStubOutbox = () => stubOutbox;
+
+const clearStubOutbox = () => {
+  stubOutbox.length = 0;
+};
+
+/**
+ * Enregistrer les transports par défaut (stub si OTP_TRANSPORT=stub)
+ * Appelé une fois au démarrage du serveur, et à la demande au premier envoi
+ */
+const registerDefaultTransports = () => {
+  const defaults = process.env.OTP_TRANSPORT === 'stub'
+    ? OTP_DELIVERY.CHANNELS.map((canal) => createStubTransport(canal))
+    : [emailTransport, smsTransport, whatsappTransport];
+
+  defaults.forEach((transport) => {
+    if (!transports.has(transport.canal)) {
+      registerTransport(transport);
+      if (process.env.OTP_TRANSPORT === 'stub') {
+        logger.warn(`Transport OTP ${transport.canal} simule (OTP_TRANSPORT=stub) - aucun code ne sera envoye`);
+      }
+    }
+  });
+};
+
+// ========================================
+// ENVOI
+// ========================================
+
+const destinationDe = (user, canal) => (canal === 'email' ? user.email : user.numeroTelephone);
+
+/**
+ * Masquer une adresse pour l'afficher à l'utilisateur (a***@mail.com, +22177****567)
+ */
+const masquerDestination = (destination, canal) => {
+  if (!destination) return null;
+  if (canal === 'email') {
+    const [local, domaine] = destination.split('@');
+    return `${local.charAt(0)}***@${domaine}`;
+  }
+  return `${destination.slice(0, 6)}****${destination.slice(-3)}`;
+};
+
+/**
+ * Envois déjà faits par un canal sur la fenêtre courante
+ */
+const envoisRecents = (user, canal) => {
+  const depuis = Date.now() - OTP_DELIVERY.WINDOW_MINUTES * 60 * 1000;
+  return (user.otpEnvois || []).filter((e) => e.canal === canal && e.date.getTime() > depuis);
+};
+
+/**
+ * Ordre des canaux à essayer : canal demandé (ou préféré), puis les autres
+ */
+const ordreCanaux = (user, canalDemande) => {
+  const premier = canalDemande || user.preferences?.canalOTP || OTP_DELIVERY.CHANNELS[0];
+  return [premier, ...OTP_DELIVERY.CHANNELS.filter((canal) => canal !== premier)];
+};
+
+/**
+ * Envoyer un code par le canal préféré, avec repli sur les autres canaux
+ * Les envois sont enregistrés sur l'utilisateur (limites par canal).
+ * @param {Object} user - Document User
+ * @param {String} code - Code en clair
+ * @param {String} motif - 'connexion' ou 'reinitialisation'
+ * @param {Object} options - { canal } : canal à essayer en premier pour cet envoi
+ * @returns {Object} - { canal, destination, tentatives }
+ */
+const envoyerCode = async (user, code, motif, { canal } = {}) => {
+  if (!MOTIFS.includes(motif)) {
+    throw new Error(`Motif d'envoi inconnu: ${motif}`);
+  }
+
+  registerDefaultTransports();
+
+  const tentatives = [];
+  let canalUtilise = null;
+
+  for (const candidat of ordreCanaux(user, canal)) {
+    const transport = transports.get(candidat);
+
+    if (!transport || !transport.isConfigured() || !destinationDe(user, candidat)) {
+      tentatives.push({ canal: candidat, statut: 'indisponible' });
+      continue;
+    }
+
+    if (envoisRecents(user, candidat).length >= OTP_DELIVERY.MAX_PER_WINDOW[candidat]) {
+      tentatives.push({ canal: candidat, statut: 'limite' });
+      continue;
+    }
+
+    let resultat;
+    try {
+      resultat = await transport.send(user, { code, motif });
+    } catch (error) {
+      resultat = { success: false, error: error.message };
+    }
+
+    user.otpEnvois.push({ canal: candidat, motif, succes: resultat.success });
+
+    if (resultat.success) {
+      tentatives.push({ canal: candidat, statut: 'envoye' });
+      canalUtilise = candidat;
+      break;
+    }
+
+    logger.warn(`Envoi code ${motif} par ${candidat} echoue pour ${user.email}: ${resultat.error}`);
+    tentatives.push({ canal: candidat, statut: 'echec' });
+  }
+
+  if (user.otpEnvois.length > HISTORIQUE_MAX) {
+    user.otpEnvois = user.otpEnvois.slice(-HISTORIQUE_MAX);
+  }
+  await user.save();
+
+  if (!canalUtilise) {
+    const toutLimite = tentatives.every((t) => t.statut === 'limite' || t.statut === 'indisponible') &&
+      tentatives.some((t) => t.statut === 'limite');
+    if (toutLimite) {
+      throw new AppError(
+        `Trop de codes demandés. Réessayez dans ${OTP_DELIVERY.WINDOW_MINUTES} minutes.`,
+        429
+      );
+    }
+    throw new AppError('Impossible d\'envoyer le code pour le moment. Réessayez plus tard.', 503);
+  }
+
+  if (tentatives.length > 1) {
+    logger.info(`Code ${motif} envoye par ${canalUtilise} (repli) a ${user.email}`);
+  }
+
+  return {
+    canal: canalUtilise,
+    destination: masquerDestination(destinationDe(user, canalUtilise), canalUtilise),
+    tentatives,
+  };
+};
+
+module.exports = {
+  MOTIFS,
+  registerTransport,
+  registerDefaultTransports,
+  clearTransports,
+  createStubTransport,
+  getStubOutbox,
+  clearStubOutbox,
+  masquerDestination,
+  envoyerCode,
+};
@@ -1,301 +1,111 @@
 // services/payment.service.js
-const axios = require('axios');
 const logger = require('../utils/logger');
-const { PAYMENT_METHODS } = require('../config/constants');
+const registry = require('./providers/registry');
 
 /**
- * Configuration Wave API (Sénégal)
- * Documentation: https://docs.wave.com
+ * Récupérer un provider ou lever une erreur
+ * @param {String} paymentMethod - Moyen de paiement
+ * @returns {Object} - Provider
  */
-const WAVE_CONFIG = {
-  apiKey: process.env.WAVE_API_KEY,
-  apiSecret: process.env.WAVE_API_SECRET,
-  baseUrl: process.env.WAVE_BASE_URL || 'https://api.wave.com/v1',
-  callbackUrl: process.env.WAVE_CALLBACK_URL,
+const resolveProvider = (paymentMethod) => {
+  const provider = registry.getProvider(paymentMethod);
+  if (!provider) {
+    throw new Error(`Méthode de paiement non supportée: ${paymentMethod}`);
+  }
+  return provider;
 };
 
 /**
- * Initier un paiement Wave
+ * Router le paiement vers le provider choisi
+ * @param {String} paymentMethod - Méthode de paiement
  * @param {Object} paymentData - Données du paiement
- * @returns {Object} - URL de paiement et référence
+ * @returns {Object} - Résultat de l'initiation
  */
-const initiateWavePayment = async (paymentData) => {
+const initiatePayment = async (paymentMethod, paymentData) => {
   try {
-    const { 
-      amount, 
-      currency = 'XOF', 
-      phoneNumber, 
-      reference, 
-      description,
-      userEmail,
-      userName 
-    } = paymentData;
+    logger.info(`Initiation paiement - Méthode: ${paymentMethod}`);
 
-    logger.info(`Initiation paiement Wave - Montant: ${amount} ${currency} - Ref: ${reference}`);
+    const provider = resolveProvider(paymentMethod);
 
-    // Validation des données
-    if (!amount || amount < 100) {
-      throw new Error('Montant invalide (minimum 100 FCFA)');
+    if (!provider.supportsCollection) {
+      throw new Error(`${paymentMethod} ne permet pas d'encaisser des cotisations`);
     }
 
-    if (!reference) {
-      throw new Error('Référence de transaction requise');
+    if (!provider.isConfigured()) {
+      throw new Error(`${paymentMethod} non configuré`);
     }
 
-    // Créer la session de paiement Wave
-    const response = await axios.post(
-      `${WAVE_CONFIG.baseUrl}/checkout/sessions`,
-      {
-        amount: amount.toString(),
-        currency,
-        error_url: `${WAVE_CONFIG.callbackUrl}/error`,
-        success_url: `${WAVE_CONFIG.callbackUrl}/success`,
-        client_reference: reference,
-        metadata: {
-          phoneNumber: phoneNumber || '',
-          description: description || 'Cotisation tontine',
-          userEmail: userEmail || '',
-          userName: userName || '',
-        },
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${WAVE_CONFIG.apiKey}`,
-          'Content-Type': 'application/json',
-        },
-        timeout: 30000, // 30 secondes
-      }
-    );
-
-    logger.info(`Paiement Wave initié avec succès - Session ID: ${response.data.id}`);
-
-    return {
-      success: true,
-      paymentUrl: response.data.wave_launch_url,
-      paymentId: response.data.id,
-      reference: response.data.client_reference,
-      expiresAt: response.data.when_expires,
-      status: 'pending',
-    };
+    return await provider.initiate(paymentData);
   } catch (error) {
-    logger.error('Erreur initiation paiement Wave:', {
-      message: error.message,
-      response: error.response?.data,
-      status: error.response?.status,
-    });
-    
+    logger.error('Erreur initiation paiement:', error);
     return {
       success: false,
-      error: error.response?.data?.message || error.message || 'Erreur lors de l\'initiation du paiement Wave',
-      errorCode: error.response?.status,
+      error: error.message,
     };
   }
 };
 
 /**
- * Vérifier le statut d'un paiement Wave
- * @param {String} paymentId - ID de la session Wave
+ * Vérifier le statut d'un paiement selon la méthode
+ * @param {String} paymentMethod - Méthode de paiement
+ * @param {String} paymentId - ID du paiement
+ * @param {Object} paymentData - Référence et montant (requis par Orange Money)
  * @returns {Object} - Statut du paiement
  */
-const checkWavePaymentStatus = async (paymentId) => {
-  try {
-    logger.info(`Vérification statut paiement Wave - Session ID: ${paymentId}`);
-
-    const response = await axios.get(
-      `${WAVE_CONFIG.baseUrl}/checkout/sessions/${paymentId}`,
-      {
-        headers: {
-          Authorization: `Bearer ${WAVE_CONFIG.apiKey}`,
-        },
-        timeout: 15000,
-      }
-    );
-
-    const data = response.data;
-    const status = data.payment_status; // 'pending', 'successful', 'failed', 'cancelled'
-
-    logger.info(`Statut paiement Wave ${paymentId}: ${status}`);
-
-    return {
-      success: true,
-      status,
-      isPaid: status === 'successful',
-      isFailed: status === 'failed',
-      isCancelled: status === 'cancelled',
-      isPending: status === 'pending',
-      amount: parseFloat(data.amount),
-      currency: data.currency,
-      reference: data.client_reference,
-      paidAt: data.when_completed || null,
-      createdAt: data.when_created,
-      expiresAt: data.when_expires,
-    };
-  } catch (error) {
-    logger.error('Erreur vérification statut Wave:', {
-      message: error.message,
-      response: error.response?.data,
-    });
-    
-    return {
-      success: false,
-      error: error.response?.data?.message || 'Impossible de vérifier le statut du paiement',
-    };
-  }
-};
-
-/**
- * Traiter un webhook Wave
- * @param {Object} webhookData - Données du webhook
- * @returns {Object} - Données traitées
- */
-const processWaveWebhook = async (webhookData) => {
+const checkPaymentStatus = async (paymentMethod, paymentId, paymentData = {}) => {
   try {
-    logger.info('Traitement webhook Wave:', webhookData);
-
-    const { 
-      id, 
-      payment_status, 
-      client_reference, 
-      amount, 
-      currency,
-      when_completed 
-    } = webhookData;
-
-    // Vérifier la signature du webhook (si Wave le supporte)
-    // TODO: Implémenter la vérification de signature si disponible
-
-    return {
-      success: true,
-      sessionId: id,
-      status: payment_status,
-      reference: client_reference,
-      amount: parseFloat(amount),
-      currency,
-      completedAt: when_completed,
-      isPaid: payment_status === 'successful',
-    };
+    return await resolveProvider(paymentMethod).status(paymentId, paymentData);
   } catch (error) {
-    logger.error('Erreur traitement webhook Wave:', error);
-    
+    logger.error('Erreur vérification statut:', error);
     return {
       success: false,
-      error: 'Erreur lors du traitement du webhook',
+      error: error.message,
     };
   }
 };
 
 /**
- * Effectuer un remboursement Wave (si supporté)
- * @param {String} paymentId - ID de la session
- * @param {Number} amount - Montant à rembourser
+ * Rembourser un paiement
+ * @param {String} paymentMethod - Méthode de paiement
+ * @param {String} paymentId - ID du paiement chez le provider
+ * @param {Number} amount - Montant (null = total)
  * @returns {Object} - Résultat du remboursement
  */
-const refundWavePayment = async (paymentId, amount = null) => {
+const refundPayment = async (paymentMethod, paymentId, amount = null) => {
   try {
-    logger.info(`Demande remboursement Wave - Session: ${paymentId}, Montant: ${amount || 'Total'}`);
-
-    // NOTE: Vérifier si Wave supporte les remboursements via API
-    // Sinon, cette fonctionnalité devra être gérée manuellement
-
-    const response = await axios.post(
-      `${WAVE_CONFIG.baseUrl}/checkout/sessions/${paymentId}/refund`,
-      {
-        amount: amount ? amount.toString() : undefined,
-      },
-      {
-        headers: {
-          Authorization: `Bearer ${WAVE_CONFIG.apiKey}`,
-          'Content-Type': 'application/json',
-        },
-      }
-    );
-
-    logger.info(`Remboursement Wave initié - Refund ID: ${response.data.refund_id}`);
-
-    return {
-      success: true,
-      refundId: response.data.refund_id,
-      amount: response.data.amount,
-      status: response.data.status,
-    };
+    return await resolveProvider(paymentMethod).refund(paymentId, amount);
   } catch (error) {
-    logger.error('Erreur remboursement Wave:', error.response?.data || error.message);
-    
-    // Si l'API ne supporte pas les remboursements
-    if (error.response?.status === 404) {
-      logger.warn('Les remboursements Wave doivent être effectués manuellement');
-      return {
-        success: false,
-        error: 'Remboursement manuel requis - contactez le support Wave',
-        manualRefundRequired: true,
-      };
-    }
-    
+    logger.error('Erreur remboursement:', error);
     return {
       success: false,
-      error: 'Erreur lors du remboursement',
+      error: error.message,
     };
   }
 };
 
 /**
- * Vérifier la configuration Wave
- * @returns {Boolean} - True si configuré correctement
+ * Verser de l'argent à un bénéficiaire
+ * @param {String} paymentMethod - Méthode de versement
+ * @param {Object} payoutData - { amount, phoneNumber, name, reference }
+ * @returns {Object} - Résultat du versement
  */
-const isWaveConfigured = () => {
-  const isConfigured = !!(
-    WAVE_CONFIG.apiKey && 
-    WAVE_CONFIG.apiSecret && 
-    WAVE_CONFIG.baseUrl
-  );
-
-  if (!isConfigured) {
-    logger.warn('Configuration Wave incomplète dans .env');
-  }
-
-  return isConfigured;
-};
-
-/**
- * Router le paiement selon le moyen choisi
- * @param {String} paymentMethod - Méthode de paiement
- * @param {Object} paymentData - Données du paiement
- * @returns {Object} - Résultat de l'initiation
- */
-const initiatePayment = async (paymentMethod, paymentData) => {
+const initiatePayout = async (paymentMethod, payoutData) => {
   try {
-    logger.info(`Initiation paiement - Méthode: ${paymentMethod}`);
-
-    switch (paymentMethod) {
-      case PAYMENT_METHODS.WAVE:
-        if (!isWaveConfigured()) {
-          throw new Error('Wave non configuré');
-        }
-        return await initiateWavePayment(paymentData);
+    logger.info(`Initiation versement - Méthode: ${paymentMethod}`);
 
-      case PAYMENT_METHODS.ORANGE_MONEY:
-        // TODO: Implémenter si nécessaire
-        logger.warn('Orange Money non implémenté');
-        return {
-          success: false,
-          error: 'Orange Money non disponible pour le moment',
-        };
+    const provider = resolveProvider(paymentMethod);
 
-      case PAYMENT_METHODS.CASH:
-        // Paiement cash - pas d'intégration API
-        logger.info('Paiement cash - validation manuelle requise');
-        return {
-          success: true,
-          paymentMethod: 'cash',
-          requiresManualValidation: true,
-          message: 'Paiement cash enregistré - validation manuelle requise',
-        };
+    if (!provider.supportsPayout) {
+      throw new Error(`${paymentMethod} ne permet pas de verser la cagnotte`);
+    }
 
-      default:
-        throw new Error(`Méthode de paiement non supportée: ${paymentMethod}`);
+    if (!provider.isConfigured()) {
+      throw new Error(`${paymentMethod} non configuré`);
     }
+
+    return await provider.payout(payoutData);
   } catch (error) {
-    logger.error('Erreur initiation paiement:', error);
+    logger.error('Erreur initiation versement:', error);
     return {
       success: false,
       error: error.message,
@@ -304,35 +114,22 @@ const initiatePayment = async (paymentMethod, paymentData) => {
 };
 
 /**
- * Vérifier le statut d'un paiement selon la méthode
- * @param {String} paymentMethod - Méthode de paiement
- * @param {String} paymentId - ID du paiement
- * @returns {Object} - Statut du paiement
+ * Vérifier le statut d'un versement asynchrone
+ * @param {String} paymentMethod - Méthode de versement
+ * @param {String} payoutId - ID du versement chez le provider
+ * @returns {Object} - Statut du versement
  */
-const checkPaymentStatus = async (paymentMethod, paymentId) => {
+const checkPayoutStatus = async (paymentMethod, payoutId) => {
   try {
-    switch (paymentMethod) {
-      case PAYMENT_METHODS.WAVE:
-        return await checkWavePaymentStatus(paymentId);
-
-      case PAYMENT_METHODS.ORANGE_MONEY:
-        return {
-          success: false,
-          error: 'Orange Money non implémenté',
-        };
+    const provider = resolveProvider(paymentMethod);
 
-      case PAYMENT_METHODS.CASH:
-        return {
-          success: true,
-          status: 'pending',
-          requiresManualValidation: true,
-        };
-
-      default:
-        throw new Error(`Méthode non supportée: ${paymentMethod}`);
+    if (typeof provider.payoutStatus !== 'function') {
+      return { success: false, error: `${paymentMethod} ne permet pas de suivre un versement` };
     }
+
+    return await provider.payoutStatus(payoutId);
   } catch (error) {
-    logger.error('Erreur vérification statut:', error);
+    logger.error('Erreur vérification versement:', error);
     return {
       success: false,
       error: error.message,
@@ -341,11 +138,13 @@ const checkPaymentStatus = async (paymentMethod, paymentId) => {
 };
 
 module.exports = {
-  initiateWavePayment,
-  checkWavePaymentStatus,
-  processWaveWebhook,
-  refundWavePayment,
-  isWaveConfigured,
+  registerDefaultProviders: registry.registerDefaultProviders,
   initiatePayment,
   checkPaymentStatus,
-};
\ No newline at end of file
+  refundPayment,
+  initiatePayout,
+  checkPayoutStatus,
+  getProvider: registry.getProvider,
+  getProviderByCode: registry.getProviderByCode,
+  registerProvider: registry.registerProvider,
+};
@@ -0,0 +1,412 @@
+// services/payout.service.js
+const Tirage = require('../models/Tirage');
+const Tontine = require('../models/Tontine');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const paymentService = require('./payment.service');
+const ledgerService = require('./ledger.service');
+const logger = require('../utils/logger');
+const { PAYMENT_METHODS } = require('../config/constants');
+
+const PAYOUT_CONFIG = {
+  defaultMethod: process.env.PAYOUT_DEFAULT_METHOD || PAYMENT_METHODS.WAVE,
+  maxAttempts: parseInt(process.env.PAYOUT_MAX_ATTEMPTS, 10) || 3,
+  retryDelayMinutes: parseInt(process.env.PAYOUT_RETRY_DELAY_MINUTES, 10) || 30,
+};
+
+/**
+ * Délai avant la prochaine tentative (double à chaque échec)
+ */
+const getNextAttemptDate = (tentatives) => {
+  if (tentatives >= PAYOUT_CONFIG.maxAttempts) {
+    return null;
+  }
+  const delaiMinutes = PAYOUT_CONFIG.retryDelayMinutes * Math.pow(2, tentatives - 1);
+  return new Date(Date.now() + delaiMinutes * 60 * 1000);
+};
+
+/**
+ * Écrire l'action PAY_TIRAGE dans le journal d'audit
+ */
+const logPayout = async (tirage, user, success, errorMessage = null) => {
+  try {
+    await AuditLog.create({
+      userId: user ? user._id : null,
+      userEmail: user ? user.email : 'Système',
+      userRole: user ? user.role : 'Système',
+      action: 'PAY_TIRAGE',
+      resource: 'Tirage',
+      resourceId: tirage._id,
+      details: {
+        body: {
+          tontineId: tirage.tontineId,
+          beneficiaireId: tirage.beneficiaireId,
+          montant: tirage.montantDistribue,
+          moyenPaiement: tirage.moyenPaiement,
+          referencePaiement: tirage.referencePaiement,
+          tentative: tirage.tentativesPaiement,
+        },
+      },
+      statusCode: success ? 200 : 502,
+      success,
+      errorMessage,
+      severity: success ? 'info' : 'warning',
+    });
+  } catch (error) {
+    logger.error('Erreur audit PAY_TIRAGE:', error);
+  }
+};
+
+/**
+ * Confirmer le versement : tirage payé + cagnotte distribuée
+ */
+const confirmPayout = async (tirage, user) => {
+  tirage.marquerPaye(tirage.moyenPaiement, tirage.referencePaiement);
+  tirage.erreurPaiement = undefined;
+  tirage.prochaineTentative = undefined;
+  tirage.historiquePaiement.push({
+    statut: 'paye',
+    moyenPaiement: tirage.moyenPaiement,
+    reference: tirage.referencePaiement,
+  });
+  await tirage.save();
+
+  await Tontine.updateOne(
+    { _id: tirage.tontineId },
+    { $inc: { 'stats.montantTotalDistribue': tirage.montantDistribue } }
+  );
+
+  await ledgerService.safePost(ledgerService.recordPayout, tirage, user);
+
+  await logPayout(tirage, user, true);
+
+  logger.info(
+    `Versement tirage #${tirage.numeroTirage} confirmé - ${tirage.montantDistribue} FCFA via ${tirage.moyenPaiement}`
+  );
+};
+
+/**
+ * Enregistrer un échec de versement et planifier une nouvelle tentative
+ */
+const failPayout = async (tirage, user, erreur) => {
+  const prochaineTentative = getNextAttemptDate(tirage.tentativesPaiement);
+
+  tirage.marquerEchecPaiement(erreur, prochaineTentative);
+  tirage.historiquePaiement.push({
+    statut: 'echec',
+    moyenPaiement: tirage.moyenPaiement,
+    reference: tirage.referencePaiement,
+    erreur,
+  });
+  await tirage.save();
+
+  await logPayout(tirage, user, false, erreur);
+
+  logger.warn(
+    `Versement tirage #${tirage.numeroTirage} échoué (tentative ${tirage.tentativesPaiement}/${PAYOUT_CONFIG.maxAttempts}): ${erreur}` +
+      (prochaineTentative ? ` - nouvelle tentative le ${prochaineTentative.toISOString()}` : '')
+  );
+};
+
+/**
+ * Position partagée : le tirage n'est payé qu'une fois toutes les quotes-parts versées,
+ * sinon il reste en attente des versements suivis chez le provider
+ */
+const finaliserRepartition = async (tirage, user) => {
+  if (tirage.repartition.every((part) => part.statutPaiement === 'paye')) {
+    await confirmPayout(tirage, user);
+    return;
+  }
+
+  tirage.statutPaiement = 'en_attente';
+  await tirage.save();
+};
+
+/**
+ * Verser à chaque co-titulaire sa quote-part de la cagnotte
+ * Les quotes-parts déjà versées (ou en cours chez le provider) ne sont pas relancées
+ */
+const verserRepartition = async (tirage, methode, user) => {
+  const titulaires = await User.find({
+    _id: { $in: tirage.repartition.map((part) => part.userId) },
+  }).select('prenom nom numeroTelephone');
+
+  const partsAVerser = tirage.repartition.filter((part) => part.statutPaiement === 'en_attente');
+
+  for (const part of partsAVerser) {
+    const titulaire = titulaires.find((u) => u._id.equals(part.userId));
+
+    if (!titulaire?.numeroTelephone) {
+      throw new Error(`Numéro de téléphone du co-titulaire ${part.userId} introuvable`);
+    }
+
+    const result = await paymentService.initiatePayout(methode, {
+      amount: part.montant,
+      phoneNumber: titulaire.numeroTelephone,
+      name: `${titulaire.prenom} ${titulaire.nom}`,
+      reference: `TIRAGE-${tirage._id}-${part.userId}-${tirage.tentativesPaiement}`,
+    });
+
+    if (!result.success || result.isFailed) {
+      await failPayout(tirage, user, result.error || 'Versement refusé par le provider');
+      return;
+    }
+
+    part.referencePaiement = result.payoutId;
+    part.statutPaiement = result.isCompleted ? 'paye' : 'en_cours';
+
+    if (!result.isCompleted) {
+      tirage.historiquePaiement.push({
+        statut: 'en_cours',
+        moyenPaiement: methode,
+        reference: result.payoutId,
+      });
+    }
+  }
+
+  await finaliserRepartition(tirage, user);
+};
+
+/**
+ * Verser la cagnotte d'un tirage à son bénéficiaire
+ * (ou à chaque co-titulaire selon sa quote-part si la position est partagée)
+ * Pour un moyen manuel (Cash, Virement), l'appel vaut confirmation du trésorier
+ * @param {String} tirageId - ID du tirage
+ * @param {Object} options - { moyenPaiement, referencePaiement, notes, user }
+ * @returns {Object} - Tirage mis à jour
+ */
+const payTirage = async (tirageId, options = {}) => {
+  const { moyenPaiement, referencePaiement, notes, user = null } = options;
+
+  // Réserver le tirage pour éviter deux versements simultanés
+  const tirage = await Tirage.findOneAndUpdate(
+    { _id: tirageId, statutPaiement: { $nin: ['paye', 'annule'] }, paiementEnCours: { $ne: true } },
+    { $set: { paiementEnCours: true } },
+    { new: true }
+  );
+
+  if (!tirage) {
+    const existant = await Tirage.findById(tirageId).select('statutPaiement');
+    if (!existant) {
+      throw new Error('Tirage introuvable');
+    }
+    const messages = { paye: 'Tirage déjà payé', annule: 'Tirage annulé' };
+    throw new Error(messages[existant.statutPaiement] || 'Versement déjà en cours');
+  }
+
+  tirage.tentativesPaiement += 1;
+
+  try {
+    const beneficiaire = await User.findById(tirage.beneficiaireId).select(
+      'prenom nom numeroTelephone'
+    );
+
+    if (!beneficiaire) {
+      throw new Error('Bénéficiaire introuvable');
+    }
+
+    const methode = moyenPaiement || tirage.moyenPaiement || PAYOUT_CONFIG.defaultMethod;
+    const provider = paymentService.getProvider(methode);
+
+    if (!provider) {
+      throw new Error(`Méthode de versement non supportée: ${methode}`);
+    }
+
+    tirage.moyenPaiement = methode;
+    if (notes) tirage.notes = notes;
+
+    if (provider.requiresManualValidation) {
+      tirage.referencePaiement = referencePaiement || tirage.referencePaiement;
+      tirage.repartition.forEach((part) => {
+        part.statutPaiement = 'paye';
+      });
+      await confirmPayout(tirage, user);
+      return tirage;
+    }
+
+    if (tirage.repartition?.length) {
+      await verserRepartition(tirage, methode, user);
+      return tirage;
+    }
+
+    if (!beneficiaire.numeroTelephone) {
+      throw new Error('Numéro de téléphone du bénéficiaire introuvable');
+    }
+
+    const result = await paymentService.initiatePayout(methode, {
+      amount: tirage.montantDistribue,
+      phoneNumber: beneficiaire.numeroTelephone,
+      name: `${beneficiaire.prenom} ${beneficiaire.nom}`,
+      reference: `TIRAGE-${tirage._id}-${tirage.tentativesPaiement}`,
+    });
+
+    if (!result.success || result.isFailed) {
+      await failPayout(tirage, user, result.error || 'Versement refusé par le provider');
+      return tirage;
+    }
+
+    tirage.referencePaiement = result.payoutId;
+
+    if (result.isCompleted) {
+      await confirmPayout(tirage, user);
+    } else {
+      // Versement asynchrone : confirmé plus tard par refreshPendingPayouts
+      tirage.statutPaiement = 'en_attente';
+      tirage.historiquePaiement.push({
+        statut: 'en_cours',
+        moyenPaiement: methode,
+        reference: result.payoutId,
+      });
+      await tirage.save();
+    }
+
+    return tirage;
+  } catch (error) {
+    if (tirage.statutPaiement === 'paye') {
+      throw error;
+    }
+    await failPayout(tirage, user, error.message);
+    return tirage;
+  } finally {
+    tirage.paiementEnCours = false;
+    await Tirage.updateOne({ _id: tirage._id }, { $set: { paiementEnCours: false } });
+  }
+};
+
+/**
+ * Relancer les versements échoués dont la prochaine tentative est échue
+ * @returns {Object} - { traites, payes, echecs }
+ */
+const retryFailedPayouts = async () => {
+  const tirages = await Tirage.find({
+    statutPaiement: 'echec',
+    prochaineTentative: { $lte: new Date() },
+    tentativesPaiement: { $lt: PAYOUT_CONFIG.maxAttempts },
+  }).select('_id');
+
+  const results = { traites: 0, payes: 0, echecs: 0 };
+
+  for (const { _id } of tirages) {
+    try {
+      const tirage = await payTirage(_id);
+      results.traites++;
+      if (tirage.statutPaiement === 'paye') results.payes++;
+      if (tirage.statutPaiement === 'echec') results.echecs++;
+    } catch (error) {
+      logger.error(`Erreur relance versement tirage ${_id}:`, error.message);
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Suivre les quotes-parts en cours de versement d'une position partagée
+ * Quand une autre quote-part a déjà échoué (tirage en échec), seules les parts suivies sont
+ * mises à jour : la relance programmée reverse celles qui restent en attente
+ * @returns {String|null} - 'paye', 'echec', 'en_attente' ou null si aucun statut n'a changé
+ */
+const refreshRepartition = async (tirage) => {
+  let modifie = false;
+  let erreur = null;
+
+  for (const part of tirage.repartition.filter((p) => p.statutPaiement === 'en_cours')) {
+    const status = await paymentService.checkPayoutStatus(tirage.moyenPaiement, part.referencePaiement);
+
+    if (!status.success) continue;
+
+    if (status.isCompleted) {
+      part.statutPaiement = 'paye';
+      modifie = true;
+    } else if (status.isFailed) {
+      // Quote-part relancée à la prochaine tentative
+      part.statutPaiement = 'en_attente';
+      erreur = status.error || 'Versement échoué chez le provider';
+    }
+  }
+
+  if (tirage.statutPaiement === 'echec') {
+    if (!modifie && !erreur) {
+      return null;
+    }
+
+    if (tirage.repartition.every((part) => part.statutPaiement === 'paye')) {
+      await confirmPayout(tirage, null);
+      return 'paye';
+    }
+
+    if (erreur) {
+      tirage.historiquePaiement.push({ statut: 'echec', moyenPaiement: tirage.moyenPaiement, erreur });
+    }
+    await tirage.save();
+    return erreur ? 'echec' : 'en_attente';
+  }
+
+  if (erreur) {
+    await failPayout(tirage, null, erreur);
+    return 'echec';
+  }
+
+  if (!modifie) {
+    return null;
+  }
+
+  await finaliserRepartition(tirage, null);
+  return tirage.statutPaiement;
+};
+
+/**
+ * Suivre les versements asynchrones en cours chez le provider
+ * (quotes-parts suivies comprises, même si le tirage est passé en échec entre-temps)
+ * @returns {Object} - { traites, payes, echecs }
+ */
+const refreshPendingPayouts = async () => {
+  const tirages = await Tirage.find({
+    paiementEnCours: { $ne: true },
+    tentativesPaiement: { $gt: 0 },
+    $or: [
+      { statutPaiement: 'en_attente', referencePaiement: { $exists: true, $ne: null } },
+      { statutPaiement: { $in: ['en_attente', 'echec'] }, 'repartition.statutPaiement': 'en_cours' },
+    ],
+  });
+
+  const results = { traites: 0, payes: 0, echecs: 0 };
+
+  for (const tirage of tirages) {
+    if (tirage.repartition?.length) {
+      const statut = await refreshRepartition(tirage);
+      if (!statut) continue;
+
+      results.traites++;
+      if (statut === 'paye') results.payes++;
+      if (statut === 'echec') results.echecs++;
+      continue;
+    }
+
+    const status = await paymentService.checkPayoutStatus(
+      tirage.moyenPaiement,
+      tirage.referencePaiement
+    );
+
+    if (!status.success) continue;
+
+    results.traites++;
+
+    if (status.isCompleted) {
+      await confirmPayout(tirage, null);
+      results.payes++;
+    } else if (status.isFailed) {
+      await failPayout(tirage, null, status.error || 'Versement échoué chez le provider');
+      results.echecs++;
+    }
+  }
+
+  return results;
+};
+
+module.exports = {
+  PAYOUT_CONFIG,
+  payTirage,
+  retryFailedPayouts,
+  refreshPendingPayouts,
+};
@@ -4,8 +4,9 @@ const Transaction = require('../models/Transaction');
 const Tontine = require('../models/Tontine');
 const User = require('../models/User');
 const emailService = require('./email.service');
+const contributionService = require('./contribution.service');
+const ledgerService = require('./ledger.service');
 const logger = require('../utils/logger');
-const { TRANSACTION_STATUS } = require('../config/constants');
 
 /**
  * Calculer les penalites pour une transaction en retard
@@ -47,34 +48,21 @@ const calculatePenalty = (montantCotisation, joursRetard, tauxPenalite, delaiGra
 };
 
 /**
- * Appliquer une penalite a une transaction
+ * Appliquer (ou mettre a jour) la penalite d'une echeance non soldee
+ * La penalite est calculee sur le reste a payer de l'echeance, pas sur la cotisation entiere
+ * @param {Object} tontine - Document Tontine
+ * @param {Object} user - Membre (prenom, email)
+ * @param {Object} echeance - Ligne de l'echeancier (contribution.service)
  */
-const applyPenaltyToTransaction = async (transactionId) => {
+const applyPenaltyToEcheance = async (tontine, user, echeance) => {
   try {
-    const transaction = await Transaction.findById(transactionId)
-      .populate('userId', 'prenom nom email')
-      .populate('tontineId', 'nom tauxPenalite delaiGrace');
-
-    if (!transaction) {
-      throw new Error('Transaction introuvable');
-    }
-
-    if (transaction.statut !== TRANSACTION_STATUS.EN_ATTENTE) {
-      throw new Error('Seules les transactions en attente peuvent avoir des penalites');
-    }
-
-    const tontine = transaction.tontineId;
-    const joursRetard = transaction.calculerRetard();
-
-    if (joursRetard <= tontine.delaiGrace) {
-      logger.info(`Transaction ${transactionId} - Pas de penalite (delai de grace)`);
+    if (echeance.resteAPayer <= 0 || echeance.joursRetard <= tontine.delaiGrace) {
       return null;
     }
 
-    // Calculer penalite
     const penalityCalc = calculatePenalty(
-      transaction.montantCotisation || transaction.montant,
-      joursRetard,
+      echeance.resteAPayer,
+      echeance.joursRetard,
       tontine.tauxPenalite,
       tontine.delaiGrace
     );
@@ -83,55 +71,63 @@ const applyPenaltyToTransaction = async (transactionId) => {
       return null;
     }
 
-    // Verifier si penalite deja existante pour cette transaction
+    // Une seule penalite par echeance (exoneree = ne plus la recalculer)
     const existingPenalty = await Penalite.findOne({
-      transaction: transactionId,
-      statut: 'Appliquee',
+      userId: user._id,
+      tontineId: tontine._id,
+      echeanceNumero: echeance.numeroEcheance,
+      statut: { $in: ['active', 'exoneree'] },
     });
 
     if (existingPenalty) {
-      // Mettre a jour si montant change
-      if (existingPenalty.montant !== penalityCalc.montantPenalite) {
-        existingPenalty.montant = penalityCalc.montantPenalite;
-        existingPenalty.joursRetard = joursRetard;
-        existingPenalty.calculDetails = penalityCalc.details;
+      if (
+        existingPenalty.statut === 'active' &&
+        existingPenalty.montantPenalite !== penalityCalc.montantPenalite
+      ) {
+        existingPenalty.montantPenalite = penalityCalc.montantPenalite;
+        existingPenalty.montantCotisation = echeance.resteAPayer;
+        existingPenalty.joursRetard = echeance.joursRetard;
+        existingPenalty.notes = penalityCalc.details;
+        existingPenalty.dateCalcul = new Date();
         await existingPenalty.save();
+        await ledgerService.safePost(ledgerService.recordPenalty, existingPenalty);
 
-        logger.info(`Penalite mise a jour - Transaction ${transactionId}: ${penalityCalc.montantPenalite} FCFA`);
-        return existingPenalty;
+        logger.info(
+          `Penalite mise a jour - ${user.email} echeance ${echeance.numeroEcheance}: ${penalityCalc.montantPenalite} FCFA`
+        );
       }
-      return existingPenalty;
+      return null;
     }
 
-    // Creer nouvelle penalite
     const newPenalty = await Penalite.create({
-      user: transaction.userId._id,
-      tontine: transaction.tontineId._id,
-      transaction: transactionId,
-      montant: penalityCalc.montantPenalite,
-      joursRetard,
+      userId: user._id,
+      tontineId: tontine._id,
+      echeanceNumero: echeance.numeroEcheance,
+      dateEcheance: echeance.dateEcheance,
+      montantPenalite: penalityCalc.montantPenalite,
+      montantCotisation: echeance.resteAPayer,
+      joursRetard: echeance.joursRetard,
       tauxApplique: tontine.tauxPenalite,
-      calculDetails: penalityCalc.details,
-      statut: 'Appliquee',
+      notes: penalityCalc.details,
+      statut: 'active',
     });
 
-    // Mettre a jour la transaction
-    transaction.montantPenalite = penalityCalc.montantPenalite;
-    transaction.joursRetard = joursRetard;
-    await transaction.save();
+    await ledgerService.safePost(ledgerService.recordPenalty, newPenalty);
 
     // Notifier l'utilisateur
     try {
       await emailService.sendEmail(
-        transaction.userId.email,
+        user.email,
         `Penalite appliquee - ${tontine.nom}`,
-        `Bonjour ${transaction.userId.prenom},\n\nUne penalite de ${penalityCalc.montantPenalite} FCFA a ete appliquee a votre cotisation en retard.\n\nRetard : ${joursRetard} jours\nMontant cotisation : ${transaction.montantCotisation} FCFA\nPenalite : ${penalityCalc.montantPenalite} FCFA\nTotal a payer : ${transaction.montantCotisation + penalityCalc.montantPenalite} FCFA\n\n${penalityCalc.details}`
+        `Bonjour ${user.prenom},\n\nUne penalite de ${penalityCalc.montantPenalite} FCFA a ete appliquee sur le solde en retard de l'echeance ${echeance.numeroEcheance}.\n\nRetard : ${echeance.joursRetard} jours\nReste a payer sur l'echeance : ${echeance.resteAPayer} FCFA\nPenalite : ${penalityCalc.montantPenalite} FCFA\n\n${penalityCalc.details}`
       );
     } catch (emailError) {
       logger.error('Erreur envoi email penalite:', emailError);
     }
 
-    logger.info(`Penalite appliquee - Transaction ${transactionId}: ${penalityCalc.montantPenalite} FCFA`);
+    logger.info(
+      `Penalite appliquee - ${user.email} echeance ${echeance.numeroEcheance}: ${penalityCalc.montantPenalite} FCFA`
+    );
     return newPenalty;
   } catch (error) {
     logger.error('Erreur application penalite:', error);
@@ -141,40 +137,46 @@ const applyPenaltyToTransaction = async (transactionId) => {
 
 /**
  * Calculer toutes les penalites en attente pour une tontine
+ * Base : solde restant de chaque echeance echue (paiements partiels et avances compris)
  */
 const calculatePendingPenaltiesForTontine = async (tontineId) => {
   try {
-    const tontine = await Tontine.findById(tontineId);
+    const tontine = await Tontine.findById(tontineId).populate('membres.userId', 'prenom nom email');
     if (!tontine) {
       throw new Error('Tontine introuvable');
     }
 
-    // Trouver toutes les transactions en retard
-    const transactionsEnRetard = await Transaction.find({
-      tontineId,
-      statut: TRANSACTION_STATUS.EN_ATTENTE,
-      dateEcheance: { $lt: new Date() },
-    }).populate('userId', 'prenom nom email');
+    const ledgers = await contributionService.getTontineLedgers(tontine);
 
     const results = {
-      total: transactionsEnRetard.length,
+      total: 0,
       penalitesAppliquees: 0,
       montantTotal: 0,
       errors: [],
     };
 
-    for (const transaction of transactionsEnRetard) {
-      try {
-        const penalty = await applyPenaltyToTransaction(transaction._id);
-        if (penalty) {
-          results.penalitesAppliquees++;
-          results.montantTotal += penalty.montant;
+    // La dette d'un membre sorti est arrêtée à sa sortie (sortiesMembres)
+    for (const membre of tontine.getMembresPresents()) {
+      if (!membre.userId) continue;
+
+      const ledger = ledgers.get(membre.userId._id.toString());
+      const echeancesEnRetard = ledger.echeances.filter((e) => e.echue && e.resteAPayer > 0);
+
+      for (const echeance of echeancesEnRetard) {
+        results.total++;
+        try {
+          const penalty = await applyPenaltyToEcheance(tontine, membre.userId, echeance);
+          if (penalty) {
+            results.penalitesAppliquees++;
+            results.montantTotal += penalty.montantPenalite;
+          }
+        } catch (error) {
+          results.errors.push({
+            userId: membre.userId._id,
+            echeanceNumero: echeance.numeroEcheance,
+            error: error.message,
+          });
         }
-      } catch (error) {
-        results.errors.push({
-          transactionId: transaction._id,
-          error: error.message,
-        });
       }
     }
 
@@ -202,6 +204,9 @@ const calculateAllPendingPenalties = async () => {
 
     for (const tontine of tontinesActives) {
       try {
+        // Les échéances arrivées à terme sont appelées avant d'en pénaliser les retards
+        await ledgerService.safePost(ledgerService.recordDuesCalledUntil, tontine);
+
         const result = await calculatePendingPenaltiesForTontine(tontine._id);
         globalResults.tontinesTraitees++;
         globalResults.totalPenalites += result.penalitesAppliquees;
@@ -231,25 +236,30 @@ const exemptPenalty = async (penaliteId, exonerationData) => {
     const { exonerePar, raison } = exonerationData;
 
     const penalite = await Penalite.findById(penaliteId)
-      .populate('user', 'prenom nom email')
-      .populate('tontine', 'nom');
+      .populate('userId', 'prenom nom email')
+      .populate('tontineId', 'nom');
 
     if (!penalite) {
       throw new Error('Penalite introuvable');
     }
 
-    if (penalite.statut !== 'Appliquee') {
-      throw new Error('Seules les penalites appliquees peuvent etre exonerees');
+    if (penalite.statut !== 'active') {
+      throw new Error('Seules les penalites actives peuvent etre exonerees');
     }
 
-    penalite.statut = 'Exoneree';
-    penalite.exonerationRaison = raison;
-    penalite.exonerePar = exonerePar;
+    penalite.statut = 'exoneree';
+    penalite.exoneree = true;
+    penalite.raisonExoneration = raison;
+    penalite.approuveeParAdmin = true;
+    penalite.approuveePar = exonerePar;
+    penalite.dateApprobation = new Date();
     penalite.dateExoneration = new Date();
     await penalite.save();
 
+    await ledgerService.safePost(ledgerService.recordPenaltyExemption, penalite, { _id: exonerePar });
+
     // Mettre a jour la transaction
-    const transaction = await Transaction.findById(penalite.transaction);
+    const transaction = await Transaction.findById(penalite.transactionId);
     if (transaction) {
       transaction.montantPenalite = 0;
       await transaction.save();
@@ -258,9 +268,9 @@ const exemptPenalty = async (penaliteId, exonerationData) => {
     // Notifier l'utilisateur
     try {
       await emailService.sendEmail(
-        penalite.user.email,
-        `Exoneration de penalite - ${penalite.tontine.nom}`,
-        `Bonjour ${penalite.user.prenom},\n\nVotre penalite de ${penalite.montant} FCFA a ete exoneree.\n\nRaison : ${raison}`
+        penalite.userId.email,
+        `Exoneration de penalite - ${penalite.tontineId.nom}`,
+        `Bonjour ${penalite.userId.prenom},\n\nVotre penalite de ${penalite.montantPenalite} FCFA a ete exoneree.\n\nRaison : ${raison}`
       );
     } catch (emailError) {
       logger.error('Erreur envoi email exoneration:', emailError);
@@ -369,7 +379,7 @@ const getTontinePenaltyStats = async (tontineId) => {
 
 module.exports = {
   calculatePenalty,
-  applyPenaltyToTransaction,
+  applyPenaltyToEcheance,
   calculatePendingPenaltiesForTontine,
   calculateAllPendingPenalties,
   exemptPenalty,
@@ -0,0 +1,79 @@
+// services/providers/manual.provider.js
+const logger = require('../../utils/logger');
+const { PAYMENT_METHODS } = require('../../config/constants');
+
+/**
+ * Fabrique un fournisseur sans intégration API (espèces, virement...)
+ * Toutes les opérations sont enregistrées puis validées à la main par le trésorier
+ * @param {Object} options - { name, code, supportsCollection, supportsPayout }
+ * @returns {Object} - Fournisseur compatible avec le registre
+ */
+const createManualProvider = ({ name, code, supportsCollection = true, supportsPayout = true }) => ({
+  name,
+  code,
+  supportsCollection,
+  supportsPayout,
+  requiresManualValidation: true,
+
+  isConfigured: () => true,
+
+  initiate: async () => {
+    logger.info(`Paiement ${name} - validation manuelle requise`);
+    return {
+      success: true,
+      paymentMethod: code,
+      requiresManualValidation: true,
+      message: `Paiement ${name} enregistré - validation manuelle requise`,
+    };
+  },
+
+  status: async () => ({
+    success: true,
+    status: 'pending',
+    requiresManualValidation: true,
+  }),
+
+  // Aucun webhook pour un paiement manuel
+  verifyWebhook: () => ({ valid: false, error: `Aucune notification attendue pour ${name}` }),
+  parseWebhook: async () => ({
+    success: false,
+    error: `Aucune notification attendue pour ${name}`,
+  }),
+
+  refund: async (paymentId, amount = null) => {
+    logger.info(`Remboursement ${name} manuel - Montant: ${amount || 'Total'}`);
+    return {
+      success: true,
+      requiresManualValidation: true,
+      manualRefundRequired: true,
+    };
+  },
+
+  payout: async ({ amount, reference }) => {
+    logger.info(`Versement ${name} manuel - Montant: ${amount} - Ref: ${reference}`);
+    return {
+      success: true,
+      status: 'pending',
+      isCompleted: false,
+      requiresManualValidation: true,
+    };
+  },
+});
+
+const cashProvider = createManualProvider({
+  name: PAYMENT_METHODS.CASH,
+  code: 'cash',
+});
+
+// Le virement sert uniquement à verser les gains d'un tirage
+const virementProvider = createManualProvider({
+  name: PAYMENT_METHODS.VIREMENT,
+  code: 'virement',
+  supportsCollection: false,
+});
+
+module.exports = {
+  createManualProvider,
+  cashProvider,
+  virementProvider,
+};
@@ -0,0 +1,404 @@
+// services/providers/orangeMoney.provider.js
+const axios = require('axios');
+const logger = require('../../utils/logger');
+const { PAYMENT_METHODS } = require('../../config/constants');
+const { parseSignatureHeader, verifyHmacSignature } = require('./webhookSignature');
+
+/**
+ * Configuration Orange Money Web Payment (Sénégal)
+ * Documentation: https://developer.orange.com/apis/om-webpay
+ * ORANGE_MONEY_BASE_URL peut pointer vers un serveur mock local pour les tests
+ */
+const ORANGE_MONEY_CONFIG = {
+  clientId: process.env.ORANGE_MONEY_CLIENT_ID,
+  clientSecret: process.env.ORANGE_MONEY_CLIENT_SECRET,
+  merchantKey: process.env.ORANGE_MONEY_MERCHANT_KEY,
+  baseUrl: process.env.ORANGE_MONEY_BASE_URL || 'https://api.orange.com',
+  countryCode: process.env.ORANGE_MONEY_COUNTRY_CODE || 'sn',
+  currency: process.env.ORANGE_MONEY_CURRENCY || 'XOF',
+  callbackUrl: process.env.ORANGE_MONEY_CALLBACK_URL,
+  notifUrl: process.env.ORANGE_MONEY_NOTIF_URL,
+  merchantCode: process.env.ORANGE_MONEY_MERCHANT_CODE,
+  payoutPath: process.env.ORANGE_MONEY_PAYOUT_PATH || '/api/eWallet/v1/cashins',
+  webhookSecret: process.env.ORANGE_MONEY_WEBHOOK_SECRET,
+};
+
+// Cache du token OAuth Orange (valable ~1h)
+let orangeMoneyToken = {
+  value: null,
+  expiresAt: 0,
+};
+
+/**
+ * Obtenir un token d'accès OAuth Orange Money (avec cache)
+ * @returns {String} - Access token
+ */
+const getOrangeMoneyAccessToken = async () => {
+  // Marge de 60 secondes avant expiration
+  if (orangeMoneyToken.value && Date.now() < orangeMoneyToken.expiresAt - 60000) {
+    return orangeMoneyToken.value;
+  }
+
+  const credentials = Buffer.from(
+    `${ORANGE_MONEY_CONFIG.clientId}:${ORANGE_MONEY_CONFIG.clientSecret}`
+  ).toString('base64');
+
+  const response = await axios.post(
+    `${ORANGE_MONEY_CONFIG.baseUrl}/oauth/v3/token`,
+    'grant_type=client_credentials',
+    {
+      headers: {
+        Authorization: `Basic ${credentials}`,
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Accept: 'application/json',
+      },
+      timeout: 15000,
+    }
+  );
+
+  orangeMoneyToken = {
+    value: response.data.access_token,
+    expiresAt: Date.now() + (parseInt(response.data.expires_in) || 3600) * 1000,
+  };
+
+  logger.debug('Token Orange Money renouvelé');
+  return orangeMoneyToken.value;
+};
+
+/**
+ * URL de base de l'API Web Payment pour le pays configuré
+ */
+const getOrangeMoneyWebpayUrl = () => {
+  return `${ORANGE_MONEY_CONFIG.baseUrl}/orange-money-webpay/${ORANGE_MONEY_CONFIG.countryCode}/v1`;
+};
+
+/**
+ * Initier un paiement Orange Money
+ * @param {Object} paymentData - Données du paiement
+ * @returns {Object} - URL de paiement et tokens
+ */
+const initiateOrangeMoneyPayment = async (paymentData) => {
+  try {
+    const { amount, reference, description } = paymentData;
+
+    logger.info(`Initiation paiement Orange Money - Montant: ${amount} - Ref: ${reference}`);
+
+    // Validation des données
+    if (!amount || amount < 100) {
+      throw new Error('Montant invalide (minimum 100 FCFA)');
+    }
+
+    if (!reference) {
+      throw new Error('Référence de transaction requise');
+    }
+
+    const accessToken = await getOrangeMoneyAccessToken();
+
+    const response = await axios.post(
+      `${getOrangeMoneyWebpayUrl()}/webpayment`,
+      {
+        merchant_key: ORANGE_MONEY_CONFIG.merchantKey,
+        currency: ORANGE_MONEY_CONFIG.currency,
+        order_id: reference,
+        amount: Math.round(amount),
+        return_url: `${ORANGE_MONEY_CONFIG.callbackUrl}/success`,
+        cancel_url: `${ORANGE_MONEY_CONFIG.callbackUrl}/error`,
+        notif_url: ORANGE_MONEY_CONFIG.notifUrl,
+        lang: 'fr',
+        reference: description || 'Cotisation tontine',
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+        },
+        timeout: 30000,
+      }
+    );
+
+    const data = response.data;
+
+    if (parseInt(data.status) !== 201 || !data.payment_url) {
+      throw new Error(data.message || 'Réponse Orange Money invalide');
+    }
+
+    logger.info(`Paiement Orange Money initié avec succès - Pay token: ${data.pay_token}`);
+
+    return {
+      success: true,
+      paymentUrl: data.payment_url,
+      paymentId: data.pay_token,
+      notifToken: data.notif_token,
+      reference,
+      amount: Math.round(amount),
+      status: 'pending',
+    };
+  } catch (error) {
+    logger.error('Erreur initiation paiement Orange Money:', {
+      message: error.message,
+      response: error.response?.data,
+      status: error.response?.status,
+    });
+
+    return {
+      success: false,
+      error: error.response?.data?.message || error.message || 'Erreur lors de l\'initiation du paiement Orange Money',
+      errorCode: error.response?.status,
+    };
+  }
+};
+
+/**
+ * Vérifier le statut d'un paiement Orange Money
+ * @param {Object} statusData - { reference, amount, payToken }
+ * @returns {Object} - Statut du paiement
+ */
+const checkOrangeMoneyPaymentStatus = async (statusData) => {
+  try {
+    const { reference, amount, payToken } = statusData;
+
+    logger.info(`Vérification statut paiement Orange Money - Ref: ${reference}`);
+
+    const accessToken = await getOrangeMoneyAccessToken();
+
+    const response = await axios.post(
+      `${getOrangeMoneyWebpayUrl()}/transactionstatus`,
+      {
+        order_id: reference,
+        amount: Math.round(amount),
+        pay_token: payToken,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+        },
+        timeout: 15000,
+      }
+    );
+
+    const data = response.data;
+    const status = data.status; // 'INITIATED', 'PENDING', 'SUCCESS', 'FAILED', 'EXPIRED'
+
+    logger.info(`Statut paiement Orange Money ${reference}: ${status}`);
+
+    return {
+      success: true,
+      status,
+      isPaid: status === 'SUCCESS',
+      isFailed: status === 'FAILED',
+      isCancelled: status === 'EXPIRED',
+      isPending: status === 'INITIATED' || status === 'PENDING',
+      amount: Math.round(amount),
+      reference: data.order_id || reference,
+      providerTransactionId: data.txnid || null,
+    };
+  } catch (error) {
+    logger.error('Erreur vérification statut Orange Money:', {
+      message: error.message,
+      response: error.response?.data,
+    });
+
+    return {
+      success: false,
+      error: error.response?.data?.message || 'Impossible de vérifier le statut du paiement',
+    };
+  }
+};
+
+/**
+ * Traiter une notification Orange Money
+ * Orange n'envoie que { status, notif_token, txnid } : la transaction
+ * est retrouvée grâce au notif_token reçu à l'initiation
+ * @param {Object} webhookData - Données de la notification
+ * @returns {Object} - Données traitées
+ */
+const processOrangeMoneyWebhook = async (webhookData) => {
+  try {
+    logger.info('Traitement notification Orange Money:', webhookData);
+
+    const { status, notif_token, txnid } = webhookData;
+
+    if (!status || !notif_token) {
+      throw new Error('Notification Orange Money incomplète');
+    }
+
+    return {
+      success: true,
+      // Une même commande peut notifier plusieurs statuts successifs
+      eventId: `${notif_token}:${status}`,
+      notifToken: notif_token,
+      providerTransactionId: txnid || null,
+      status,
+      isPaid: status === 'SUCCESS',
+      isFailed: status === 'FAILED' || status === 'EXPIRED',
+    };
+  } catch (error) {
+    logger.error('Erreur traitement notification Orange Money:', error);
+
+    return {
+      success: false,
+      error: 'Erreur lors du traitement du webhook',
+    };
+  }
+};
+
+/**
+ * Authentifier une notification Orange Money
+ * Le notif_token et la signature HMAC (en-tête "X-Webhook-Signature: t=<timestamp>,v1=<hmac>"
+ * calculé avec ORANGE_MONEY_WEBHOOK_SECRET) sont exigés ; sans secret configuré, toute
+ * notification est refusée
+ * @param {Object} req - Requête Express (rawBody renseigné par le parser JSON)
+ * @returns {Object} - { valid, error }
+ */
+const verifyOrangeMoneyWebhook = (req) => {
+  if (!req.body || !req.body.notif_token) {
+    return { valid: false, error: 'notif_token manquant' };
+  }
+
+  const { timestamp, signatures } = parseSignatureHeader(req.get('x-webhook-signature'));
+
+  return verifyHmacSignature({
+    rawBody: req.rawBody,
+    timestamp,
+    signatures,
+    secret: ORANGE_MONEY_CONFIG.webhookSecret,
+  });
+};
+
+/**
+ * Vérifier la configuration Orange Money
+ * @returns {Boolean} - True si configuré correctement
+ */
+const isOrangeMoneyConfigured = () => {
+  const isConfigured = !!(
+    ORANGE_MONEY_CONFIG.clientId &&
+    ORANGE_MONEY_CONFIG.clientSecret &&
+    ORANGE_MONEY_CONFIG.merchantKey &&
+    ORANGE_MONEY_CONFIG.baseUrl
+  );
+
+  if (!isConfigured) {
+    logger.warn('Configuration Orange Money incomplète dans .env');
+  }
+
+  return isConfigured;
+};
+
+/**
+ * Verser de l'argent sur un compte Orange Money (cash-in marchand)
+ * @param {Object} payoutData - { amount, phoneNumber, reference }
+ * @returns {Object} - Résultat du versement
+ */
+const payoutOrangeMoney = async (payoutData) => {
+  try {
+    const { amount, phoneNumber, reference } = payoutData;
+
+    logger.info(`Versement Orange Money - Montant: ${amount} - Ref: ${reference}`);
+
+    if (!amount || amount < 100) {
+      throw new Error('Montant invalide (minimum 100 FCFA)');
+    }
+
+    if (!phoneNumber) {
+      throw new Error('Numéro de téléphone du bénéficiaire requis');
+    }
+
+    if (!ORANGE_MONEY_CONFIG.merchantCode) {
+      throw new Error('Code marchand Orange Money non configuré');
+    }
+
+    const accessToken = await getOrangeMoneyAccessToken();
+
+    const response = await axios.post(
+      `${ORANGE_MONEY_CONFIG.baseUrl}${ORANGE_MONEY_CONFIG.payoutPath}`,
+      {
+        partner: { idType: 'CODE', id: ORANGE_MONEY_CONFIG.merchantCode },
+        customer: { idType: 'MSISDN', id: phoneNumber.replace(/^\+221/, '') },
+        amount: { value: Math.round(amount), unit: ORANGE_MONEY_CONFIG.currency },
+        reference,
+        receiveNotification: false,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${accessToken}`,
+          'Content-Type': 'application/json',
+          Accept: 'application/json',
+        },
+        timeout: 30000,
+      }
+    );
+
+    const status = response.data.status; // 'SUCCESS', 'PENDING', 'FAILED'
+
+    logger.info(`Versement Orange Money ${response.data.transactionId}: ${status}`);
+
+    return {
+      success: status !== 'FAILED',
+      payoutId: response.data.transactionId,
+      status,
+      isCompleted: status === 'SUCCESS',
+      isFailed: status === 'FAILED',
+    };
+  } catch (error) {
+    logger.error('Erreur versement Orange Money:', {
+      message: error.message,
+      response: error.response?.data,
+      status: error.response?.status,
+    });
+
+    return {
+      success: false,
+      error: error.response?.data?.message || error.message || 'Erreur lors du versement Orange Money',
+      errorCode: error.response?.status,
+    };
+  }
+};
+
+/**
+ * Remboursement Orange Money
+ * L'API Web Payment ne propose pas de remboursement : traitement manuel
+ */
+const refundOrangeMoneyPayment = async (paymentId, amount = null) => {
+  logger.warn(
+    `Remboursement Orange Money manuel requis - Pay token: ${paymentId}, Montant: ${amount || 'Total'}`
+  );
+
+  return {
+    success: false,
+    error: 'Remboursement manuel requis - contactez le support Orange Money',
+    manualRefundRequired: true,
+  };
+};
+
+module.exports = {
+  name: PAYMENT_METHODS.ORANGE_MONEY,
+  code: 'orange-money',
+  supportsCollection: true,
+  supportsPayout: true,
+  requiresManualValidation: false,
+
+  isConfigured: isOrangeMoneyConfigured,
+  initiate: initiateOrangeMoneyPayment,
+  status: (paymentId, paymentData = {}) =>
+    checkOrangeMoneyPaymentStatus({
+      reference: paymentData.reference,
+      amount: paymentData.amount,
+      payToken: paymentId,
+    }),
+  verifyWebhook: verifyOrangeMoneyWebhook,
+  parseWebhook: async (payload) => {
+    const result = await processOrangeMoneyWebhook(payload);
+    if (result.success) {
+      result.transactionQuery = {
+        moyenPaiement: PAYMENT_METHODS.ORANGE_MONEY,
+        'webhookData.notifToken': result.notifToken,
+      };
+    }
+    return result;
+  },
+  refund: refundOrangeMoneyPayment,
+  payout: payoutOrangeMoney,
+};
@@ -0,0 +1,135 @@
+// services/providers/registry.js
+const logger = require('../../utils/logger');
+const waveProvider = require('./wave.provider');
+const orangeMoneyProvider = require('./orangeMoney.provider');
+const { cashProvider, virementProvider } = require('./manual.provider');
+
+/**
+ * Registre des providers de paiement
+ *
+ * Un provider est un objet qui expose :
+ *   - name                      : valeur stockée dans moyenPaiement ('Wave', 'Orange Money'...)
+ *   - code                      : identifiant URL (/transactions/webhook/:code)
+ *   - supportsCollection        : utilisable pour encaisser des cotisations
+ *   - supportsPayout            : utilisable pour verser la cagnotte
+ *   - requiresManualValidation  : pas d'API, validation par le trésorier
+ *   - isConfigured()
+ *   - initiate(paymentData)
+ *   - status(paymentId, paymentData)
+ *   - verifyWebhook(req)        : { valid, error } - signature calculée sur req.rawBody
+ *   - parseWebhook(payload)     : { success, eventId, isPaid, isFailed, status, transactionQuery }
+ *   - refund(paymentId, amount)
+ *   - payout(payoutData)        : { success, payoutId, isCompleted, isFailed, error }
+ *   - payoutStatus(payoutId)    : optionnel, suivi d'un versement asynchrone
+ */
+const providers = new Map();
+
+const REQUIRED_METHODS = [
+  'isConfigured',
+  'initiate',
+  'status',
+  'verifyWebhook',
+  'parseWebhook',
+  'refund',
+  'payout',
+];
+
+/**
+ * Enregistrer un provider
+ * @param {Object} provider - Implémentation du provider
+ */
+const registerProvider = (provider) => {
+  if (!provider || !provider.name || !provider.code) {
+    throw new Error('Un provider doit avoir un name et un code');
+  }
+
+  const missing = REQUIRED_METHODS.filter((method) => typeof provider[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Provider ${provider.name} incomplet - méthodes manquantes: ${missing.join(', ')}`);
+  }
+
+  providers.set(provider.name, provider);
+  logger.info(`Provider de paiement enregistré: ${provider.name}`);
+};
+
+/**
+ * Obtenir un provider par son nom (moyenPaiement)
+ * @param {String} name - Nom du provider
+ * @returns {Object|null}
+ */
+const getProvider = (name) => {
+  return providers.get(name) || null;
+};
+
+/**
+ * Obtenir un provider par son code URL
+ * @param {String} code - Code du provider (ex: 'orange-money')
+ * @returns {Object|null}
+ */
+const getProviderByCode = (code) => {
+  for (const provider of providers.values()) {
+    if (provider.code === code) return provider;
+  }
+  return null;
+};
+
+/**
+ * Tous les moyens de paiement enregistrés
+ * Les modèles valident leurs documents sur cette liste : un moyen retiré des encaissements
+ * (ou des versements) reste valide sur les transactions déjà enregistrées
+ * @returns {Array<String>}
+ */
+const getMethods = () => Array.from(providers.keys());
+
+/**
+ * Moyens de paiement acceptés pour les cotisations
+ * @returns {Array<String>}
+ */
+const getCollectionMethods = () => {
+  return Array.from(providers.values())
+    .filter((p) => p.supportsCollection)
+    .map((p) => p.name);
+};
+
+/**
+ * Moyens de paiement acceptés pour verser la cagnotte
+ * @returns {Array<String>}
+ */
+const getPayoutMethods = () => {
+  return Array.from(providers.values())
+    .filter((p) => p.supportsPayout)
+    .map((p) => p.name);
+};
+
+/**
+ * Enregistrer les providers livrés avec l'application
+ * Appelé au chargement du registre : les validateurs de moyenPaiement (modèles, routes)
+ * les acceptent ainsi même hors du serveur (scripts, CRON, tests)
+ */
+const registerDefaultProviders = () => {
+  [waveProvider, orangeMoneyProvider, cashProvider, virementProvider].forEach((provider) => {
+    if (!getProvider(provider.name)) {
+      registerProvider(provider);
+    }
+  });
+};
+
+/**
+ * Vider le registre (tests)
+ */
+const clearProviders = () => {
+  providers.clear();
+};
+
+module.exports = {
+  registerProvider,
+  getProvider,
+  getProviderByCode,
+  getMethods,
+  getCollectionMethods,
+  getPayoutMethods,
+  registerDefaultProviders,
+  clearProviders,
+};
+
+registerDefaultProviders();
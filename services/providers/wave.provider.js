@@ -0,0 +1,397 @@
+// services/providers/wave.provider.js
+const axios = require('axios');
+const logger = require('../../utils/logger');
+const { PAYMENT_METHODS } = require('../../config/constants');
+const { parseSignatureHeader, verifyHmacSignature } = require('./webhookSignature');
+
+/**
+ * Configuration Wave API (Sénégal)
+ * Documentation: https://docs.wave.com
+ */
+const WAVE_CONFIG = {
+  apiKey: process.env.WAVE_API_KEY,
+  apiSecret: process.env.WAVE_API_SECRET,
+  baseUrl: process.env.WAVE_BASE_URL || 'https://api.wave.com/v1',
+  callbackUrl: process.env.WAVE_CALLBACK_URL,
+  webhookSecret: process.env.WAVE_WEBHOOK_SECRET,
+};
+
+/**
+ * Initier un paiement Wave
+ * @param {Object} paymentData - Données du paiement
+ * @returns {Object} - URL de paiement et référence
+ */
+const initiateWavePayment = async (paymentData) => {
+  try {
+    const { 
+      amount, 
+      currency = 'XOF', 
+      phoneNumber, 
+      reference, 
+      description,
+      userEmail,
+      userName 
+    } = paymentData;
+
+    logger.info(`Initiation paiement Wave - Montant: ${amount} ${currency} - Ref: ${reference}`);
+
+    // Validation des données
+    if (!amount || amount < 100) {
+      throw new Error('Montant invalide (minimum 100 FCFA)');
+    }
+
+    if (!reference) {
+      throw new Error('Référence de transaction requise');
+    }
+
+    // Créer la session de paiement Wave
+    const response = await axios.post(
+      `${WAVE_CONFIG.baseUrl}/checkout/sessions`,
+      {
+        amount: amount.toString(),
+        currency,
+        error_url: `${WAVE_CONFIG.callbackUrl}/error`,
+        success_url: `${WAVE_CONFIG.callbackUrl}/success`,
+        client_reference: reference,
+        metadata: {
+          phoneNumber: phoneNumber || '',
+          description: description || 'Cotisation tontine',
+          userEmail: userEmail || '',
+          userName: userName || '',
+        },
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${WAVE_CONFIG.apiKey}`,
+          'Content-Type': 'application/json',
+        },
+        timeout: 30000, // 30 secondes
+      }
+    );
+
+    logger.info(`Paiement Wave initié avec succès - Session ID: ${response.data.id}`);
+
+    return {
+      success: true,
+      paymentUrl: response.data.wave_launch_url,
+      paymentId: response.data.id,
+      reference: response.data.client_reference,
+      expiresAt: response.data.when_expires,
+      status: 'pending',
+    };
+  } catch (error) {
+    logger.error('Erreur initiation paiement Wave:', {
+      message: error.message,
+      response: error.response?.data,
+      status: error.response?.status,
+    });
+    
+    return {
+      success: false,
+      error: error.response?.data?.message || error.message || 'Erreur lors de l\'initiation du paiement Wave',
+      errorCode: error.response?.status,
+    };
+  }
+};
+
+/**
+ * Vérifier le statut d'un paiement Wave
+ * @param {String} paymentId - ID de la session Wave
+ * @returns {Object} - Statut du paiement
+ */
+const checkWavePaymentStatus = async (paymentId) => {
+  try {
+    logger.info(`Vérification statut paiement Wave - Session ID: ${paymentId}`);
+
+    const response = await axios.get(
+      `${WAVE_CONFIG.baseUrl}/checkout/sessions/${paymentId}`,
+      {
+        headers: {
+          Authorization: `Bearer ${WAVE_CONFIG.apiKey}`,
+        },
+        timeout: 15000,
+      }
+    );
+
+    const data = response.data;
+    const status = data.payment_status; // 'pending', 'successful', 'failed', 'cancelled'
+
+    logger.info(`Statut paiement Wave ${paymentId}: ${status}`);
+
+    return {
+      success: true,
+      status,
+      isPaid: status === 'successful',
+      isFailed: status === 'failed',
+      isCancelled: status === 'cancelled',
+      isPending: status === 'pending',
+      amount: parseFloat(data.amount),
+      currency: data.currency,
+      reference: data.client_reference,
+      paidAt: data.when_completed || null,
+      createdAt: data.when_created,
+      expiresAt: data.when_expires,
+    };
+  } catch (error) {
+    logger.error('Erreur vérification statut Wave:', {
+      message: error.message,
+      response: error.response?.data,
+    });
+    
+    return {
+      success: false,
+      error: error.response?.data?.message || 'Impossible de vérifier le statut du paiement',
+    };
+  }
+};
+
+/**
+ * Traiter un webhook Wave
+ * @param {Object} webhookData - Données du webhook
+ * @returns {Object} - Données traitées
+ */
+const processWaveWebhook = async (webhookData) => {
+  try {
+    logger.info('Traitement webhook Wave:', webhookData);
+
+    const { 
+      id, 
+      payment_status, 
+      client_reference, 
+      amount, 
+      currency,
+      when_completed 
+    } = webhookData;
+
+    return {
+      success: true,
+      eventId: id,
+      sessionId: id,
+      status: payment_status,
+      reference: client_reference,
+      amount: parseFloat(amount),
+      currency,
+      completedAt: when_completed,
+      isPaid: payment_status === 'successful',
+    };
+  } catch (error) {
+    logger.error('Erreur traitement webhook Wave:', error);
+    
+    return {
+      success: false,
+      error: 'Erreur lors du traitement du webhook',
+    };
+  }
+};
+
+/**
+ * Vérifier la signature d'un webhook Wave
+ * En-tête "Wave-Signature: t=<timestamp>,v1=<hmac>" calculé sur le corps brut
+ * @param {Object} req - Requête Express (rawBody renseigné par le parser JSON)
+ * @returns {Object} - { valid, error }
+ */
+const verifyWaveWebhook = (req) => {
+  const { timestamp, signatures } = parseSignatureHeader(req.get('wave-signature'));
+
+  return verifyHmacSignature({
+    rawBody: req.rawBody,
+    timestamp,
+    signatures,
+    secret: WAVE_CONFIG.webhookSecret,
+  });
+};
+
+/**
+ * Effectuer un remboursement Wave (si supporté)
+ * @param {String} paymentId - ID de la session
+ * @param {Number} amount - Montant à rembourser
+ * @returns {Object} - Résultat du remboursement
+ */
+const refundWavePayment = async (paymentId, amount = null) => {
+  try {
+    logger.info(`Demande remboursement Wave - Session: ${paymentId}, Montant: ${amount || 'Total'}`);
+
+    // NOTE: Vérifier si Wave supporte les remboursements via API
+    // Sinon, cette fonctionnalité devra être gérée manuellement
+
+    const response = await axios.post(
+      `${WAVE_CONFIG.baseUrl}/checkout/sessions/${paymentId}/refund`,
+      {
+        amount: amount ? amount.toString() : undefined,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${WAVE_CONFIG.apiKey}`,
+          'Content-Type': 'application/json',
+        },
+      }
+    );
+
+    logger.info(`Remboursement Wave initié - Refund ID: ${response.data.refund_id}`);
+
+    return {
+      success: true,
+      refundId: response.data.refund_id,
+      amount: response.data.amount,
+      status: response.data.status,
+    };
+  } catch (error) {
+    logger.error('Erreur remboursement Wave:', error.response?.data || error.message);
+    
+    // Si l'API ne supporte pas les remboursements
+    if (error.response?.status === 404) {
+      logger.warn('Les remboursements Wave doivent être effectués manuellement');
+      return {
+        success: false,
+        error: 'Remboursement manuel requis - contactez le support Wave',
+        manualRefundRequired: true,
+      };
+    }
+    
+    return {
+      success: false,
+      error: 'Erreur lors du remboursement',
+    };
+  }
+};
+
+/**
+ * Vérifier la configuration Wave
+ * @returns {Boolean} - True si configuré correctement
+ */
+const isWaveConfigured = () => {
+  const isConfigured = !!(
+    WAVE_CONFIG.apiKey && 
+    WAVE_CONFIG.apiSecret && 
+    WAVE_CONFIG.baseUrl
+  );
+
+  if (!isConfigured) {
+    logger.warn('Configuration Wave incomplète dans .env');
+  }
+
+  return isConfigured;
+};
+
+/**
+ * Verser de l'argent sur un compte Wave (payout)
+ * @param {Object} payoutData - { amount, phoneNumber, name, reference }
+ * @returns {Object} - Résultat du versement
+ */
+const payoutWave = async (payoutData) => {
+  try {
+    const { amount, phoneNumber, name, reference, currency = 'XOF' } = payoutData;
+
+    logger.info(`Versement Wave - Montant: ${amount} ${currency} - Ref: ${reference}`);
+
+    if (!amount || amount < 100) {
+      throw new Error('Montant invalide (minimum 100 FCFA)');
+    }
+
+    if (!phoneNumber) {
+      throw new Error('Numéro de téléphone du bénéficiaire requis');
+    }
+
+    const response = await axios.post(
+      `${WAVE_CONFIG.baseUrl}/payout`,
+      {
+        currency,
+        receive_amount: amount.toString(),
+        mobile: phoneNumber,
+        name: name || undefined,
+        client_reference: reference,
+      },
+      {
+        headers: {
+          Authorization: `Bearer ${WAVE_CONFIG.apiKey}`,
+          'Content-Type': 'application/json',
+          // Même référence = même versement, Wave ne paiera pas deux fois
+          'Idempotency-Key': reference,
+        },
+        timeout: 30000,
+      }
+    );
+
+    const status = response.data.status; // 'processing', 'succeeded', 'failed'
+
+    logger.info(`Versement Wave ${response.data.id}: ${status}`);
+
+    return {
+      success: status !== 'failed',
+      payoutId: response.data.id,
+      status,
+      isCompleted: status === 'succeeded',
+      isFailed: status === 'failed',
+      error: status === 'failed' ? response.data.payout_error?.error_message : undefined,
+    };
+  } catch (error) {
+    logger.error('Erreur versement Wave:', {
+      message: error.message,
+      response: error.response?.data,
+      status: error.response?.status,
+    });
+
+    return {
+      success: false,
+      error: error.response?.data?.message || error.message || 'Erreur lors du versement Wave',
+      errorCode: error.response?.status,
+    };
+  }
+};
+
+/**
+ * Vérifier le statut d'un versement Wave
+ * @param {String} payoutId - ID du versement
+ * @returns {Object} - Statut du versement
+ */
+const checkWavePayoutStatus = async (payoutId) => {
+  try {
+    const response = await axios.get(`${WAVE_CONFIG.baseUrl}/payout/${payoutId}`, {
+      headers: {
+        Authorization: `Bearer ${WAVE_CONFIG.apiKey}`,
+      },
+      timeout: 15000,
+    });
+
+    const status = response.data.status;
+
+    return {
+      success: true,
+      payoutId,
+      status,
+      isCompleted: status === 'succeeded',
+      isFailed: status === 'failed',
+      error: status === 'failed' ? response.data.payout_error?.error_message : undefined,
+    };
+  } catch (error) {
+    logger.error('Erreur vérification versement Wave:', error.message);
+
+    return {
+      success: false,
+      error: error.response?.data?.message || error.message || 'Erreur lors de la vérification',
+    };
+  }
+};
+
+module.exports = {
+  name: PAYMENT_METHODS.WAVE,
+  code: 'wave',
+  supportsCollection: true,
+  supportsPayout: true,
+  requiresManualValidation: false,
+
+  isConfigured: isWaveConfigured,
+  initiate: initiateWavePayment,
+  status: (paymentId) => checkWavePaymentStatus(paymentId),
+  verifyWebhook: verifyWaveWebhook,
+  parseWebhook: async (payload) => {
+    const result = await processWaveWebhook(payload);
+    if (result.success) {
+      result.transactionQuery = { referenceTransaction: result.reference };
+    }
+    return result;
+  },
+  refund: refundWavePayment,
+  payout: payoutWave,
+  payoutStatus: checkWavePayoutStatus,
+};
@@ -0,0 +1,83 @@
+// services/providers/webhookSignature.js
+const crypto = require('crypto');
+
+// Écart maximal accepté entre l'horodatage signé et l'heure du serveur
+const DEFAULT_TOLERANCE_SECONDS = parseInt(process.env.WEBHOOK_TOLERANCE_SECONDS, 10) || 300;
+
+/**
+ * Lire l'en-tête de signature au format "t=<timestamp>,v1=<signature>"
+ * @param {String} header - Valeur de l'en-tête
+ * @returns {Object} - { timestamp, signatures }
+ */
+const parseSignatureHeader = (header) => {
+  const result = { timestamp: null, signatures: [] };
+
+  if (!header || typeof header !== 'string') {
+    return result;
+  }
+
+  header.split(',').forEach((part) => {
+    const [key, value] = part.trim().split('=');
+    if (key === 't') result.timestamp = value;
+    if (key === 'v1' && value) result.signatures.push(value);
+  });
+
+  return result;
+};
+
+/**
+ * Vérifier une signature HMAC-SHA256 calculée sur "<timestamp><corps brut>"
+ * @param {Object} params - { rawBody, timestamp, signatures, secret, toleranceSeconds }
+ * @returns {Object} - { valid, error }
+ */
+const verifyHmacSignature = ({
+  rawBody,
+  timestamp,
+  signatures,
+  secret,
+  toleranceSeconds = DEFAULT_TOLERANCE_SECONDS,
+}) => {
+  if (!secret) {
+    return { valid: false, error: 'Secret webhook non configuré' };
+  }
+
+  if (!rawBody) {
+    return { valid: false, error: 'Corps brut de la requête indisponible' };
+  }
+
+  if (!timestamp || !signatures || signatures.length === 0) {
+    return { valid: false, error: 'Signature ou horodatage manquant' };
+  }
+
+  const signedAt = parseInt(timestamp, 10);
+  if (Number.isNaN(signedAt)) {
+    return { valid: false, error: 'Horodatage invalide' };
+  }
+
+  const now = Math.floor(Date.now() / 1000);
+  if (Math.abs(now - signedAt) > toleranceSeconds) {
+    return { valid: false, error: 'Horodatage hors de la fenêtre de tolérance' };
+  }
+
+  const expected = crypto
+    .createHmac('sha256', secret)
+    .update(`${timestamp}${rawBody.toString('utf8')}`)
+    .digest('hex');
+  const expectedBuffer = Buffer.from(expected, 'hex');
+
+  const matches = signatures.some((signature) => {
+    const received = Buffer.from(signature, 'hex');
+    return (
+      received.length === expectedBuffer.length &&
+      crypto.timingSafeEqual(received, expectedBuffer)
+    );
+  });
+
+  return matches ? { valid: true } : { valid: false, error: 'Signature invalide' };
+};
+
+module.exports = {
+  DEFAULT_TOLERANCE_SECONDS,
+  parseSignatureHeader,
+  verifyHmacSignature,
+};
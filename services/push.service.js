@@ -205,6 +205,23 @@ const notifyPaymentRejected = async (userId, transaction, tontine, motif) => {
   );
 };
 
+const notifyRefund = async (userId, transaction, tontine, remboursement) => {
+  const effectue = remboursement.statut === 'effectue';
+  return await sendPushToUser(
+    userId,
+    {
+      title: effectue ? 'Remboursement effectue' : 'Remboursement en cours',
+      body: `${remboursement.montant} FCFA ${effectue ? 'vous ont ete rembourses' : 'vont vous etre rembourses'} pour ${tontine.nom}`,
+    },
+    {
+      type: 'payment_refunded',
+      transactionId: transaction._id.toString(),
+      tontineId: tontine._id.toString(),
+      click_action: '/transactions',
+    }
+  );
+};
+
 const notifyPaymentReminder = async (userId, tontine, echeance, joursAvant) => {
   let message;
   if (joursAvant > 0) {
@@ -370,6 +387,36 @@ const notifyAccountDeactivated = async (userId) => {
   );
 };
 
+const notifyAccountLocked = async (userId, jusquA) => {
+  return await sendPushToUser(
+    userId,
+    {
+      title: 'Compte verrouille',
+      body: jusquA
+        ? `Trop de tentatives de connexion echouees. Compte verrouille jusqu'a ${jusquA.toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' })}`
+        : 'Trop de tentatives de connexion echouees. Contactez l\'administrateur pour debloquer votre compte.',
+    },
+    {
+      type: 'account_locked',
+      click_action: '/profile',
+    }
+  );
+};
+
+const notifyNewDeviceLogin = async (userId, appareil, ip) => {
+  return await sendPushToUser(
+    userId,
+    {
+      title: 'Nouvelle connexion',
+      body: `Connexion depuis ${appareil} (${ip}). Si ce n'est pas vous, changez votre mot de passe.`,
+    },
+    {
+      type: 'new_device_login',
+      click_action: '/profile/sessions',
+    }
+  );
+};
+
 module.exports = {
   initializeFirebase,
   sendPushToUser,
@@ -380,6 +427,7 @@ module.exports = {
   notifyPaymentReceived,
   notifyPaymentValidated,
   notifyPaymentRejected,
+  notifyRefund,
   notifyPaymentReminder,
   notifyTirageWinner,
   notifyTirageResult,
@@ -390,4 +438,6 @@ module.exports = {
   notifyPenaltyApplied,
   notifyAccountCreated,
   notifyAccountDeactivated,
+  notifyAccountLocked,
+  notifyNewDeviceLogin,
 };
\ No newline at end of file
@@ -0,0 +1,306 @@
+// services/reconciliation.service.js
+const Reconciliation = require('../models/Reconciliation');
+const Transaction = require('../models/Transaction');
+const Tontine = require('../models/Tontine');
+const AuditLog = require('../models/AuditLog');
+const emailService = require('./email.service');
+const ledgerService = require('./ledger.service');
+const logger = require('../utils/logger');
+const { parseCsv } = require('../utils/helpers');
+const { TRANSACTION_STATUS } = require('../config/constants');
+
+/**
+ * En-têtes reconnus dans les exports des portails marchands
+ * Wave : "Client Reference", "Transaction ID", "Amount", "Timestamp", "Status"
+ * Orange Money : "Order ID", "Pay Token", "Référence", "Montant", "Date", "Statut"
+ */
+const COLUMNS = {
+  references: [
+    'client reference',
+    'client_reference',
+    'order id',
+    'order_id',
+    'référence marchand',
+    'reference marchand',
+    'transaction id',
+    'transaction_id',
+    'pay token',
+    'pay_token',
+    'référence',
+    'reference',
+    'id',
+  ],
+  montant: ['amount', 'montant', 'net amount', 'montant net', 'receive_amount'],
+  date: ['timestamp', 'date', 'date opération', 'date operation', 'when_completed'],
+  statut: ['status', 'statut', 'payment_status'],
+};
+
+// Statuts provider signifiant que l'argent a bien été reçu
+const SUCCESS_STATUSES = [
+  'succeeded',
+  'successful',
+  'success',
+  'completed',
+  'complete',
+  'paid',
+  'succès',
+  'succes',
+  'réussi',
+  'reussi',
+  'payé',
+  'paye',
+];
+
+const pickFirst = (line, columns) => {
+  const column = columns.find((c) => line[c] !== undefined && line[c] !== '');
+  return column ? line[column] : null;
+};
+
+/**
+ * Convertir un montant du relevé ("5 000,00 XOF", "5.000", "5,000", "5000.00") en nombre
+ * Le FCFA n'a pas de décimales : un point, une virgule ou une espace suivi d'exactement
+ * trois chiffres est un séparateur de milliers
+ */
+const parseAmount = (value) => {
+  if (!value) return null;
+  const cleaned = value
+    .replace(/[^\d,.\s-]/g, '')
+    .replace(/[.,\s](?=\d{3}(?!\d))/g, '')
+    .replace(/\s/g, '')
+    .replace(',', '.');
+  const amount = parseFloat(cleaned);
+  return Number.isNaN(amount) ? null : Math.round(amount);
+};
+
+/**
+ * Normaliser une ligne du relevé
+ */
+const normalizeLine = (line, index) => {
+  const references = COLUMNS.references
+    .map((column) => line[column])
+    .filter((value) => value && value.trim() !== '');
+  const statutProvider = pickFirst(line, COLUMNS.statut);
+
+  return {
+    numeroLigne: index + 2, // +1 en-tête, +1 numérotation humaine
+    references: [...new Set(references)],
+    reference: references[0] || null,
+    montant: parseAmount(pickFirst(line, COLUMNS.montant)),
+    dateOperation: pickFirst(line, COLUMNS.date),
+    statutProvider,
+    estReussi: !statutProvider || SUCCESS_STATUSES.includes(statutProvider.toLowerCase()),
+  };
+};
+
+/**
+ * Versement de l'importateur lui-même (cotisant ou garant payeur) : comme pour la
+ * validation manuelle, il ne peut pas le valider, la ligne est laissée à un autre trésorier
+ */
+const estSonPropreVersement = (transaction, user) =>
+  [transaction.userId, transaction.payePar].some(
+    (id) => id && (id._id || id).toString() === user._id.toString()
+  );
+
+/**
+ * Valider une transaction rapprochée (même effet que la validation trésorier)
+ */
+const autoValidate = async (transaction, user, reconciliationId) => {
+  transaction.statut = TRANSACTION_STATUS.VALIDEE;
+  transaction.dateValidation = Date.now();
+  transaction.validePar = user._id;
+  transaction.notes = `Validée par rapprochement automatique (${reconciliationId})`;
+  await transaction.save();
+
+  await ledgerService.safePost(ledgerService.recordPaymentValidated, transaction, user);
+
+  try {
+    await AuditLog.create({
+      userId: user._id,
+      userEmail: user.email,
+      userRole: user.role,
+      action: 'VALIDATE_TRANSACTION',
+      resource: 'Transaction',
+      resourceId: transaction._id,
+      details: {
+        body: {
+          reconciliationId,
+          reference: transaction.referenceTransaction,
+          montant: transaction.montant,
+        },
+      },
+      statusCode: 200,
+      success: true,
+      tags: ['rapprochement'],
+    });
+  } catch (error) {
+    logger.error('Erreur audit validation rapprochement:', error);
+  }
+
+  try {
+    await transaction.populate([
+      { path: 'userId', select: 'prenom nom email' },
+      { path: 'tontineId', select: 'nom' },
+    ]);
+    await emailService.sendPaymentValidatedNotification(
+      transaction.userId,
+      transaction,
+      transaction.tontineId
+    );
+  } catch (emailError) {
+    logger.error('Erreur notification:', emailError);
+  }
+};
+
+/**
+ * Rapprocher un relevé provider avec les transactions
+ * - correspondance exacte (référence + montant) sur une transaction en attente : validée
+ * - sinon la ligne est classée (orpheline, écart de montant, doublon...) pour le trésorier
+ * - un versement de l'importateur lui-même n'est jamais validé : il reste à vérifier
+ * Seules les transactions des tontines de tontineIds sont validées (null : toutes, Admin)
+ * @param {Object} params - { moyenPaiement, contenu, nomFichier, user, tontineIds }
+ * @returns {Object} - Rapprochement enregistré
+ */
+const reconcileStatement = async ({ moyenPaiement, contenu, nomFichier, user, tontineIds = null }) => {
+  const lignesBrutes = parseCsv(contenu);
+
+  if (lignesBrutes.length === 0) {
+    throw new Error('Le relevé est vide ou illisible');
+  }
+
+  const lignes = lignesBrutes.map(normalizeLine);
+
+  if (lignes.every((l) => l.references.length === 0)) {
+    throw new Error('Aucune colonne de référence reconnue dans le relevé');
+  }
+
+  // Charger en une fois toutes les transactions citées dans le relevé
+  const toutesReferences = [...new Set(lignes.flatMap((l) => l.references))];
+  const transactions = await Transaction.find({
+    moyenPaiement,
+    $or: [
+      { referenceTransaction: { $in: toutesReferences } },
+      { referencePaiement: { $in: toutesReferences } },
+    ],
+  });
+
+  const parReference = new Map();
+  transactions.forEach((t) => {
+    parReference.set(t.referenceTransaction, t);
+    if (t.referencePaiement) parReference.set(t.referencePaiement, t);
+  });
+
+  const reconciliation = new Reconciliation({
+    moyenPaiement,
+    nomFichier,
+    importePar: user._id,
+  });
+
+  const resume = reconciliation.resume;
+  const referencesVues = new Set();
+  const transactionsVues = new Set();
+  const tontinesAMettreAJour = new Set();
+
+  for (const ligne of lignes) {
+    resume.totalLignes++;
+
+    const resultat = {
+      numeroLigne: ligne.numeroLigne,
+      reference: ligne.reference,
+      montant: ligne.montant,
+      dateOperation: ligne.dateOperation,
+      statutProvider: ligne.statutProvider,
+    };
+
+    if (!ligne.estReussi) {
+      resultat.resultat = 'ignoree';
+      resultat.details = `Paiement non abouti chez le provider (${ligne.statutProvider})`;
+      resume.ignorees++;
+      reconciliation.lignes.push(resultat);
+      continue;
+    }
+
+    resume.montantReleve += ligne.montant || 0;
+
+    const transaction = ligne.references.map((r) => parReference.get(r)).find(Boolean);
+    const dejaVue =
+      ligne.references.some((r) => referencesVues.has(r)) ||
+      (transaction && transactionsVues.has(transaction._id.toString()));
+
+    ligne.references.forEach((r) => referencesVues.add(r));
+
+    if (dejaVue) {
+      resultat.resultat = 'doublon';
+      resultat.transactionId = transaction ? transaction._id : undefined;
+      resultat.tontineId = transaction ? transaction.tontineId : undefined;
+      resultat.details = 'Référence déjà présente plus haut dans le relevé';
+      resume.doublons++;
+      reconciliation.lignes.push(resultat);
+      continue;
+    }
+
+    if (!transaction) {
+      resultat.resultat = 'orpheline';
+      resultat.details = 'Aucune transaction ne correspond à cette référence';
+      resume.orphelines++;
+      reconciliation.lignes.push(resultat);
+      continue;
+    }
+
+    transactionsVues.add(transaction._id.toString());
+    resultat.transactionId = transaction._id;
+    resultat.tontineId = transaction.tontineId;
+    resultat.montantAttendu = transaction.montant;
+
+    if (ligne.montant !== transaction.montant) {
+      resultat.resultat = 'ecart_montant';
+      resultat.details = `Montant relevé ${ligne.montant} FCFA, attendu ${transaction.montant} FCFA`;
+      resume.ecartsMontant++;
+    } else if (transaction.statut === TRANSACTION_STATUS.VALIDEE) {
+      resultat.resultat = 'deja_validee';
+      resume.dejaValidees++;
+    } else if (transaction.statut === TRANSACTION_STATUS.REJETEE) {
+      resultat.resultat = 'transaction_rejetee';
+      resultat.details = 'Paiement reçu pour une transaction rejetée';
+      resume.transactionsRejetees++;
+    } else if (tontineIds && !tontineIds.some((id) => id.toString() === transaction.tontineId.toString())) {
+      resultat.resultat = 'ignoree';
+      resultat.details = 'Transaction d\'une tontine dont vous ne validez pas les paiements';
+      resume.ignorees++;
+    } else if (estSonPropreVersement(transaction, user)) {
+      resultat.resultat = 'propre_versement';
+      resultat.details = 'Votre propre versement : à valider par un autre trésorier';
+      resume.versementsPropres++;
+    } else {
+      await autoValidate(transaction, user, reconciliation._id);
+      resultat.resultat = 'validee_auto';
+      resume.valideesAuto++;
+      resume.montantValide += transaction.montant;
+      tontinesAMettreAJour.add(transaction.tontineId.toString());
+    }
+
+    reconciliation.lignes.push(resultat);
+  }
+
+  await reconciliation.save();
+
+  for (const tontineId of tontinesAMettreAJour) {
+    const tontine = await Tontine.findById(tontineId);
+    if (tontine) {
+      await tontine.updateStats();
+      await tontine.save();
+    }
+  }
+
+  logger.info(
+    `Rapprochement ${moyenPaiement} (${nomFichier || 'sans nom'}) par ${user.email}: ` +
+      `${resume.valideesAuto} validée(s), ${resume.orphelines} orpheline(s), ` +
+      `${resume.ecartsMontant} écart(s), ${resume.doublons} doublon(s)`
+  );
+
+  return reconciliation;
+};
+
+module.exports = {
+  parseAmount,
+  reconcileStatement,
+};
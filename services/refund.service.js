@@ -0,0 +1,250 @@
+// services/refund.service.js
+const Tontine = require('../models/Tontine');
+const Reconciliation = require('../models/Reconciliation');
+const AuditLog = require('../models/AuditLog');
+const paymentService = require('./payment.service');
+const ledgerService = require('./ledger.service');
+const emailService = require('./email.service');
+const pushService = require('./push.service');
+const whatsappService = require('./whatsapp.service');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errors');
+const { TRANSACTION_STATUS } = require('../config/constants');
+
+/**
+ * Remboursements de paiements
+ *
+ * Un remboursement est approuvé par double validation (REFUND_TRANSACTION), puis exécuté
+ * auprès du provider. Quand le provider ne sait pas rembourser (Cash, Orange Money...),
+ * il reste en "manuel_requis" jusqu'à la confirmation du trésorier.
+ *
+ * Une transaction rejetée n'est remboursée que si l'encaissement est prouvé : sans preuve,
+ * les fonds n'ont peut-être jamais été reçus et le remboursement les sortirait de la caisse.
+ */
+
+/**
+ * Preuve que les fonds d'une transaction ont bien été encaissés
+ * @returns {String|null} - confirmation_provider (webhook ou polling déjà reçu),
+ *   releve (ligne de relevé rapprochée), statut_provider (vérification immédiate) ; null sinon
+ */
+const getPreuveEncaissement = async (transaction) => {
+  if (transaction.paiementConfirme) return 'confirmation_provider';
+
+  const ligneReleve = await Reconciliation.exists({
+    lignes: {
+      $elemMatch: {
+        transactionId: transaction._id,
+        resultat: { $in: ['transaction_rejetee', 'ecart_montant'] },
+      },
+    },
+  });
+  if (ligneReleve) return 'releve';
+
+  const provider = paymentService.getProvider(transaction.moyenPaiement);
+  if (provider && !provider.requiresManualValidation && transaction.referencePaiement) {
+    const status = await paymentService.checkPaymentStatus(
+      transaction.moyenPaiement,
+      transaction.referencePaiement,
+      { reference: transaction.referenceTransaction, amount: transaction.montant }
+    );
+    if (status.success && status.isPaid) return 'statut_provider';
+  }
+
+  return null;
+};
+
+/**
+ * Écrire l'action REFUND_TRANSACTION dans le journal d'audit
+ */
+const logRefund = async (transaction, remboursement, user) => {
+  try {
+    await AuditLog.create({
+      userId: user._id,
+      userEmail: user.email,
+      userRole: user.role,
+      action: 'REFUND_TRANSACTION',
+      resource: 'Transaction',
+      resourceId: transaction._id,
+      details: {
+        body: {
+          reference: transaction.referenceTransaction,
+          montant: remboursement.montant,
+          statut: remboursement.statut,
+          motif: remboursement.motif,
+          validationRequestId: remboursement.validationRequestId,
+          referenceRemboursement: remboursement.referenceRemboursement,
+          preuveEncaissement: remboursement.preuveEncaissement,
+        },
+      },
+      statusCode: remboursement.statut === 'echec' ? 502 : 200,
+      success: remboursement.statut !== 'echec',
+      errorMessage: remboursement.erreur,
+      severity: remboursement.statut === 'echec' ? 'warning' : 'info',
+    });
+  } catch (error) {
+    logger.error('Erreur audit REFUND_TRANSACTION:', error);
+  }
+};
+
+/**
+ * Prévenir le membre (email, push, WhatsApp) ; un canal en échec ne bloque pas les autres
+ */
+const notifyMember = async (transaction, remboursement) => {
+  await transaction.populate([
+    { path: 'userId', select: 'prenom nom email numeroTelephone' },
+    { path: 'tontineId', select: 'nom' },
+  ]);
+
+  const membre = transaction.userId;
+  const tontine = transaction.tontineId;
+
+  try {
+    await emailService.sendRefundNotification(membre, transaction, remboursement);
+  } catch (error) {
+    logger.error('Erreur email remboursement:', error);
+  }
+
+  try {
+    await pushService.notifyRefund(membre._id, transaction, tontine, remboursement);
+  } catch (error) {
+    logger.error('Erreur push remboursement:', error);
+  }
+
+  try {
+    if (membre.numeroTelephone) {
+      await whatsappService.sendRefundWhatsApp(membre, transaction, tontine, remboursement);
+    }
+  } catch (error) {
+    logger.error('Erreur WhatsApp remboursement:', error);
+  }
+};
+
+/**
+ * Remboursement effectué : totaux, cagnotte, grand livre
+ */
+const completeRefund = async (transaction, remboursement, user) => {
+  remboursement.statut = 'effectue';
+  remboursement.dateRemboursement = new Date();
+  remboursement.erreur = undefined;
+
+  transaction.montantRembourse = (transaction.montantRembourse || 0) + remboursement.montant;
+  transaction.statutRemboursement =
+    transaction.montantRembourse >= transaction.montant ? 'total' : 'partiel';
+  await transaction.save();
+
+  await ledgerService.safePost(ledgerService.recordRefund, transaction, remboursement, user);
+
+  const tontine = await Tontine.findById(transaction.tontineId._id || transaction.tontineId);
+  if (tontine) {
+    await tontine.updateStats();
+    await tontine.save();
+  }
+};
+
+/**
+ * Rembourser tout ou partie d'un paiement
+ * @param {Object} transaction - Document Transaction
+ * @param {Object} options - { montant, motif, validationRequest, user }
+ * @returns {Object} - Entrée de remboursement créée
+ */
+const refundTransaction = async (transaction, { montant, motif, validationRequest, user }) => {
+  if (montant > transaction.montantRemboursable) {
+    throw new Error(
+      `Montant supérieur au montant remboursable (${transaction.montantRemboursable} FCFA)`
+    );
+  }
+
+  let preuveEncaissement;
+  if (transaction.statut === TRANSACTION_STATUS.REJETEE) {
+    preuveEncaissement = await getPreuveEncaissement(transaction);
+    if (!preuveEncaissement) {
+      throw new AppError(
+        'Aucune preuve d\'encaissement (confirmation provider ou relevé rapproché) : remboursement refusé',
+        409
+      );
+    }
+  }
+
+  transaction.remboursements.push({
+    montant,
+    motif,
+    statut: 'en_cours',
+    validationRequestId: validationRequest._id,
+    demandePar: user._id,
+    preuveEncaissement,
+  });
+  const remboursement = transaction.remboursements[transaction.remboursements.length - 1];
+  await transaction.save();
+
+  // Montant null = remboursement total côté provider
+  const result = await paymentService.refundPayment(
+    transaction.moyenPaiement,
+    transaction.referencePaiement,
+    montant === transaction.montant ? null : montant
+  );
+
+  if (result.manualRefundRequired) {
+    remboursement.statut = 'manuel_requis';
+    remboursement.erreur = result.success ? undefined : result.error;
+    await transaction.save();
+  } else if (result.success) {
+    remboursement.referenceRemboursement = result.refundId;
+    await completeRefund(transaction, remboursement, user);
+  } else {
+    remboursement.statut = 'echec';
+    remboursement.erreur = result.error || 'Remboursement refusé par le provider';
+    await transaction.save();
+  }
+
+  await logRefund(transaction, remboursement, user);
+
+  logger.info(
+    `Remboursement ${transaction.referenceTransaction} - ${montant} FCFA - ${remboursement.statut} (par ${user.email})`
+  );
+
+  if (remboursement.statut !== 'echec') {
+    await notifyMember(transaction, remboursement);
+  }
+
+  return remboursement;
+};
+
+/**
+ * Confirmer un remboursement effectué hors plateforme (espèces, portail marchand)
+ * @param {Object} transaction - Document Transaction
+ * @param {String} remboursementId - ID de l'entrée de remboursement
+ * @param {Object} options - { referenceRemboursement, user }
+ */
+const confirmManualRefund = async (transaction, remboursementId, { referenceRemboursement, user }) => {
+  const remboursement = transaction.remboursements.id(remboursementId);
+
+  if (!remboursement) {
+    throw new Error('Remboursement introuvable');
+  }
+
+  if (remboursement.statut !== 'manuel_requis') {
+    throw new Error(`Remboursement déjà ${remboursement.statut === 'effectue' ? 'effectué' : 'traité'}`);
+  }
+
+  remboursement.confirmePar = user._id;
+  if (referenceRemboursement) {
+    remboursement.referenceRemboursement = referenceRemboursement;
+  }
+  await completeRefund(transaction, remboursement, user);
+
+  await logRefund(transaction, remboursement, user);
+
+  logger.info(
+    `Remboursement manuel confirmé - ${transaction.referenceTransaction} - ${remboursement.montant} FCFA par ${user.email}`
+  );
+
+  await notifyMember(transaction, remboursement);
+
+  return remboursement;
+};
+
+module.exports = {
+  getPreuveEncaissement,
+  refundTransaction,
+  confirmManualRefund,
+};
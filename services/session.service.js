@@ -0,0 +1,203 @@
+// services/session.service.js
+const crypto = require('crypto');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errors');
+const { generateTokenPair, verifyRefreshToken, decodeToken } = require('../config/jwt');
+
+/**
+ * Sessions par appareil et rotation des refresh tokens
+ *
+ * Chaque connexion ouvre une session sur le compte ; l'access token et le refresh token
+ * portent son identifiant (sid). A chaque renouvellement le refresh token est remplacé :
+ * seul le dernier émis est accepté. Présenter un refresh token déjà remplacé signifie
+ * qu'il a été copié — la session est alors révoquée, ce qui coupe aussi ses access tokens.
+ */
+
+const MAX_SESSIONS = 10;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const estActive = (session) =>
+  !session.dateRevocation && (!session.dateExpiration || session.dateExpiration > new Date());
+
+/**
+ * Libellé lisible de l'appareil à partir du User-Agent
+ */
+const decrireAppareil = (userAgent = '') => {
+  const systeme = [
+    ['Android', /android/i],
+    ['iPhone', /iphone/i],
+    ['iPad', /ipad/i],
+    ['Windows', /windows/i],
+    ['macOS', /mac os/i],
+    ['Linux', /linux/i],
+  ].find(([, regex]) => regex.test(userAgent));
+
+  const navigateur = [
+    ['Edge', /edg\//i],
+    ['Chrome', /chrome\//i],
+    ['Firefox', /firefox\//i],
+    ['Safari', /safari\//i],
+  ].find(([, regex]) => regex.test(userAgent));
+
+  if (!systeme && !navigateur) return 'Appareil inconnu';
+  return [navigateur?.[0], systeme?.[0]].filter(Boolean).join(' - ');
+};
+
+/**
+ * Emettre une nouvelle paire de tokens pour la session et mémoriser l'empreinte du refresh token
+ */
+const emettreTokens = (user, session) => {
+  const tokens = generateTokenPair(user, session._id.toString());
+  session.refreshTokenHash = hashToken(tokens.refreshToken);
+  session.dateExpiration = new Date(decodeToken(tokens.refreshToken).payload.exp * 1000);
+  session.derniereActivite = new Date();
+  return tokens;
+};
+
+/**
+ * Ouvrir une session après une connexion réussie
+ * @param {Object} user - Document User
+ * @param {Object} contexte - { ip, userAgent, appareil }
+ * @returns {Object} - { accessToken, refreshToken, session }
+ */
+const ouvrirSession = async (user, { ip, userAgent, appareil }) => {
+  // Oublier les sessions terminées, et au-delà du maximum les moins récemment utilisées
+  user.sessions = user.sessions
+    .filter(estActive)
+    .sort((a, b) => b.derniereActivite - a.derniereActivite)
+    .slice(0, MAX_SESSIONS - 1);
+
+  user.sessions.push({
+    appareil: appareil || decrireAppareil(userAgent),
+    ip,
+    userAgent,
+  });
+  const session = user.sessions[user.sessions.length - 1];
+
+  const tokens = emettreTokens(user, session);
+  await user.save();
+
+  return { ...tokens, session };
+};
+
+/**
+ * Renouveler les tokens d'une session (rotation du refresh token)
+ * @param {String} refreshToken - Refresh token présenté
+ * @param {Object} contexte - { ip }
+ * @returns {Object} - { user, accessToken, refreshToken, session }
+ */
+const renouvelerSession = async (refreshToken, { ip }) => {
+  let decoded;
+  try {
+    decoded = verifyRefreshToken(refreshToken);
+  } catch (error) {
+    throw new AppError(error.message, 401);
+  }
+
+  if (decoded.type !== 'refresh' || !decoded.sid) {
+    throw new AppError('Refresh token invalide', 401);
+  }
+
+  const user = await User.findById(decoded.userId);
+  if (!user || !user.isActive) {
+    throw new AppError('Utilisateur introuvable ou désactivé', 401);
+  }
+
+  const session = user.sessions.id(decoded.sid);
+  if (!session || !estActive(session)) {
+    throw new AppError('Session expirée ou révoquée. Veuillez vous reconnecter', 401);
+  }
+
+  if (session.refreshTokenHash !== hashToken(refreshToken)) {
+    session.dateRevocation = new Date();
+    session.motifRevocation = 'reutilisation';
+    await user.save();
+
+    logger.warn(`Refresh token reutilise - session ${session._id} de ${user.email} revoquee (IP: ${ip})`);
+    throw new AppError('Ce refresh token a déjà été utilisé : la session a été révoquée par sécurité', 401);
+  }
+
+  const tokens = emettreTokens(user, session);
+  session.ip = ip;
+  await user.save();
+
+  return { user, ...tokens, session };
+};
+
+/**
+ * Sessions actives d'un utilisateur, la plus récemment utilisée en premier
+ * @param {String} sessionCouranteId - Session de la requête en cours
+ */
+const listerSessions = (user, sessionCouranteId) =>
+  user.sessions
+    .filter(estActive)
+    .sort((a, b) => b.derniereActivite - a.derniereActivite)
+    .map((session) => ({
+      id: session._id,
+      appareil: session.appareil,
+      ip: session.ip,
+      dateCreation: session.dateCreation,
+      derniereActivite: session.derniereActivite,
+      dateExpiration: session.dateExpiration,
+      courante: session._id.equals(sessionCouranteId),
+    }));
+
+/**
+ * Révoquer une session
+ * @param {String} motif - 'deconnexion' ou 'revocation'
+ */
+const revoquerSession = async (user, sessionId, motif = 'revocation') => {
+  const session = user.sessions.id(sessionId);
+  if (!session || !estActive(session)) {
+    throw new AppError('Session introuvable ou déjà terminée', 404);
+  }
+
+  session.dateRevocation = new Date();
+  session.motifRevocation = motif;
+  await user.save();
+
+  return session;
+};
+
+/**
+ * Révoquer toutes les sessions sauf, le cas échéant, celle indiquée
+ * @param {String} sessionConserveeId - Session à conserver (ou null pour toutes)
+ * @param {String} motif - 'revocation' ou 'mot_de_passe'
+ * @returns {Number} - Nombre de sessions révoquées
+ */
+const revoquerSessions = async (user, sessionConserveeId, motif = 'revocation') => {
+  const sessions = user.sessions.filter(
+    (session) => estActive(session) && !session._id.equals(sessionConserveeId)
+  );
+
+  sessions.forEach((session) => {
+    session.dateRevocation = new Date();
+    session.motifRevocation = motif;
+  });
+  await user.save();
+
+  return sessions.length;
+};
+
+/**
+ * La session portée par un access token est-elle toujours ouverte ?
+ * @param {Object} user - Document User
+ * @param {Object} decoded - Payload de l'access token
+ */
+const sessionOuverte = (user, decoded) => {
+  const session = decoded.sid && user.sessions.id(decoded.sid);
+  return Boolean(session) && !session.dateRevocation;
+};
+
+module.exports = {
+  MAX_SESSIONS,
+  decrireAppareil,
+  ouvrirSession,
+  renouvelerSession,
+  listerSessions,
+  revoquerSession,
+  revoquerSessions,
+  sessionOuverte,
+};
@@ -0,0 +1,123 @@
+// services/sms.service.js
+const twilio = require('twilio');
+const logger = require('../utils/logger');
+
+let twilioClient = null;
+let isConfigured = false;
+
+/**
+ * Initialiser Twilio pour les SMS
+ */
+const initializeTwilio = () => {
+  try {
+    if (isConfigured) {
+      return true;
+    }
+
+    if (process.env.SMS_ENABLED !== 'true') {
+      return false;
+    }
+
+    if (!process.env.TWILIO_ACCOUNT_SID || !process.env.TWILIO_AUTH_TOKEN || !process.env.TWILIO_PHONE_NUMBER) {
+      logger.warn('Twilio SMS non configure - SMS desactives');
+      return false;
+    }
+
+    twilioClient = twilio(
+      process.env.TWILIO_ACCOUNT_SID,
+      process.env.TWILIO_AUTH_TOKEN
+    );
+
+    isConfigured = true;
+    logger.info('Twilio initialise pour les SMS');
+    return true;
+  } catch (error) {
+    logger.error('Erreur initialisation Twilio SMS:', error);
+    return false;
+  }
+};
+
+/**
+ * Formater numero telephone au format E.164
+ */
+const formatPhoneNumber = (phoneNumber) => {
+  let formatted = phoneNumber.replace(/\s/g, '');
+
+  if (!formatted.startsWith('+')) {
+    if (formatted.startsWith('221')) {
+      formatted = '+' + formatted;
+    } else if (formatted.startsWith('77') || formatted.startsWith('78') || formatted.startsWith('70')) {
+      formatted = '+221' + formatted;
+    } else {
+      formatted = '+' + formatted;
+    }
+  }
+
+  return formatted;
+};
+
+/**
+ * Envoyer un SMS
+ */
+const sendSMS = async (phoneNumber, message) => {
+  try {
+    if (!initializeTwilio()) {
+      logger.warn('SMS ignore - Twilio non configure');
+      return { success: false, error: 'Twilio SMS non configure' };
+    }
+
+    const response = await twilioClient.messages.create({
+      body: message,
+      from: process.env.TWILIO_PHONE_NUMBER,
+      to: formatPhoneNumber(phoneNumber),
+    });
+
+    logger.info(`SMS envoye a ${phoneNumber} - SID: ${response.sid}`);
+
+    return {
+      success: true,
+      messageSid: response.sid,
+      status: response.status,
+    };
+  } catch (error) {
+    logger.error('Erreur envoi SMS:', error);
+    return {
+      success: false,
+      error: error.message,
+      code: error.code,
+    };
+  }
+};
+
+/**
+ * Messages predéfinis (courts : un SMS fait 160 caracteres)
+ */
+
+const sendLoginOTPSMS = async (user, code) => {
+  const message = `DigiTontine : votre code de connexion est ${code}. Valide 15 min. Ne le communiquez a personne.`;
+
+  return await sendSMS(user.numeroTelephone, message);
+};
+
+const sendPasswordResetCodeSMS = async (user, resetCode) => {
+  const message = `DigiTontine : votre code de reinitialisation de mot de passe est ${resetCode}. Valide 15 min. Ne le communiquez a personne.`;
+
+  return await sendSMS(user.numeroTelephone, message);
+};
+
+/**
+ * Verifier configuration
+ */
+const isSMSConfigured = () => {
+  return initializeTwilio();
+};
+
+module.exports = {
+  initializeTwilio,
+  sendSMS,
+  isSMSConfigured,
+
+  // Messages predéfinis
+  sendLoginOTPSMS,
+  sendPasswordResetCodeSMS,
+};
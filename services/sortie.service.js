@@ -0,0 +1,364 @@
+// services/sortie.service.js
+const Tontine = require('../models/Tontine');
+const Tirage = require('../models/Tirage');
+const Transaction = require('../models/Transaction');
+const Penalite = require('../models/Penalite');
+const User = require('../models/User');
+const ValidationRequest = require('../models/ValidationRequest');
+const AuditLog = require('../models/AuditLog');
+const Notification = require('../models/Notification');
+const contributionService = require('./contribution.service');
+const fiabiliteService = require('./fiabilite.service');
+const kycService = require('./kyc.service');
+const refundService = require('./refund.service');
+const ledgerService = require('./ledger.service');
+const emailService = require('./email.service');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errors');
+const { TONTINE_STATUS, TRANSACTION_STATUS, TRANSACTION_TYPES } = require('../config/constants');
+
+/**
+ * Sortie d'un membre en cours de tontine (décès, départ, défaillance)
+ *
+ * 1. L'Admin demande la sortie (ValidationRequest MEMBER_EXIT sur la tontine, avec
+ *    membreId et, le cas échéant, remplacantId) ; le Trésorier l'accepte.
+ * 2. L'Admin l'exécute, la position étant soldée selon le cas :
+ *    - avec un remplaçant : il reprend la position telle quelle (parts, gains, places du
+ *      tour de rôle) et les cotisations déjà versées ; le sortant reste redevable de ses
+ *      pénalités impayées ;
+ *    - position qui n'a rien gagné : le membre est remboursé de ses cotisations,
+ *      pénalités impayées déduites, et sa position disparaît ;
+ *    - position qui a gagné toutes ses parts : le membre reste redevable des cotisations
+ *      restantes (il demeure dans la tontine, marqué sorti).
+ * Une position partagée ou qui n'a gagné qu'une partie de ses parts ne sort qu'avec un remplaçant.
+ */
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+/**
+ * Cotisations validées d'un membre (les plus récentes d'abord)
+ */
+const getCotisationsValidees = (tontineId, userId) =>
+  Transaction.find({
+    tontineId,
+    userId,
+    type: TRANSACTION_TYPES.COTISATION,
+    statut: TRANSACTION_STATUS.VALIDEE,
+  }).sort({ dateValidation: -1, createdAt: -1 });
+
+/**
+ * Calculer le solde de sortie d'un membre
+ * @param {Object} tontine - Tontine active
+ * @param {String} userId - Membre sortant
+ * @param {String} remplacantId - Remplaçant éventuel
+ * @returns {Object} - { mode ('remplacement', 'remboursement' ou 'recouvrement'), nombreGains,
+ *   partsRestantes, totalVerse, penalitesImpayees, cotisationsReprises, montantARembourser, montantDu }
+ */
+const calculerSolde = async (tontine, userId, remplacantId = null) => {
+  const membre = tontine.membres.find((m) => idOf(m.userId).toString() === userId.toString());
+  if (!membre) {
+    throw new AppError('Ce membre ne fait pas partie de la tontine', 404);
+  }
+
+  if (membre.dateSortie) {
+    throw new AppError('Ce membre est déjà sorti de la tontine', 400);
+  }
+
+  if (tontine.tresorierAssigne && idOf(tontine.tresorierAssigne).equals(idOf(membre.userId))) {
+    throw new AppError('Assignez un autre trésorier à la tontine avant la sortie de celui-ci', 400);
+  }
+
+  const titulaireId = tontine.getTitulaire(userId);
+  const gains = await Tirage.getGainsParMembre(tontine._id);
+  const nombreGains = gains.get(titulaireId.toString()) || 0;
+  const partsRestantes = tontine.getPartsRestantes(titulaireId, gains);
+
+  const [transactions, penalites, ledger] = await Promise.all([
+    getCotisationsValidees(tontine._id, userId),
+    Penalite.find({ tontineId: tontine._id, userId, statut: 'active' }).select('montantPenalite'),
+    contributionService.getMemberLedger(tontine, userId),
+  ]);
+
+  const totalVerse = transactions.reduce((sum, t) => sum + contributionService.montantImputable(t), 0);
+  const penalitesImpayees = penalites.reduce((sum, p) => sum + p.montantPenalite, 0);
+
+  const solde = {
+    userId: idOf(membre.userId),
+    nombreGains,
+    partsRestantes,
+    totalVerse,
+    penalitesImpayees,
+    cotisationsReprises: 0,
+    montantARembourser: 0,
+    montantDu: 0,
+  };
+
+  if (remplacantId) {
+    return {
+      ...solde,
+      mode: 'remplacement',
+      cotisationsReprises: totalVerse,
+      montantDu: penalitesImpayees,
+    };
+  }
+
+  if (tontine.getCoTitulaires(userId).length > 0) {
+    throw new AppError('La position est partagée : sa sortie nécessite un remplaçant', 400);
+  }
+
+  if (nombreGains === 0) {
+    return {
+      ...solde,
+      mode: 'remboursement',
+      montantARembourser: Math.max(0, totalVerse - penalitesImpayees),
+      montantDu: Math.max(0, penalitesImpayees - totalVerse),
+    };
+  }
+
+  if (partsRestantes > 0) {
+    throw new AppError(
+      `La position n'a gagné que ${nombreGains} part(s) : sa sortie nécessite un remplaçant`,
+      400
+    );
+  }
+
+  return {
+    ...solde,
+    mode: 'recouvrement',
+    montantDu: ledger.resteCalendrier + penalitesImpayees,
+  };
+};
+
+/**
+ * Vérifier qu'un utilisateur peut reprendre une position de la tontine
+ * @returns {Object} - Remplaçant
+ */
+const verifierRemplacant = async (tontine, remplacantId) => {
+  const remplacant = await User.findOne({ _id: remplacantId, isActive: true });
+  if (!remplacant) {
+    throw new AppError('Remplaçant introuvable ou inactif', 404);
+  }
+
+  if (tontine.membres.some((m) => idOf(m.userId).equals(remplacant._id))) {
+    throw new AppError('Le remplaçant est déjà membre de la tontine', 400);
+  }
+
+  kycService.verifierKycApprouve(remplacant);
+  await fiabiliteService.verifierScoreMinimum(tontine, remplacant);
+
+  return remplacant;
+};
+
+/**
+ * Rembourser les cotisations du membre sortant, des plus récentes aux plus anciennes
+ * @returns {Array} - Remboursements créés
+ */
+const rembourserCotisations = async (tontine, sortie, validationRequest, user) => {
+  const transactions = await getCotisationsValidees(tontine._id, sortie.userId);
+  const remboursements = [];
+  let reste = sortie.montantARembourser;
+
+  for (const transaction of transactions) {
+    if (reste <= 0) break;
+
+    const montant = Math.min(
+      reste,
+      transaction.montantRemboursable,
+      contributionService.montantImputable(transaction)
+    );
+    if (montant <= 0) continue;
+
+    const remboursement = await refundService.refundTransaction(transaction, {
+      montant,
+      motif: `Sortie de la tontine : ${sortie.motif}`,
+      validationRequest,
+      user,
+    });
+    remboursements.push(remboursement);
+
+    if (remboursement.statut !== 'echec') {
+      reste -= montant;
+    }
+  }
+
+  return remboursements;
+};
+
+/**
+ * Exécuter la sortie d'un membre approuvée par le Trésorier
+ * @param {String} tontineId - ID de la tontine
+ * @param {String} userId - Membre sortant
+ * @param {Object} options - { validationRequestId, user }
+ * @returns {Object} - { tontine, sortie, remboursements }
+ */
+const executerSortie = async (tontineId, userId, { validationRequestId, user }) => {
+  const tontine = await Tontine.findById(tontineId);
+  if (!tontine) {
+    throw new AppError('Tontine introuvable', 404);
+  }
+
+  if (tontine.statut !== TONTINE_STATUS.ACTIVE) {
+    throw new AppError(
+      'La sortie ne concerne qu\'une tontine active (avant activation, retirez simplement le membre)',
+      400
+    );
+  }
+
+  const validationRequest = await ValidationRequest.findById(validationRequestId);
+  if (!validationRequest || validationRequest.status !== 'accepted') {
+    throw new AppError('Validation incomplète ou invalide', 403);
+  }
+
+  const info = validationRequest.metadata?.additionalInfo || {};
+  if (
+    validationRequest.actionType !== 'MEMBER_EXIT' ||
+    validationRequest.resourceId.toString() !== tontineId.toString() ||
+    info.membreId?.toString() !== userId.toString()
+  ) {
+    throw new AppError('La validation ne correspond pas à cette action', 403);
+  }
+
+  if (tontine.sortiesMembres.some((s) => s.validationRequestId?.equals(validationRequest._id))) {
+    throw new AppError('Cette validation a déjà été utilisée', 409);
+  }
+
+  const solde = await calculerSolde(tontine, userId, info.remplacantId);
+  const remplacant = info.remplacantId ? await verifierRemplacant(tontine, info.remplacantId) : null;
+
+  let statut = 'soldee';
+  if (solde.montantARembourser > 0) statut = 'a_rembourser';
+  else if (solde.montantDu > 0) statut = 'a_recouvrer';
+
+  tontine.sortiesMembres.push({
+    userId: solde.userId,
+    remplacantId: remplacant?._id,
+    motif: validationRequest.reason,
+    validationRequestId: validationRequest._id,
+    traitePar: user._id,
+    nombreGains: solde.nombreGains,
+    totalVerse: solde.totalVerse,
+    penalitesImpayees: solde.penalitesImpayees,
+    cotisationsReprises: solde.cotisationsReprises,
+    montantARembourser: solde.montantARembourser,
+    montantDu: solde.montantDu,
+    statut,
+  });
+  const sortie = tontine.sortiesMembres[tontine.sortiesMembres.length - 1];
+
+  try {
+    if (solde.mode === 'remplacement') {
+      tontine.remplacerMembre(solde.userId, remplacant._id, solde.cotisationsReprises);
+    } else if (solde.mode === 'remboursement') {
+      tontine.retirerPosition(solde.userId);
+    } else {
+      const membre = tontine.membres.find((m) => idOf(m.userId).equals(solde.userId));
+      membre.dateSortie = Date.now();
+      membre.participeTirage = false;
+    }
+  } catch (error) {
+    throw new AppError(error.message, 400);
+  }
+
+  tontine.historiqueModifications.push({
+    modifiePar: user._id,
+    champModifie: 'membres',
+    ancienneValeur: solde.userId,
+    nouvelleValeur: remplacant ? remplacant._id : `sortie (${solde.mode})`,
+  });
+  tontine.lastModifiedBy = user._id;
+  await tontine.save();
+
+  if (solde.mode === 'remplacement') {
+    await ledgerService.safePost(ledgerService.recordPositionTransfer, tontine, sortie, user);
+    await ledgerService.safePost(ledgerService.recordDuesCalledTransfer, tontine, sortie, user);
+  } else if (solde.mode === 'remboursement') {
+    await ledgerService.safePost(ledgerService.recordDuesCalledCancellation, tontine, sortie, user);
+  }
+
+  // Les pénalités impayées sont retenues sur le remboursement quand il les couvre
+  let remboursements = [];
+  if (solde.mode === 'remboursement') {
+    if (solde.penalitesImpayees > 0 && solde.montantDu === 0) {
+      await Penalite.updateMany(
+        { tontineId: tontine._id, userId: solde.userId, statut: 'active' },
+        {
+          statut: 'payee',
+          datePaiement: Date.now(),
+          notes: 'Retenue sur le remboursement de sortie de la tontine',
+        }
+      );
+    }
+
+    if (solde.montantARembourser > 0) {
+      remboursements = await rembourserCotisations(tontine, sortie, validationRequest, user);
+
+      if (remboursements.length > 0 && remboursements.every((r) => r.statut === 'effectue')) {
+        sortie.statut = solde.montantDu > 0 ? 'a_recouvrer' : 'soldee';
+        await tontine.save();
+      }
+    }
+  }
+
+  await AuditLog.create({
+    userId: user._id,
+    userEmail: user.email,
+    userRole: user.role,
+    action: 'MEMBER_EXIT',
+    resource: 'Tontine',
+    resourceId: tontine._id,
+    details: {
+      body: {
+        membre: solde.userId,
+        remplacant: remplacant?._id,
+        mode: solde.mode,
+        totalVerse: solde.totalVerse,
+        penalitesImpayees: solde.penalitesImpayees,
+        montantARembourser: solde.montantARembourser,
+        montantDu: solde.montantDu,
+        validationRequestId: validationRequest._id,
+      },
+    },
+    statusCode: 200,
+    success: true,
+    severity: 'warning',
+  });
+
+  const sortant = await User.findById(solde.userId);
+  if (sortant) {
+    try {
+      await emailService.sendMemberExitNotification(sortant, tontine, sortie);
+    } catch (emailError) {
+      logger.error('Erreur envoi email sortie:', emailError);
+    }
+  }
+
+  if (remplacant) {
+    try {
+      await Notification.create({
+        userId: remplacant._id,
+        type: 'SYSTEM',
+        titre: `Vous rejoignez la tontine "${tontine.nom}"`,
+        message:
+          `Vous reprenez la position de ${sortant ? sortant.nomComplet : 'un membre sortant'}, ` +
+          `avec ${solde.cotisationsReprises} FCFA de cotisations déjà versées.`,
+        data: { tontineId: tontine._id },
+        requiresAction: false,
+      });
+    } catch (notifError) {
+      logger.error('Erreur notification remplaçant:', notifError);
+    }
+  }
+
+  logger.info(
+    `Sortie membre ${solde.userId} de ${tontine.nom} (${solde.mode}) par ${user.email}` +
+      (remplacant ? ` - remplacé par ${remplacant.email}` : '')
+  );
+
+  return { tontine, sortie, remboursements };
+};
+
+module.exports = {
+  calculerSolde,
+  verifierRemplacant,
+  executerSortie,
+};
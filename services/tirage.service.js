@@ -0,0 +1,781 @@
+// services/tirage.service.js
+const Tirage = require('../models/Tirage');
+const Tontine = require('../models/Tontine');
+const AuditLog = require('../models/AuditLog');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errors');
+const notificationService = require('./notification.service');
+const emailService = require('./email.service');
+const payoutService = require('./payout.service');
+const contributionService = require('./contribution.service');
+const drawService = require('./draw.service');
+const enchereService = require('./enchere.service');
+const ledgerService = require('./ledger.service');
+const { TIRAGE } = require('../config/constants');
+
+/**
+ * Annoncer le prochain tirage aux membres qui ont encore une part à faire gagner :
+ * remise à zéro de l'opt-in, publication de l'empreinte de la seed
+ * (un engagement déjà publié reste valable jusqu'au tirage) et, en mode enchère,
+ * ouverture des offres jusqu'à la date du tirage
+ * @param {Object} tontine - Tontine avec membres.userId peuplé (sauvegarde à la charge de l'appelant)
+ * @param {Date} dateTirage - Date prévue du tirage
+ * @param {Map} gains - userId → nombre de tirages gagnés (Tirage.getGainsParMembre)
+ * @returns {Set} - IDs des membres notifiés
+ */
+const annoncerTirage = async (tontine, dateTirage, gains) => {
+  if (tontine.modeTirage !== 'tour_de_role' && !tontine.engagementTirage?.seedHash) {
+    tontine.engagementTirage = drawService.genererEngagement();
+  }
+
+  if (tontine.modeTirage === 'enchere') {
+    enchereService.ouvrirEnchere(tontine, new Date(dateTirage));
+  }
+
+  const usersNotified = new Set(); // Pour éviter les doublons
+
+  for (const membre of tontine.getMembresPresents()) {
+    const aDejaGagne = tontine.aToutGagne(membre.userId._id, gains);
+    
+    if (!aDejaGagne && !usersNotified.has(membre.userId._id.toString())) {
+      // Enregistrer la date de notification
+      membre.dateNotificationTirage = Date.now();
+      membre.participeTirage = false;
+      membre.optInAutomatique = false;
+      
+      try {
+        await notificationService.sendTirageNotification(
+          membre.userId, 
+          tontine, 
+          new Date(dateTirage),
+          tontine.delaiOptIn
+        );
+        usersNotified.add(membre.userId._id.toString());
+        logger.info(` Notification envoyée au MEMBRE: ${membre.userId.email}`);
+      } catch (error) {
+        logger.error(` Erreur notification pour ${membre.userId.email}:`, error);
+      }
+    }
+  }
+
+  return usersNotified;
+};
+
+/**
+ * Désigner les bénéficiaires des places restantes de l'échéance, un membre ne
+ * gagnant qu'une part par échéance
+ * @returns {Array} - [{ beneficiaire, entreeRotation, detailsAlgorithme, resultatEnchere }]
+ */
+const designerBeneficiaires = (
+  tontine,
+  {
+    places,
+    membresEligibles,
+    entreesRotation,
+    exclus,
+    offres = tontine.enchereEnCours?.offres,
+    engagement = tontine.engagementTirage,
+  }
+) => {
+  const designes = [];
+  const dejaDesigne = (membre) => exclus.some((id) => id.equals(membre.userId._id));
+
+  // Tour de rôle : positions suivantes de l'ordre
+  if (entreesRotation) {
+    return entreesRotation.map((entreeRotation) => ({
+      beneficiaire: tontine.membres.find((m) => m.userId._id.equals(entreeRotation.userId)),
+      entreeRotation,
+    }));
+  }
+
+  for (let rang = 0; rang < places; rang++) {
+    const candidats = membresEligibles.filter((m) => !dejaDesigne(m));
+    if (candidats.length === 0) break;
+
+    // Meilleure offre de l'enchère, sinon tirage vérifiable avec la seed
+    // dont l'empreinte a été publiée à l'annonce (les candidats changent à chaque place)
+    let resultatEnchere = null;
+    if (tontine.modeTirage === 'enchere') {
+      resultatEnchere = enchereService.designerGagnant(offres || [], candidats);
+    }
+
+    let designe;
+    if (resultatEnchere?.beneficiaire) {
+      designe = { beneficiaire: resultatEnchere.beneficiaire, resultatEnchere };
+    } else {
+      designe = {
+        ...drawService.tirerBeneficiaire(engagement, candidats, {
+          pondere: tontine.prioriteFiabilite,
+        }),
+        resultatEnchere,
+      };
+    }
+
+    designes.push(designe);
+    exclus.push(designe.beneficiaire.userId._id);
+  }
+
+  return designes;
+};
+
+/**
+ * Effectuer le tirage automatique d'une tontine : désigne les bénéficiaires des
+ * places restantes de l'échéance (gagnantsParCycle), chacun recevant sa part de la cagnotte
+ * Lancé par un admin/trésorier, ou par le CRON des tirages planifiés (sans utilisateur)
+ * Avec tirageAnnule, redésigne la seule place de ce tirage parmi ses autres candidats
+ * (offres de l'enchère ou candidats du tirage au sort), sans nouvel opt-in
+ * @param {String} tontineId - ID de la tontine
+ * @param {Object} options - { user, numeroEcheance, contexte, tirageAnnule, engagementRelance } (contexte : méthode, url, ip... pour l'audit)
+ * @returns {Object} - { tirages, tontine, echeanceActuelle, membresEligibles, nombreMembresAyantCotise }
+ *   et, pour le premier bénéficiaire : { tirage, tiragePaye, beneficiaire, entreeRotation, detailsAlgorithme, detailsEnchere }
+ */
+const effectuerTirageAutomatique = async (tontineId, options = {}) => {
+  const {
+    user = null,
+    numeroEcheance,
+    contexte = {},
+    tirageAnnule = null,
+    engagementRelance = null,
+  } = options;
+
+  const tontine = await Tontine.findById(tontineId)
+    .select('+engagementTirage.seed +enchereEnCours.offres')
+    .populate('membres.userId', 'prenom nom email numeroTelephone fiabilite.score');
+
+  if (!tontine) {
+    throw new AppError('Tontine introuvable', 404);
+  }
+
+  if (tontine.statut !== 'Active') {
+    throw new AppError('La tontine doit etre active', 400);
+  }
+
+  // Enchère : les offres restent scellées jusqu'à la clôture
+  const enchere = tontine.modeTirage === 'enchere';
+  if (enchere && !tirageAnnule && enchereService.estOuverte(tontine)) {
+    throw new AppError(
+      `Enchere ouverte jusqu'au ${tontine.enchereEnCours.dateCloture.toLocaleString('fr-FR')}`,
+      400
+    );
+  }
+
+  // Parts déjà gagnantes par membre
+  const gains = await Tirage.getGainsParMembre(tontineId);
+
+  // Échéance en cours et places restant à pourvoir
+  const echeanceActuelle = tirageAnnule?.numeroEcheance
+    || numeroEcheance
+    || await Tirage.getEcheanceATirer(tontine);
+  const dejaDesignes = await Tirage.find(Tirage.enVigueur({
+    tontineId,
+    numeroEcheance: echeanceActuelle,
+  })).distinct('beneficiaireId');
+  // Places annulées dont le nouveau tirage est déjà programmé
+  const relancesProgrammees = tirageAnnule
+    ? 0
+    : await Tirage.countDocuments(Tirage.relancesEnAttente({ tontineId, numeroEcheance: echeanceActuelle }));
+  const placesRestantes =
+    tontine.getNombreGagnantsEcheance(echeanceActuelle) - dejaDesignes.length - relancesProgrammees;
+  const places = tirageAnnule ? Math.min(placesRestantes, 1) : placesRestantes;
+
+  // Le bénéficiaire d'un tirage annulé ne peut pas être redésigné à sa place
+  const exclus = tirageAnnule ? [...dejaDesignes, tirageAnnule.beneficiaireId] : [...dejaDesignes];
+
+  // Nouveau tirage d'une place annulée : mêmes candidats que le tirage annulé
+  const candidatsAnnules = tirageAnnule
+    ? [
+      ...(tirageAnnule.detailsEnchere?.offres || []).filter((o) => o.retenue).map((o) => o.userId),
+      ...(tirageAnnule.detailsAlgorithme?.candidatsEligibles || []).map((c) => c.userId),
+    ].map((id) => id.toString())
+    : null;
+
+  if (places <= 0) {
+    throw new AppError(
+      relancesProgrammees > 0
+        ? `Le nouveau tirage de la place annulee de l'echeance ${echeanceActuelle} est deja programme`
+        : `Tous les beneficiaires de l'echeance ${echeanceActuelle} ont deja ete designes`,
+      400
+    );
+  }
+
+  // Tour de rôle : les bénéficiaires sont les positions suivantes de l'ordre, sans opt-in
+  const tourDeRole = tontine.modeTirage === 'tour_de_role';
+  let entreesRotation = null;
+
+  if (tourDeRole) {
+    entreesRotation = [];
+    const exclusRotation = [...exclus];
+    while (entreesRotation.length < places) {
+      const entree = tontine.getProchainBeneficiaireRotation(gains, exclusRotation);
+      if (!entree) break;
+      entreesRotation.push(entree);
+      exclusRotation.push(entree.userId);
+    }
+
+    if (entreesRotation.length === 0) {
+      throw new AppError(
+        tontine.ordreRotation.length > 0
+          ? 'Tous les membres ont deja gagne'
+          : 'Aucun ordre de tour de role defini pour cette tontine',
+        400
+      );
+    }
+  }
+
+  // Appliquer opt-in automatique
+  const maintenant = Date.now();
+  const delaiMs = tontine.delaiOptIn * 60 * 1000;
+
+  const membresPresents = tontine.getMembresPresents();
+
+  for (const membre of membresPresents) {
+    const aDejaGagne = tontine.aToutGagne(membre.userId._id, gains);
+    
+    // Position partagée : seul le titulaire confirme la participation
+    if (!tourDeRole && !tirageAnnule && !aDejaGagne && !membre.titulaireId && membre.dateNotificationTirage) {
+      const tempsEcoule = maintenant - membre.dateNotificationTirage.getTime();
+      
+      if (tempsEcoule >= delaiMs && !membre.participeTirage) {
+        membre.participeTirage = true;
+        membre.optInAutomatique = true;
+        membre.dateOptIn = Date.now();
+        
+        logger.info(
+          ` Opt-in automatique pour ${membre.userId.email} ` +
+          `(délai ${tontine.delaiOptIn} min dépassé)`
+        );
+      }
+    }
+  }
+
+  await tontine.save();
+
+  // Filtrer les positions éligibles (tirées au nom de leur titulaire) : une part encore
+  // à gagner, pas déjà désignées pour l'échéance
+  const membresEligibles = tourDeRole
+    ? tontine.membres.filter(m => entreesRotation.some(e => m.userId._id.equals(e.userId)))
+    : membresPresents.filter(
+      m => !m.titulaireId
+        && !tontine.aToutGagne(m.userId._id, gains)
+        && !exclus.some(id => id.equals(m.userId._id))
+        && (candidatsAnnules
+          ? candidatsAnnules.includes(m.userId._id.toString())
+          : m.participeTirage === true)
+    );
+
+  if (membresEligibles.length === 0 && tirageAnnule) {
+    throw new AppError('Aucun autre candidat du tirage annule n\'est encore eligible', 400);
+  }
+
+  if (membresEligibles.length === 0) {
+    const membresNonGagnants = membresPresents.filter(
+      m => !m.titulaireId && !tontine.aToutGagne(m.userId._id, gains)
+    );
+    
+    if (membresNonGagnants.length > 0) {
+      throw new AppError(
+        `Aucun membre eligible ne souhaite participer au tirage. ` +
+        `${membresNonGagnants.length} membre(s) n'ont pas confirme leur participation.`,
+        400
+      );
+    }
+    
+    throw new AppError('Tous les membres ont deja gagne', 400);
+  }
+
+  // Vérifier les soldes : chaque membre doit avoir réglé l'échéance en cours
+  // (versements partiels cumulés et avances comprises) ; la dette d'un membre sorti
+  // relève de sa sortie (sortiesMembres), pas du tirage
+  const ledgers = await contributionService.getTontineLedgers(tontine);
+
+  const nombreMembresAyantCotise = membresPresents.filter((m) =>
+    contributionService.estAJourJusqua(ledgers.get(m.userId._id.toString()), echeanceActuelle)
+  ).length;
+
+  if (nombreMembresAyantCotise < membresPresents.length) {
+    logger.warn(
+      `Cotisations incomplètes pour échéance ${echeanceActuelle}: ` +
+      `${nombreMembresAyantCotise}/${membresPresents.length} membres ont cotisé`
+    );
+    
+    throw new AppError(
+      `${nombreMembresAyantCotise}/${membresPresents.length} cotisations validees. ` +
+      `Tirage impossible. Tous les membres doivent avoir cotisé.`,
+      400
+    );
+  }
+
+  const designes = designerBeneficiaires(tontine, {
+    places,
+    membresEligibles,
+    entreesRotation,
+    exclus: [...exclus],
+    offres: tirageAnnule ? tirageAnnule.detailsEnchere?.offres : tontine.enchereEnCours?.offres,
+    // La seed du tirage annulé étant publique, le nouveau tirage utilise la seed dérivée
+    // engagée à l'annulation ; l'engagement de l'annonce en cours reste secret
+    engagement: tirageAnnule ? engagementRelance : tontine.engagementTirage,
+  });
+
+  const tirages = [];
+
+  for (const [index, designe] of designes.entries()) {
+    const { beneficiaire, entreeRotation, detailsAlgorithme, resultatEnchere } = designe;
+    const montantPart = tirageAnnule
+      ? tirageAnnule.montantDistribue + (tirageAnnule.detailsEnchere?.montantRemise || 0)
+      : tontine.getMontantParGagnant(echeanceActuelle, dejaDesignes.length + index);
+
+    // Remise de l'offre gagnante, redistribuée aux autres membres
+    const montantRemise = resultatEnchere?.offreRetenue?.montantRemise || 0;
+    const redistribution = montantRemise > 0
+      ? enchereService.redistribuerRemise(tontine, beneficiaire.userId._id, montantRemise)
+      : [];
+    const enchereTiree = tirageAnnule ? tirageAnnule.detailsEnchere : tontine.enchereEnCours;
+    const detailsEnchere = enchere
+      ? {
+        dateOuverture: enchereTiree?.dateOuverture,
+        dateCloture: enchereTiree?.dateCloture,
+        montantCagnotte: montantPart,
+        montantRemise,
+        offres: resultatEnchere.offres,
+        redistribution,
+      }
+      : undefined;
+
+    // Obtenir le prochain numéro de tirage
+    const numeroTirage = await Tirage.getProchainNumero(tontineId);
+
+    //  CRÉER LE TIRAGE AVEC LES BONS CHAMPS
+    const nouveauTirage = await Tirage.create({
+      tontineId,
+      beneficiaireId: beneficiaire.userId._id,
+      numeroTirage,
+      numeroEcheance: echeanceActuelle,
+      montantDistribue: montantPart - montantRemise,
+      repartition: tontine.repartirGain(beneficiaire.userId._id, montantPart - montantRemise),
+      dateTirage: new Date(),                //  CORRIGÉ
+      methodeTirage: resultatEnchere?.beneficiaire
+        ? 'enchere'
+        : (tourDeRole ? 'tour_de_role' : 'aleatoire'),
+      detailsAlgorithme,
+      detailsEnchere,
+      statutPaiement: 'en_attente',          //  CORRIGÉ
+      createdBy: user ? user._id : tontine.createdBy
+    });
+
+    tontine.enregistrerGain(nouveauTirage);
+
+    if (redistribution.length > 0) {
+      await ledgerService.safePost(ledgerService.recordAuctionDiscount, nouveauTirage, user);
+    }
+
+    tirages.push({ tirage: nouveauTirage, beneficiaire, entreeRotation, detailsAlgorithme, detailsEnchere });
+  }
+
+  // La seed est révélée : le prochain tirage aura son propre engagement
+  // (un nouveau tirage de place annulée laisse intacte l'annonce en cours)
+  if (!tourDeRole && !tirageAnnule) {
+    tontine.engagementTirage = undefined;
+  }
+
+  // L'enchère est close : la prochaine annonce en ouvrira une nouvelle
+  if (enchere && !tirageAnnule) {
+    tontine.enchereEnCours = undefined;
+  }
+
+  // Nouveau tirage d'une place annulée : l'échéance planifiée, restée effectuée, pointe sur lui
+  const planifieAnnule = tirageAnnule
+    && tontine.calendrierTirages.find((t) => t.tirageId && t.tirageId.equals(tirageAnnule._id));
+  if (planifieAnnule) {
+    planifieAnnule.tirageId = tirages[0].tirage._id;
+  }
+
+  // Le tirage couvre l'échéance planifiée en cours, qu'il soit lancé à la main ou par le CRON,
+  // une fois tous ses bénéficiaires désignés
+  const tiragePlanifie = tontine.getTiragePlanifieEnCours();
+  if (
+    tiragePlanifie
+    && designes.length >= places
+    && (!tirageAnnule || tiragePlanifie.numeroEcheance === echeanceActuelle)
+  ) {
+    tiragePlanifie.statut = 'effectue';
+    tiragePlanifie.tirageId = tirages[0].tirage._id;
+    tiragePlanifie.dateExecution = Date.now();
+  }
+
+  await tontine.save();
+
+  for (const { tirage: nouveauTirage, beneficiaire, entreeRotation, detailsEnchere } of tirages) {
+    await nouveauTirage.populate('beneficiaireId', 'prenom nom email numeroTelephone');
+
+    // Créer un log d'audit
+    await AuditLog.create({
+      userId: user ? user._id : null,
+      userEmail: user ? user.email : 'Système',
+      userRole: user ? user.role : 'Système',
+      action: 'CREATE_TIRAGE',
+      resource: 'Tirage',
+      resourceId: nouveauTirage._id,
+      details: {
+        ...contexte,
+        tirageId: nouveauTirage._id,
+        tontineId,
+        beneficiaire: beneficiaire.userId._id,
+        montant: nouveauTirage.montantDistribue,
+        montantRemise: detailsEnchere?.montantRemise,
+        nombreOffres: detailsEnchere?.offres.length,
+        type: user ? 'Automatique' : 'Planifie',
+        modeTirage: tontine.modeTirage,
+        positionRotation: entreeRotation?.position,
+        echeanceNumero: echeanceActuelle,
+        gagnantsEcheance: tontine.getNombreGagnantsEcheance(echeanceActuelle),
+        membresEligibles: membresEligibles.length,
+        tirageAnnule: tirageAnnule?._id
+      },
+      statusCode: 201,
+      success: true
+    });
+
+    // Envoyer notification au gagnant et aux co-titulaires de sa position
+    const titulairesGagnants = [beneficiaire, ...tontine.getCoTitulaires(beneficiaire.userId._id)];
+
+    for (const titulaire of titulairesGagnants) {
+      try {
+        await notificationService.sendTirageWinnerNotification(
+          titulaire.userId,
+          nouveauTirage,
+          tontine
+        );
+      } catch (emailError) {
+        logger.error('Erreur envoi email gagnant:', emailError);
+      }
+    }
+
+    // Notifier les autres membres
+    const autresMembres = membresPresents.filter(
+      m => !titulairesGagnants.includes(m)
+    );
+    
+    for (const membre of autresMembres) {
+      try {
+        await notificationService.sendTirageResultNotification(
+          membre.userId,
+          nouveauTirage,
+          tontine,
+          beneficiaire.userId
+        );
+      } catch (emailError) {
+        logger.error(`Erreur envoi email a ${membre.userId.email}:`, emailError);
+      }
+    }
+
+    logger.info(
+      ` Tirage automatique effectue - Tontine: ${tontine.nom}, echeance ${echeanceActuelle}, ` +
+      `Gagnant: ${beneficiaire.userId.email}, Montant: ${nouveauTirage.montantDistribue} FCFA`
+    );
+  }
+
+  // Lancer le versement de la cagnotte à chaque gagnant
+  for (const resultat of tirages) {
+    resultat.tiragePaye = resultat.tirage;
+    try {
+      resultat.tiragePaye = await payoutService.payTirage(resultat.tirage._id, { user });
+    } catch (payoutError) {
+      logger.error('Erreur versement automatique:', payoutError);
+    }
+  }
+
+  return {
+    ...tirages[0],
+    tirages,
+    tontine,
+    echeanceActuelle,
+    membresEligibles: membresEligibles.length,
+    nombreMembresAyantCotise,
+  };
+};
+
+/**
+ * Annuler un tirage : statut 'annule', gain retiré aux titulaires de la position,
+ * tirage planifié rouvert ou, sur demande, nouveau tirage de la place parmi les mêmes
+ * candidats. Ce nouveau tirage est engagé dès l'annulation (empreinte publiée aux membres)
+ * et n'a lieu qu'à l'issue du délai d'opt-in (voir effectuerRelancesDues).
+ * Une cagnotte déjà versée doit d'abord avoir été récupérée, et une même échéance ne peut
+ * être annulée que TIRAGE.ANNULATIONS_MAX_PAR_ECHEANCE fois
+ * @param {String} tirageId - ID du tirage
+ * @param {Object} options - { raison, relancer, user, contexte }
+ * @returns {Object} - { tirage, relance } (relance : { datePrevue, complementHash } si programmée)
+ */
+const annulerTirage = async (tirageId, options = {}) => {
+  const { raison, relancer = false, user = null, contexte = {} } = options;
+
+  const tirage = await Tirage.findById(tirageId);
+  if (!tirage) {
+    throw new AppError('Tirage introuvable', 404);
+  }
+
+  if (relancer && tirage.methodeTirage === 'manuel') {
+    throw new AppError('Un tirage manuel ne peut pas etre relance : designez le nouveau beneficiaire manuellement', 400);
+  }
+
+  const annulationsEcheance = await Tirage.countDocuments({
+    tontineId: tirage.tontineId,
+    numeroEcheance: tirage.numeroEcheance,
+    'annulation.date': { $exists: true },
+  });
+  if (annulationsEcheance >= TIRAGE.ANNULATIONS_MAX_PAR_ECHEANCE) {
+    throw new AppError(
+      `L'echeance ${tirage.numeroEcheance} a deja ete annulee ${annulationsEcheance} fois : ` +
+        'nouvelle annulation refusee',
+      409
+    );
+  }
+
+  try {
+    tirage.annuler(raison, user);
+  } catch (error) {
+    throw new AppError(error.message, 400);
+  }
+  tirage.annulation.rang = annulationsEcheance + 1;
+
+  const tontine = await Tontine.findById(tirage.tontineId)
+    .populate('membres.userId', 'prenom nom email');
+
+  // Nouveau tirage de la place : la valeur qui en décidera est fixée maintenant
+  if (relancer) {
+    const engagementRelance = drawService.deriverEngagement(
+      tirage.detailsAlgorithme?.seed,
+      null,
+      tirage.annulation.date
+    );
+    tirage.annulation.complementRelance = engagementRelance.complement;
+    tirage.annulation.complementHashRelance = engagementRelance.complementHash;
+    tirage.annulation.dateRelancePrevue = new Date(Date.now() + tontine.delaiOptIn * 60 * 1000);
+  }
+  await tirage.save();
+
+  // Les titulaires de la position retrouvent leur part à gagner ; avec un nouveau tirage
+  // programmé, l'échéance planifiée reste effectuée (il la complétera)
+  const gains = await Tirage.getGainsParMembre(tirage.tontineId);
+  tontine.annulerGain(tirage, gains);
+  if (!relancer) {
+    tontine.rouvrirTiragePlanifie(tirage, raison);
+  }
+  await tontine.save();
+
+  if (tirage.detailsEnchere?.redistribution?.length) {
+    await ledgerService.safePost(ledgerService.recordAuctionDiscountReversal, tirage, user);
+  }
+
+  await AuditLog.create({
+    userId: user ? user._id : null,
+    userEmail: user ? user.email : 'Système',
+    userRole: user ? user.role : 'Système',
+    action: 'CANCEL_TIRAGE',
+    resource: 'Tirage',
+    resourceId: tirage._id,
+    details: {
+      ...contexte,
+      tirageId: tirage._id,
+      tontineId: tirage.tontineId,
+      beneficiaire: tirage.beneficiaireId,
+      montant: tirage.montantDistribue,
+      echeanceNumero: tirage.numeroEcheance,
+      raison,
+      montantRecupere: tirage.annulation.montantRecupere,
+      rangAnnulation: tirage.annulation.rang,
+      relance: relancer,
+      dateRelancePrevue: tirage.annulation.dateRelancePrevue,
+      complementHashRelance: tirage.annulation.complementHashRelance
+    },
+    statusCode: 200,
+    success: true,
+    severity: 'warning'
+  });
+
+  // Prévenir les titulaires de la position
+  const beneficiaire = tontine.membres.find((m) => m.userId._id.equals(tirage.beneficiaireId));
+  const titulaires = beneficiaire
+    ? [beneficiaire, ...tontine.getCoTitulaires(tirage.beneficiaireId)]
+    : [];
+
+  for (const titulaire of titulaires) {
+    try {
+      await emailService.sendEmail(
+        titulaire.userId.email,
+        'Annulation de tirage',
+        `Bonjour ${titulaire.userId.prenom},\n\nLe tirage de la tontine "${tontine.nom}" dont vous etiez beneficiaire a ete annule.\n\nRaison : ${raison}\n\n` +
+          (relancer
+            ? `Un nouveau beneficiaire sera tire au sort a votre place le ${tirage.annulation.dateRelancePrevue.toLocaleString('fr-FR')}.`
+            : 'Votre part reste a gagner lors des prochains tirages.')
+      );
+    } catch (emailError) {
+      logger.error('Erreur envoi email annulation:', emailError);
+    }
+  }
+
+  // Publier à tous les membres l'empreinte du nouveau tirage avant qu'il ait lieu
+  if (relancer) {
+    for (const membre of tontine.getMembresPresents()) {
+      await notificationService.sendTirageRelanceNotification(membre.userId, tirage, tontine);
+    }
+  }
+
+  logger.warn(
+    `Tirage #${tirage.numeroTirage} annule - Tontine: ${tontine.nom}, ` +
+    `echeance ${tirage.numeroEcheance}, par ${user ? user.email : 'Système'}: ${raison}`
+  );
+
+  return {
+    tirage,
+    relance: relancer
+      ? {
+        datePrevue: tirage.annulation.dateRelancePrevue,
+        complementHash: tirage.annulation.complementHashRelance,
+      }
+      : null,
+  };
+};
+
+/**
+ * Effectuer le nouveau tirage programmé d'une place annulée, avec la valeur engagée à l'annulation
+ * Un refus (cotisations, plus de candidat...) rend la place au tirage planifié de l'échéance
+ * @param {Object} tirage - Tirage annulé (sélectionné avec +annulation.complementRelance)
+ * @returns {Object} - Résultat de effectuerTirageAutomatique, ou { erreur }
+ */
+const effectuerRelance = async (tirage) => {
+  const engagementRelance = drawService.deriverEngagement(
+    tirage.detailsAlgorithme?.seed,
+    tirage.annulation.complementRelance,
+    tirage.annulation.date
+  );
+
+  let relance;
+  try {
+    relance = await effectuerTirageAutomatique(tirage.tontineId, {
+      tirageAnnule: tirage,
+      engagementRelance,
+    });
+  } catch (error) {
+    if (!error.isOperational) {
+      throw error;
+    }
+
+    tirage.annulation.erreurRelance = error.message;
+    await tirage.save();
+
+    const tontine = await Tontine.findById(tirage.tontineId);
+    if (tontine?.rouvrirTiragePlanifie(tirage, `nouveau tirage impossible : ${error.message}`)) {
+      await tontine.save();
+    }
+
+    logger.warn(`Nouveau tirage impossible apres annulation #${tirage.numeroTirage}: ${error.message}`);
+    return { erreur: error.message };
+  }
+
+  tirage.annulation.relanceTirageId = relance.tirage._id;
+  await tirage.save();
+
+  return relance;
+};
+
+/**
+ * Effectuer les nouveaux tirages de places annulées arrivés à échéance (CRON)
+ * @returns {Number} - Nombre de nouveaux bénéficiaires désignés
+ */
+const effectuerRelancesDues = async () => {
+  const tirages = await Tirage.find(
+    Tirage.relancesEnAttente({ 'annulation.dateRelancePrevue': { $lte: new Date() } })
+  ).select('+annulation.complementRelance');
+
+  let effectuees = 0;
+  for (const tirage of tirages) {
+    try {
+      const relance = await effectuerRelance(tirage);
+      if (!relance.erreur) effectuees++;
+    } catch (error) {
+      logger.error(`Erreur nouveau tirage apres annulation #${tirage.numeroTirage}:`, error);
+    }
+  }
+
+  return effectuees;
+};
+
+/**
+ * Enregistrer la récupération auprès du bénéficiaire d'une cagnotte déjà versée,
+ * préalable à l'annulation du tirage
+ * @param {String} tirageId - ID du tirage
+ * @param {Object} options - { montant, moyenPaiement, reference, notes, user }
+ * @returns {Object} - Tirage mis à jour
+ */
+const enregistrerRecuperation = async (tirageId, options = {}) => {
+  const { montant, moyenPaiement, reference, notes, user = null } = options;
+
+  const tirage = await Tirage.findById(tirageId);
+  if (!tirage) {
+    throw new AppError('Tirage introuvable', 404);
+  }
+
+  if (tirage.estAnnule) {
+    throw new AppError('Tirage deja annule', 400);
+  }
+
+  if (tirage.aVersementEnCours()) {
+    throw new AppError('Un versement est en cours chez le provider : attendez son issue', 400);
+  }
+
+  const montantVerse = tirage.montantVerse;
+  if (!montantVerse) {
+    throw new AppError('Aucune cagnotte versee pour ce tirage : rien a recuperer', 400);
+  }
+
+  if (tirage.recuperation?.date) {
+    throw new AppError('Recuperation deja enregistree pour ce tirage', 409);
+  }
+
+  if (montant !== montantVerse) {
+    throw new AppError(`Le montant recupere doit etre celui verse (${montantVerse} FCFA)`, 400);
+  }
+
+  tirage.recuperation = {
+    montant,
+    moyenPaiement,
+    reference,
+    date: new Date(),
+    enregistrePar: user ? user._id : undefined,
+    notes,
+  };
+  await tirage.save();
+
+  await ledgerService.safePost(ledgerService.recordPayoutClawback, tirage, user);
+
+  await AuditLog.create({
+    userId: user ? user._id : null,
+    userEmail: user ? user.email : 'Système',
+    userRole: user ? user.role : 'Système',
+    action: 'CLAWBACK_TIRAGE',
+    resource: 'Tirage',
+    resourceId: tirage._id,
+    details: {
+      tirageId: tirage._id,
+      tontineId: tirage.tontineId,
+      beneficiaire: tirage.beneficiaireId,
+      montant,
+      moyenPaiement,
+      reference
+    },
+    statusCode: 200,
+    success: true
+  });
+
+  logger.info(`Recuperation enregistree - tirage #${tirage.numeroTirage}: ${montant} FCFA`);
+
+  return tirage;
+};
+
+module.exports = {
+  annoncerTirage,
+  effectuerTirageAutomatique,
+  annulerTirage,
+  effectuerRelancesDues,
+  enregistrerRecuperation,
+};
@@ -0,0 +1,235 @@
+// services/tontineRole.service.js
+const Tontine = require('../models/Tontine');
+const User = require('../models/User');
+const logger = require('../utils/logger');
+const { AppError } = require('../utils/errors');
+const {
+  ROLES,
+  TONTINE_ROLES,
+  CAPABILITIES,
+  TONTINE_ROLE_CAPABILITIES,
+  MFA,
+} = require('../config/constants');
+
+/**
+ * Rôles et capacités par tontine
+ *
+ * Les droits sur une tontine ne dépendent plus du rôle global de l'utilisateur mais de
+ * son rôle dans cette tontine :
+ *   - propriétaire : créateur de la tontine (createdBy)
+ *   - trésorier    : trésorier assigné (tresorierAssigne)
+ *   - co-trésorier, auditeur : attribués par le propriétaire (rolesAttribues)
+ *   - membre       : présent dans membres
+ * Un utilisateur peut cumuler plusieurs rôles ; ses capacités sont l'union de celles de
+ * ses rôles (TONTINE_ROLE_CAPABILITIES). L'Admin de la plateforme a toutes les capacités.
+ */
+
+const ROLES_ATTRIBUABLES = [TONTINE_ROLES.CO_TRESORIER, TONTINE_ROLES.AUDITEUR];
+const CHAMPS_PERMISSIONS = 'nom statut createdBy tresorierAssigne membres.userId rolesAttribues';
+
+const idOf = (valeur) => valeur?._id || valeur;
+const estMeme = (a, b) => Boolean(a) && Boolean(b) && idOf(a).toString() === idOf(b).toString();
+
+/**
+ * Rôles d'un utilisateur dans une tontine
+ * @returns {Array} - Rôles (TONTINE_ROLES), vide si l'utilisateur n'y participe pas
+ */
+const rolesDans = (tontine, userId) => {
+  const roles = [];
+  const estMembre = (tontine.membres || []).some((membre) => estMeme(membre.userId, userId));
+
+  if (estMeme(tontine.createdBy, userId)) roles.push(TONTINE_ROLES.PROPRIETAIRE);
+  if (estMeme(tontine.tresorierAssigne, userId)) roles.push(TONTINE_ROLES.TRESORIER);
+  (tontine.rolesAttribues || [])
+    .filter((attribution) => estMeme(attribution.userId, userId))
+    // Un co-trésorier retiré ou sorti de la tontine perd son rôle
+    .filter((attribution) => attribution.role !== TONTINE_ROLES.CO_TRESORIER || estMembre)
+    .forEach((attribution) => roles.push(attribution.role));
+  if (estMembre) roles.push(TONTINE_ROLES.MEMBRE);
+
+  return roles;
+};
+
+/**
+ * Capacités accordées par un ensemble de rôles
+ */
+const capacitesDe = (roles) => [
+  ...new Set(roles.flatMap((role) => TONTINE_ROLE_CAPABILITIES[role] || [])),
+];
+
+/**
+ * Rôles et capacités d'un utilisateur dans une tontine
+ * @returns {Object} - { roles, capacites }
+ */
+const accesDans = (tontine, user) => {
+  const roles = rolesDans(tontine, user._id);
+  const capacites = user.role === ROLES.ADMIN ? Object.values(CAPABILITIES) : capacitesDe(roles);
+  return { roles, capacites };
+};
+
+/**
+ * L'utilisateur a-t-il la capacité sur cette tontine ?
+ */
+const aCapacite = (tontine, user, capacite) => accesDans(tontine, user).capacites.includes(capacite);
+
+/**
+ * Double authentification exigée par les rôles qui manipulent l'argent de la tontine
+ */
+const mfaExigee = (roles) => roles.some((role) => MFA.ROLES_TONTINE_OBLIGATOIRES.includes(role));
+
+/**
+ * Charger les seuls champs nécessaires au calcul des permissions
+ */
+const chargerPourPermissions = (tontineId) => Tontine.findById(tontineId).select(CHAMPS_PERMISSIONS);
+
+/**
+ * Tontines sur lesquelles l'utilisateur a la capacité, pour les listes qui couvrent
+ * plusieurs tontines (transactions, rapprochements)
+ * @returns {Array|null} - [{ tontineId, roles }], null pour un Admin (toutes les tontines)
+ */
+const tontinesAvecCapacite = async (user, capacite) => {
+  if (user.role === ROLES.ADMIN) return null;
+
+  const tontines = await Tontine.find({
+    $or: [
+      { createdBy: user._id },
+      { tresorierAssigne: user._id },
+      { 'rolesAttribues.userId': user._id },
+      { 'membres.userId': user._id },
+    ],
+  }).select(CHAMPS_PERMISSIONS);
+
+  return tontines
+    .map((tontine) => ({ tontineId: tontine._id, roles: rolesDans(tontine, user._id) }))
+    .filter(({ roles }) => capacitesDe(roles).includes(capacite));
+};
+
+/**
+ * Participants d'une tontine avec leurs rôles et capacités
+ */
+const listerRoles = async (tontineId) => {
+  const tontine = await chargerPourPermissions(tontineId).populate(
+    'createdBy tresorierAssigne rolesAttribues.userId membres.userId',
+    'prenom nom email role'
+  );
+  if (!tontine) {
+    throw new AppError('Tontine introuvable', 404);
+  }
+
+  const participants = new Map();
+  [
+    tontine.createdBy,
+    tontine.tresorierAssigne,
+    ...tontine.rolesAttribues.map((attribution) => attribution.userId),
+    ...tontine.membres.map((membre) => membre.userId),
+  ]
+    .filter((user) => user && user._id)
+    .forEach((user) => participants.set(user._id.toString(), user));
+
+  return [...participants.values()].map((user) => {
+    const roles = rolesDans(tontine, user._id);
+    return {
+      userId: user._id,
+      nom: `${user.prenom} ${user.nom}`,
+      email: user.email,
+      roles,
+      capacites: capacitesDe(roles),
+    };
+  });
+};
+
+/**
+ * Attribuer un rôle de tontine (co-trésorier ou auditeur) ; remplace le rôle attribué précédent
+ * @param {Object} auteur - Utilisateur qui attribue (capacité manage_roles vérifiée par la route)
+ * @returns {Object} - { userId, role, roles }
+ */
+const attribuerRole = async (tontineId, userId, role, auteur) => {
+  if (!ROLES_ATTRIBUABLES.includes(role)) {
+    throw new AppError(`Rôle attribuable : ${ROLES_ATTRIBUABLES.join(' ou ')}`, 400);
+  }
+
+  const tontine = await Tontine.findById(tontineId);
+  if (!tontine) {
+    throw new AppError('Tontine introuvable', 404);
+  }
+
+  const user = await User.findById(userId);
+  if (!user) {
+    throw new AppError('Utilisateur introuvable', 404);
+  }
+  if (!user.isActive) {
+    throw new AppError('Compte désactivé', 400);
+  }
+
+  const rolesActuels = rolesDans(tontine, userId);
+  if (rolesActuels.includes(TONTINE_ROLES.PROPRIETAIRE) || rolesActuels.includes(TONTINE_ROLES.TRESORIER)) {
+    throw new AppError('Cet utilisateur est déjà propriétaire ou trésorier de la tontine', 409);
+  }
+  if (rolesActuels.includes(role)) {
+    throw new AppError(`Cet utilisateur est déjà ${role} de la tontine`, 409);
+  }
+  if (role === TONTINE_ROLES.CO_TRESORIER && !rolesActuels.includes(TONTINE_ROLES.MEMBRE)) {
+    throw new AppError('Le co-trésorier doit être membre de la tontine', 400);
+  }
+
+  const precedent = tontine.rolesAttribues.find((attribution) => estMeme(attribution.userId, userId));
+  tontine.rolesAttribues = tontine.rolesAttribues.filter((attribution) => attribution !== precedent);
+  tontine.rolesAttribues.push({ userId, role, attribuePar: auteur._id });
+
+  tontine.historiqueModifications.push({
+    modifiePar: auteur._id,
+    champModifie: 'rolesAttribues',
+    ancienneValeur: precedent ? `${userId}:${precedent.role}` : null,
+    nouvelleValeur: `${userId}:${role}`,
+  });
+  tontine.lastModifiedBy = auteur._id;
+  await tontine.save();
+
+  logger.info(`Role ${role} attribue a ${user.email} sur la tontine ${tontine.nom} par ${auteur.email}`);
+
+  return { userId: user._id, role, roles: rolesDans(tontine, userId) };
+};
+
+/**
+ * Retirer le rôle attribué à un utilisateur (co-trésorier ou auditeur)
+ * @returns {Object} - { userId, role, roles }
+ */
+const retirerRole = async (tontineId, userId, auteur) => {
+  const tontine = await Tontine.findById(tontineId);
+  if (!tontine) {
+    throw new AppError('Tontine introuvable', 404);
+  }
+
+  const attribution = tontine.rolesAttribues.find((a) => estMeme(a.userId, userId));
+  if (!attribution) {
+    throw new AppError('Aucun rôle attribué à cet utilisateur sur cette tontine', 404);
+  }
+
+  tontine.rolesAttribues = tontine.rolesAttribues.filter((a) => a !== attribution);
+  tontine.historiqueModifications.push({
+    modifiePar: auteur._id,
+    champModifie: 'rolesAttribues',
+    ancienneValeur: `${userId}:${attribution.role}`,
+    nouvelleValeur: null,
+  });
+  tontine.lastModifiedBy = auteur._id;
+  await tontine.save();
+
+  logger.info(`Role ${attribution.role} retire a ${userId} sur la tontine ${tontine.nom} par ${auteur.email}`);
+
+  return { userId, role: attribution.role, roles: rolesDans(tontine, userId) };
+};
+
+module.exports = {
+  ROLES_ATTRIBUABLES,
+  rolesDans,
+  capacitesDe,
+  accesDans,
+  aCapacite,
+  mfaExigee,
+  chargerPourPermissions,
+  tontinesAvecCapacite,
+  listerRoles,
+  attribuerRole,
+  retirerRole,
+};
@@ -119,6 +119,14 @@ const sendPaymentRejectedWhatsApp = async (user, transaction, tontine, motif) =>
   return await sendWhatsAppMessage(user.numeroTelephone, message);
 };
 
+const sendRefundWhatsApp = async (user, transaction, tontine, remboursement) => {
+  const message = remboursement.statut === 'effectue'
+    ? `Bonjour ${user.prenom},\n\nVotre REMBOURSEMENT a ete effectue.\n\nTontine: ${tontine.nom}\nMontant: ${formatCurrency(remboursement.montant)}\nReference: ${transaction.referenceTransaction}\nMotif: ${remboursement.motif}\n\n- DigiTontine`
+    : `Bonjour ${user.prenom},\n\nUn remboursement de ${formatCurrency(remboursement.montant)} est en cours pour la tontine "${tontine.nom}".\n\nReference: ${transaction.referenceTransaction}\nLe tresorier vous contactera pour le finaliser.\n\n- DigiTontine`;
+
+  return await sendWhatsAppMessage(user.numeroTelephone, message);
+};
+
 const sendTirageWinnerWhatsApp = async (user, tirage, tontine) => {
   const message = `FELICITATIONS ${user.prenom} !\n\nVous avez GAGNE le tirage de la tontine "${tontine.nom}".\n\nMontant a recevoir: ${formatCurrency(tirage.montant)}\nDate: ${formatDate(tirage.dateTirage)}\n\nLe montant sera verse sous 48h.\n\n- DigiTontine`;
 
@@ -173,6 +181,18 @@ const sendPasswordResetCodeWhatsApp = async (user, resetCode) => {
   return await sendWhatsAppMessage(user.numeroTelephone, message);
 };
 
+const sendLoginOTPWhatsApp = async (user, code) => {
+  const message = `Bonjour ${user.prenom},\n\nVotre code de connexion DigiTontine:\n\n${code}\n\nValide pendant 15 minutes.\n\nSi vous n'etes pas a l'origine de cette connexion, changez votre mot de passe immediatement.\n\n- DigiTontine`;
+
+  return await sendWhatsAppMessage(user.numeroTelephone, message);
+};
+
+const sendRegistrationCodeWhatsApp = async (user, code) => {
+  const message = `Bonjour ${user.prenom},\n\nVotre code de verification d'inscription DigiTontine:\n\n${code}\n\nValide pendant 15 minutes.\n\nSi vous n'etes pas a l'origine de cette inscription, ignorez ce message.\n\n- DigiTontine`;
+
+  return await sendWhatsAppMessage(user.numeroTelephone, message);
+};
+
 const sendAccountDeactivatedWhatsApp = async (user) => {
   const message = `Bonjour ${user.prenom},\n\nVotre compte DigiTontine a ete DESACTIVE.\n\nPour le reactiver, contactez l'administrateur.\n\n- DigiTontine`;
 
@@ -254,6 +274,7 @@ module.exports = {
   sendPaymentReminderWhatsApp,
   sendPaymentValidatedWhatsApp,
   sendPaymentRejectedWhatsApp,
+  sendRefundWhatsApp,
   sendTirageWinnerWhatsApp,
   sendTirageResultWhatsApp,
   sendTontineActivatedWhatsApp,
@@ -263,5 +284,7 @@ module.exports = {
   sendPenaltyAppliedWhatsApp,
   sendWelcomeWhatsApp,
   sendPasswordResetCodeWhatsApp,
+  sendLoginOTPWhatsApp,
+  sendRegistrationCodeWhatsApp,
   sendAccountDeactivatedWhatsApp,
 };
\ No newline at end of file
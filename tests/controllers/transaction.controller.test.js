@@ -0,0 +1,124 @@
+// tests/controllers/transaction.controller.test.js
+process.env.ORANGE_MONEY_WEBHOOK_SECRET = 'whsec_orange';
+
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Transaction = require('../../models/Transaction');
+const Tontine = require('../../models/Tontine');
+const WebhookEvent = require('../../models/WebhookEvent');
+const AuditLog = require('../../models/AuditLog');
+const ledgerService = require('../../services/ledger.service');
+const { handlePaymentWebhook } = require('../../controllers/transaction.controller');
+const { TRANSACTION_STATUS } = require('../../config/constants');
+
+const creerTransaction = (champs = {}) => {
+  const transaction = new Transaction({
+    referenceTransaction: 'TXN-TEST-0001',
+    tontineId: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    montant: 5000,
+    moyenPaiement: 'Orange Money',
+    webhookData: { notifToken: 'NT-TXN-TEST-0001' },
+    ...champs,
+  });
+  transaction.save = jest.fn().mockResolvedValue(transaction);
+  return transaction;
+};
+
+const notificationOrange = (status) => {
+  const body = { status, notif_token: 'NT-TXN-TEST-0001', txnid: 'MP-TEST-1' };
+  const rawBody = Buffer.from(JSON.stringify(body));
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const signature = crypto
+    .createHmac('sha256', process.env.ORANGE_MONEY_WEBHOOK_SECRET)
+    .update(`${timestamp}${rawBody.toString('utf8')}`)
+    .digest('hex');
+  const headers = { 'x-webhook-signature': `t=${timestamp},v1=${signature}` };
+
+  return {
+    params: { provider: 'orange-money' },
+    body,
+    rawBody,
+    method: 'POST',
+    originalUrl: '/digitontine/transactions/webhook/orange-money',
+    get: (name) => headers[name.toLowerCase()],
+  };
+};
+
+const creerReponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe('transaction.controller - webhook Orange Money', () => {
+  let transaction;
+  let safePost;
+
+  const recevoir = async (status) => {
+    const res = creerReponse();
+    await handlePaymentWebhook(notificationOrange(status), res);
+    return res;
+  };
+
+  beforeEach(() => {
+    transaction = creerTransaction();
+    jest.spyOn(Transaction, 'findOne').mockReturnValue({
+      populate: jest.fn().mockResolvedValue(transaction),
+    });
+    jest.spyOn(WebhookEvent, 'claim').mockResolvedValue(true);
+    jest.spyOn(Tontine, 'findById').mockResolvedValue(null);
+    jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+    safePost = jest.spyOn(ledgerService, 'safePost').mockResolvedValue(null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('confirme l\'encaissement d\'un paiement réussi, en attente du trésorier', async () => {
+    const res = await recevoir('SUCCESS');
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(transaction.statut).toBe(TRANSACTION_STATUS.EN_ATTENTE);
+    expect(transaction.paiementConfirme).toBe(true);
+    expect(safePost).not.toHaveBeenCalled();
+  });
+
+  it('rejette la transaction d\'un paiement échoué sans confirmer d\'encaissement', async () => {
+    const res = await recevoir('FAILED');
+
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(transaction.statut).toBe(TRANSACTION_STATUS.REJETEE);
+    expect(transaction.motifRejet).toMatch(/FAILED/);
+    expect(transaction.dateRejet).toBeDefined();
+    expect(transaction.paiementConfirme).toBeFalsy();
+    expect(transaction.save).toHaveBeenCalled();
+    expect(safePost).toHaveBeenCalledWith(ledgerService.recordPaymentRejected, transaction);
+  });
+
+  it('rejette aussi la transaction d\'un paiement expiré', async () => {
+    await recevoir('EXPIRED');
+
+    expect(transaction.statut).toBe(TRANSACTION_STATUS.REJETEE);
+  });
+
+  it('ne rejette pas un paiement dont l\'encaissement a déjà été confirmé', async () => {
+    transaction.paiementConfirme = true;
+
+    await recevoir('FAILED');
+
+    expect(transaction.statut).toBe(TRANSACTION_STATUS.EN_ATTENTE);
+    expect(safePost).not.toHaveBeenCalled();
+  });
+
+  it('refuse une notification non signée sans toucher la transaction', async () => {
+    const req = notificationOrange('FAILED');
+    req.get = () => undefined;
+    const res = creerReponse();
+
+    await handlePaymentWebhook(req, res);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(transaction.save).not.toHaveBeenCalled();
+  });
+});
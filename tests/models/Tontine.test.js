@@ -0,0 +1,85 @@
+// tests/models/Tontine.test.js
+const mongoose = require('mongoose');
+const Tontine = require('../../models/Tontine');
+const { TONTINE_STATUS } = require('../../config/constants');
+
+const nouvelId = () => new mongoose.Types.ObjectId();
+
+// Tontine prête à l'activation : trésorier membre, parts réparties sur les membres
+const construireTontine = (partsParMembre, gagnantsParCycle) => {
+  const membres = partsParMembre.map((nombreParts) => ({ userId: nouvelId(), nombreParts }));
+
+  return new Tontine({
+    nom: 'Tontine test',
+    montantCotisation: 10000,
+    frequence: 'mensuelle',
+    dateDebut: new Date('2026-01-01'),
+    dateFin: new Date('2026-12-31'),
+    nombreMembresMin: 1,
+    nombreMembresMax: 10,
+    gagnantsParCycle,
+    tresorierAssigne: membres[0].userId,
+    createdBy: nouvelId(),
+    membres,
+  });
+};
+
+describe('Tontine - échéances à plusieurs gagnants', () => {
+  it('refuse l\'activation quand la dernière échéance serait incomplète', () => {
+    // 5 parts, 2 gagnants par échéance : la 3e échéance n'aurait qu'un gagnant
+    // qui toucherait 50 000 FCFA après en avoir cotisé 30 000
+    const tontine = construireTontine([1, 1, 1, 1, 1], 2);
+
+    expect(() => tontine.activer()).toThrow(/multiple du nombre de gagnants par échéance/);
+    expect(tontine.statut).toBe(TONTINE_STATUS.EN_ATTENTE);
+  });
+
+  it('verse à chaque gagnant exactement ce que sa part a cotisé', () => {
+    const tontine = construireTontine([2, 1, 1, 1, 1], 2);
+    tontine.activer();
+
+    const cycles = tontine.getNombreCycles();
+    expect(cycles).toBe(3);
+
+    for (let echeance = 1; echeance <= cycles; echeance += 1) {
+      expect(tontine.getNombreGagnantsEcheance(echeance)).toBe(2);
+      expect(tontine.getMontantParGagnant(echeance, 0)).toBe(30000);
+      expect(tontine.getMontantParGagnant(echeance, 1)).toBe(30000);
+    }
+    expect(tontine.getNombreGagnantsEcheance(cycles + 1)).toBe(0);
+  });
+
+  it('refuse après activation une modification des parts qui casserait la répartition', async () => {
+    const tontine = construireTontine([2, 1, 1, 1, 1], 2);
+    tontine.activer();
+    tontine.isNew = false;
+
+    tontine.membres[0].nombreParts = 1;
+
+    await expect(tontine.validate()).rejects.toThrow(/multiple du nombre de gagnants/);
+  });
+
+  it('ne bloque pas les autres modifications des membres d\'une tontine active', async () => {
+    const tontine = construireTontine([2, 1, 1, 1, 1], 2);
+    tontine.activer();
+    tontine.isNew = false;
+
+    tontine.membres[1].dateSortie = new Date();
+
+    await expect(tontine.validate(['membres'])).resolves.toBeUndefined();
+  });
+});
+
+describe('Tontine - membres sortis', () => {
+  it('écarte des membres présents un membre sorti en recouvrement', () => {
+    const tontine = construireTontine([1, 1, 1], 1);
+    tontine.membres[2].dateSortie = new Date();
+
+    expect(tontine.getMembresPresents().map((m) => m.userId)).toEqual([
+      tontine.membres[0].userId,
+      tontine.membres[1].userId,
+    ]);
+    // Il reste dans membres : ses gains et sa sortie restent rattachés à sa position
+    expect(tontine.membres).toHaveLength(3);
+  });
+});
@@ -0,0 +1,42 @@
+// tests/routes/proxy.routes.test.js
+jest.mock('axios');
+
+const express = require('express');
+const request = require('supertest');
+const axios = require('axios');
+const proxyRoutes = require('../../routes/proxy.routes');
+
+const app = express();
+app.use('/api/proxy', proxyRoutes);
+
+describe('proxy.routes - authentification', () => {
+  beforeEach(() => {
+    axios.mockReset();
+    axios.mockResolvedValue({ status: 200, data: { success: true } });
+  });
+
+  it('laisse passer sans jeton la vérification publique d\'un tirage', async () => {
+    const res = await request(app).get('/api/proxy/tirages/6650f1c2a1b2c3d4e5f60718/verify');
+
+    expect(res.status).toBe(200);
+    expect(axios).toHaveBeenCalledWith(
+      expect.objectContaining({
+        method: 'GET',
+        url: expect.stringMatching(/\/digitontine\/tirages\/6650f1c2a1b2c3d4e5f60718\/verify$/),
+      })
+    );
+  });
+
+  it('exige un jeton pour le détail d\'un tirage', async () => {
+    const res = await request(app).get('/api/proxy/tirages/6650f1c2a1b2c3d4e5f60718');
+
+    expect(res.status).toBe(401);
+    expect(axios).not.toHaveBeenCalled();
+  });
+
+  it('exige un jeton pour un chemin qui ne fait que contenir verify', async () => {
+    const res = await request(app).get('/api/proxy/tirages/6650f1c2a1b2c3d4e5f60718/verify/extra');
+
+    expect(res.status).toBe(401);
+  });
+});
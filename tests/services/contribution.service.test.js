@@ -0,0 +1,103 @@
+// tests/services/contribution.service.test.js
+const Transaction = require('../../models/Transaction');
+const contributionService = require('../../services/contribution.service');
+const { TRANSACTION_STATUS } = require('../../config/constants');
+
+const { allocate } = contributionService;
+
+// Trois échéances de 10 000 FCFA, les deux premières échues au 15 mars
+const CALENDRIER = [
+  { numeroEcheance: 2, dateEcheance: new Date('2026-02-01'), montant: 10000 },
+  { numeroEcheance: 1, dateEcheance: new Date('2026-01-01'), montant: 10000 },
+  { numeroEcheance: 3, dateEcheance: new Date('2026-04-01'), montant: 10000 },
+];
+const DATE_REFERENCE = new Date('2026-03-15');
+
+describe('contribution.service - allocate', () => {
+  it('impute les versements dans l\'ordre du calendrier', () => {
+    const ledger = allocate(CALENDRIER, 15000, DATE_REFERENCE);
+
+    expect(ledger.echeances.map((e) => e.numeroEcheance)).toEqual([1, 2, 3]);
+    expect(ledger.echeances.map((e) => e.montantPaye)).toEqual([10000, 5000, 0]);
+    expect(ledger.echeances.map((e) => e.statut)).toEqual(['payee', 'partielle', 'impayee']);
+  });
+
+  it('calcule le retard et les jours de retard des échéances échues', () => {
+    const ledger = allocate(CALENDRIER, 15000, DATE_REFERENCE);
+
+    expect(ledger.totalDuEchu).toBe(20000);
+    expect(ledger.soldeRetard).toBe(5000);
+    expect(ledger.aJour).toBe(false);
+    expect(ledger.echeances[0].joursRetard).toBe(0);
+    expect(ledger.echeances[1].joursRetard).toBe(42);
+    expect(ledger.echeances[2]).toMatchObject({ echue: false, joursRetard: 0 });
+  });
+
+  it('reporte un paiement d\'avance sur les échéances futures', () => {
+    const ledger = allocate(CALENDRIER, 25000, DATE_REFERENCE);
+
+    expect(ledger.aJour).toBe(true);
+    expect(ledger.avance).toBe(5000);
+    expect(ledger.echeances[2]).toMatchObject({ montantPaye: 5000, resteAPayer: 5000, statut: 'partielle' });
+    expect(ledger.resteCalendrier).toBe(5000);
+    expect(ledger.credit).toBe(0);
+  });
+
+  it('garde en crédit ce qui dépasse tout le calendrier', () => {
+    const ledger = allocate(CALENDRIER, 32000, DATE_REFERENCE);
+
+    expect(ledger.echeances.every((e) => e.statut === 'payee')).toBe(true);
+    expect(ledger.credit).toBe(2000);
+    expect(ledger.resteCalendrier).toBe(0);
+  });
+
+  it('laisse tout le calendrier à payer sans versement', () => {
+    const ledger = allocate(CALENDRIER, 0, DATE_REFERENCE);
+
+    expect(ledger.resteCalendrier).toBe(30000);
+    expect(ledger.soldeRetard).toBe(20000);
+    expect(ledger.avance).toBe(0);
+  });
+
+  it('ne considère pas en retard une échéance due à la date de référence et soldée', () => {
+    const ledger = allocate(CALENDRIER, 20000, new Date('2026-02-01'));
+
+    expect(ledger.aJour).toBe(true);
+    expect(contributionService.estAJourJusqua(ledger, 2)).toBe(true);
+    expect(contributionService.estAJourJusqua(ledger, 3)).toBe(false);
+    expect(contributionService.prochaineEcheance(ledger).numeroEcheance).toBe(3);
+  });
+});
+
+describe('contribution.service - montantImputable', () => {
+  it('retient la cotisation hors pénalité et remboursements', () => {
+    expect(contributionService.montantImputable({ montant: 11000, montantCotisation: 10000 })).toBe(10000);
+    expect(contributionService.montantImputable({ montant: 11000, montantPenalite: 1000 })).toBe(10000);
+    expect(
+      contributionService.montantImputable({ montant: 10000, montantCotisation: 10000, montantRembourse: 4000 })
+    ).toBe(6000);
+    expect(
+      contributionService.montantImputable({ montant: 10000, montantCotisation: 10000, montantRembourse: 12000 })
+    ).toBe(0);
+  });
+});
+
+describe('contribution.service - getMontantEnAttente', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  it('additionne les cotisations en attente de validation du membre', async () => {
+    const find = jest.spyOn(Transaction, 'find').mockReturnValue({
+      select: jest.fn().mockResolvedValue([
+        { montant: 5000, montantCotisation: 5000 },
+        { montant: 3000, montantCotisation: 3000 },
+      ]),
+    });
+
+    const montant = await contributionService.getMontantEnAttente({ _id: 'tontine' }, 'membre');
+
+    expect(montant).toBe(8000);
+    expect(find).toHaveBeenCalledWith(
+      expect.objectContaining({ tontineId: 'tontine', userId: 'membre', statut: TRANSACTION_STATUS.EN_ATTENTE })
+    );
+  });
+});
@@ -0,0 +1,195 @@
+// tests/services/draw.service.test.js
+const crypto = require('crypto');
+const drawService = require('../../services/draw.service');
+
+const sha256 = (valeur) => crypto.createHash('sha256').update(valeur).digest('hex');
+
+const membre = (id, score) => ({
+  userId: { _id: id, nomComplet: `Membre ${id}`, fiabilite: score === undefined ? undefined : { score } },
+});
+
+const SEED = 'a'.repeat(64);
+const IDS = ['65f000000000000000000003', '65f000000000000000000001', '65f000000000000000000002'];
+
+describe('draw.service', () => {
+  describe('genererEngagement', () => {
+    it('publie l\'empreinte SHA-256 d\'une graine secrète de 32 octets', () => {
+      const { seed, seedHash, dateEngagement } = drawService.genererEngagement();
+
+      expect(seed).toMatch(/^[0-9a-f]{64}$/);
+      expect(seedHash).toBe(sha256(seed));
+      expect(dateEngagement).toBeInstanceOf(Date);
+    });
+
+    it('génère une graine différente à chaque engagement', () => {
+      expect(drawService.genererEngagement().seed).not.toBe(drawService.genererEngagement().seed);
+    });
+  });
+
+  describe('calculerGagnant', () => {
+    it('désigne l\'indice SHA-256("<graine>:<ids triés>") mod n', () => {
+      const resultat = drawService.calculerGagnant(SEED, IDS);
+      const tries = [...IDS].sort();
+      const empreinte = sha256(`${SEED}:${tries.join(',')}`);
+      const index = Number(BigInt(`0x${empreinte}`) % BigInt(tries.length));
+
+      expect(resultat.candidats).toEqual(tries);
+      expect(resultat.empreinte).toBe(empreinte);
+      expect(resultat.index).toBe(index);
+      expect(resultat.gagnantId).toBe(tries[index]);
+    });
+
+    it('ne dépend pas de l\'ordre des candidats', () => {
+      const a = drawService.calculerGagnant(SEED, IDS);
+      const b = drawService.calculerGagnant(SEED, [...IDS].reverse());
+
+      expect(b.gagnantId).toBe(a.gagnantId);
+    });
+
+    it('refuse un tirage sans candidat', () => {
+      expect(() => drawService.calculerGagnant(SEED, [])).toThrow('Aucun candidat pour le tirage');
+    });
+  });
+
+  describe('calculerGagnantPondere', () => {
+    it('désigne le gagnant sur les poids cumulés', () => {
+      const candidats = IDS.map((userId, i) => ({ userId, score: [10, 60, 30][i] }));
+      const resultat = drawService.calculerGagnantPondere(SEED, candidats);
+
+      const tries = [...candidats].sort((a, b) => (a.userId < b.userId ? -1 : 1));
+      const empreinte = sha256(`${SEED}:${tries.map((c) => `${c.userId}=${c.score}`).join(',')}`);
+      const valeur = Number(BigInt(`0x${empreinte}`) % 100n);
+      let cumul = 0;
+      const attendu = tries.find((c) => (cumul += c.score) > valeur);
+
+      expect(resultat.poids).toEqual(tries.map((c) => c.score));
+      expect(resultat.valeur).toBe(valeur);
+      expect(resultat.gagnantId).toBe(attendu.userId);
+    });
+
+    it('donne un poids minimal de 1 et un poids par défaut sans score', () => {
+      const resultat = drawService.calculerGagnantPondere(SEED, [
+        { userId: IDS[1], score: 0 },
+        { userId: IDS[2], score: null },
+      ]);
+
+      expect(resultat.poids).toEqual([1, 50]);
+    });
+  });
+
+  describe('tirerBeneficiaire', () => {
+    const membres = IDS.map((id) => membre(id));
+
+    it('utilise la graine de l\'engagement publié', () => {
+      const engagement = { seed: SEED, seedHash: sha256(SEED), dateEngagement: new Date() };
+      const { beneficiaire, detailsAlgorithme } = drawService.tirerBeneficiaire(engagement, membres);
+
+      expect(detailsAlgorithme.seed).toBe(SEED);
+      expect(detailsAlgorithme.engagementPublie).toBe(true);
+      expect(detailsAlgorithme.algorithme).toBe(drawService.ALGORITHME);
+      expect(beneficiaire.userId._id).toBe(drawService.calculerGagnant(SEED, IDS).gagnantId);
+    });
+
+    it('génère une graine non publiée en l\'absence d\'engagement', () => {
+      const { detailsAlgorithme } = drawService.tirerBeneficiaire(null, membres);
+
+      expect(detailsAlgorithme.engagementPublie).toBe(false);
+      expect(detailsAlgorithme.seedHash).toBe(sha256(detailsAlgorithme.seed));
+    });
+
+    it('pondère par le score de fiabilité sur demande', () => {
+      const { detailsAlgorithme } = drawService.tirerBeneficiaire(
+        { seed: SEED, seedHash: sha256(SEED) },
+        IDS.map((id, i) => membre(id, [10, 60, 30][i])),
+        { pondere: true }
+      );
+
+      expect(detailsAlgorithme.algorithme).toBe(drawService.ALGORITHME_PONDERE);
+      expect(detailsAlgorithme.candidatsEligibles.map((c) => c.score)).toEqual([60, 30, 10]);
+    });
+  });
+
+  describe('deriverEngagement', () => {
+    it('dérive la graine de la graine révélée et d\'un complément frais engagé', () => {
+      const engagement = drawService.deriverEngagement(SEED);
+
+      expect(engagement.seedPrecedente).toBe(SEED);
+      expect(engagement.complementHash).toBe(sha256(engagement.complement));
+      expect(engagement.seed).toBe(sha256(`${SEED}:${engagement.complement}`));
+      expect(engagement.seedHash).toBe(sha256(engagement.seed));
+      expect(engagement.engagementPublie).toBe(true);
+    });
+
+    it('reconstitue au nouveau tirage la graine engagée à l\'annulation', () => {
+      const annulation = drawService.deriverEngagement(SEED);
+      const relance = drawService.deriverEngagement(SEED, annulation.complement);
+
+      expect(relance.seed).toBe(annulation.seed);
+      expect(relance.complementHash).toBe(annulation.complementHash);
+    });
+
+    it('utilise le complément comme graine quand le tirage annulé n\'en avait pas', () => {
+      const engagement = drawService.deriverEngagement(null);
+
+      expect(engagement.seed).toBe(engagement.complement);
+      expect(engagement.seedHash).toBe(engagement.complementHash);
+      expect(engagement.seedPrecedente).toBeUndefined();
+    });
+  });
+
+  describe('verifierTirage', () => {
+    const tirer = (engagement, pondere = false) => {
+      const { beneficiaire, detailsAlgorithme } = drawService.tirerBeneficiaire(
+        engagement,
+        IDS.map((id, i) => membre(id, [10, 60, 30][i])),
+        { pondere }
+      );
+      return { beneficiaireId: beneficiaire.userId._id, methodeTirage: 'aleatoire', detailsAlgorithme };
+    };
+
+    it('valide un tirage recalculé à l\'identique', () => {
+      const rapport = drawService.verifierTirage(tirer(drawService.genererEngagement()));
+
+      expect(rapport.verifiable).toBe(true);
+      expect(rapport.valide).toBe(true);
+      expect(rapport.empreinteGraineValide).toBe(true);
+    });
+
+    it('valide un tirage pondéré', () => {
+      expect(drawService.verifierTirage(tirer(drawService.genererEngagement(), true)).valide).toBe(true);
+    });
+
+    it('détecte une graine qui ne correspond pas à l\'empreinte publiée', () => {
+      const tirage = tirer(drawService.genererEngagement());
+      tirage.detailsAlgorithme.seedHash = sha256('autre');
+
+      const rapport = drawService.verifierTirage(tirage);
+      expect(rapport.empreinteGraineValide).toBe(false);
+      expect(rapport.valide).toBe(false);
+    });
+
+    it('détecte un bénéficiaire qui n\'est pas le gagnant calculé', () => {
+      const tirage = tirer(drawService.genererEngagement());
+      tirage.beneficiaireId = IDS.find((id) => id !== tirage.beneficiaireId);
+
+      const rapport = drawService.verifierTirage(tirage);
+      expect(rapport.gagnantValide).toBe(false);
+      expect(rapport.valide).toBe(false);
+    });
+
+    it('vérifie la dérivation de la graine d\'un nouveau tirage de place annulée', () => {
+      const tirage = tirer(drawService.deriverEngagement(SEED));
+      expect(drawService.verifierTirage(tirage)).toMatchObject({ valide: true, derivationValide: true });
+
+      tirage.detailsAlgorithme.complement = 'b'.repeat(64);
+      expect(drawService.verifierTirage(tirage)).toMatchObject({ valide: false, derivationValide: false });
+    });
+
+    it('signale un tirage sans aléa comme non vérifiable', () => {
+      const rapport = drawService.verifierTirage({ methodeTirage: 'manuel', detailsAlgorithme: {} });
+
+      expect(rapport.verifiable).toBe(false);
+      expect(rapport.raison).toMatch(/manuel/i);
+    });
+  });
+});
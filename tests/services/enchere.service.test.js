@@ -0,0 +1,79 @@
+// tests/services/enchere.service.test.js
+const mongoose = require('mongoose');
+const Tontine = require('../../models/Tontine');
+const enchereService = require('../../services/enchere.service');
+
+const creerTontine = (membres) =>
+  new Tontine({
+    nom: 'Tontine enchère',
+    montantCotisation: 10000,
+    frequence: 'mensuelle',
+    dateDebut: new Date('2026-01-01'),
+    dateFin: new Date('2026-12-31'),
+    modeTirage: 'enchere',
+    membres,
+  });
+
+describe('enchere.service - redistribuerRemise', () => {
+  it('ne crédite pas un membre sorti de la tontine', () => {
+    const [gagnant, present, sorti] = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+    const tontine = creerTontine([
+      { userId: gagnant },
+      { userId: present },
+      { userId: sorti, dateSortie: new Date() },
+    ]);
+
+    const redistribution = enchereService.redistribuerRemise(tontine, gagnant, 3000);
+
+    expect(redistribution).toEqual([{ userId: present, montant: 3000 }]);
+    expect(tontine.membres[2].creditCotisation || 0).toBe(0);
+  });
+});
+
+describe('enchere.service - redistribuerRemise par position', () => {
+  it('pondère la remise par le nombre de parts de chaque position', () => {
+    const [gagnant, simple, double] = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+    const tontine = creerTontine([
+      { userId: gagnant },
+      { userId: simple },
+      { userId: double, nombreParts: 2 },
+    ]);
+
+    const redistribution = enchereService.redistribuerRemise(tontine, gagnant, 3000);
+
+    const montantDe = (id) => redistribution.find((r) => r.userId.equals(id)).montant;
+    expect(montantDe(simple)).toBe(1000);
+    expect(montantDe(double)).toBe(2000);
+    expect(tontine.membres[2].creditCotisation).toBe(2000);
+  });
+
+  it('partage le crédit d\'une position entre ses co-titulaires selon leur quote-part', () => {
+    const [gagnant, titulaire, coTitulaire] = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+    const tontine = creerTontine([
+      { userId: gagnant },
+      { userId: titulaire, quotePart: 60 },
+      { userId: coTitulaire, titulaireId: titulaire, quotePart: 40 },
+    ]);
+
+    const redistribution = enchereService.redistribuerRemise(tontine, gagnant, 1001);
+
+    expect(redistribution).toEqual([
+      { userId: titulaire, montant: 601 },
+      { userId: coTitulaire, montant: 400 },
+    ]);
+    expect(redistribution.reduce((total, r) => total + r.montant, 0)).toBe(1001);
+  });
+
+  it('ne crédite aucun co-titulaire de la position gagnante', () => {
+    const [gagnant, coGagnant, autre] = [1, 2, 3].map(() => new mongoose.Types.ObjectId());
+    const tontine = creerTontine([
+      { userId: gagnant, quotePart: 50 },
+      { userId: coGagnant, titulaireId: gagnant, quotePart: 50 },
+      { userId: autre },
+    ]);
+
+    const redistribution = enchereService.redistribuerRemise(tontine, gagnant, 500);
+
+    expect(redistribution).toEqual([{ userId: autre, montant: 500 }]);
+  });
+});
@@ -0,0 +1,276 @@
+// tests/services/ledger.service.test.js
+const mongoose = require('mongoose');
+const EcritureComptable = require('../../models/EcritureComptable');
+const Transaction = require('../../models/Transaction');
+const Tirage = require('../../models/Tirage');
+const Tontine = require('../../models/Tontine');
+const ledgerService = require('../../services/ledger.service');
+const { LEDGER_ACCOUNTS, TRANSACTION_STATUS } = require('../../config/constants');
+
+const nouvelId = () => new mongoose.Types.ObjectId();
+
+/**
+ * Agrégations du service rejouées sur le journal en mémoire
+ * (solde d'une pénalité, cotisations appelées d'un membre, balance par compte et par membre)
+ */
+const agreger = (journal, pipeline) => {
+  const [{ $match: filtre }, ...etapes] = pipeline;
+  const filtreLigne = etapes.find((e) => e.$match)?.$match || {};
+  const groupe = etapes.find((e) => e.$group).$group;
+
+  const lignes = journal
+    .filter((e) => !filtre['source.id'] || e.source.id.equals(filtre['source.id']))
+    .filter((e) => !filtre.type || filtre.type.$in.includes(e.type))
+    .flatMap((e) => e.lignes)
+    .filter((l) => !filtreLigne['lignes.compte'] || l.compte === filtreLigne['lignes.compte'])
+    .filter((l) => !filtreLigne['lignes.userId'] || l.userId?.equals(filtreLigne['lignes.userId']));
+
+  const groupes = new Map();
+  lignes.forEach((l) => {
+    const _id = groupe._id === '$lignes.compte' ? l.compte : groupe._id === '$lignes.userId' ? l.userId : null;
+    const g = groupes.get(String(_id)) || { _id, totalDebit: 0, totalCredit: 0 };
+    g.totalDebit += l.debit;
+    g.totalCredit += l.credit;
+    groupes.set(String(_id), g);
+  });
+
+  // solde : crédit - débit pour une pénalité, débit - crédit pour les cotisations appelées
+  const creditMoinsDebit = groupe.solde?.$sum.$subtract[0] === '$lignes.credit';
+  return [...groupes.values()].map((g) => ({
+    ...g,
+    solde: creditMoinsDebit ? g.totalCredit - g.totalDebit : g.totalDebit - g.totalCredit,
+  }));
+};
+
+describe('ledger.service - partie double', () => {
+  const [membreA, membreB, membreC, remplacant, garant] = [1, 2, 3, 4, 5].map(nouvelId);
+  let journal;
+  let tontine;
+
+  const creerTontine = () =>
+    new Tontine({
+      nom: 'Tontine comptable',
+      montantCotisation: 10000,
+      frequence: 'mensuelle',
+      dateDebut: new Date('2026-01-01'),
+      dateFin: new Date('2026-03-31'),
+      membres: [{ userId: membreA }, { userId: membreB }, { userId: membreC }],
+      calendrierCotisations: [
+        { numeroEcheance: 1, dateEcheance: new Date('2026-01-31'), montant: 10000 },
+        { numeroEcheance: 2, dateEcheance: new Date('2026-02-28'), montant: 10000 },
+        { numeroEcheance: 3, dateEcheance: new Date('2026-03-31'), montant: 10000 },
+      ],
+    });
+
+  const creerTransaction = (userId, champs = {}) => ({
+    _id: nouvelId(),
+    tontineId: tontine._id,
+    userId,
+    montant: 10000,
+    referenceTransaction: `TXN-${nouvelId()}`,
+    statut: TRANSACTION_STATUS.VALIDEE,
+    dateTransaction: new Date('2026-01-20'),
+    dateValidation: new Date('2026-01-21'),
+    ...champs,
+  });
+
+  const soldeMembre = (balance, userId) =>
+    balance.membres.find((m) => m.userId.equals(userId))?.solde || 0;
+
+  /**
+   * Vie complète d'une tontine passant par tous les types d'écriture
+   */
+  const jouerScenario = async () => {
+    await ledgerService.recordDuesCalledUntil(tontine, new Date('2026-02-28'));
+
+    for (const userId of [membreA, membreB, membreC]) {
+      await ledgerService.recordPaymentValidated(creerTransaction(userId));
+    }
+    await ledgerService.recordPaymentRejected(
+      creerTransaction(membreB, { statut: TRANSACTION_STATUS.REJETEE, dateRejet: new Date('2026-02-20') })
+    );
+    const rembourse = creerTransaction(membreA, { montant: 12000 });
+    await ledgerService.recordPaymentValidated(rembourse);
+    await ledgerService.recordRefund(rembourse, {
+      _id: nouvelId(),
+      montant: 2000,
+      motif: 'trop_percu',
+      dateRemboursement: new Date('2026-02-22'),
+    });
+
+    const penalite = {
+      _id: nouvelId(),
+      tontineId: tontine._id,
+      userId: membreC,
+      montantPenalite: 500,
+      echeanceNumero: 2,
+      dateCalcul: new Date('2026-03-01'),
+    };
+    await ledgerService.recordPenalty(penalite);
+    penalite.montantPenalite = 800;
+    await ledgerService.recordPenalty(penalite);
+    penalite.dateExoneration = new Date('2026-03-02');
+    await ledgerService.recordPenaltyExemption(penalite);
+
+    const penaliteGarantie = {
+      _id: nouvelId(),
+      tontineId: tontine._id,
+      userId: membreB,
+      montantPenalite: 300,
+      echeanceNumero: 2,
+      dateCalcul: new Date('2026-03-01'),
+    };
+    await ledgerService.recordPenalty(penaliteGarantie);
+    penaliteGarantie.garantId = garant;
+    await ledgerService.recordPenaltyTransfer(penaliteGarantie);
+    const garantie = { userId: garant };
+    await ledgerService.recordGuaranteeTransfer(tontine, membreB, garantie, {
+      _id: nouvelId(),
+      type: 'transfert',
+      montant: 10000,
+      date: new Date('2026-03-03'),
+    });
+    await ledgerService.recordGuaranteeTransfer(tontine, membreB, garantie, {
+      _id: nouvelId(),
+      type: 'liberation',
+      montant: 10000,
+      date: new Date('2026-03-04'),
+    });
+
+    const tirage = {
+      _id: nouvelId(),
+      tontineId: tontine._id,
+      numeroTirage: 1,
+      montantDistribue: 27000,
+      datePaiement: new Date('2026-03-05'),
+      dateTirage: new Date('2026-03-05'),
+      detailsEnchere: {
+        redistribution: [
+          { userId: membreB, montant: 1500 },
+          { userId: membreC, montant: 1500 },
+        ],
+      },
+    };
+    await ledgerService.recordPayout(tirage);
+    await ledgerService.recordAuctionDiscount(tirage);
+    tirage.recuperation = { montant: 27000, date: new Date('2026-03-06') };
+    tirage.annulation = { date: new Date('2026-03-06') };
+    await ledgerService.recordPayoutClawback(tirage);
+    await ledgerService.recordAuctionDiscountReversal(tirage);
+
+    const remplacement = {
+      _id: nouvelId(),
+      userId: membreC,
+      remplacantId: remplacant,
+      cotisationsReprises: 10000,
+      date: new Date('2026-03-10'),
+    };
+    await ledgerService.recordPositionTransfer(tontine, remplacement);
+    await ledgerService.recordDuesCalledTransfer(tontine, remplacement);
+    await ledgerService.recordDuesCalledCancellation(tontine, {
+      _id: nouvelId(),
+      userId: membreB,
+      date: new Date('2026-03-10'),
+    });
+  };
+
+  beforeEach(() => {
+    journal = [];
+    tontine = creerTontine();
+
+    jest
+      .spyOn(EcritureComptable, 'findOne')
+      .mockImplementation(({ cle }) => Promise.resolve(journal.find((e) => e.cle === cle) || null));
+    jest
+      .spyOn(EcritureComptable, 'exists')
+      .mockImplementation(({ cle }) => Promise.resolve(journal.some((e) => e.cle === cle)));
+    // La validation du modèle refuse toute écriture déséquilibrée
+    jest.spyOn(EcritureComptable, 'create').mockImplementation(async (donnees) => {
+      const ecriture = new EcritureComptable(donnees);
+      await ecriture.validate();
+      journal.push(ecriture);
+      return ecriture;
+    });
+    jest
+      .spyOn(EcritureComptable, 'aggregate')
+      .mockImplementation((pipeline) => Promise.resolve(agreger(journal, pipeline)));
+    jest.spyOn(Transaction, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(Tirage, 'aggregate').mockResolvedValue([]);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('équilibre chaque type d\'écriture', async () => {
+    await jouerScenario();
+
+    const types = EcritureComptable.schema.path('type').enumValues;
+    expect(new Set(journal.map((e) => e.type))).toEqual(new Set(types));
+
+    journal.forEach((ecriture) => {
+      const totalDebit = ecriture.lignes.reduce((sum, l) => sum + l.debit, 0);
+      const totalCredit = ecriture.lignes.reduce((sum, l) => sum + l.credit, 0);
+      expect({ type: ecriture.type, solde: totalDebit - totalCredit }).toEqual({ type: ecriture.type, solde: 0 });
+    });
+  });
+
+  it('produit une balance dont la somme des soldes est nulle', async () => {
+    await jouerScenario();
+
+    const balance = await ledgerService.getTrialBalance(tontine._id);
+
+    expect(balance.totaux.equilibree).toBe(true);
+    const sommeSoldes = balance.comptes.reduce(
+      (sum, c) => sum + (c.sens === 'debiteur' ? c.solde : -c.solde),
+      0
+    );
+    expect(sommeSoldes).toBe(0);
+    expect(balance.membres.reduce((sum, m) => sum + m.solde, 0)).toBe(
+      balance.comptes.find((c) => c.compte === LEDGER_ACCOUNTS.CREANCE_MEMBRE).solde
+    );
+  });
+
+  it('débite chaque membre des cotisations appelées, une seule fois par échéance', async () => {
+    await ledgerService.recordDuesCalledUntil(tontine, new Date('2026-02-28'));
+    await ledgerService.recordDuesCalledUntil(tontine, new Date('2026-02-28'));
+    await ledgerService.recordPaymentValidated(creerTransaction(membreA, { montant: 20000 }));
+    await ledgerService.recordPaymentValidated(creerTransaction(membreB));
+
+    const balance = await ledgerService.getTrialBalance(tontine._id);
+
+    expect(journal.filter((e) => e.type === 'appel_cotisations')).toHaveLength(2);
+    expect(balance.comptes.find((c) => c.compte === LEDGER_ACCOUNTS.COTISATIONS_APPELEES).solde).toBe(60000);
+    expect(soldeMembre(balance, membreA)).toBe(0);
+    expect(soldeMembre(balance, membreB)).toBe(10000);
+    expect(soldeMembre(balance, membreC)).toBe(20000);
+  });
+
+  it('appelle une position partagée au prorata des quotes-parts', async () => {
+    tontine.membres[0].quotePart = 60;
+    tontine.membres.push({ userId: remplacant, titulaireId: membreA, quotePart: 40 });
+
+    await ledgerService.recordDuesCalledUntil(tontine, new Date('2026-01-31'));
+
+    const balance = await ledgerService.getTrialBalance(tontine._id);
+    expect(soldeMembre(balance, membreA)).toBe(6000);
+    expect(soldeMembre(balance, remplacant)).toBe(4000);
+  });
+
+  it('transmet au remplaçant ce qui reste dû sur la position reprise', async () => {
+    await ledgerService.recordDuesCalledUntil(tontine, new Date('2026-02-28'));
+    await ledgerService.recordPaymentValidated(creerTransaction(membreC));
+    const sortie = {
+      _id: nouvelId(),
+      userId: membreC,
+      remplacantId: remplacant,
+      cotisationsReprises: 10000,
+      date: new Date('2026-03-10'),
+    };
+
+    await ledgerService.recordPositionTransfer(tontine, sortie);
+    await ledgerService.recordDuesCalledTransfer(tontine, sortie);
+
+    const balance = await ledgerService.getTrialBalance(tontine._id);
+    expect(soldeMembre(balance, membreC)).toBe(0);
+    expect(soldeMembre(balance, remplacant)).toBe(10000);
+  });
+});
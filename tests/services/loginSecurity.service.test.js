@@ -0,0 +1,168 @@
+// tests/services/loginSecurity.service.test.js
+const User = require('../../models/User');
+const AuditLog = require('../../models/AuditLog');
+const emailService = require('../../services/email.service');
+const pushService = require('../../services/push.service');
+const loginSecurity = require('../../services/loginSecurity.service');
+const { LOCKOUT } = require('../../config/constants');
+
+const CHROME_WINDOWS =
+  'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/120.0 Safari/537.36';
+const SAFARI_IPHONE =
+  'Mozilla/5.0 (iPhone; CPU iPhone OS 17_0 like Mac OS X) AppleWebKit/605.1.15 (KHTML, like Gecko) Version/17.0 Mobile/15E148 Safari/604.1';
+
+const contexte = (ip = '41.82.10.1', userAgent = CHROME_WINDOWS) => ({
+  ip,
+  userAgent,
+  method: 'POST',
+  url: '/digitontine/auth/login',
+});
+
+const creerUser = () => {
+  const user = new User({ prenom: 'Awa', nom: 'Diop', email: 'awa@example.com', role: 'membre' });
+  user.save = jest.fn().mockResolvedValue(user);
+  return user;
+};
+
+const echouer = async (user, fois) => {
+  let resultat;
+  for (let i = 0; i < fois; i++) {
+    resultat = await loginSecurity.enregistrerEchec(user, contexte(), 'mot_de_passe');
+  }
+  return resultat;
+};
+
+const actionsTracees = () => AuditLog.logUserAction.mock.calls.map(([data]) => data.action);
+
+describe('loginSecurity.service', () => {
+  beforeEach(() => {
+    jest.spyOn(AuditLog, 'logUserAction').mockResolvedValue(null);
+    jest.spyOn(emailService, 'sendAccountLockedAlert').mockResolvedValue(true);
+    jest.spyOn(emailService, 'sendNewDeviceLoginAlert').mockResolvedValue(true);
+    jest.spyOn(pushService, 'notifyAccountLocked').mockResolvedValue(null);
+    jest.spyOn(pushService, 'notifyNewDeviceLogin').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+  });
+
+  describe('enregistrerEchec', () => {
+    it('ne verrouille pas avant le seuil d\'échecs', async () => {
+      const user = creerUser();
+
+      const { verrouille } = await echouer(user, LOCKOUT.SEUIL_ECHECS - 1);
+
+      expect(verrouille).toBe(false);
+      expect(user.estVerrouille()).toBe(false);
+      expect(user.verrouillage.echecs).toBe(LOCKOUT.SEUIL_ECHECS - 1);
+      expect(actionsTracees()).toEqual(Array(LOCKOUT.SEUIL_ECHECS - 1).fill('LOGIN_FAILED'));
+    });
+
+    it('verrouille au seuil pour la durée du premier palier et alerte l\'utilisateur', async () => {
+      const user = creerUser();
+      const avant = Date.now();
+
+      const { verrouille } = await echouer(user, LOCKOUT.SEUIL_ECHECS);
+
+      expect(verrouille).toBe(true);
+      expect(user.estVerrouille()).toBe(true);
+      expect(user.verrouillage).toMatchObject({ niveau: 1, echecs: 0, definitif: false });
+      const dureeMs = user.verrouillage.jusquA.getTime() - avant;
+      expect(Math.round(dureeMs / 60000)).toBe(LOCKOUT.DUREES_MINUTES[0]);
+      expect(actionsTracees()).toContain('LOCK_ACCOUNT');
+      expect(emailService.sendAccountLockedAlert).toHaveBeenCalledWith(user, user.verrouillage.jusquA, '41.82.10.1');
+      expect(pushService.notifyAccountLocked).toHaveBeenCalledWith(user._id, user.verrouillage.jusquA);
+    });
+
+    it('allonge le verrouillage à chaque palier puis le rend définitif', async () => {
+      jest.useFakeTimers({ now: new Date('2026-10-18T08:00:00Z') });
+      const user = creerUser();
+
+      for (const [i, duree] of LOCKOUT.DUREES_MINUTES.entries()) {
+        await echouer(user, LOCKOUT.SEUIL_ECHECS);
+        expect(user.verrouillage.niveau).toBe(i + 1);
+        expect(user.verrouillage.jusquA.getTime() - Date.now()).toBe(duree * 60 * 1000);
+        // Fin du verrouillage : nouvelle série d'échecs
+        jest.setSystemTime(user.verrouillage.jusquA.getTime() + 1000);
+        expect(user.estVerrouille()).toBe(false);
+      }
+
+      await echouer(user, LOCKOUT.SEUIL_ECHECS);
+
+      expect(user.verrouillage.definitif).toBe(true);
+      expect(user.verrouillage.jusquA).toBeUndefined();
+      expect(user.estVerrouille()).toBe(true);
+      expect(emailService.sendAccountLockedAlert).toHaveBeenLastCalledWith(user, null, '41.82.10.1');
+    });
+
+    it('oublie les échecs plus anciens que la fenêtre', async () => {
+      jest.useFakeTimers({ now: new Date('2026-10-18T08:00:00Z') });
+      const user = creerUser();
+
+      await echouer(user, LOCKOUT.SEUIL_ECHECS - 1);
+      jest.advanceTimersByTime((LOCKOUT.FENETRE_ECHECS_MINUTES + 1) * 60 * 1000);
+      const { verrouille } = await echouer(user, 1);
+
+      expect(verrouille).toBe(false);
+      expect(user.verrouillage.echecs).toBe(1);
+    });
+  });
+
+  describe('verifierVerrouillage', () => {
+    it('laisse passer un compte non verrouillé', async () => {
+      await expect(loginSecurity.verifierVerrouillage(creerUser(), contexte())).resolves.toBeUndefined();
+    });
+
+    it('refuse en 423 un compte verrouillé et trace la tentative', async () => {
+      const user = creerUser();
+      await echouer(user, LOCKOUT.SEUIL_ECHECS);
+      AuditLog.logUserAction.mockClear();
+
+      await expect(loginSecurity.verifierVerrouillage(user, contexte())).rejects.toMatchObject({
+        statusCode: 423,
+        message: expect.stringContaining('Réessayez dans 15 minute(s)'),
+      });
+      expect(actionsTracees()).toEqual(['LOGIN_FAILED']);
+    });
+  });
+
+  describe('enregistrerSucces', () => {
+    it('remet les compteurs à zéro sans alerte à la première connexion', async () => {
+      const user = creerUser();
+      await echouer(user, 2);
+
+      const resultat = await loginSecurity.enregistrerSucces(user, contexte());
+
+      expect(resultat).toEqual({ nouvelAppareil: false, nouvelleIP: false });
+      expect(user.verrouillage).toMatchObject({ echecs: 0, niveau: 0 });
+      expect(emailService.sendNewDeviceLoginAlert).not.toHaveBeenCalled();
+    });
+
+    it('alerte lors d\'une connexion depuis un nouvel appareil et une nouvelle IP', async () => {
+      const user = creerUser();
+      await loginSecurity.enregistrerSucces(user, contexte());
+
+      const resultat = await loginSecurity.enregistrerSucces(user, contexte('196.207.1.1', SAFARI_IPHONE));
+
+      expect(resultat).toEqual({ nouvelAppareil: true, nouvelleIP: true });
+      expect(actionsTracees()).toContain('NEW_DEVICE_LOGIN');
+      expect(emailService.sendNewDeviceLoginAlert).toHaveBeenCalledWith(
+        user,
+        expect.objectContaining({ ip: '196.207.1.1' })
+      );
+      expect(pushService.notifyNewDeviceLogin).toHaveBeenCalled();
+    });
+
+    it('n\'alerte pas pour un appareil et une IP déjà connus', async () => {
+      const user = creerUser();
+      await loginSecurity.enregistrerSucces(user, contexte());
+
+      const resultat = await loginSecurity.enregistrerSucces(user, contexte());
+
+      expect(resultat).toEqual({ nouvelAppareil: false, nouvelleIP: false });
+      expect(emailService.sendNewDeviceLoginAlert).not.toHaveBeenCalled();
+    });
+  });
+});
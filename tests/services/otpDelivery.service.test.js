@@ -0,0 +1,163 @@
+// tests/services/otpDelivery.service.test.js
+const User = require('../../models/User');
+const otpDelivery = require('../../services/otpDelivery.service');
+const { OTP_DELIVERY } = require('../../config/constants');
+
+const creerUser = (preferences = {}) => {
+  const user = new User({
+    prenom: 'Awa',
+    nom: 'Diop',
+    email: 'awa@example.com',
+    numeroTelephone: '+221771234567',
+    preferences,
+  });
+  user.save = jest.fn().mockResolvedValue(user);
+  return user;
+};
+
+// Transport de test : enregistre les envois, échoue sur demande
+const transport = (canal, { echec = false } = {}) => ({
+  canal,
+  isConfigured: () => true,
+  send: jest.fn().mockResolvedValue(echec ? { success: false, error: 'panne' } : { success: true }),
+});
+
+const enregistrer = (...liste) => liste.forEach((t) => otpDelivery.registerTransport(t));
+
+describe('otpDelivery.service - envoyerCode', () => {
+  beforeEach(() => otpDelivery.clearTransports());
+
+  it('envoie par le canal préféré de l\'utilisateur', async () => {
+    const email = transport('email');
+    const sms = transport('sms');
+    enregistrer(email, sms, transport('whatsapp'));
+    const user = creerUser({ canalOTP: 'sms' });
+
+    const resultat = await otpDelivery.envoyerCode(user, '123456', 'connexion');
+
+    expect(resultat.canal).toBe('sms');
+    expect(resultat.destination).toBe('+22177****567');
+    expect(sms.send).toHaveBeenCalledWith(user, { code: '123456', motif: 'connexion' });
+    expect(email.send).not.toHaveBeenCalled();
+    expect(user.save).toHaveBeenCalled();
+  });
+
+  it('essaie d\'abord le canal demandé pour cet envoi', async () => {
+    const whatsapp = transport('whatsapp');
+    enregistrer(transport('email'), transport('sms'), whatsapp);
+
+    const resultat = await otpDelivery.envoyerCode(creerUser(), '123456', 'reinitialisation', { canal: 'whatsapp' });
+
+    expect(resultat.canal).toBe('whatsapp');
+    expect(whatsapp.send).toHaveBeenCalledTimes(1);
+  });
+
+  it('se replie sur les canaux suivants en cas d\'échec et trace chaque tentative', async () => {
+    const sms = transport('sms');
+    enregistrer(transport('email', { echec: true }), sms, transport('whatsapp'));
+    const user = creerUser({ canalOTP: 'email' });
+
+    const resultat = await otpDelivery.envoyerCode(user, '123456', 'connexion');
+
+    expect(resultat.canal).toBe('sms');
+    expect(resultat.tentatives).toEqual([
+      { canal: 'email', statut: 'echec' },
+      { canal: 'sms', statut: 'envoye' },
+    ]);
+    expect(user.otpEnvois.map((e) => [e.canal, e.succes])).toEqual([
+      ['email', false],
+      ['sms', true],
+    ]);
+  });
+
+  it('traite une exception du transport comme un échec', async () => {
+    const email = transport('email');
+    email.send.mockRejectedValue(new Error('timeout'));
+    enregistrer(email, transport('sms'));
+
+    const resultat = await otpDelivery.envoyerCode(creerUser(), '123456', 'connexion');
+
+    expect(resultat.canal).toBe('sms');
+  });
+
+  it('saute un canal non configuré ou sans destination', async () => {
+    const email = { ...transport('email'), isConfigured: () => false };
+    const whatsapp = transport('whatsapp');
+    enregistrer(email, transport('sms'), whatsapp);
+    const user = creerUser({ canalOTP: 'email' });
+    user.numeroTelephone = undefined;
+
+    await expect(otpDelivery.envoyerCode(user, '123456', 'connexion')).rejects.toMatchObject({
+      statusCode: 503,
+    });
+    expect(whatsapp.send).not.toHaveBeenCalled();
+  });
+
+  it('saute un canal qui a atteint sa limite sur la fenêtre', async () => {
+    const sms = transport('sms');
+    const whatsapp = transport('whatsapp');
+    enregistrer(transport('email'), sms, whatsapp);
+    const user = creerUser({ canalOTP: 'sms' });
+    for (let i = 0; i < OTP_DELIVERY.MAX_PER_WINDOW.sms; i++) {
+      user.otpEnvois.push({ canal: 'sms', motif: 'connexion', succes: true });
+    }
+
+    const resultat = await otpDelivery.envoyerCode(user, '123456', 'connexion');
+
+    expect(resultat.tentatives[0]).toEqual({ canal: 'sms', statut: 'limite' });
+    expect(resultat.canal).toBe('email');
+    expect(sms.send).not.toHaveBeenCalled();
+  });
+
+  it('ne compte pas les envois sortis de la fenêtre', async () => {
+    const sms = transport('sms');
+    enregistrer(transport('email'), sms);
+    const user = creerUser({ canalOTP: 'sms' });
+    const ancien = new Date(Date.now() - (OTP_DELIVERY.WINDOW_MINUTES + 1) * 60 * 1000);
+    for (let i = 0; i < OTP_DELIVERY.MAX_PER_WINDOW.sms; i++) {
+      user.otpEnvois.push({ canal: 'sms', motif: 'connexion', succes: true, date: ancien });
+    }
+
+    const resultat = await otpDelivery.envoyerCode(user, '123456', 'connexion');
+
+    expect(resultat.canal).toBe('sms');
+  });
+
+  it('répond 429 quand tous les canaux disponibles sont à leur limite', async () => {
+    enregistrer(transport('email'), transport('sms'));
+    const user = creerUser();
+    ['email', 'sms'].forEach((canal) => {
+      for (let i = 0; i < OTP_DELIVERY.MAX_PER_WINDOW[canal]; i++) {
+        user.otpEnvois.push({ canal, motif: 'connexion', succes: true });
+      }
+    });
+
+    await expect(otpDelivery.envoyerCode(user, '123456', 'connexion')).rejects.toMatchObject({
+      statusCode: 429,
+    });
+  });
+
+  it('répond 503 quand tous les canaux échouent', async () => {
+    enregistrer(
+      transport('email', { echec: true }),
+      transport('sms', { echec: true }),
+      transport('whatsapp', { echec: true })
+    );
+
+    await expect(otpDelivery.envoyerCode(creerUser(), '123456', 'connexion')).rejects.toMatchObject({
+      statusCode: 503,
+    });
+  });
+
+  it('refuse un motif inconnu', async () => {
+    await expect(otpDelivery.envoyerCode(creerUser(), '123456', 'autre')).rejects.toThrow('Motif d\'envoi inconnu');
+  });
+});
+
+describe('otpDelivery.service - masquerDestination', () => {
+  it('masque une adresse email et un numéro de téléphone', () => {
+    expect(otpDelivery.masquerDestination('awa@example.com', 'email')).toBe('a***@example.com');
+    expect(otpDelivery.masquerDestination('+221771234567', 'sms')).toBe('+22177****567');
+    expect(otpDelivery.masquerDestination(undefined, 'sms')).toBeNull();
+  });
+});
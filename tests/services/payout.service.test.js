@@ -0,0 +1,140 @@
+// tests/services/payout.service.test.js
+const mongoose = require('mongoose');
+const Tirage = require('../../models/Tirage');
+const Tontine = require('../../models/Tontine');
+const User = require('../../models/User');
+const AuditLog = require('../../models/AuditLog');
+const paymentService = require('../../services/payment.service');
+const ledgerService = require('../../services/ledger.service');
+const payoutService = require('../../services/payout.service');
+
+const { PAYOUT_CONFIG } = payoutService;
+
+const creerTirage = (champs = {}) => {
+  const tirage = new Tirage({
+    tontineId: new mongoose.Types.ObjectId(),
+    beneficiaireId: new mongoose.Types.ObjectId(),
+    numeroTirage: 1,
+    numeroEcheance: 1,
+    montantDistribue: 50000,
+    methodeTirage: 'aleatoire',
+    moyenPaiement: 'Wave',
+    statutPaiement: 'en_attente',
+    createdBy: new mongoose.Types.ObjectId(),
+    ...champs,
+  });
+  tirage.save = jest.fn().mockResolvedValue(tirage);
+  return tirage;
+};
+
+// Position partagée : deux quotes-parts de 25 000 FCFA
+const repartition = (statutA, statutB) => [
+  { userId: new mongoose.Types.ObjectId(), quotePart: 50, montant: 25000, statutPaiement: statutA, referencePaiement: 'po_a' },
+  { userId: new mongoose.Types.ObjectId(), quotePart: 50, montant: 25000, statutPaiement: statutB },
+];
+
+beforeEach(() => {
+  jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+  jest.spyOn(Tontine, 'updateOne').mockResolvedValue({});
+  jest.spyOn(Tirage, 'updateOne').mockResolvedValue({});
+  jest.spyOn(ledgerService, 'safePost').mockResolvedValue(null);
+});
+
+afterEach(() => jest.restoreAllMocks());
+
+describe('payout.service - payTirage (tentatives)', () => {
+  const echouerVersement = async (tentativesPaiement) => {
+    const tirage = creerTirage({ statutPaiement: 'echec', tentativesPaiement });
+    jest.spyOn(Tirage, 'findOneAndUpdate').mockResolvedValue(tirage);
+    jest.spyOn(User, 'findById').mockReturnValue({
+      select: jest.fn().mockResolvedValue({ prenom: 'Awa', nom: 'Diop', numeroTelephone: '+221771234567' }),
+    });
+    jest.spyOn(paymentService, 'initiatePayout').mockResolvedValue({ success: false, error: 'Solde marchand insuffisant' });
+
+    return payoutService.payTirage(tirage._id);
+  };
+
+  it('programme une nouvelle tentative après un échec, avec un délai croissant', async () => {
+    const avant = Date.now();
+
+    const tirage = await echouerVersement(1);
+
+    expect(tirage.statutPaiement).toBe('echec');
+    expect(tirage.tentativesPaiement).toBe(2);
+    expect(tirage.erreurPaiement).toBe('Solde marchand insuffisant');
+    // Deuxième tentative : délai doublé
+    expect(tirage.prochaineTentative.getTime()).toBeGreaterThanOrEqual(
+      avant + 2 * PAYOUT_CONFIG.retryDelayMinutes * 60 * 1000
+    );
+  });
+
+  it('ne programme plus de tentative une fois le maximum atteint', async () => {
+    const tirage = await echouerVersement(PAYOUT_CONFIG.maxAttempts - 1);
+
+    expect(tirage.tentativesPaiement).toBe(PAYOUT_CONFIG.maxAttempts);
+    expect(tirage.statutPaiement).toBe('echec');
+    expect(tirage.prochaineTentative).toBeNull();
+  });
+});
+
+describe('payout.service - retryFailedPayouts', () => {
+  it('ne relance que les échecs échus sous le maximum de tentatives', async () => {
+    const find = jest.spyOn(Tirage, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([]) });
+
+    await payoutService.retryFailedPayouts();
+
+    expect(find).toHaveBeenCalledWith({
+      statutPaiement: 'echec',
+      prochaineTentative: { $lte: expect.any(Date) },
+      tentativesPaiement: { $lt: PAYOUT_CONFIG.maxAttempts },
+    });
+  });
+});
+
+describe('payout.service - refreshPendingPayouts', () => {
+  it('suit aussi les quotes-parts en cours d\'un tirage passé en échec', async () => {
+    const find = jest.spyOn(Tirage, 'find').mockResolvedValue([]);
+
+    await payoutService.refreshPendingPayouts();
+
+    expect(find.mock.calls[0][0].$or).toContainEqual({
+      statutPaiement: { $in: ['en_attente', 'echec'] },
+      'repartition.statutPaiement': 'en_cours',
+    });
+  });
+
+  it('confirme la quote-part versée sans lever l\'échec de l\'autre', async () => {
+    const tirage = creerTirage({
+      statutPaiement: 'echec',
+      tentativesPaiement: 1,
+      repartition: repartition('en_cours', 'en_attente'),
+    });
+    const prochaineTentative = new Date(Date.now() + 60 * 1000);
+    tirage.prochaineTentative = prochaineTentative;
+    jest.spyOn(Tirage, 'find').mockResolvedValue([tirage]);
+    jest.spyOn(paymentService, 'checkPayoutStatus').mockResolvedValue({ success: true, isCompleted: true });
+
+    const resultats = await payoutService.refreshPendingPayouts();
+
+    expect(tirage.repartition[0].statutPaiement).toBe('paye');
+    expect(tirage.statutPaiement).toBe('echec');
+    expect(tirage.prochaineTentative).toEqual(prochaineTentative);
+    expect(tirage.save).toHaveBeenCalled();
+    expect(resultats).toEqual({ traites: 1, payes: 0, echecs: 0 });
+  });
+
+  it('paie le tirage quand la dernière quote-part suivie aboutit', async () => {
+    const tirage = creerTirage({
+      statutPaiement: 'echec',
+      tentativesPaiement: PAYOUT_CONFIG.maxAttempts,
+      repartition: repartition('en_cours', 'paye'),
+    });
+    jest.spyOn(Tirage, 'find').mockResolvedValue([tirage]);
+    jest.spyOn(paymentService, 'checkPayoutStatus').mockResolvedValue({ success: true, isCompleted: true });
+
+    const resultats = await payoutService.refreshPendingPayouts();
+
+    expect(tirage.statutPaiement).toBe('paye');
+    expect(resultats.payes).toBe(1);
+  });
+});
@@ -0,0 +1,145 @@
+// tests/services/providers/orangeMoney.provider.test.js
+jest.mock('axios');
+
+// Configuration lue au chargement du provider
+process.env.ORANGE_MONEY_BASE_URL = 'http://orange.test';
+process.env.ORANGE_MONEY_CLIENT_ID = 'client-test';
+process.env.ORANGE_MONEY_CLIENT_SECRET = 'secret-test';
+process.env.ORANGE_MONEY_MERCHANT_KEY = 'merchant-test';
+process.env.ORANGE_MONEY_CALLBACK_URL = 'http://localhost/paiement';
+process.env.ORANGE_MONEY_NOTIF_URL = 'http://localhost/digitontine/transactions/webhook/orange-money';
+process.env.ORANGE_MONEY_WEBHOOK_SECRET = 'whsec_orange';
+
+const crypto = require('crypto');
+const axios = require('axios');
+const paymentService = require('../../../services/payment.service');
+
+const provider = paymentService.getProviderByCode('orange-money');
+
+/**
+ * Réponses de l'API Orange Money Web Payment
+ */
+const repondre = (statutPaiement) => (url, body) => {
+  if (url.endsWith('/oauth/v3/token')) {
+    return Promise.resolve({ data: { token_type: 'Bearer', access_token: 'token-test', expires_in: '3600' } });
+  }
+  if (url.endsWith('/webpayment')) {
+    return Promise.resolve({
+      data: {
+        status: 201,
+        pay_token: `PT-${body.order_id}`,
+        payment_url: `http://orange.test/payment/${body.order_id}`,
+        notif_token: `NT-${body.order_id}`,
+      },
+    });
+  }
+  if (url.endsWith('/transactionstatus')) {
+    return Promise.resolve({ data: { status: statutPaiement, order_id: body.order_id, txnid: 'MP-TEST-1' } });
+  }
+  return Promise.reject(new Error(`Route inconnue: ${url}`));
+};
+
+const notification = (body, { signer = true } = {}) => {
+  const rawBody = Buffer.from(JSON.stringify(body));
+  const timestamp = Math.floor(Date.now() / 1000).toString();
+  const signature = crypto
+    .createHmac('sha256', process.env.ORANGE_MONEY_WEBHOOK_SECRET)
+    .update(`${timestamp}${rawBody.toString('utf8')}`)
+    .digest('hex');
+  const headers = signer ? { 'x-webhook-signature': `t=${timestamp},v1=${signature}` } : {};
+
+  return { body, rawBody, get: (name) => headers[name.toLowerCase()] };
+};
+
+describe('orangeMoney.provider - paiement', () => {
+  beforeEach(() => {
+    axios.post.mockReset();
+    axios.post.mockImplementation(repondre('SUCCESS'));
+  });
+
+  it('initie un paiement et retourne l\'URL et les jetons Orange', async () => {
+    const init = await paymentService.initiatePayment('Orange Money', {
+      amount: 5000,
+      reference: 'TXN-TEST-0001',
+      description: 'Cotisation test',
+    });
+
+    expect(init).toMatchObject({
+      success: true,
+      paymentUrl: 'http://orange.test/payment/TXN-TEST-0001',
+      paymentId: 'PT-TXN-TEST-0001',
+      notifToken: 'NT-TXN-TEST-0001',
+    });
+    expect(axios.post).toHaveBeenCalledWith(
+      'http://orange.test/orange-money-webpay/sn/v1/webpayment',
+      expect.objectContaining({ order_id: 'TXN-TEST-0001', amount: 5000, merchant_key: 'merchant-test' }),
+      expect.objectContaining({ headers: expect.objectContaining({ Authorization: 'Bearer token-test' }) })
+    );
+  });
+
+  it('refuse un montant inférieur au minimum sans appeler Orange', async () => {
+    const init = await paymentService.initiatePayment('Orange Money', { amount: 50, reference: 'TXN-TEST-0002' });
+
+    expect(init.success).toBe(false);
+    expect(axios.post).not.toHaveBeenCalled();
+  });
+
+  it('vérifie le statut d\'un paiement réussi', async () => {
+    const status = await paymentService.checkPaymentStatus('Orange Money', 'PT-TXN-TEST-0001', {
+      reference: 'TXN-TEST-0001',
+      amount: 5000,
+    });
+
+    expect(status).toMatchObject({ success: true, isPaid: true, isFailed: false, providerTransactionId: 'MP-TEST-1' });
+  });
+
+  it('signale un paiement échoué', async () => {
+    axios.post.mockImplementation(repondre('FAILED'));
+
+    const status = await paymentService.checkPaymentStatus('Orange Money', 'PT-TXN-TEST-0001', {
+      reference: 'TXN-TEST-0001',
+      amount: 5000,
+    });
+
+    expect(status).toMatchObject({ success: true, isPaid: false, isFailed: true });
+  });
+});
+
+describe('orangeMoney.provider - notifications', () => {
+  const corps = { status: 'SUCCESS', notif_token: 'NT-TXN-TEST-0001', txnid: 'MP-TEST-1' };
+
+  it('accepte une notification signée', () => {
+    expect(provider.verifyWebhook(notification(corps))).toEqual({ valid: true });
+  });
+
+  it('refuse une notification non signée', () => {
+    expect(provider.verifyWebhook(notification(corps, { signer: false })).valid).toBe(false);
+  });
+
+  it('refuse une notification sans notif_token', () => {
+    const { notif_token: _, ...sansJeton } = corps;
+
+    expect(provider.verifyWebhook(notification(sansJeton))).toEqual({
+      valid: false,
+      error: 'notif_token manquant',
+    });
+  });
+
+  it('retrouve la transaction par son notif_token', async () => {
+    const notif = await provider.parseWebhook(corps);
+
+    expect(notif).toMatchObject({
+      success: true,
+      isPaid: true,
+      isFailed: false,
+      eventId: 'NT-TXN-TEST-0001:SUCCESS',
+      transactionQuery: { moyenPaiement: 'Orange Money', 'webhookData.notifToken': 'NT-TXN-TEST-0001' },
+    });
+  });
+
+  it('traite une notification expirée comme un échec', async () => {
+    const notif = await provider.parseWebhook({ ...corps, status: 'EXPIRED' });
+
+    expect(notif).toMatchObject({ success: true, isPaid: false, isFailed: true });
+  });
+});
@@ -0,0 +1,32 @@
+// tests/services/providers/registry.test.js
+const mongoose = require('mongoose');
+const Transaction = require('../../../models/Transaction');
+const {
+  getMethods,
+  getCollectionMethods,
+  getPayoutMethods,
+} = require('../../../services/providers/registry');
+
+const erreurMoyenPaiement = (moyenPaiement) =>
+  new Transaction({
+    tontineId: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    montant: 10000,
+    moyenPaiement,
+  }).validateSync()?.errors?.moyenPaiement;
+
+describe('providers/registry - moyens de paiement', () => {
+  it('sépare les moyens d\'encaissement des moyens de versement', () => {
+    expect(getCollectionMethods()).not.toContain('Virement');
+    expect(getPayoutMethods()).toContain('Virement');
+    expect(getMethods()).toEqual(expect.arrayContaining(['Wave', 'Orange Money', 'Cash', 'Virement']));
+  });
+
+  it('garde valides les transactions déjà enregistrées par virement', () => {
+    expect(erreurMoyenPaiement('Virement')).toBeUndefined();
+  });
+
+  it('refuse un moyen de paiement inconnu', () => {
+    expect(erreurMoyenPaiement('Chèque')).toBeDefined();
+  });
+});
@@ -0,0 +1,106 @@
+// tests/services/providers/webhookSignature.test.js
+const crypto = require('crypto');
+const {
+  parseSignatureHeader,
+  verifyHmacSignature,
+} = require('../../../services/providers/webhookSignature');
+
+const SECRET = 'whsec_test';
+const RAW_BODY = Buffer.from(JSON.stringify({ id: 'evt_1', status: 'succeeded' }));
+
+const signer = (timestamp, secret = SECRET, body = RAW_BODY) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}${body.toString('utf8')}`).digest('hex');
+
+const maintenant = () => Math.floor(Date.now() / 1000).toString();
+
+describe('webhookSignature - parseSignatureHeader', () => {
+  it('lit l\'horodatage et toutes les signatures v1', () => {
+    expect(parseSignatureHeader('t=1700000000, v1=abc,v1=def,v0=zzz')).toEqual({
+      timestamp: '1700000000',
+      signatures: ['abc', 'def'],
+    });
+  });
+
+  it('retourne un résultat vide pour un en-tête absent', () => {
+    expect(parseSignatureHeader(undefined)).toEqual({ timestamp: null, signatures: [] });
+  });
+});
+
+describe('webhookSignature - verifyHmacSignature', () => {
+  it('accepte une signature valide dans la fenêtre de tolérance', () => {
+    const timestamp = maintenant();
+
+    expect(
+      verifyHmacSignature({ rawBody: RAW_BODY, timestamp, signatures: [signer(timestamp)], secret: SECRET })
+    ).toEqual({ valid: true });
+  });
+
+  it('accepte la signature valide parmi plusieurs (rotation de secret)', () => {
+    const timestamp = maintenant();
+    const signatures = [signer(timestamp, 'ancien_secret'), signer(timestamp)];
+
+    expect(verifyHmacSignature({ rawBody: RAW_BODY, timestamp, signatures, secret: SECRET }).valid).toBe(true);
+  });
+
+  it('refuse toute notification sans secret configuré', () => {
+    const timestamp = maintenant();
+
+    expect(
+      verifyHmacSignature({ rawBody: RAW_BODY, timestamp, signatures: [signer(timestamp)], secret: undefined })
+    ).toEqual({ valid: false, error: 'Secret webhook non configuré' });
+  });
+
+  it('refuse une signature calculée avec un autre secret', () => {
+    const timestamp = maintenant();
+
+    expect(
+      verifyHmacSignature({ rawBody: RAW_BODY, timestamp, signatures: [signer(timestamp, 'autre')], secret: SECRET })
+    ).toEqual({ valid: false, error: 'Signature invalide' });
+  });
+
+  it('refuse un corps modifié après signature', () => {
+    const timestamp = maintenant();
+    const corpsModifie = Buffer.from(JSON.stringify({ id: 'evt_1', status: 'failed' }));
+
+    expect(
+      verifyHmacSignature({ rawBody: corpsModifie, timestamp, signatures: [signer(timestamp)], secret: SECRET })
+        .valid
+    ).toBe(false);
+  });
+
+  it('refuse un horodatage hors de la fenêtre de tolérance (rejeu)', () => {
+    const timestamp = (Math.floor(Date.now() / 1000) - 301).toString();
+
+    expect(
+      verifyHmacSignature({
+        rawBody: RAW_BODY,
+        timestamp,
+        signatures: [signer(timestamp)],
+        secret: SECRET,
+        toleranceSeconds: 300,
+      })
+    ).toEqual({ valid: false, error: 'Horodatage hors de la fenêtre de tolérance' });
+  });
+
+  it('refuse une signature ou un horodatage manquant, ou un corps brut indisponible', () => {
+    const timestamp = maintenant();
+
+    expect(verifyHmacSignature({ rawBody: RAW_BODY, timestamp, signatures: [], secret: SECRET }).valid).toBe(false);
+    expect(
+      verifyHmacSignature({ rawBody: RAW_BODY, timestamp: null, signatures: [signer(timestamp)], secret: SECRET })
+        .valid
+    ).toBe(false);
+    expect(
+      verifyHmacSignature({ rawBody: undefined, timestamp, signatures: [signer(timestamp)], secret: SECRET })
+    ).toEqual({ valid: false, error: 'Corps brut de la requête indisponible' });
+  });
+
+  it('refuse une signature hexadécimale de mauvaise longueur sans lever d\'erreur', () => {
+    const timestamp = maintenant();
+
+    expect(verifyHmacSignature({ rawBody: RAW_BODY, timestamp, signatures: ['abcd'], secret: SECRET })).toEqual({
+      valid: false,
+      error: 'Signature invalide',
+    });
+  });
+});
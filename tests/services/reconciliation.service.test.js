@@ -0,0 +1,161 @@
+// tests/services/reconciliation.service.test.js
+const mongoose = require('mongoose');
+const Transaction = require('../../models/Transaction');
+const Reconciliation = require('../../models/Reconciliation');
+const Tontine = require('../../models/Tontine');
+const AuditLog = require('../../models/AuditLog');
+const emailService = require('../../services/email.service');
+const ledgerService = require('../../services/ledger.service');
+const { parseAmount, reconcileStatement } = require('../../services/reconciliation.service');
+const { TRANSACTION_STATUS } = require('../../config/constants');
+
+describe('reconciliation.service - parseAmount', () => {
+  it('lit un montant entier', () => {
+    expect(parseAmount('5000')).toBe(5000);
+  });
+
+  it('traite virgule, point et espace suivis de trois chiffres comme séparateurs de milliers', () => {
+    expect(parseAmount('5,000')).toBe(5000);
+    expect(parseAmount('5.000')).toBe(5000);
+    expect(parseAmount('5 000')).toBe(5000);
+    expect(parseAmount('5 000')).toBe(5000);
+    expect(parseAmount('1.234.567')).toBe(1234567);
+    expect(parseAmount('1,234,567')).toBe(1234567);
+  });
+
+  it('ignore les décimales à zéro et la devise', () => {
+    expect(parseAmount('5000.00')).toBe(5000);
+    expect(parseAmount('5000,00')).toBe(5000);
+    expect(parseAmount('5 000,00 XOF')).toBe(5000);
+    expect(parseAmount('5,000.00 FCFA')).toBe(5000);
+    expect(parseAmount('XOF 12 500')).toBe(12500);
+  });
+
+  it('conserve le signe des montants négatifs', () => {
+    expect(parseAmount('-5.000')).toBe(-5000);
+  });
+
+  it('retourne null pour une valeur absente ou illisible', () => {
+    expect(parseAmount('')).toBeNull();
+    expect(parseAmount(null)).toBeNull();
+    expect(parseAmount('N/A')).toBeNull();
+  });
+});
+
+describe('reconciliation.service - reconcileStatement', () => {
+  const tresorier = { _id: new mongoose.Types.ObjectId(), email: 'tresorier@test.sn', role: 'Tresorier' };
+  const tontineId = new mongoose.Types.ObjectId();
+
+  const creerTransaction = (reference, champs = {}) => {
+    const transaction = new Transaction({
+      referenceTransaction: reference,
+      tontineId,
+      userId: new mongoose.Types.ObjectId(),
+      montant: 5000,
+      moyenPaiement: 'Wave',
+      ...champs,
+    });
+    transaction.save = jest.fn().mockResolvedValue(transaction);
+    transaction.populate = jest.fn().mockResolvedValue(transaction);
+    return transaction;
+  };
+
+  const rapprocher = (lignes, transactions, options = {}) => {
+    jest.spyOn(Transaction, 'find').mockResolvedValue(transactions);
+    const contenu = ['Client Reference,Amount,Status', ...lignes].join('\n');
+    return reconcileStatement({ moyenPaiement: 'Wave', contenu, user: tresorier, ...options });
+  };
+
+  const resultatLigne = (reconciliation, reference) =>
+    reconciliation.lignes.find((l) => l.reference === reference).resultat;
+
+  beforeEach(() => {
+    jest.spyOn(Reconciliation.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Tontine, 'findById').mockResolvedValue(null);
+    jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+    jest.spyOn(ledgerService, 'safePost').mockResolvedValue(null);
+    jest.spyOn(emailService, 'sendPaymentValidatedNotification').mockResolvedValue(null);
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('valide automatiquement une transaction en attente au bon montant', async () => {
+    const transaction = creerTransaction('TX-1');
+
+    const reconciliation = await rapprocher(['TX-1,5000,succeeded'], [transaction]);
+
+    expect(resultatLigne(reconciliation, 'TX-1')).toBe('validee_auto');
+    expect(transaction.statut).toBe(TRANSACTION_STATUS.VALIDEE);
+    expect(transaction.validePar).toEqual(tresorier._id);
+    expect(reconciliation.resume.valideesAuto).toBe(1);
+    expect(reconciliation.resume.montantValide).toBe(5000);
+  });
+
+  it('classe orpheline une référence sans transaction', async () => {
+    const reconciliation = await rapprocher(['INCONNUE,5000,succeeded'], []);
+
+    expect(resultatLigne(reconciliation, 'INCONNUE')).toBe('orpheline');
+    expect(reconciliation.resume.orphelines).toBe(1);
+  });
+
+  it('signale un écart de montant sans valider la transaction', async () => {
+    const transaction = creerTransaction('TX-1');
+
+    const reconciliation = await rapprocher(['TX-1,4000,succeeded'], [transaction]);
+
+    expect(resultatLigne(reconciliation, 'TX-1')).toBe('ecart_montant');
+    expect(reconciliation.lignes[0].montantAttendu).toBe(5000);
+    expect(transaction.statut).toBe(TRANSACTION_STATUS.EN_ATTENTE);
+  });
+
+  it('classe en doublon une référence répétée dans le relevé', async () => {
+    const transaction = creerTransaction('TX-1');
+
+    const reconciliation = await rapprocher(['TX-1,5000,succeeded', 'TX-1,5000,succeeded'], [transaction]);
+
+    expect(reconciliation.lignes.map((l) => l.resultat)).toEqual(['validee_auto', 'doublon']);
+    expect(reconciliation.resume.doublons).toBe(1);
+    expect(transaction.save).toHaveBeenCalledTimes(1);
+  });
+
+  it('signale un paiement reçu pour une transaction rejetée', async () => {
+    const transaction = creerTransaction('TX-1', { statut: TRANSACTION_STATUS.REJETEE });
+
+    const reconciliation = await rapprocher(['TX-1,5000,succeeded'], [transaction]);
+
+    expect(resultatLigne(reconciliation, 'TX-1')).toBe('transaction_rejetee');
+    expect(reconciliation.resume.transactionsRejetees).toBe(1);
+    expect(transaction.statut).toBe(TRANSACTION_STATUS.REJETEE);
+  });
+
+  it('ignore une transaction d\'une tontine hors du périmètre du trésorier', async () => {
+    const transaction = creerTransaction('TX-1');
+
+    const reconciliation = await rapprocher(['TX-1,5000,succeeded'], [transaction], {
+      tontineIds: [new mongoose.Types.ObjectId()],
+    });
+
+    expect(resultatLigne(reconciliation, 'TX-1')).toBe('ignoree');
+    expect(transaction.statut).toBe(TRANSACTION_STATUS.EN_ATTENTE);
+  });
+
+  it('ne valide pas le propre versement de l\'importateur, même payé pour un autre membre', async () => {
+    const cotisation = creerTransaction('TX-1', { userId: tresorier._id });
+    const pourUnMembre = creerTransaction('TX-2', { payePar: tresorier._id });
+
+    const reconciliation = await rapprocher(
+      ['TX-1,5000,succeeded', 'TX-2,5000,succeeded'],
+      [cotisation, pourUnMembre],
+      { tontineIds: [tontineId] }
+    );
+
+    expect(reconciliation.lignes.map((l) => l.resultat)).toEqual(['propre_versement', 'propre_versement']);
+    expect(reconciliation.resume.versementsPropres).toBe(2);
+    expect(reconciliation.anomalies).toBe(2);
+    expect(cotisation.save).not.toHaveBeenCalled();
+    expect(pourUnMembre.save).not.toHaveBeenCalled();
+    expect(ledgerService.safePost).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,80 @@
+// tests/services/refund.service.test.js
+const mongoose = require('mongoose');
+const Transaction = require('../../models/Transaction');
+const Reconciliation = require('../../models/Reconciliation');
+const paymentService = require('../../services/payment.service');
+const refundService = require('../../services/refund.service');
+const { TRANSACTION_STATUS } = require('../../config/constants');
+
+const creerTransaction = (champs = {}) => {
+  const transaction = new Transaction({
+    tontineId: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    montant: 10000,
+    moyenPaiement: 'Wave',
+    referencePaiement: 'wave_123',
+    statut: TRANSACTION_STATUS.REJETEE,
+    ...champs,
+  });
+  transaction.save = jest.fn().mockResolvedValue(transaction);
+  return transaction;
+};
+
+describe('refund.service - preuve d\'encaissement', () => {
+  let exists;
+  let checkPaymentStatus;
+
+  beforeEach(() => {
+    exists = jest.spyOn(Reconciliation, 'exists').mockResolvedValue(null);
+    checkPaymentStatus = jest
+      .spyOn(paymentService, 'checkPaymentStatus')
+      .mockResolvedValue({ success: true, isPaid: false });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('accepte une confirmation provider déjà reçue sans interroger le provider', async () => {
+    const transaction = creerTransaction({ paiementConfirme: true });
+
+    await expect(refundService.getPreuveEncaissement(transaction)).resolves.toBe('confirmation_provider');
+    expect(checkPaymentStatus).not.toHaveBeenCalled();
+  });
+
+  it('accepte une ligne de relevé rapprochée avec la transaction', async () => {
+    exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+    await expect(refundService.getPreuveEncaissement(creerTransaction())).resolves.toBe('releve');
+  });
+
+  it('interroge le provider en dernier recours', async () => {
+    checkPaymentStatus.mockResolvedValue({ success: true, isPaid: true });
+
+    await expect(refundService.getPreuveEncaissement(creerTransaction())).resolves.toBe('statut_provider');
+    expect(checkPaymentStatus).toHaveBeenCalledWith('Wave', 'wave_123', expect.any(Object));
+  });
+
+  it('ne trouve aucune preuve pour un paiement manuel sans relevé', async () => {
+    const transaction = creerTransaction({ moyenPaiement: 'Cash', referencePaiement: undefined });
+
+    await expect(refundService.getPreuveEncaissement(transaction)).resolves.toBeNull();
+    expect(checkPaymentStatus).not.toHaveBeenCalled();
+  });
+
+  it('refuse de rembourser une transaction rejetée sans preuve d\'encaissement', async () => {
+    const refundPayment = jest.spyOn(paymentService, 'refundPayment');
+    const transaction = creerTransaction();
+
+    await expect(
+      refundService.refundTransaction(transaction, {
+        montant: 10000,
+        motif: 'Paiement rejeté',
+        validationRequest: { _id: new mongoose.Types.ObjectId() },
+        user: { _id: new mongoose.Types.ObjectId(), email: 'admin@example.com' },
+      })
+    ).rejects.toMatchObject({ statusCode: 409 });
+
+    expect(transaction.remboursements).toHaveLength(0);
+    expect(transaction.save).not.toHaveBeenCalled();
+    expect(refundPayment).not.toHaveBeenCalled();
+  });
+});
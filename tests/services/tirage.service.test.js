@@ -0,0 +1,112 @@
+// tests/services/tirage.service.test.js
+const mongoose = require('mongoose');
+const Tirage = require('../../models/Tirage');
+const Tontine = require('../../models/Tontine');
+const AuditLog = require('../../models/AuditLog');
+const tirageService = require('../../services/tirage.service');
+const drawService = require('../../services/draw.service');
+const emailService = require('../../services/email.service');
+const notificationService = require('../../services/notification.service');
+const { TIRAGE } = require('../../config/constants');
+
+const SEED = 'b'.repeat(64);
+
+const creerTirage = () => {
+  const tirage = new Tirage({
+    tontineId: new mongoose.Types.ObjectId(),
+    beneficiaireId: new mongoose.Types.ObjectId(),
+    numeroTirage: 3,
+    numeroEcheance: 2,
+    montantDistribue: 50000,
+    methodeTirage: 'aleatoire',
+    detailsAlgorithme: { seed: SEED, seedHash: drawService.hashSeed(SEED) },
+    statutPaiement: 'en_attente',
+    createdBy: new mongoose.Types.ObjectId(),
+  });
+  tirage.save = jest.fn().mockResolvedValue(tirage);
+  return tirage;
+};
+
+const creerTontine = (beneficiaireId) => ({
+  nom: 'Tontine test',
+  delaiOptIn: 15,
+  membres: [beneficiaireId, new mongoose.Types.ObjectId()].map((_id) => ({
+    userId: { _id, email: `${_id}@example.com`, prenom: 'Awa' },
+  })),
+  getMembresPresents() {
+    return this.membres;
+  },
+  getCoTitulaires: () => [],
+  annulerGain: jest.fn(),
+  rouvrirTiragePlanifie: jest.fn(),
+  save: jest.fn(),
+});
+
+describe('tirage.service - annulerTirage', () => {
+  let tirage;
+  let tontine;
+  let countDocuments;
+
+  beforeEach(() => {
+    tirage = creerTirage();
+    tontine = creerTontine(tirage.beneficiaireId);
+
+    jest.spyOn(Tirage, 'findById').mockResolvedValue(tirage);
+    countDocuments = jest.spyOn(Tirage, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(Tirage, 'getGainsParMembre').mockResolvedValue(new Map());
+    jest.spyOn(Tontine, 'findById').mockReturnValue({ populate: jest.fn().mockResolvedValue(tontine) });
+    jest.spyOn(AuditLog, 'create').mockResolvedValue({});
+    jest.spyOn(emailService, 'sendEmail').mockResolvedValue({ success: true });
+    jest.spyOn(notificationService, 'sendTirageRelanceNotification').mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('engage le nouveau tirage et publie son empreinte sans le lancer aussitôt', async () => {
+    const avant = Date.now();
+
+    const { relance } = await tirageService.annulerTirage(tirage._id, {
+      raison: 'Bénéficiaire injoignable',
+      relancer: true,
+    });
+
+    const { annulation } = tirage;
+    expect(annulation.rang).toBe(1);
+    expect(annulation.complementHashRelance).toBe(drawService.hashSeed(annulation.complementRelance));
+    expect(annulation.dateRelancePrevue.getTime()).toBeGreaterThanOrEqual(avant + 15 * 60 * 1000);
+    expect(annulation.relanceTirageId).toBeUndefined();
+    expect(relance).toEqual({
+      datePrevue: annulation.dateRelancePrevue,
+      complementHash: annulation.complementHashRelance,
+    });
+
+    // Empreinte publiée à tous les membres, échéance planifiée laissée au nouveau tirage
+    expect(notificationService.sendTirageRelanceNotification).toHaveBeenCalledTimes(2);
+    expect(tontine.rouvrirTiragePlanifie).not.toHaveBeenCalled();
+  });
+
+  it('rouvre le tirage planifié quand aucun nouveau tirage n\'est demandé', async () => {
+    const { relance } = await tirageService.annulerTirage(tirage._id, { raison: 'Erreur de saisie' });
+
+    expect(relance).toBeNull();
+    expect(tirage.annulation.complementHashRelance).toBeUndefined();
+    expect(tontine.rouvrirTiragePlanifie).toHaveBeenCalledWith(tirage, 'Erreur de saisie');
+    expect(notificationService.sendTirageRelanceNotification).not.toHaveBeenCalled();
+  });
+
+  it('limite le nombre d\'annulations d\'une même échéance', async () => {
+    countDocuments.mockResolvedValue(TIRAGE.ANNULATIONS_MAX_PAR_ECHEANCE);
+
+    await expect(
+      tirageService.annulerTirage(tirage._id, { raison: 'Troisième essai', relancer: true })
+    ).rejects.toMatchObject({ statusCode: 409 });
+
+    expect(countDocuments).toHaveBeenCalledWith({
+      tontineId: tirage.tontineId,
+      numeroEcheance: 2,
+      'annulation.date': { $exists: true },
+    });
+    expect(tirage.estAnnule).toBe(false);
+    expect(tirage.save).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,82 @@
+// tests/utils/totp.test.js
+const totp = require('../../utils/totp');
+
+// Secret des vecteurs de test de la RFC 6238 (HMAC-SHA1) : "12345678901234567890"
+const SECRET_RFC = totp.encodeBase32(Buffer.from('12345678901234567890'));
+
+describe('utils/totp', () => {
+  afterEach(() => jest.restoreAllMocks());
+
+  describe('Base32', () => {
+    it('encode selon la RFC 4648 sans padding', () => {
+      expect(totp.encodeBase32(Buffer.from('foobar'))).toBe('MZXW6YTBOI');
+    });
+
+    it('décode en ignorant casse, espaces, tirets et padding', () => {
+      expect(totp.decodeBase32('mzxw 6ytb-oi==').toString()).toBe('foobar');
+    });
+
+    it('refuse un caractère hors alphabet', () => {
+      expect(() => totp.decodeBase32('MZXW1')).toThrow('Secret Base32 invalide');
+    });
+
+    it('génère un secret de 160 bits', () => {
+      const secret = totp.generateSecret();
+
+      expect(secret).toMatch(/^[A-Z2-7]{32}$/);
+      expect(totp.decodeBase32(secret)).toHaveLength(20);
+    });
+  });
+
+  describe('generateCode', () => {
+    it.each([
+      [59, '287082'],
+      [1111111109, '081804'],
+      [1111111111, '050471'],
+      [1234567890, '005924'],
+      [2000000000, '279037'],
+    ])('retrouve le vecteur RFC 6238 à t=%i', (secondes, code) => {
+      expect(totp.generateCode(SECRET_RFC, secondes * 1000)).toBe(code);
+    });
+  });
+
+  describe('verifyCode', () => {
+    const T = 1234567890 * 1000;
+    const PAS = Math.floor(1234567890 / 30);
+
+    beforeEach(() => jest.spyOn(Date, 'now').mockReturnValue(T));
+
+    it('retourne le pas du code courant', () => {
+      expect(totp.verifyCode(SECRET_RFC, '005924')).toBe(PAS);
+    });
+
+    it('tolère un pas de décalage d\'horloge', () => {
+      expect(totp.verifyCode(SECRET_RFC, totp.generateCode(SECRET_RFC, T - 30000))).toBe(PAS - 1);
+      expect(totp.verifyCode(SECRET_RFC, totp.generateCode(SECRET_RFC, T + 30000))).toBe(PAS + 1);
+      expect(totp.verifyCode(SECRET_RFC, totp.generateCode(SECRET_RFC, T - 60000))).toBeNull();
+    });
+
+    it('refuse un pas déjà utilisé (anti-rejeu)', () => {
+      expect(totp.verifyCode(SECRET_RFC, '005924', { dernierPas: PAS })).toBeNull();
+      expect(totp.verifyCode(SECRET_RFC, '005924', { dernierPas: PAS - 1 })).toBe(PAS);
+    });
+
+    it('refuse un code mal formé', () => {
+      expect(totp.verifyCode(SECRET_RFC, '05924')).toBeNull();
+      expect(totp.verifyCode(SECRET_RFC, 'abcdef')).toBeNull();
+      expect(totp.verifyCode(SECRET_RFC, undefined)).toBeNull();
+    });
+  });
+
+  describe('buildOtpauthUrl', () => {
+    it('construit une URL otpauth compatible avec les applications d\'authentification', () => {
+      const url = new URL(totp.buildOtpauthUrl('JBSWY3DPEHPK3PXP', 'awa@example.com'));
+
+      expect(url.protocol).toBe('otpauth:');
+      expect(decodeURIComponent(url.pathname)).toMatch(/:awa@example\.com$/);
+      expect(url.searchParams.get('secret')).toBe('JBSWY3DPEHPK3PXP');
+      expect(url.searchParams.get('digits')).toBe('6');
+      expect(url.searchParams.get('period')).toBe('30');
+    });
+  });
+});
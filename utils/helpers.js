@@ -287,6 +287,68 @@ const cleanObject = (obj) => {
   }, {});
 };
 
+/**
+ * Parser un fichier CSV (séparateur , ou ; détecté sur l'en-tête)
+ * Gère les champs entre guillemets et les guillemets doublés
+ * @returns {Array<Object>} - Une entrée par ligne, clés = en-têtes en minuscules
+ */
+const parseCsv = (content) => {
+  const text = content.toString('utf8').replace(/^\uFEFF/, '');
+  const firstLine = text.split(/\r?\n/, 1)[0] || '';
+  const delimiter =
+    (firstLine.match(/;/g) || []).length > (firstLine.match(/,/g) || []).length ? ';' : ',';
+
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== '' || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const nonEmpty = rows.filter((r) => r.some((value) => value.trim() !== ''));
+  if (nonEmpty.length === 0) return [];
+
+  const headers = nonEmpty[0].map((h) => h.trim().toLowerCase());
+
+  return nonEmpty.slice(1).map((values) =>
+    headers.reduce((acc, header, index) => {
+      acc[header] = (values[index] || '').trim();
+      return acc;
+    }, {})
+  );
+};
+
 module.exports = {
   generateTemporaryPassword,
   generateVerificationCode,
@@ -310,4 +372,5 @@ module.exports = {
   generateTransactionId,
   getPaginationParams,
   cleanObject,
+  parseCsv,
 };
\ No newline at end of file
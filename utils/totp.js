@@ -0,0 +1,129 @@
+// utils/totp.js
+const crypto = require('crypto');
+
+/**
+ * Mots de passe à usage unique basés sur le temps (TOTP, RFC 6238 / HOTP, RFC 4226)
+ * compatibles Google Authenticator, Microsoft Authenticator, Authy... :
+ * HMAC-SHA1, 6 chiffres, pas de 30 secondes, secret encodé en Base32.
+ */
+
+const ALPHABET_BASE32 = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const PERIODE = 30;
+const CHIFFRES = 6;
+
+/**
+ * Encoder un buffer en Base32 (RFC 4648, sans padding)
+ */
+const encodeBase32 = (buffer) => {
+  let bits = '';
+  for (const octet of buffer) {
+    bits += octet.toString(2).padStart(8, '0');
+  }
+
+  let resultat = '';
+  for (let i = 0; i < bits.length; i += 5) {
+    resultat += ALPHABET_BASE32[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+  }
+  return resultat;
+};
+
+/**
+ * Décoder une chaîne Base32 (espaces, tirets et padding ignorés)
+ */
+const decodeBase32 = (texte) => {
+  const propre = texte.toUpperCase().replace(/[\s=-]/g, '');
+
+  let bits = '';
+  for (const caractere of propre) {
+    const valeur = ALPHABET_BASE32.indexOf(caractere);
+    if (valeur === -1) {
+      throw new Error('Secret Base32 invalide');
+    }
+    bits += valeur.toString(2).padStart(5, '0');
+  }
+
+  const octets = [];
+  for (let i = 0; i + 8 <= bits.length; i += 8) {
+    octets.push(parseInt(bits.slice(i, i + 8), 2));
+  }
+  return Buffer.from(octets);
+};
+
+/**
+ * Générer un secret TOTP (160 bits, recommandé par la RFC 4226)
+ * @returns {string} Secret Base32
+ */
+const generateSecret = () => encodeBase32(crypto.randomBytes(20));
+
+/**
+ * Code HOTP pour un compteur donné
+ */
+const hotp = (secret, compteur) => {
+  const message = Buffer.alloc(8);
+  message.writeBigUInt64BE(BigInt(compteur));
+
+  const hmac = crypto.createHmac('sha1', decodeBase32(secret)).update(message).digest();
+  const decalage = hmac[hmac.length - 1] & 0x0f;
+  const binaire = hmac.readUInt32BE(decalage) & 0x7fffffff;
+
+  return (binaire % 10 ** CHIFFRES).toString().padStart(CHIFFRES, '0');
+};
+
+/**
+ * Pas de temps courant
+ */
+const pasCourant = (date = Date.now()) => Math.floor(date / 1000 / PERIODE);
+
+/**
+ * Code TOTP courant (utile pour le débogage)
+ */
+const generateCode = (secret, date = Date.now()) => hotp(secret, pasCourant(date));
+
+/**
+ * Vérifier un code TOTP, avec une tolérance d'un pas avant/après (décalage d'horloge)
+ * @param {string} secret - Secret Base32
+ * @param {string} code - Code à 6 chiffres saisi
+ * @param {Object} options - { fenetre, dernierPas } : un pas déjà utilisé est refusé (anti-rejeu)
+ * @returns {number|null} Pas correspondant au code, ou null si invalide
+ */
+const verifyCode = (secret, code, { fenetre = 1, dernierPas = null } = {}) => {
+  if (!/^\d{6}$/.test(code || '')) return null;
+
+  const courant = pasCourant();
+  for (let pas = courant - fenetre; pas <= courant + fenetre; pas++) {
+    if (dernierPas !== null && dernierPas !== undefined && pas <= dernierPas) continue;
+
+    const attendu = hotp(secret, pas);
+    if (crypto.timingSafeEqual(Buffer.from(attendu), Buffer.from(code))) {
+      return pas;
+    }
+  }
+  return null;
+};
+
+/**
+ * URL otpauth:// à encoder en QR code pour l'application d'authentification
+ * @param {string} secret - Secret Base32
+ * @param {string} compte - Libellé du compte (email)
+ */
+const buildOtpauthUrl = (secret, compte) => {
+  const emetteur = process.env.APP_NAME || 'DigiTontine';
+  const libelle = encodeURIComponent(`${emetteur}:${compte}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: emetteur,
+    algorithm: 'SHA1',
+    digits: String(CHIFFRES),
+    period: String(PERIODE),
+  });
+  return `otpauth://totp/${libelle}?${params.toString()}`;
+};
+
+module.exports = {
+  generateSecret,
+  generateCode,
+  verifyCode,
+  buildOtpauthUrl,
+  encodeBase32,
+  decodeBase32,
+};
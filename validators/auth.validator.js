@@ -1,6 +1,11 @@
 // validators/auth.validator.js
 const { body, param, query } = require('express-validator');
 const { isValidSenegalPhone } = require('../utils/helpers');
+const { OTP_DELIVERY } = require('../config/constants');
+const { validateCreateUser } = require('./user.validator');
+
+// Code a 6 chiffres (email ou application d'authentification) ou code de recuperation (xxxxx-xxxxx)
+const CODE_SECOND_FACTEUR = /^(\d{6}|[a-f0-9]{5}-?[a-f0-9]{5})$/i;
 
 /**
  * Validation login (email OU telephone + mot de passe)
@@ -36,6 +41,22 @@ const validateLogin = [
     .withMessage('Le mot de passe est requis')
     .isLength({ min: 8 })
     .withMessage('Le mot de passe doit contenir au moins 8 caracteres'),
+
+  body('appareil')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Le nom de l\'appareil ne peut pas depasser 100 caracteres'),
+
+  body('appareilConfiance')
+    .optional()
+    .isString()
+    .withMessage('Jeton d\'appareil de confiance invalide'),
+
+  body('canal')
+    .optional()
+    .isIn(OTP_DELIVERY.CHANNELS)
+    .withMessage(`Le canal doit etre: ${OTP_DELIVERY.CHANNELS.join(', ')}`),
 ];
 
 /**
@@ -54,10 +75,19 @@ const validateVerifyLoginOTP = [
     .trim()
     .notEmpty()
     .withMessage('Le code OTP est requis')
-    .isLength({ min: 6, max: 6 })
-    .withMessage('Le code doit contenir 6 chiffres')
-    .isNumeric()
-    .withMessage('Le code doit etre numerique'),
+    .matches(CODE_SECOND_FACTEUR)
+    .withMessage('Le code doit contenir 6 chiffres (ou etre un code de recuperation)'),
+
+  body('faireConfiance')
+    .optional()
+    .isBoolean()
+    .withMessage('faireConfiance doit etre un booleen'),
+
+  body('appareil')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Le nom de l\'appareil ne peut pas depasser 100 caracteres'),
 ];
 
 /**
@@ -133,6 +163,11 @@ const validateForgotPassword = [
     .isEmail()
     .withMessage('Format d\'email invalide')
     .normalizeEmail(),
+
+  body('canal')
+    .optional()
+    .isIn(OTP_DELIVERY.CHANNELS)
+    .withMessage(`Le canal doit etre: ${OTP_DELIVERY.CHANNELS.join(', ')}`),
 ];
 
 /**
@@ -218,6 +253,99 @@ const validateRefreshToken = [
     .withMessage('Le refresh token est requis'),
 ];
 
+/**
+ * Validation code de l'application d'authentification (6 chiffres)
+ */
+const validateTotpCode = [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Le code est requis')
+    .matches(/^\d{6}$/)
+    .withMessage('Le code doit contenir 6 chiffres'),
+];
+
+/**
+ * Validation second facteur (code de l'application ou code de recuperation)
+ */
+const validateSecondFactor = [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Le code est requis')
+    .matches(CODE_SECOND_FACTEUR)
+    .withMessage('Le code doit contenir 6 chiffres (ou etre un code de recuperation)'),
+];
+
+/**
+ * Validation ID de session (param)
+ */
+const validateSessionId = [
+  param('sessionId')
+    .isMongoId()
+    .withMessage('ID de session invalide'),
+];
+
+/**
+ * Validation inscription en libre-service (memes champs que la creation par un Admin + mot de passe)
+ */
+const validateRegister = [
+  ...validateCreateUser,
+
+  body('motDePasse')
+    .notEmpty()
+    .withMessage('Le mot de passe est requis')
+    .isLength({ min: 8 })
+    .withMessage('Le mot de passe doit contenir au moins 8 caracteres'),
+];
+
+/**
+ * Validation des codes de verification d'inscription
+ */
+const validateVerifyRegistration = [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('L\'email est requis')
+    .isEmail()
+    .withMessage('Format d\'email invalide')
+    .normalizeEmail(),
+
+  body('codeEmail')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Le code email doit contenir 6 chiffres'),
+
+  body('codeTelephone')
+    .optional()
+    .trim()
+    .matches(/^\d{6}$/)
+    .withMessage('Le code telephone doit contenir 6 chiffres'),
+
+  body()
+    .custom((value) => Boolean(value.codeEmail || value.codeTelephone))
+    .withMessage('Au moins un code (email ou telephone) est requis'),
+];
+
+/**
+ * Validation renvoi des codes d'inscription
+ */
+const validateResendRegistration = [
+  body('email')
+    .trim()
+    .notEmpty()
+    .withMessage('L\'email est requis')
+    .isEmail()
+    .withMessage('Format d\'email invalide')
+    .normalizeEmail(),
+
+  body('canal')
+    .optional()
+    .isIn(['email', 'telephone'])
+    .withMessage('Le canal doit etre email ou telephone'),
+];
+
 module.exports = {
   validateLogin,
   validateVerifyLoginOTP,
@@ -227,5 +355,11 @@ module.exports = {
   validateResetPassword,
   validateFCMToken,
   validateRefreshToken,
+  validateSessionId,
+  validateTotpCode,
+  validateSecondFactor,
   validateConfirmPasswordChange,
+  validateRegister,
+  validateVerifyRegistration,
+  validateResendRegistration,
 };
\ No newline at end of file
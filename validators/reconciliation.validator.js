@@ -0,0 +1,65 @@
+// validators/reconciliation.validator.js
+const { body, param, query } = require('express-validator');
+const { getCollectionMethods } = require('../services/providers/registry');
+
+const RESULTATS = [
+  'validee_auto',
+  'deja_validee',
+  'orpheline',
+  'ecart_montant',
+  'doublon',
+  'transaction_rejetee',
+  'propre_versement',
+  'ignoree',
+];
+
+/**
+ * Validation import relevé
+ */
+const validateImportStatement = [
+  body('moyenPaiement')
+    .notEmpty()
+    .withMessage('Le moyen de paiement est requis')
+    .custom((value) => getCollectionMethods().includes(value))
+    .withMessage('Moyen de paiement invalide'),
+];
+
+/**
+ * Validation liste rapprochements
+ */
+const validateListReconciliations = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Le numéro de page doit être un entier positif'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('La limite doit être entre 1 et 100'),
+
+  query('moyenPaiement')
+    .optional()
+    .custom((value) => getCollectionMethods().includes(value))
+    .withMessage('Moyen de paiement invalide'),
+];
+
+/**
+ * Validation rapport rapprochement
+ */
+const validateReconciliationReport = [
+  param('reconciliationId')
+    .isMongoId()
+    .withMessage('ID de rapprochement invalide'),
+
+  query('resultat')
+    .optional()
+    .isIn(RESULTATS)
+    .withMessage('Filtre de résultat invalide'),
+];
+
+module.exports = {
+  validateImportStatement,
+  validateListReconciliations,
+  validateReconciliationReport,
+};
@@ -1,5 +1,6 @@
 // validators/tirage.validator.js
 const { body, param, query } = require('express-validator');
+const { getPayoutMethods } = require('../services/providers/registry');
 
 /**
  * Validation création tirage aléatoire
@@ -13,7 +14,7 @@ const validateCreateTirage = [
 
   body('methodeTirage')
     .optional()
-    .isIn(['aleatoire', 'tour_de_role', 'manuel'])
+    .isIn(['aleatoire', 'tour_de_role', 'enchere', 'manuel'])
     .withMessage('Méthode de tirage invalide'),
 
   body('beneficiaireId')
@@ -63,9 +64,8 @@ const validatePayTirage = [
     .withMessage('ID de tirage invalide'),
 
   body('moyenPaiement')
-    .notEmpty()
-    .withMessage('Le moyen de paiement est requis')
-    .isIn(['Wave', 'Orange Money', 'Virement', 'Cash'])
+    .optional()
+    .custom((value) => getPayoutMethods().includes(value))
     .withMessage('Moyen de paiement invalide'),
 
   body('referencePaiement')
@@ -81,6 +81,63 @@ const validatePayTirage = [
     .withMessage('Les notes ne peuvent pas dépasser 500 caractères'),
 ];
 
+/**
+ * Validation annulation tirage
+ */
+const validateAnnulerTirage = [
+  param('tirageId')
+    .notEmpty()
+    .withMessage('L\'ID du tirage est requis')
+    .isMongoId()
+    .withMessage('ID de tirage invalide'),
+
+  body('raison')
+    .trim()
+    .isLength({ min: 10, max: 500 })
+    .withMessage('La raison d\'annulation doit contenir entre 10 et 500 caractères'),
+
+  body('relancer')
+    .optional()
+    .isBoolean()
+    .withMessage('relancer doit être un booléen')
+    .toBoolean(),
+];
+
+/**
+ * Validation récupération d'une cagnotte versée
+ */
+const validateRecuperationTirage = [
+  param('tirageId')
+    .notEmpty()
+    .withMessage('L\'ID du tirage est requis')
+    .isMongoId()
+    .withMessage('ID de tirage invalide'),
+
+  body('montant')
+    .notEmpty()
+    .withMessage('Le montant récupéré est requis')
+    .isInt({ min: 1 })
+    .withMessage('Le montant récupéré doit être un entier positif')
+    .toInt(),
+
+  body('moyenPaiement')
+    .optional()
+    .custom((value) => getPayoutMethods().includes(value))
+    .withMessage('Moyen de paiement invalide'),
+
+  body('reference')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('La référence ne peut pas dépasser 100 caractères'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Les notes ne peuvent pas dépasser 500 caractères'),
+];
+
 /**
  * Validation liste tirages
  */
@@ -107,7 +164,7 @@ const validateListTirages = [
 
   query('statutPaiement')
     .optional()
-    .isIn(['en_attente', 'paye', 'echec'])
+    .isIn(['en_attente', 'paye', 'echec', 'annule'])
     .withMessage('Statut de paiement invalide'),
 
   query('dateDebut')
@@ -143,11 +200,30 @@ const validateCheckEligibility = [
     .withMessage('ID de tontine invalide'),
 ];
 
+/**
+ * Validation offre d'enchère
+ */
+const validateOffreEnchere = [
+  param('tontineId')
+    .isMongoId()
+    .withMessage('ID de tontine invalide'),
+
+  body('montantRemise')
+    .notEmpty()
+    .withMessage('Le montant de la remise est requis')
+    .isInt({ min: 1 })
+    .withMessage('La remise doit être un nombre entier positif (FCFA)')
+    .toInt(),
+];
+
 module.exports = {
   validateCreateTirage,
   validateValidateTirage,
   validatePayTirage,
+  validateAnnulerTirage,
+  validateRecuperationTirage,
   validateListTirages,
   validateTirageId,
   validateCheckEligibility,
+  validateOffreEnchere,
 };
\ No newline at end of file
@@ -1,6 +1,46 @@
 // validators/tontine.validator.js
 const { body, param, query } = require('express-validator');
-const { TONTINE_STATUS, FREQUENCES } = require('../config/constants');
+const { TONTINE_STATUS, FREQUENCES, TONTINE_ROLES } = require('../config/constants');
+
+/**
+ * Règles communes : planification des tirages
+ */
+const planificationTirageRules = [
+  body('planificationTirage')
+    .optional()
+    .isObject()
+    .withMessage('La planification des tirages doit être un objet'),
+
+  body('planificationTirage.active')
+    .optional()
+    .isBoolean()
+    .withMessage('active doit être un booléen'),
+
+  body('planificationTirage.joursApresEcheance')
+    .optional()
+    .isInt({ min: 0, max: 30 })
+    .withMessage('Le tirage doit avoir lieu entre 0 et 30 jours après l\'échéance'),
+
+  body('planificationTirage.heure')
+    .optional()
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Heure du tirage invalide (HH:MM)'),
+
+  body('planificationTirage.siCotisationsIncompletes')
+    .optional()
+    .isIn(['reporter', 'sauter'])
+    .withMessage('siCotisationsIncompletes doit être reporter ou sauter'),
+
+  body('planificationTirage.delaiReportHeures')
+    .optional()
+    .isInt({ min: 1, max: 168 })
+    .withMessage('Le report doit être compris entre 1 et 168 heures'),
+
+  body('planificationTirage.nombreReportsMax')
+    .optional()
+    .isInt({ min: 0, max: 10 })
+    .withMessage('Le nombre de reports doit être compris entre 0 et 10'),
+];
 
 /**
  * Validation création tontine
@@ -103,10 +143,47 @@ body('nombreMembresMin')
     .optional()
     .isInt({ min: 0, max: 30 })
     .withMessage('Le délai de grâce doit être entre 0 et 30 jours'),
+
+  body('delaiMobilisationGarant')
+    .optional()
+    .isInt({ min: 1, max: 90 })
+    .withMessage('Le délai de mobilisation des garants doit être entre 1 et 90 jours')
+    .toInt(),
+
+  body('scoreMinimum')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Le score de fiabilité minimum doit être entre 0 et 100')
+    .toInt(),
+
+  body('prioriteFiabilite')
+    .optional()
+    .isBoolean()
+    .withMessage('prioriteFiabilite doit être un booléen')
+    .toBoolean(),
+
+  body('visibilitePublique')
+    .optional()
+    .isBoolean()
+    .withMessage('visibilitePublique doit être un booléen')
+    .toBoolean(),
      body('tresorierAssigneId')
   .optional()
   .isMongoId()
   .withMessage('ID du trésorier invalide'),
+
+  body('modeTirage')
+    .optional()
+    .isIn(['aleatoire', 'tour_de_role', 'enchere'])
+    .withMessage('Le mode de tirage doit être aleatoire, tour_de_role ou enchere'),
+
+  body('gagnantsParCycle')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Le nombre de gagnants par échéance doit être entre 1 et 20')
+    .toInt(),
+
+  ...planificationTirageRules,
    
 ];
 
@@ -142,6 +219,30 @@ const validateUpdateTontine = [
     .isInt({ min: 0, max: 30 })
     .withMessage('Le délai de grâce doit être entre 0 et 30 jours'),
 
+  body('delaiMobilisationGarant')
+    .optional()
+    .isInt({ min: 1, max: 90 })
+    .withMessage('Le délai de mobilisation des garants doit être entre 1 et 90 jours')
+    .toInt(),
+
+  body('scoreMinimum')
+    .optional({ values: 'null' })
+    .isInt({ min: 0, max: 100 })
+    .withMessage('Le score de fiabilité minimum doit être entre 0 et 100')
+    .toInt(),
+
+  body('prioriteFiabilite')
+    .optional()
+    .isBoolean()
+    .withMessage('prioriteFiabilite doit être un booléen')
+    .toBoolean(),
+
+  body('visibilitePublique')
+    .optional()
+    .isBoolean()
+    .withMessage('visibilitePublique doit être un booléen')
+    .toBoolean(),
+
   // Ces champs ne peuvent être modifiés après activation
 body('montantCotisation')
   .optional()
@@ -166,6 +267,19 @@ body('montantCotisation')
   .optional()
   .isMongoId()
   .withMessage('ID du trésorier invalide'),
+
+  body('modeTirage')
+    .optional()
+    .isIn(['aleatoire', 'tour_de_role', 'enchere'])
+    .withMessage('Le mode de tirage doit être aleatoire, tour_de_role ou enchere'),
+
+  body('gagnantsParCycle')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Le nombre de gagnants par échéance doit être entre 1 et 20')
+    .toInt(),
+
+  ...planificationTirageRules,
 ];
 
 /**
@@ -206,6 +320,91 @@ const validateRemoveMember = [
     .withMessage('ID de membre invalide'),
 ];
 
+/**
+ * Validation nombre de parts d'un membre
+ */
+const validateNombreParts = [
+  ...validateRemoveMember,
+
+  body('nombreParts')
+    .notEmpty()
+    .withMessage('Le nombre de parts est requis')
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Le nombre de parts doit être entre 1 et 10')
+    .toInt(),
+];
+
+/**
+ * Validation solde de sortie d'un membre
+ */
+const validateSoldeSortie = [
+  ...validateRemoveMember,
+
+  query('remplacantId')
+    .optional()
+    .isMongoId()
+    .withMessage('ID du remplaçant invalide'),
+];
+
+/**
+ * Validation sortie d'un membre (tontine active)
+ */
+const validateSortieMembre = [
+  ...validateRemoveMember,
+
+  body('validationRequestId')
+    .notEmpty()
+    .withMessage('Cette action nécessite une validation MEMBER_EXIT acceptée')
+    .isMongoId()
+    .withMessage('ID de demande invalide'),
+];
+
+/**
+ * Validation demande de caution
+ */
+const validateDemandeGarantie = [
+  ...validateRemoveMember,
+
+  body('garantId')
+    .notEmpty()
+    .withMessage('L\'ID du garant est requis')
+    .isMongoId()
+    .withMessage('ID de garant invalide'),
+];
+
+/**
+ * Validation retrait d'un garant
+ */
+const validateRetraitGarant = [
+  ...validateRemoveMember,
+
+  param('garantieId')
+    .notEmpty()
+    .withMessage('L\'ID de la caution est requis')
+    .isMongoId()
+    .withMessage('ID de caution invalide'),
+];
+
+/**
+ * Validation co-titulaires d'une position
+ */
+const validateCoTitulaires = [
+  ...validateRemoveMember,
+
+  body('coTitulaires')
+    .isArray({ max: 9 })
+    .withMessage('coTitulaires doit être une liste (9 co-titulaires maximum)'),
+
+  body('coTitulaires.*.userId')
+    .isMongoId()
+    .withMessage('ID de co-titulaire invalide'),
+
+  body('coTitulaires.*.quotePart')
+    .isInt({ min: 1, max: 99 })
+    .withMessage('La quote-part doit être un pourcentage entre 1 et 99')
+    .toInt(),
+];
+
 /**
  * Validation activation tontine
  */
@@ -314,15 +513,279 @@ const validateTontineId = [
     .withMessage('ID de tontine invalide'),
 ];
 
+/**
+ * Validation balance des comptes
+ */
+const validateTrialBalance = [
+  param('tontineId')
+    .isMongoId()
+    .withMessage('ID de tontine invalide'),
+
+  query('date')
+    .optional()
+    .isISO8601()
+    .withMessage('Date d\'arrêté invalide (format ISO 8601 attendu)'),
+];
+
+/**
+ * Validation journal comptable
+ */
+const validateJournal = [
+  param('tontineId')
+    .isMongoId()
+    .withMessage('ID de tontine invalide'),
+
+  query('dateDebut')
+    .optional()
+    .isISO8601()
+    .withMessage('Date de début invalide'),
+
+  query('dateFin')
+    .optional()
+    .isISO8601()
+    .withMessage('Date de fin invalide'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Le numéro de page doit être un entier positif'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('La limite doit être entre 1 et 100'),
+];
+
+/**
+ * Validation ordre du tour de rôle
+ */
+const validateOrdreRotation = [
+  param('tontineId')
+    .notEmpty()
+    .withMessage('L\'ID de la tontine est requis')
+    .isMongoId()
+    .withMessage('ID de tontine invalide'),
+
+  body('ordre')
+    .isArray({ min: 1 })
+    .withMessage('L\'ordre doit contenir au moins un membre'),
+
+  body('ordre.*')
+    .isMongoId()
+    .withMessage('ID de membre invalide'),
+];
+
+/**
+ * Validation demande d'échange de position
+ */
+const validateDemandeEchange = [
+  param('tontineId')
+    .notEmpty()
+    .withMessage('L\'ID de la tontine est requis')
+    .isMongoId()
+    .withMessage('ID de tontine invalide'),
+
+  body('destinataireId')
+    .notEmpty()
+    .withMessage('Le membre avec qui échanger est requis')
+    .isMongoId()
+    .withMessage('ID de membre invalide'),
+];
+
+/**
+ * Validation création d'un code d'invitation
+ */
+const validateCodeInvitation = [
+  ...validateTontineId,
+
+  body('dureeValiditeJours')
+    .optional()
+    .isInt({ min: 1, max: 90 })
+    .withMessage('La durée de validité doit être entre 1 et 90 jours')
+    .toInt(),
+
+  body('utilisationsMax')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Le nombre d\'utilisations doit être entre 1 et 500')
+    .toInt(),
+];
+
+/**
+ * Validation désactivation d'un code d'invitation
+ */
+const validateCodeInvitationId = [
+  ...validateTontineId,
+
+  param('codeId')
+    .isMongoId()
+    .withMessage('ID de code d\'invitation invalide'),
+];
+
+/**
+ * Validation code d'invitation (lien partagé)
+ */
+const validateCodeRejoindre = [
+  param('code')
+    .trim()
+    .isAlphanumeric()
+    .withMessage('Code d\'invitation invalide')
+    .isLength({ min: 6, max: 12 })
+    .withMessage('Code d\'invitation invalide'),
+];
+
+/**
+ * Règles communes d'une demande d'adhésion
+ */
+const demandeAdhesionRules = [
+  body('reglementAccepte')
+    .isBoolean({ strict: true })
+    .withMessage('reglementAccepte doit être un booléen')
+    .bail()
+    .custom((value) => value === true)
+    .withMessage('Vous devez accepter le règlement de la tontine'),
+
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Le message ne peut pas dépasser 500 caractères'),
+];
+
+/**
+ * Validation demande d'adhésion avec un code d'invitation
+ */
+const validateRejoindreParCode = [
+  ...validateCodeRejoindre,
+  ...demandeAdhesionRules,
+];
+
+/**
+ * Validation demande d'adhésion à une tontine
+ */
+const validateDemandeAdhesion = [
+  ...validateTontineId,
+
+  body('code')
+    .optional()
+    .trim()
+    .isAlphanumeric()
+    .withMessage('Code d\'invitation invalide'),
+
+  ...demandeAdhesionRules,
+];
+
+/**
+ * Validation liste des demandes d'adhésion
+ */
+const validateListDemandesAdhesion = [
+  ...validateTontineId,
+
+  query('statut')
+    .optional()
+    .isIn(['en_attente', 'acceptee', 'refusee'])
+    .withMessage('Statut de demande invalide'),
+];
+
+/**
+ * Validation réponse à une demande d'adhésion
+ */
+const validateReponseAdhesion = [
+  ...validateTontineId,
+
+  param('demandeId')
+    .isMongoId()
+    .withMessage('ID de demande invalide'),
+
+  body('motif')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Le motif ne peut pas dépasser 500 caractères'),
+];
+
+/**
+ * Validation attribution / retrait d'un rôle de tontine
+ */
+const validateRoleTontine = [
+  ...validateTontineId,
+
+  param('userId')
+    .isMongoId()
+    .withMessage('ID utilisateur invalide'),
+];
+
+const validateAttributionRole = [
+  ...validateRoleTontine,
+
+  body('role')
+    .notEmpty()
+    .withMessage('Le rôle est requis')
+    .isIn([TONTINE_ROLES.CO_TRESORIER, TONTINE_ROLES.AUDITEUR])
+    .withMessage(`Rôle invalide. Valeurs possibles : ${TONTINE_ROLES.CO_TRESORIER}, ${TONTINE_ROLES.AUDITEUR}`),
+];
+
+/**
+ * Validation liste publique des tontines
+ */
+const validateTontinesPubliques = [
+  query('montantMin')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Montant minimum invalide')
+    .toInt(),
+
+  query('montantMax')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Montant maximum invalide')
+    .toInt(),
+
+  query('frequence')
+    .optional()
+    .isIn(Object.values(FREQUENCES))
+    .withMessage(`La fréquence doit être ${FREQUENCES.HEBDOMADAIRE} ou ${FREQUENCES.MENSUELLE}`),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Numéro de page invalide'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limite invalide'),
+];
+
 module.exports = {
   validateCreateTontine,
   validateUpdateTontine,
   validateAddMembers,
   validateRemoveMember,
+  validateNombreParts,
+  validateCoTitulaires,
+  validateSoldeSortie,
+  validateSortieMembre,
+  validateDemandeGarantie,
+  validateRetraitGarant,
   validateActivateTontine,
   validateBlockTontine,
   validateCloseTontine,
   validateDeleteTontine,
   validateListTontines,
   validateTontineId,
+  validateTrialBalance,
+  validateJournal,
+  validateOrdreRotation,
+  validateDemandeEchange,
+  validateCodeInvitation,
+  validateCodeInvitationId,
+  validateCodeRejoindre,
+  validateRejoindreParCode,
+  validateDemandeAdhesion,
+  validateListDemandesAdhesion,
+  validateReponseAdhesion,
+  validateTontinesPubliques,
+  validateRoleTontine,
+  validateAttributionRole,
 };
\ No newline at end of file
@@ -1,6 +1,7 @@
 // validators/transaction.validator.js
 const { body, param, query } = require('express-validator');
-const { PAYMENT_METHODS, TRANSACTION_STATUS, TRANSACTION_TYPES } = require('../config/constants');
+const { TRANSACTION_STATUS, TRANSACTION_TYPES } = require('../config/constants');
+const { getMethods, getCollectionMethods, getProviderByCode } = require('../services/providers/registry');
 
 /**
  * Validation création transaction (cotisation)
@@ -21,7 +22,7 @@ const validateCreateTransaction = [
   body('moyenPaiement')
     .notEmpty()
     .withMessage('Le moyen de paiement est requis')
-    .isIn(Object.values(PAYMENT_METHODS))
+    .custom((value) => getCollectionMethods().includes(value))
     .withMessage('Moyen de paiement invalide'),
 
   body('referencePaiement')
@@ -33,7 +34,13 @@ const validateCreateTransaction = [
   body('echeanceNumero')
     .optional()
     .isInt({ min: 1 })
-    .withMessage('Le numéro d\'échéance doit être un entier positif'),
+    .withMessage('Le numéro d\'échéance doit être un entier positif')
+    .toInt(),
+
+  body('pourMembreId')
+    .optional()
+    .isMongoId()
+    .withMessage('ID du membre cautionné invalide'),
 ];
 
 /**
@@ -71,22 +78,59 @@ const validateRejectTransaction = [
 ];
 
 /**
- * Validation webhook paiement (Wave, Orange Money)
+ * Validation remboursement transaction
  */
-const validateWebhook = [
-  body('transaction_id')
-    .notEmpty()
-    .withMessage('L\'ID de transaction est requis'),
+const validateRefundTransaction = [
+  param('transactionId')
+    .isMongoId()
+    .withMessage('ID de transaction invalide'),
 
-  body('status')
+  body('motif')
+    .trim()
     .notEmpty()
-    .withMessage('Le statut est requis'),
+    .withMessage('Le motif du remboursement est requis')
+    .isLength({ min: 10, max: 500 })
+    .withMessage('Le motif doit contenir entre 10 et 500 caractères'),
+
+  body('montant')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Le montant doit être un entier positif')
+    .toInt(),
 
-  body('amount')
+  body('validationRequestId')
     .notEmpty()
-    .withMessage('Le montant est requis')
-    .isNumeric()
-    .withMessage('Le montant doit être numérique'),
+    .withMessage('L\'ID de la demande de validation est requis')
+    .isMongoId()
+    .withMessage('ID de demande de validation invalide'),
+];
+
+/**
+ * Validation confirmation remboursement manuel
+ */
+const validateConfirmRefund = [
+  param('transactionId')
+    .isMongoId()
+    .withMessage('ID de transaction invalide'),
+
+  param('refundId')
+    .isMongoId()
+    .withMessage('ID de remboursement invalide'),
+
+  body('referenceRemboursement')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('La référence ne peut pas dépasser 100 caractères'),
+];
+
+/**
+ * Validation webhook paiement (provider enregistré)
+ */
+const validateWebhook = [
+  param('provider')
+    .custom((value) => !!getProviderByCode(value))
+    .withMessage('Provider de paiement inconnu'),
 ];
 
 /**
@@ -125,7 +169,7 @@ const validateListTransactions = [
 
   query('moyenPaiement')
     .optional()
-    .isIn(Object.values(PAYMENT_METHODS))
+    .custom((value) => getMethods().includes(value))
     .withMessage('Moyen de paiement invalide'),
 
   query('dateDebut')
@@ -160,6 +204,20 @@ const validateTransactionId = [
     .withMessage('ID de transaction invalide'),
 ];
 
+/**
+ * Validation échéancier membre
+ */
+const validateEcheancier = [
+  param('tontineId')
+    .isMongoId()
+    .withMessage('ID de tontine invalide'),
+
+  query('userId')
+    .optional()
+    .isMongoId()
+    .withMessage('ID utilisateur invalide'),
+];
+
 /**
  * Validation export transactions
  */
@@ -200,9 +258,12 @@ module.exports = {
   validateCreateTransaction,
   validateValidateTransaction,
   validateRejectTransaction,
+  validateRefundTransaction,
+  validateConfirmRefund,
   validateWebhook,
   validateListTransactions,
   validateTransactionId,
+  validateEcheancier,
   validateExportTransactions,
   validateGenerateReceipt,
 };
\ No newline at end of file
@@ -1,6 +1,6 @@
 // validators/user.validator.js
 const { body, param, query } = require('express-validator');
-const { ROLES } = require('../config/constants');
+const { ROLES, KYC_STATUS, OTP_DELIVERY } = require('../config/constants');
 const { isValidSenegalPhone } = require('../utils/helpers');
 
 /**
@@ -195,6 +195,11 @@ const validateUpdateProfile = [
     .optional()
     .isBoolean()
     .withMessage('Doit être un booléen'),
+
+  body('preferences.canalOTP')
+    .optional()
+    .isIn(OTP_DELIVERY.CHANNELS)
+    .withMessage(`Le canal des codes doit être: ${OTP_DELIVERY.CHANNELS.join(', ')}`),
 ];
 
 /**
@@ -295,6 +300,76 @@ const validateAdminResetPassword = [
     .withMessage('notifyUser doit être un booléen'),
 ];
 
+/**
+ * Validation file de revue KYC (query params)
+ */
+const validateListKyc = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Le numéro de page doit être un entier positif'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('La limite doit être entre 1 et 100'),
+
+  query('statut')
+    .optional()
+    .isIn(Object.values(KYC_STATUS))
+    .withMessage('Statut KYC invalide'),
+];
+
+/**
+ * Validation liste des comptes verrouillés
+ */
+const validateListComptesVerrouilles = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Le numéro de page doit être un entier positif'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('La limite doit être entre 1 et 100'),
+];
+
+/**
+ * Validation décision KYC (motif obligatoire pour un refus ou une demande de complément)
+ */
+const validateDecisionKyc = (motifRequis) => [
+  param('userId')
+    .notEmpty()
+    .withMessage('L\'ID utilisateur est requis')
+    .isMongoId()
+    .withMessage('ID utilisateur invalide'),
+
+  motifRequis
+    ? body('motif')
+        .trim()
+        .notEmpty()
+        .withMessage('Le motif est requis')
+        .isLength({ min: 5, max: 500 })
+        .withMessage('Le motif doit contenir entre 5 et 500 caractères')
+    : body('motif')
+        .optional()
+        .trim()
+        .isLength({ max: 500 })
+        .withMessage('Le motif ne peut pas dépasser 500 caractères'),
+];
+
+/**
+ * Validation complément KYC (par l'utilisateur)
+ */
+const validateCompleterKyc = [
+  body('adresse')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('L\'adresse ne peut pas dépasser 200 caractères'),
+];
+
 module.exports = {
   validateCreateUser,
   validateUpdateUser,
@@ -304,4 +379,8 @@ module.exports = {
   validateListUsers,
   validateUserId,
   validateAdminResetPassword,
+  validateListKyc,
+  validateDecisionKyc,
+  validateCompleterKyc,
+  validateListComptesVerrouilles,
 };
\ No newline at end of file
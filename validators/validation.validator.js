@@ -15,13 +15,15 @@ const validateCreateRequest = [
       'UNBLOCK_TONTINE',
       'ACTIVATE_USER',
       'DEACTIVATE_USER',
+      'REFUND_TRANSACTION',
+      'MEMBER_EXIT',
     ])
     .withMessage('Type d\'action invalide'),
 
   body('resourceType')
     .notEmpty()
     .withMessage('Le type de ressource est requis')
-    .isIn(['User', 'Tontine'])
+    .isIn(['User', 'Tontine', 'Transaction'])
     .withMessage('Type de ressource invalide'),
 
   body('resourceId')
@@ -37,6 +39,26 @@ const validateCreateRequest = [
     .isLength({ min: 10, max: 500 })
     .withMessage('La raison doit contenir entre 10 et 500 caractères'),
 
+  // Remboursement partiel : montant soumis à la validation du Trésorier
+  body('montant')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Le montant doit être un entier positif')
+    .toInt(),
+
+  // Sortie d'un membre (resourceId = tontine) : membre sortant et remplaçant éventuel
+  body('membreId')
+    .if(body('actionType').equals('MEMBER_EXIT'))
+    .notEmpty()
+    .withMessage('Le membre sortant est requis')
+    .isMongoId()
+    .withMessage('ID du membre invalide'),
+
+  body('remplacantId')
+    .optional()
+    .isMongoId()
+    .withMessage('ID du remplaçant invalide'),
+
   body('assignedAdminId')
     .optional()
     .isMongoId()
@@ -146,6 +168,8 @@ const validateListRequests = [
       'UNBLOCK_TONTINE',
       'ACTIVATE_USER',
       'DEACTIVATE_USER',
+      'REFUND_TRANSACTION',
+      'MEMBER_EXIT',
     ])
     .withMessage('Type d\'action invalide'),
 